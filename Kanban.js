@@ -1,65 +1,40 @@
+const KANBAN_TOOL_ID = 'board'; // The board's route is "#/board", see hubTools.js
+
 // --- Kanban Board Specific DOM Elements ---
 // These will be assigned in initializeKanbanDOMElements after the DOM is fully loaded.
-let taskInput, addTaskBtn, todoTasksContainer, inprogressTasksContainer, doneTasksContainer;
+let taskInput, addTaskBtn, kanbanColumnsContainer, addColumnBtn;
 let columnElementsMap = {}; // Maps column ID (e.g., 'todo') to its main column HTMLElement
 let taskContainers = {};    // Maps column ID to its specific task container div (e.g., 'todoTasks')
-let allKanbanColumnDivs;  // NodeList of all elements with class '.kanban-column'
+let renderedColumnsSignature = ''; // Column layout the column elements were last built from
+let draggedTaskId = null;         // ID of the task being dragged, if any
+let dropIndicatorElement = null;  // Line showing where a dragged task will be inserted
+let toastContainer;       // Holds the toast notifications shown by showKanbanToast
+let taskCardDecorators = []; // Functions adding elements to task cards, see registerTaskCardDecorator
 
 /**
  * Initializes Kanban-specific DOM element variables.
  * This function is crucial and is called by initKanban after the DOM is loaded.
+ * Column elements are not part of the page; renderColumns builds them from the board state.
  */
 function initializeKanbanDOMElements() {
-    console.log("Kanban: Initializing DOM elements...");
+    logDebug('Kanban', "Initializing DOM elements...");
     taskInput = document.getElementById('taskInput');
     addTaskBtn = document.getElementById('addTaskBtn');
-    todoTasksContainer = document.getElementById('todoTasks');
-    inprogressTasksContainer = document.getElementById('inprogressTasks');
-    doneTasksContainer = document.getElementById('doneTasks');
-
-    // Map column IDs to their main wrapper elements
-    columnElementsMap = {
-        todo: document.getElementById('todo'),
-        inprogress: document.getElementById('inprogress'),
-        done: document.getElementById('done')
-    };
-    // Map column IDs to the containers where task elements will be appended
-    taskContainers = {
-        todo: todoTasksContainer,
-        inprogress: inprogressTasksContainer,
-        done: doneTasksContainer
-    };
-    // Get all draggable column areas
-    allKanbanColumnDivs = document.querySelectorAll('#kanbanContent .kanban-column');
+    kanbanColumnsContainer = document.getElementById('kanbanColumns');
+    addColumnBtn = document.getElementById('addColumnBtn');
+    toastContainer = document.getElementById('toastContainer');
 
     // --- DOM Element Validation ---
     // It's vital these elements exist for the Kanban board to function.
-    if (!taskInput) console.error("Kanban FATAL Error: Task input field with ID 'taskInput' was NOT FOUND.");
-    if (!addTaskBtn) console.error("Kanban FATAL Error: Add task button with ID 'addTaskBtn' was NOT FOUND.");
-    if (!todoTasksContainer) console.error("Kanban FATAL Error: 'To Do' task container with ID 'todoTasks' was NOT FOUND.");
-    if (!inprogressTasksContainer) console.error("Kanban FATAL Error: 'In Progress' task container with ID 'inprogressTasks' was NOT FOUND.");
-    if (!doneTasksContainer) console.error("Kanban FATAL Error: 'Done' task container with ID 'doneTasks' was NOT FOUND.");
-    
-    Object.keys(columnElementsMap).forEach(key => {
-        if (!columnElementsMap[key]) console.error(`Kanban FATAL Error: Main column element with ID '${key}' was NOT FOUND.`);
-    });
-
-    if (!allKanbanColumnDivs || allKanbanColumnDivs.length === 0) {
-        console.warn("Kanban Warning: No Kanban column divs (class '.kanban-column') found within '#kanbanContent'. Drag-and-drop will not function.");
-    }
-    console.log("Kanban: DOM elements initialization process finished.");
+    checkRequiredElements('Kanban', { taskInput, addTaskBtn }, "Tasks cannot be added.");
+    checkRequiredElements('Kanban', { kanbanColumns: kanbanColumnsContainer }, "The board cannot be displayed.");
+    checkRequiredElements('Kanban', { addColumnBtn }, "Columns cannot be added.", 'warn');
+    checkRequiredElements('Kanban', { toastContainer }, "Notifications will only be logged.", 'warn');
+    logDebug('Kanban', "DOM elements initialization process finished.");
 }
 
 // --- Kanban Utility Functions ---
 
-/**
- * Generates a unique ID string for tasks.
- * @returns {string} A unique ID.
- */
-function generateId() {
-    return 'task-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-}
-
 /**
  * Briefly changes the background of a column to give visual feedback.
  * @param {HTMLElement} columnElement - The column element to flash.
@@ -78,7 +53,7 @@ function flashColumnBackground(columnElement) {
 
 /**
  * Triggers the confetti animation.
- * Requires the 'confetti' function to be globally available (from the CDN script).
+ * Requires the 'confetti' function to be globally available (from vendor/confetti.browser.js).
  */
 function triggerConfetti() {
     if (typeof confetti === 'function') {
@@ -95,11 +70,62 @@ function triggerConfetti() {
             colors: ['#26ccff', '#a25afd', '#ff5e7e', '#88ff5a', '#fcff42'] // Array of color codes
         });
     } else {
-        console.warn("Kanban: 'confetti' function is not defined. Confetti animation will not play. Ensure the library is loaded.");
+        logWarn('Kanban', "'confetti' function is not defined. Confetti animation will not play. Ensure the library is loaded.");
     }
 }
 
-// --- Kanban Task Management Functions ---
+/**
+ * Shows a short-lived notification at the bottom of the page, optionally with an action button.
+ * @param {string} message - The text to show.
+ * @param {{actionLabel?: string, onAction?: function(): void, duration?: number}} [options] - An optional
+ *   action button and how long the toast stays visible, in milliseconds.
+ */
+function showKanbanToast(message, options = {}) {
+    if (!(toastContainer instanceof HTMLElement)) {
+        logInfo('Kanban', message); // Fall back to the log if the toast area is missing
+        return;
+    }
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+
+    const messageSpan = document.createElement('span');
+    messageSpan.textContent = message;
+    toast.appendChild(messageSpan);
+
+    let dismissTimer;
+    const dismiss = () => {
+        clearTimeout(dismissTimer);
+        toast.remove();
+    };
+    if (options.actionLabel && typeof options.onAction === 'function') {
+        const actionBtn = document.createElement('button');
+        actionBtn.textContent = options.actionLabel;
+        actionBtn.className = 'toast-action';
+        actionBtn.onclick = () => {
+            dismiss();
+            options.onAction();
+        };
+        toast.appendChild(actionBtn);
+    }
+    toastContainer.appendChild(toast);
+    dismissTimer = setTimeout(dismiss, options.duration || 5000);
+}
+
+// --- Kanban Rendering Functions ---
+
+/**
+ * Registers a function that adds an element to every task card, below its text and checklist
+ * progress, e.g. the result of a calculation attached in the solver.
+ * @param {function(object): ?HTMLElement} decorator - Creates the element for a task, or
+ *   returns null if the task needs none.
+ * @returns {function(): void} A function that removes the decorator again.
+ */
+function registerTaskCardDecorator(decorator) {
+    taskCardDecorators.push(decorator);
+    return () => {
+        taskCardDecorators = taskCardDecorators.filter(existing => existing !== decorator);
+    };
+}
 
 /**
  * Creates an HTML element for a given task object.
@@ -108,8 +134,8 @@ function triggerConfetti() {
  */
 function createTaskElement(task) {
     // Validate the task object structure
-    if (!task || typeof task.id !== 'string' || typeof task.text !== 'string' || typeof task.status !== 'string') {
-        console.error("Kanban Error: createTaskElement received an invalid task object:", task);
+    if (!isValidTask(task)) {
+        logError('Kanban', "createTaskElement received an invalid task object:", task);
         return null;
     }
 
@@ -117,43 +143,479 @@ function createTaskElement(task) {
     taskDiv.id = task.id;
     taskDiv.className = 'task'; // Base class, specific padding/flex defined in CSS or Tailwind in HTML
     taskDiv.draggable = true;
+    if (task.priority && task.priority !== 'none') {
+        taskDiv.classList.add(`task-priority-${task.priority}`); // Coloured left edge per priority
+    }
+    if (isTaskOverdue(task)) {
+        taskDiv.classList.add('task-overdue');
+    }
+
+    makeTaskKeyboardAccessible(taskDiv, task); // Focusable, with arrow-key shortcuts
+    taskDiv.appendChild(createTaskDragHandle(task.id)); // Touch and pen dragging
+
+    const taskBody = document.createElement('div');
+    taskBody.className = 'task-body';
+    taskDiv.appendChild(taskBody);
 
     const taskTextSpan = document.createElement('span');
     taskTextSpan.textContent = task.text;
     taskTextSpan.className = 'task-text-color break-all'; // Ensure text wraps
-    taskDiv.appendChild(taskTextSpan);
+    taskTextSpan.title = "Double-click to edit";
+    if (isDoneColumn(task.status)) {
+        taskTextSpan.classList.add('task-text-done'); // Apply 'done' styling to tasks in the done column
+    }
+    taskTextSpan.addEventListener('dblclick', () => startInlineTaskEdit(task.id, taskTextSpan));
+    taskBody.appendChild(taskTextSpan);
+
+    const taskMeta = createTaskMetaElement(task);
+    if (taskMeta) taskBody.appendChild(taskMeta);
+    const checklistProgress = createChecklistProgressElement(task); // e.g. "3/5" for a checklist
+    if (checklistProgress) taskBody.appendChild(checklistProgress);
+    taskCardDecorators.forEach(decorator => {
+        try {
+            const element = decorator(task);
+            if (element) taskBody.appendChild(element);
+        } catch (e) {
+            logError('Kanban', `A task card decorator failed for task '${task.id}':`, e); // The card is shown without it
+        }
+    });
+
+    const taskActions = document.createElement('div');
+    taskActions.className = 'task-actions';
+    taskDiv.appendChild(taskActions);
+
+    const detailsBtn = document.createElement('button');
+    detailsBtn.innerHTML = '&#9998;'; // Pencil symbol for editing details
+    detailsBtn.className = 'task-action-btn';
+    detailsBtn.title = "Edit details";
+    detailsBtn.setAttribute('aria-label', 'Edit task details');
+    detailsBtn.onclick = () => openTaskDetailPanel(task.id);
+    taskActions.appendChild(detailsBtn);
+
+    if (isDoneColumn(task.status)) {
+        const archiveBtn = document.createElement('button');
+        archiveBtn.innerHTML = '&#8615;'; // Downwards arrow to bar, "put away"
+        archiveBtn.className = 'task-action-btn';
+        archiveBtn.title = "Archive task";
+        archiveBtn.setAttribute('aria-label', 'Archive task');
+        archiveBtn.onclick = () => archiveTask(task.id);
+        taskActions.appendChild(archiveBtn);
+    }
 
     const deleteBtn = document.createElement('button');
     deleteBtn.innerHTML = '&times;'; // 'x' symbol for delete
     deleteBtn.className = 'delete-btn'; // Styling handled by CSS
     deleteBtn.title = "Delete task";
     deleteBtn.setAttribute('aria-label', 'Delete task');
-    deleteBtn.onclick = () => {
-        const parentColumnElement = taskDiv.closest('.kanban-column');
-        deleteTask(task.id);
-        if (parentColumnElement instanceof HTMLElement) {
-            flashColumnBackground(parentColumnElement);
-        }
-    };
-    taskDiv.appendChild(deleteBtn);
+    deleteBtn.onclick = () => deleteTask(task.id);
+    taskActions.appendChild(deleteBtn);
 
     // Drag event listeners for the task
     taskDiv.addEventListener('dragstart', (event) => {
         event.dataTransfer.setData('text/plain', task.id); // Set data to be transferred (the task's ID)
+        draggedTaskId = task.id; // dataTransfer cannot be read during dragover, so remember it here
         event.target.classList.add('dragging'); // Add styling to the task being dragged
     });
     taskDiv.addEventListener('dragend', (event) => {
         event.target.classList.remove('dragging'); // Remove dragging style when drag ends
+        draggedTaskId = null;
+        hideDropIndicator();
     });
     return taskDiv;
 }
 
 /**
- * Adds a new task to the 'To Do' column based on user input.
+ * Creates the row of details shown under a task's text: due date, recurrence, description marker and tag chips.
+ * @param {object} task - The task to describe.
+ * @returns {HTMLElement | null} The meta row, or null if the task has nothing to show.
+ */
+function createTaskMetaElement(task) {
+    if (!task.dueDate && !task.description && task.tags.length === 0 && task.recurrence === 'none') return null;
+
+    const metaDiv = document.createElement('div');
+    metaDiv.className = 'task-meta';
+    if (task.dueDate) {
+        const dueSpan = document.createElement('span');
+        dueSpan.className = 'task-due';
+        dueSpan.textContent = isTaskOverdue(task) ? `Overdue: ${task.dueDate}` : `Due ${task.dueDate}`;
+        metaDiv.appendChild(dueSpan);
+    }
+    if (task.recurrence !== 'none') {
+        const recurrenceMarker = document.createElement('span');
+        recurrenceMarker.className = 'task-recurrence';
+        recurrenceMarker.textContent = `\u21BB ${RECURRENCE_LABELS[task.recurrence]}`; // Clockwise arrow
+        recurrenceMarker.title = `Repeats ${task.recurrence}`;
+        metaDiv.appendChild(recurrenceMarker);
+    }
+    if (task.description) {
+        const descriptionMarker = document.createElement('span');
+        descriptionMarker.className = 'task-description-marker';
+        descriptionMarker.textContent = '\u2261'; // "Has description" marker
+        descriptionMarker.title = task.description;
+        metaDiv.appendChild(descriptionMarker);
+    }
+    task.tags.forEach(tag => {
+        const tagChip = document.createElement('span');
+        tagChip.className = 'tag-chip';
+        tagChip.textContent = tag;
+        metaDiv.appendChild(tagChip);
+    });
+    return metaDiv;
+}
+
+/**
+ * Replaces a task's text with an input so it can be edited in place.
+ * Enter or leaving the field saves the new text; Escape cancels.
+ * @param {string} taskId - The ID of the task being edited.
+ * @param {HTMLElement} taskTextSpan - The element showing the task's text.
+ */
+function startInlineTaskEdit(taskId, taskTextSpan) {
+    const task = getBoardTask(taskId);
+    if (!task || !(taskTextSpan instanceof HTMLElement)) return;
+
+    const editInput = document.createElement('input');
+    editInput.type = 'text';
+    editInput.value = task.text;
+    editInput.className = 'task-input task-inline-edit';
+    editInput.setAttribute('aria-label', 'Task text');
+
+    let finished = false;
+    const finishEdit = (save) => {
+        if (finished) return; // Enter triggers blur as well; only handle the first
+        finished = true;
+        const newText = editInput.value.trim();
+        if (save && newText !== '' && newText !== task.text) {
+            updateTaskOnBoard(taskId, { text: newText }); // Re-renders the board
+        } else {
+            editInput.replaceWith(taskTextSpan);
+            if (taskElement instanceof HTMLElement) taskElement.draggable = true;
+        }
+    };
+    editInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            finishEdit(true);
+        } else if (event.key === 'Escape') {
+            finishEdit(false);
+        }
+    });
+    editInput.addEventListener('blur', () => finishEdit(true));
+
+    const taskElement = taskTextSpan.closest('.task');
+    if (taskElement instanceof HTMLElement) {
+        taskElement.draggable = false; // Let the mouse select text in the input instead of dragging the card
+    }
+    taskTextSpan.replaceWith(editInput);
+    editInput.focus();
+    editInput.select();
+}
+
+/**
+ * Picks the header border colour for a column: green for the done column, otherwise a
+ * colour based on the column's position.
+ * @param {object} column - The column object.
+ * @param {number} index - The column's position on the board.
+ * @returns {string} A border colour class.
+ */
+function getColumnBorderClass(column, index) {
+    if (column.isDone) return 'border-green-400';
+    const palette = ['border-red-400', 'border-yellow-400', 'border-blue-400', 'border-purple-400', 'border-pink-400'];
+    return palette[index % palette.length];
+}
+
+/**
+ * Creates the element for one column: a header with its title, task count and settings
+ * button, and the container its tasks are rendered into. The column accepts dropped tasks.
+ * @param {object} column - The column object.
+ * @param {number} index - The column's position on the board.
+ * @returns {HTMLElement} The column element.
+ */
+function createColumnElement(column, index) {
+    const columnDiv = document.createElement('div');
+    columnDiv.id = column.id;
+    columnDiv.className = 'kanban-column';
+    columnDiv.dataset.columnId = column.id;
+    columnDiv.setAttribute('role', 'group');
+    columnDiv.setAttribute('aria-labelledby', `${column.id}Title`);
+
+    const header = document.createElement('div');
+    header.className = `column-header mb-4 border-b-2 ${getColumnBorderClass(column, index)} pb-2`;
+    columnDiv.appendChild(header);
+
+    const title = document.createElement('h3');
+    title.id = `${column.id}Title`;
+    title.className = 'text-xl font-semibold column-title';
+    title.textContent = column.title;
+    header.appendChild(title);
+
+    const count = document.createElement('span');
+    count.className = 'column-count';
+    header.appendChild(count);
+
+    const settingsBtn = document.createElement('button');
+    settingsBtn.innerHTML = '&#9881;'; // Gear symbol
+    settingsBtn.className = 'task-action-btn column-settings-btn';
+    settingsBtn.title = "Column settings";
+    settingsBtn.setAttribute('aria-label', `Settings for column ${column.title}`);
+    settingsBtn.onclick = () => openColumnSettingsPanel(column.id);
+    header.appendChild(settingsBtn);
+
+    if (column.isDone) {
+        const archiveAllBtn = document.createElement('button');
+        archiveAllBtn.textContent = 'Archive all';
+        archiveAllBtn.className = 'secondary-btn archive-all-btn py-1 px-2 rounded-lg text-sm';
+        archiveAllBtn.setAttribute('aria-label', `Archive all tasks in ${column.title}`);
+        archiveAllBtn.onclick = () => archiveDoneColumn();
+        header.appendChild(archiveAllBtn);
+    }
+
+    const taskContainer = document.createElement('div');
+    taskContainer.id = `${column.id}Tasks`;
+    taskContainer.className = 'column-tasks space-y-3 min-h-[200px]';
+    taskContainer.setAttribute('role', 'list');
+    taskContainer.setAttribute('aria-label', `${column.title} tasks`);
+    columnDiv.appendChild(taskContainer);
+
+    attachColumnDropHandlers(columnDiv);
+    return columnDiv;
+}
+
+/**
+ * Rebuilds the column elements if the board's columns have changed since they were last built.
+ * Updates columnElementsMap and taskContainers to match.
+ */
+function renderColumns() {
+    if (!(kanbanColumnsContainer instanceof HTMLElement)) return; // Reported during initialization
+    const columns = getBoardColumns();
+    const signature = JSON.stringify(columns);
+    if (signature === renderedColumnsSignature) return;
+
+    kanbanColumnsContainer.innerHTML = '';
+    columnElementsMap = {};
+    taskContainers = {};
+    columns.forEach((column, index) => {
+        const columnDiv = createColumnElement(column, index);
+        kanbanColumnsContainer.appendChild(columnDiv);
+        columnElementsMap[column.id] = columnDiv;
+        taskContainers[column.id] = columnDiv.querySelector('.column-tasks');
+    });
+    renderedColumnsSignature = signature;
+}
+
+/**
+ * Updates a column's task count and marks the column when it is over its WIP limit.
+ * @param {string} columnId - The column to update.
+ */
+function renderColumnWipStatus(columnId) {
+    const columnDiv = columnElementsMap[columnId];
+    if (!(columnDiv instanceof HTMLElement)) return;
+    const wipStatus = getColumnWipStatus(columnId);
+    const countSpan = columnDiv.querySelector('.column-count');
+    if (countSpan) {
+        countSpan.textContent = wipStatus.limit !== null ? `${wipStatus.count} / ${wipStatus.limit}` : `${wipStatus.count}`;
+        countSpan.title = wipStatus.limit !== null
+            ? `Work-in-progress limit: ${wipStatus.limit} (${wipStatus.mode === 'block' ? 'blocks drops' : 'warns'})`
+            : "Number of tasks";
+    }
+    columnDiv.classList.toggle('wip-over-limit', wipStatus.overLimit);
+    columnDiv.classList.toggle('wip-at-limit', wipStatus.atLimit && !wipStatus.overLimit);
+}
+
+/**
+ * Renders the whole board from the board state: the columns (when they changed) and every
+ * column's tasks, replacing the current task elements.
+ */
+function renderBoard() {
+    renderColumns();
+    Object.keys(taskContainers).forEach(columnId => {
+        const container = taskContainers[columnId];
+        if (!(container instanceof HTMLElement)) return;
+        container.innerHTML = '';
+        getColumnTasks(columnId).forEach(task => {
+            const taskElement = createTaskElement(task);
+            if (taskElement) container.appendChild(taskElement);
+        });
+        renderColumnWipStatus(columnId);
+    });
+    applyBoardFilter(); // Hide cards that do not match the search and filter bar
+}
+
+/**
+ * Reacts to a change in the board state: re-renders the board, gives visual feedback
+ * and persists the new state.
+ * @param {object} change - The change object emitted by the board store.
+ */
+function handleBoardChange(change) {
+    renderBoard();
+    if (change.type === 'reset') return; // Loaded state is already persisted
+
+    const changes = flattenBoardChange(change);
+    changes.forEach(singleChange => {
+        const affectedColumnId = singleChange.toColumnId || singleChange.fromColumnId || singleChange.columnId;
+        if (columnElementsMap[affectedColumnId] instanceof HTMLElement) {
+            flashColumnBackground(columnElementsMap[affectedColumnId]); // Flash the column that was changed
+        }
+    });
+    // Trigger confetti only if a task is newly moved to the done column by the user in this tab, not by undo/redo
+    if (change.source === 'local' && changes.some(singleChange => singleChange.type === 'move' && isDoneColumn(singleChange.toColumnId) && !isDoneColumn(singleChange.fromColumnId))) {
+        triggerConfetti();
+    }
+    // Deleting is the easiest change to regret, so offer an immediate way back
+    if (change.type === 'delete' && change.source === 'local') {
+        showKanbanToast('Task deleted', { actionLabel: 'Undo', onAction: undoLastBoardChange });
+    }
+    saveTasksToStorage(); // Persist changes
+}
+
+/**
+ * Finds the task a dragged card would be dropped in front of, based on the pointer's
+ * vertical position relative to the midpoints of the other cards in the column.
+ * @param {HTMLElement} container - The column's task container.
+ * @param {number} clientY - The pointer's vertical position.
+ * @param {string} [draggedTaskId] - The card being dragged, which is ignored.
+ * @returns {string | null} The ID of the task to insert before, or null to insert at the end.
+ */
+function getDropBeforeTaskId(container, clientY, draggedTaskId) {
+    const taskElements = Array.from(container.querySelectorAll('.task'))
+        .filter(element => element.id !== draggedTaskId && !element.classList.contains('task-filtered-out'));
+    const nextTaskElement = taskElements.find(element => {
+        const rect = element.getBoundingClientRect();
+        return clientY < rect.top + rect.height / 2;
+    });
+    return nextTaskElement ? nextTaskElement.id : null;
+}
+
+/**
+ * Converts a drop position into an index for moveTaskOnBoard. The index counts the column's
+ * tasks without the moved task, because the store removes it before inserting it again.
+ * @param {string} columnId - The target column.
+ * @param {string | null} beforeTaskId - The task to insert before, or null for the end.
+ * @param {string} movedTaskId - The task being moved.
+ * @returns {number} The insertion index.
+ */
+function getDropIndex(columnId, beforeTaskId, movedTaskId) {
+    const remainingTaskIds = getColumnTasks(columnId).map(task => task.id).filter(taskId => taskId !== movedTaskId);
+    const index = beforeTaskId ? remainingTaskIds.indexOf(beforeTaskId) : -1;
+    return index === -1 ? remainingTaskIds.length : index;
+}
+
+/**
+ * Shows the drop-position indicator line in a column, in front of a task or at the end.
+ * @param {HTMLElement} container - The column's task container.
+ * @param {string | null} beforeTaskId - The task to show the line in front of, or null for the end.
+ */
+function showDropIndicator(container, beforeTaskId) {
+    if (!dropIndicatorElement) {
+        dropIndicatorElement = document.createElement('div');
+        dropIndicatorElement.className = 'drop-indicator';
+        dropIndicatorElement.setAttribute('aria-hidden', 'true');
+    }
+    const beforeElement = beforeTaskId ? document.getElementById(beforeTaskId) : null;
+    if (beforeElement && beforeElement.parentElement === container) {
+        if (dropIndicatorElement.nextSibling !== beforeElement) container.insertBefore(dropIndicatorElement, beforeElement);
+    } else if (dropIndicatorElement.parentElement !== container || dropIndicatorElement.nextSibling) {
+        container.appendChild(dropIndicatorElement);
+    }
+}
+
+/**
+ * Removes the drop-position indicator line, wherever it is.
+ */
+function hideDropIndicator() {
+    if (dropIndicatorElement) dropIndicatorElement.remove();
+}
+
+/**
+ * Moves a task to the position it was dropped at, within its own column or another one.
+ * Dropping a task back where it already is changes nothing.
+ * @param {string} taskId - The dropped task.
+ * @param {string} targetColumnId - The column it was dropped on.
+ * @param {string | null} beforeTaskId - The task it was dropped in front of, or null for the end.
+ */
+function dropTaskAt(taskId, targetColumnId, beforeTaskId) {
+    const task = getBoardTask(taskId);
+    if (!task) { // Safety check
+        logWarn('Kanban', `Dropped task with ID '${taskId}' not found on the board.`);
+        return;
+    }
+    if (!taskContainers[targetColumnId]) {
+        logError('Kanban', `Target task container for column ID '${targetColumnId}' not found or not an HTMLElement.`);
+        return;
+    }
+    const index = getDropIndex(targetColumnId, beforeTaskId, taskId);
+    const position = findTaskPosition(taskId);
+    if (position && position.columnId === targetColumnId && position.index === index) {
+        flashColumnBackground(columnElementsMap[targetColumnId]); // Dropped where it already was
+        return;
+    }
+    moveTaskWithWipCheck(taskId, targetColumnId, index);
+}
+
+/**
+ * Attaches the drag-and-drop listeners that let a column receive dropped tasks at the
+ * pointer position, with an indicator line showing where the task will land.
+ * @param {HTMLElement} columnDiv - The column element (its ID is the column ID).
+ */
+function attachColumnDropHandlers(columnDiv) {
+    // Event when a draggable item is dragged over a column
+    columnDiv.addEventListener('dragover', (event) => {
+        event.preventDefault(); // Necessary to allow dropping
+        columnDiv.classList.add('drag-over'); // Visual feedback
+        const container = taskContainers[columnDiv.id];
+        if (container instanceof HTMLElement) {
+            showDropIndicator(container, getDropBeforeTaskId(container, event.clientY, draggedTaskId));
+        }
+    });
+    // Event when a draggable item leaves a column's area (ignoring moves between its children)
+    columnDiv.addEventListener('dragleave', (event) => {
+        if (event.relatedTarget instanceof Node && columnDiv.contains(event.relatedTarget)) return;
+        columnDiv.classList.remove('drag-over'); // Remove visual feedback
+        hideDropIndicator();
+    });
+    // Event when a draggable item is dropped onto a column
+    columnDiv.addEventListener('drop', (event) => {
+        event.preventDefault(); // Prevent default browser action
+        columnDiv.classList.remove('drag-over'); // Remove visual feedback
+        hideDropIndicator();
+        const taskId = event.dataTransfer.getData('text/plain'); // Get the ID of the dragged task
+        const container = taskContainers[columnDiv.id];
+        const beforeTaskId = container instanceof HTMLElement ? getDropBeforeTaskId(container, event.clientY, taskId) : null;
+        dropTaskAt(taskId, columnDiv.id, beforeTaskId);
+    });
+}
+
+/**
+ * Moves a task to a column (or a new position in its own column), respecting and reporting
+ * the target column's WIP limit.
+ * @param {string} taskId - The task to move.
+ * @param {string} targetColumnId - The column to move it to.
+ * @param {number} [index] - The position within the column; appends when omitted.
+ * @returns {boolean} True if the task was moved.
+ */
+function moveTaskWithWipCheck(taskId, targetColumnId, index) {
+    const column = getBoardColumn(targetColumnId);
+    if (!column) return false;
+    if (!canColumnAcceptTask(targetColumnId, taskId)) {
+        showKanbanToast(`'${column.title}' is at its limit of ${column.wipLimit} tasks.`);
+        flashColumnBackground(columnElementsMap[targetColumnId]);
+        return false;
+    }
+    const moved = moveTaskOnBoard(taskId, targetColumnId, index); // Rendering, styling, confetti and saving follow from the change
+    const wipStatus = getColumnWipStatus(targetColumnId);
+    if (moved && wipStatus.overLimit) {
+        showKanbanToast(`'${column.title}' is over its limit: ${wipStatus.count} of ${wipStatus.limit} tasks.`);
+    }
+    return moved;
+}
+
+// --- Kanban Task Management Functions ---
+
+/**
+ * Adds a new task to the first column (normally 'To Do') based on user input.
  */
 function addTask() {
     if (!taskInput) { // Check if taskInput element is available
-        console.error("Kanban Error: Cannot add task - taskInput element is not initialized or not found.");
+        logError('Kanban', "Cannot add task - taskInput element is not initialized or not found.");
         return;
     }
     const taskTextVal = taskInput.value.trim(); // Get and trim the input value
@@ -167,117 +629,140 @@ function addTask() {
         return;
     }
 
-    const newTask = { id: generateId(), text: taskTextVal, status: 'todo' };
-    const taskElement = createTaskElement(newTask);
-
-    if (taskElement && taskContainers.todo instanceof HTMLElement) {
-        taskContainers.todo.appendChild(taskElement); // Add new task to the 'To Do' list
-        taskElement.dataset.lastColumn = 'todo'; // For confetti logic on moving to 'Done'
-        if (columnElementsMap.todo instanceof HTMLElement) {
-            flashColumnBackground(columnElementsMap.todo); // Flash the 'To Do' column
-        }
-    } else if (!taskContainers.todo) {
-        console.error("Kanban Error: 'To Do' task container ('todoTasks') is not a valid HTMLElement. Cannot add task.");
+    const firstColumn = getBoardColumns()[0];
+    if (firstColumn && !canColumnAcceptTask(firstColumn.id)) {
+        showKanbanToast(`'${firstColumn.title}' is at its limit of ${firstColumn.wipLimit} tasks.`);
+        return; // Keep the text so it can be added once there is room
     }
-    
+    if (!addTaskToBoard({ text: taskTextVal })) { // Add new task to the first column
+        logError('Kanban', "The board rejected the new task. Cannot add task.");
+    }
+
     taskInput.value = ''; // Clear the input field
     taskInput.focus(); // Set focus back to input for easy next entry
-    saveTasksToLocalStorage(); // Persist tasks
 }
 
 /**
- * Deletes a task from the board and updates local storage.
+ * Deletes a task from the board. The change is rendered and persisted by handleBoardChange.
  * @param {string} taskId - The ID of the task to be deleted.
  */
 function deleteTask(taskId) {
-    const taskElement = document.getElementById(taskId);
-    if (taskElement) {
-        taskElement.remove(); // Remove from DOM
-        saveTasksToLocalStorage(); // Update local storage
-    } else {
-        console.warn(`Kanban Warning: Attempted to delete task with ID '${taskId}', but it was not found in the DOM.`);
+    deleteTaskFromBoard(taskId);
+}
+
+/**
+ * Archives a task, offering to undo it.
+ * @param {string} taskId - The ID of the task to archive.
+ */
+function archiveTask(taskId) {
+    if (archiveTasksOnBoard([taskId])) {
+        showKanbanToast('Task archived', { actionLabel: 'Undo', onAction: undoLastBoardChange });
     }
 }
 
-// --- Kanban Local Storage Functions ---
+/**
+ * Archives every task in the done column as one step, offering to undo it.
+ */
+function archiveDoneColumn() {
+    const doneColumnId = getDoneColumnId();
+    const taskIds = doneColumnId ? getColumnTasks(doneColumnId).map(task => task.id) : [];
+    if (taskIds.length === 0) {
+        showKanbanToast('There are no done tasks to archive.');
+        return;
+    }
+    if (archiveTasksOnBoard(taskIds, 'Done tasks archived')) {
+        showKanbanToast(`${taskIds.length} task(s) archived`, { actionLabel: 'Undo', onAction: undoLastBoardChange });
+    }
+}
 
 /**
- * Saves the current state of all tasks to the browser's local storage.
+ * Undoes the most recent board change and tells the user what happened.
  */
-function saveTasksToLocalStorage() {
-    const tasks = [];
-    const taskElements = document.querySelectorAll('#kanbanContent .task'); // Get all task elements
-    taskElements.forEach(taskElement => {
-        const columnElement = taskElement.closest('.kanban-column');
-        if (columnElement instanceof HTMLElement) {
-            const columnId = columnElement.id; // 'todo', 'inprogress', or 'done'
-            const taskTextSpan = taskElement.querySelector('span.task-text-color');
-            if (taskTextSpan instanceof HTMLElement) {
-                tasks.push({
-                    id: taskElement.id,
-                    text: taskTextSpan.textContent,
-                    status: columnId
-                });
-            }
-        }
-    });
-    localStorage.setItem('kanbanTasks', JSON.stringify(tasks)); // Store as JSON string
-    console.log("Kanban: Tasks saved to local storage.");
+function undoLastBoardChange() {
+    const label = undoBoardChange();
+    showKanbanToast(label ? `Undone: ${label}` : "Nothing to undo");
 }
 
 /**
- * Loads tasks from local storage and populates them onto the board.
+ * Redoes the most recently undone board change and tells the user what happened.
  */
-function loadTasksFromLocalStorage() {
-    console.log("Kanban: Attempting to load tasks from local storage...");
-    const storedTasks = localStorage.getItem('kanbanTasks');
-    if (storedTasks) {
-        try {
-            const tasks = JSON.parse(storedTasks);
-            if (!Array.isArray(tasks)) { // Basic validation of stored data
-                console.error("Kanban Error: Data in local storage ('kanbanTasks') is not a valid array. Clearing storage.");
-                localStorage.removeItem('kanbanTasks');
-                return;
-            }
-            tasks.forEach(task => {
-                // Further validation for each task object
-                if (typeof task.id !== 'string' || typeof task.text !== 'string' || typeof task.status !== 'string') {
-                    console.warn("Kanban Warning: Invalid task object found in local storage, skipping:", task);
-                    return; // Skip this malformed task
-                }
-                const taskElement = createTaskElement(task);
-                if (!taskElement) return; // Skip if task element creation failed
-
-                const targetContainer = taskContainers[task.status];
-                if (targetContainer instanceof HTMLElement) {
-                    targetContainer.appendChild(taskElement);
-                    taskElement.dataset.lastColumn = task.status; // Set for confetti logic
-                    // Apply 'done' styling if task is in the 'done' column
-                    if (task.status === 'done') {
-                        const taskTextSpan = taskElement.querySelector('span.task-text-color');
-                        if (taskTextSpan instanceof HTMLElement) {
-                            taskTextSpan.classList.add('task-text-done');
-                        }
-                    }
-                } else {
-                    // Fallback: if the designated container is missing, try adding to 'todo'
-                    console.warn(`Kanban Warning: Task container for status '${task.status}' not found. Attempting to add to 'todo'.`);
-                    if (taskContainers.todo instanceof HTMLElement) {
-                        taskContainers.todo.appendChild(taskElement);
-                        taskElement.dataset.lastColumn = 'todo'; 
-                    } else {
-                        console.error(`Kanban Error: 'todo' task container also not found. Cannot place task:`, task);
-                    }
+function redoLastBoardChange() {
+    const label = redoBoardChange();
+    showKanbanToast(label ? `Redone: ${label}` : "Nothing to redo");
+}
+
+/**
+ * Handles the global undo/redo shortcuts (Ctrl+Z, Ctrl+Shift+Z and Ctrl+Y, or Cmd on macOS)
+ * while the Kanban tab is visible. Text fields keep their own native undo.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleKanbanHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const target = event.target;
+    if (target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return;
+    }
+    const kanbanContent = document.getElementById('kanbanContent');
+    if (!kanbanContent || kanbanContent.classList.contains('hidden')) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoLastBoardChange();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redoLastBoardChange();
+    }
+}
+
+// --- Kanban Storage Functions ---
+
+/**
+ * Saves the active board's tasks, column layout and archive through the storage module.
+ * Tasks are stored column by column in display order, with all of their fields.
+ */
+function saveTasksToStorage() {
+    const boardData = { columns: getBoardColumns(), tasks: getAllBoardTasks(), archive: getArchivedBoardTasks() };
+    writeStoredJson(getBoardStorageKey(getActiveBoardId()), boardData);
+    logInfo('Kanban', "Tasks and columns saved.");
+}
+
+/**
+ * Loads the active board's column layout, tasks and archive from storage into the board state,
+ * which then renders them. Unreadable saved data is quarantined by the storage module
+ * (not deleted), and the board starts empty.
+ */
+function loadTasksFromStorage() {
+    logDebug('Kanban', "Attempting to load saved tasks...");
+    const storageKey = getBoardStorageKey(getActiveBoardId());
+    const boardData = readStoredJson(storageKey);
+    let validTasks = [];
+    let columns = null;
+    if (boardData) {
+        if (Array.isArray(boardData.tasks)) { // Basic validation of stored data
+            // Further validation for each task object
+            validTasks = boardData.tasks.filter(task => {
+                if (!isValidTask(task)) {
+                    logWarn('Kanban', "Invalid task object found in saved data, skipping:", task);
+                    return false; // Skip this malformed task
                 }
+                return true;
             });
-            console.log(`Kanban: Successfully loaded ${tasks.length} tasks from local storage.`);
-        } catch (error) {
-            console.error("Kanban Error: Failed to parse tasks from local storage. Data might be corrupted. Clearing stored tasks.", error);
-            localStorage.removeItem('kanbanTasks'); // Clear corrupted data to prevent future errors
+        } else {
+            logError('Kanban', `Saved data in '${storageKey}' has no valid task array.`);
+        }
+        if (Array.isArray(boardData.columns)) {
+            columns = boardData.columns;
+        } else {
+            logWarn('Kanban', `Saved data in '${storageKey}' has no valid column array. Using the default columns.`);
         }
     } else {
-        console.log("Kanban: No tasks found in local storage.");
+        logInfo('Kanban', "No saved tasks found.");
     }
+    // Unknown columns fall back to the first column; tasks saved with only id/text/status get default details.
+    // The board is loaded even without tasks so the saved (or default) columns are shown.
+    const loadedCount = loadBoardState(validTasks, columns, boardData && boardData.archive);
+    if (loadedCount > 0) logInfo('Kanban', `Successfully loaded ${loadedCount} saved tasks.`);
 }
 
 // --- Kanban Initialization ---
@@ -286,15 +771,15 @@ function loadTasksFromLocalStorage() {
  * Sets up DOM elements and attaches all necessary event listeners.
  */
 function initKanban() {
-    console.log("Kanban: initKanban() called. Starting Kanban board setup...");
+    logDebug('Kanban', "initKanban() called. Starting Kanban board setup...");
     initializeKanbanDOMElements(); // Initialize and validate DOM element references
 
     // Attach event listener to the "Add Task" button
     if (addTaskBtn) {
         addTaskBtn.addEventListener('click', addTask);
-        console.log("Kanban: Event listener successfully added to 'addTaskBtn'.");
+        logDebug('Kanban', "Event listener successfully added to 'addTaskBtn'.");
     } else {
-        console.error("Kanban FATAL Error: 'addTaskBtn' not found, cannot attach click listener. Adding tasks will not work.");
+        logError('Kanban', "'addTaskBtn' not found, cannot attach click listener. Adding tasks will not work.");
     }
 
     // Attach event listener for 'Enter' key press in the task input field
@@ -305,70 +790,45 @@ function initKanban() {
                 addTask();
             }
         });
-        console.log("Kanban: Event listener successfully added to 'taskInput' for 'Enter' key.");
+        logDebug('Kanban', "Event listener successfully added to 'taskInput' for 'Enter' key.");
     } else {
-        console.error("Kanban FATAL Error: 'taskInput' not found, cannot attach keypress listener.");
+        logError('Kanban', "'taskInput' not found, cannot attach keypress listener.");
     }
 
-    // Set up drag and drop functionality for each column
-    if (allKanbanColumnDivs && allKanbanColumnDivs.length > 0) {
-        allKanbanColumnDivs.forEach(columnDiv => {
-            // Event when a draggable item is dragged over a column
-            columnDiv.addEventListener('dragover', (event) => {
-                event.preventDefault(); // Necessary to allow dropping
-                columnDiv.classList.add('drag-over'); // Visual feedback
-            });
-            // Event when a draggable item leaves a column's area
-            columnDiv.addEventListener('dragleave', () => {
-                columnDiv.classList.remove('drag-over'); // Remove visual feedback
-            });
-            // Event when a draggable item is dropped onto a column
-            columnDiv.addEventListener('drop', (event) => {
-                event.preventDefault(); // Prevent default browser action
-                columnDiv.classList.remove('drag-over'); // Remove visual feedback
-                const taskId = event.dataTransfer.getData('text/plain'); // Get the ID of the dragged task
-                const taskElement = document.getElementById(taskId);
-                
-                if (!taskElement) { // Safety check
-                    console.warn(`Kanban Warning: Dropped task element with ID '${taskId}' not found in DOM.`);
-                    return;
-                }
-
-                const targetColumnId = columnDiv.id; // ID of the column where task is dropped
-                const targetTaskContainer = taskContainers[targetColumnId]; // Get the specific task list div
-
-                if (targetTaskContainer instanceof HTMLElement) {
-                    const taskTextSpan = taskElement.querySelector('span.task-text-color');
-                    
-                    // Append to new column only if it's a different container
-                    if (taskElement.parentElement !== targetTaskContainer) {
-                        targetTaskContainer.appendChild(taskElement);
-                    }
-                    flashColumnBackground(columnDiv); // Flash the column that received the task
-                    
-                    // Handle styling and confetti for 'Done' column
-                    if (taskTextSpan instanceof HTMLElement) {
-                        if (targetColumnId === 'done') {
-                            taskTextSpan.classList.add('task-text-done');
-                            // Trigger confetti only if newly moved to 'Done'
-                            if (taskElement.dataset.lastColumn !== 'done') {
-                                triggerConfetti();
-                            }
-                        } else {
-                            taskTextSpan.classList.remove('task-text-done');
-                        }
-                    }
-                    taskElement.dataset.lastColumn = targetColumnId; // Update task's last known column
-                    saveTasksToLocalStorage(); // Persist changes
-                } else {
-                    console.error(`Kanban Error: Target task container for column ID '${targetColumnId}' not found or not an HTMLElement.`);
-                }
-            });
-        });
-        console.log("Kanban: Drag and drop event listeners successfully added to columns.");
-    } else {
-        // This warning is already covered by initializeKanbanDOMElements
+    if (addColumnBtn) {
+        addColumnBtn.addEventListener('click', () => openColumnSettingsPanel(null)); // null opens the panel for a new column
     }
-    loadTasksFromLocalStorage(); // Load tasks from previous sessions
-    console.log("Kanban: initKanban() setup finished.");
+    subscribeToBoard(handleBoardChange); // Render and persist every change to the board state
+    loadBoardIndex(); // Find the active board, migrating single-board data from earlier versions
+    loadTasksFromStorage(); // Load tasks from previous sessions
+    initBoardSwitcher();
+    initTaskDetailPanel(); // Set up the panel for editing description, due date, priority and tags
+    initTaskChecklists(); // Set up adding, ticking, reordering and deleting checklist items in that panel
+    initColumnSettingsPanel(); // Set up the panel for adding, renaming, reordering and deleting columns
+    initKanbanInteractions(); // Announce board changes to screen reader users
+    initBoardTransfer(); // Set up exporting the board and importing JSON/CSV files
+    initBoardFilter(); // Set up the search and filter bar, restoring a filter from the URL
+    initBoardSync(); // Show changes made in other open tabs, and send ours to them
+    initTaskRecurrence(); // Create the next instance of repeating tasks when they are done
+    initKanbanArchive(); // Set up the archive panel and archive long-done tasks automatically
+    initTaskSelection(); // Set up selecting several cards and the bulk action bar
+    initDueDateReminders(); // Remind about tasks due today or overdue
+    initKanbanActivity(); // Record when tasks are created, moved and deleted
+    initKanbanMetrics(); // Set up the lead time, cycle time, throughput and cumulative flow view
+    initBoardHistory(getActiveBoardId()); // Restore this session's undo/redo history and start recording changes
+    document.addEventListener('keydown', handleKanbanHistoryShortcut);
+    logDebug('Kanban', "initKanban() setup finished.");
+}
+
+/**
+ * Stops the Kanban board's timers and its keyboard shortcuts. Changes are saved as they are
+ * made, so nothing is left to save.
+ */
+function teardownKanban() {
+    stopDueDateReminders();
+    stopAutoArchive();
+    document.removeEventListener('keydown', handleKanbanHistoryShortcut);
+    logInfo('Kanban', "Stopped.");
 }
+
+registerHubTool({ id: KANBAN_TOOL_ID, label: 'Kanban Board', contentId: 'kanbanContent', init: initKanban, teardown: teardownKanban });
@@ -1,91 +1,486 @@
+const CALCULATOR_TOOL_ID = 'solver'; // The calculator's route is "#/solver", see hubTools.js
+const CALCULATOR_INPUTS_STORAGE_KEY = 'calculatorInputs'; // Last entered values by input ID, restored on the next visit
+const CALCULATOR_FORMULAS_STORAGE_KEY = 'calculatorFormulas'; // { activeFormulaId, formulas: [{ id, name, expression }] }
+const DEFAULT_CALCULATOR_FORMULA = { id: 'default', name: 'Deal equation', expression: '((D * (SP - Cp + B + 74) - 7400) / 1.20) / 100' };
+
+// --- Calculator State ---
+let calculatorFormulas = [];   // The user's named formulas, see loadCalculatorFormulas
+let activeFormulaId = null;
+let activeFormula = { ast: null, variables: [], error: null }; // The active formula, parsed by compileFormula
+let calculatorInputValues = {}; // Input ID to the text entered, kept for variables the active formula does not use
+let calculatorChangeListeners = []; // Functions called with every calculator change, see subscribeToCalculator
+
 // --- Calculator Specific DOM Elements ---
 // These will be assigned in initializeCalculatorDOMElements after the DOM is fully loaded.
-let varDInput, varSPInput, varCpInput, varBInput;
-let customEquationResultSpan;
+let formulaSelect, newFormulaBtn, duplicateFormulaBtn, deleteFormulaBtn, formulaNameInput, formulaExpressionInput, formulaErrorText;
+let calculatorInputsContainer, formulaDisplay, customEquationResultSpan;
 
 /**
  * Initializes Calculator-specific DOM element variables.
  * This function is crucial and is called by initCalculator after the DOM is loaded.
  */
 function initializeCalculatorDOMElements() {
-    console.log("Calculator: Initializing DOM elements for new equation...");
-    varDInput = document.getElementById('varD');
-    varSPInput = document.getElementById('varSP');
-    varCpInput = document.getElementById('varCp');
-    varBInput = document.getElementById('varB');
+    logDebug('Calculator', "Initializing DOM elements...");
+    formulaSelect = document.getElementById('formulaSelect');
+    newFormulaBtn = document.getElementById('newFormulaBtn');
+    duplicateFormulaBtn = document.getElementById('duplicateFormulaBtn');
+    deleteFormulaBtn = document.getElementById('deleteFormulaBtn');
+    formulaNameInput = document.getElementById('formulaName');
+    formulaExpressionInput = document.getElementById('formulaExpression');
+    formulaErrorText = document.getElementById('formulaError');
+    calculatorInputsContainer = document.getElementById('calculatorInputs');
+    formulaDisplay = document.getElementById('formulaDisplay');
     customEquationResultSpan = document.getElementById('customEquationResult');
 
     // --- DOM Element Validation ---
-    if (!varDInput) console.error("Calculator FATAL Error: Input field with ID 'varD' was NOT FOUND.");
-    if (!varSPInput) console.error("Calculator FATAL Error: Input field with ID 'varSP' was NOT FOUND.");
-    if (!varCpInput) console.error("Calculator FATAL Error: Input field with ID 'varCp' was NOT FOUND.");
-    if (!varBInput) console.error("Calculator FATAL Error: Input field with ID 'varB' was NOT FOUND.");
-    if (!customEquationResultSpan) console.error("Calculator FATAL Error: Result span with ID 'customEquationResult' was NOT FOUND.");
-    
-    console.log("Calculator: DOM elements initialization process finished for new equation.");
+    checkRequiredElements('Calculator', { calculatorInputs: calculatorInputsContainer, customEquationResult: customEquationResultSpan }, "Nothing can be calculated.");
+    const formulaElements = { formulaSelect, newFormulaBtn, duplicateFormulaBtn, deleteFormulaBtn, formulaName: formulaNameInput, formulaExpression: formulaExpressionInput, formulaError: formulaErrorText, formulaDisplay };
+    checkRequiredElements('Calculator', formulaElements, "Formulas cannot be managed fully.");
+
+    logDebug('Calculator', "DOM elements initialization process finished.");
+}
+
+// --- Calculator Change Events ---
+
+/**
+ * Registers a listener that is called after every change in the calculator. The listener
+ * receives a change object: `{ type: 'formula', formula }` when another formula is shown or the
+ * formula text changed (read the parsed formula with getActiveFormulaVariables), or
+ * `{ type: 'calculation', values, result, error }` after the result was recalculated, where
+ * `result` is null and `error` the message if the formula could not be computed.
+ * @param {function(object): void} listener - The function to call.
+ * @returns {function(): void} A function that removes the listener again.
+ */
+function subscribeToCalculator(listener) {
+    calculatorChangeListeners.push(listener);
+    return () => {
+        calculatorChangeListeners = calculatorChangeListeners.filter(existing => existing !== listener);
+    };
+}
+
+/**
+ * Notifies all calculator listeners of a change. A failing listener does not stop the others.
+ * @param {object} change - The change object passed to each listener.
+ */
+function emitCalculatorChange(change) {
+    calculatorChangeListeners.forEach(listener => {
+        try {
+            listener(change);
+        } catch (e) {
+            logError('Calculator', "A calculator change listener threw an exception:", e);
+        }
+    });
+}
+
+// --- Formulas ---
+
+/**
+ * Returns the ID of the input field for a formula variable, e.g. 'varSP' for SP.
+ * @param {string} name - The variable name.
+ * @returns {string} The input ID.
+ */
+function getVariableInputId(name) {
+    return `var${name}`;
+}
+
+/**
+ * Generates an ID for a new formula.
+ * @returns {string} The ID.
+ */
+function generateFormulaId() {
+    return 'formula-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 7);
+}
+
+/**
+ * Checks a stored formula and fills in anything missing.
+ * @param {*} formula - The stored value.
+ * @returns {?{id: string, name: string, expression: string}} The formula, or null if it is unusable.
+ */
+function normalizeCalculatorFormula(formula) {
+    if (!formula || typeof formula !== 'object' || typeof formula.id !== 'string' || typeof formula.expression !== 'string') return null;
+    const name = typeof formula.name === 'string' && formula.name.trim() ? formula.name.trim() : 'Untitled formula';
+    return { id: formula.id, name, expression: formula.expression };
+}
+
+/**
+ * Loads the saved formulas. Without any, the default equation is the only formula.
+ */
+function loadCalculatorFormulas() {
+    const stored = readStoredJson(CALCULATOR_FORMULAS_STORAGE_KEY);
+    const formulas = stored && Array.isArray(stored.formulas) ? stored.formulas.map(normalizeCalculatorFormula).filter(Boolean) : [];
+    calculatorFormulas = formulas.length > 0 ? formulas : [{ ...DEFAULT_CALCULATOR_FORMULA }];
+    const storedActiveId = stored ? stored.activeFormulaId : null;
+    activeFormulaId = calculatorFormulas.some(formula => formula.id === storedActiveId) ? storedActiveId : calculatorFormulas[0].id;
+}
+
+/**
+ * Saves the formulas and which one is active.
+ */
+function saveCalculatorFormulas() {
+    writeStoredJson(CALCULATOR_FORMULAS_STORAGE_KEY, { activeFormulaId, formulas: calculatorFormulas });
+}
+
+/**
+ * Finds a formula by its ID.
+ * @param {string} formulaId - The formula.
+ * @returns {?{id: string, name: string, expression: string}} The formula, or null if there is none with that ID.
+ */
+function getCalculatorFormula(formulaId) {
+    return calculatorFormulas.find(formula => formula.id === formulaId) || null;
+}
+
+/**
+ * Returns the formula shown in the calculator.
+ * @returns {{id: string, name: string, expression: string}} The formula.
+ */
+function getActiveCalculatorFormula() {
+    return calculatorFormulas.find(formula => formula.id === activeFormulaId) || calculatorFormulas[0];
+}
+
+/**
+ * Lists the variables of the active formula, in the order they first appear.
+ * @returns {string[]} The variable names; empty while the formula cannot be read.
+ */
+function getActiveFormulaVariables() {
+    return activeFormula.variables.slice();
+}
+
+/**
+ * Computes the active formula for a set of variable values.
+ * @param {Object<string, number>} values - Variable name to value.
+ * @returns {number} The result.
+ * @throws {Error} If the formula cannot be read or computed, with a message for the user.
+ */
+function evaluateActiveFormula(values) {
+    if (activeFormula.error) throw activeFormula.error;
+    return evaluateFormula(activeFormula.ast, values);
+}
+
+/**
+ * Fills the formula picker and the name and formula fields.
+ * @param {boolean} [keepTypedField=false] - Leave the field being typed in alone, for changes from another tab.
+ */
+function renderFormulaEditor(keepTypedField = false) {
+    const formula = getActiveCalculatorFormula();
+    if (formulaSelect instanceof HTMLElement) {
+        formulaSelect.innerHTML = '';
+        calculatorFormulas.forEach(existing => {
+            const option = document.createElement('option');
+            option.value = existing.id;
+            option.textContent = existing.name;
+            formulaSelect.appendChild(option);
+        });
+        formulaSelect.value = formula.id;
+    }
+    const isTyping = (field) => keepTypedField && field === document.activeElement;
+    if (formulaNameInput && !isTyping(formulaNameInput)) formulaNameInput.value = formula.name;
+    if (formulaExpressionInput && !isTyping(formulaExpressionInput)) formulaExpressionInput.value = formula.expression;
+    if (deleteFormulaBtn) deleteFormulaBtn.disabled = calculatorFormulas.length <= 1; // There is always a formula to show
+}
+
+/**
+ * Creates one input field per variable of the active formula, in the order the variables first
+ * appear. The fields are only rebuilt when the variables change, so typing in the formula does
+ * not disturb them.
+ */
+function renderCalculatorInputs() {
+    if (!(calculatorInputsContainer instanceof HTMLElement)) return;
+    const variableList = activeFormula.variables.join(' ');
+    if (calculatorInputsContainer.dataset.variables === variableList) return;
+
+    calculatorInputsContainer.dataset.variables = variableList;
+    calculatorInputsContainer.innerHTML = '';
+    activeFormula.variables.forEach(name => {
+        const inputId = getVariableInputId(name);
+        const wrapper = document.createElement('div');
+        const label = document.createElement('label');
+        label.htmlFor = inputId;
+        label.className = 'block text-sm font-medium task-text-color mb-1';
+        label.textContent = `Variable ${name}:`;
+        const inputField = document.createElement('input');
+        inputField.type = 'number';
+        inputField.id = inputId;
+        inputField.dataset.variable = name;
+        inputField.className = 'task-input w-full p-3 rounded-lg focus:outline-none';
+        inputField.value = typeof calculatorInputValues[inputId] === 'string' ? calculatorInputValues[inputId] : '0';
+        inputField.addEventListener('input', calculateAndUpdateResults);
+        inputField.addEventListener('input', saveCalculatorInputs); // Keep the values for the next visit
+        wrapper.append(label, inputField);
+        calculatorInputsContainer.appendChild(wrapper);
+    });
+    if (activeFormula.variables.length === 0) {
+        const note = document.createElement('p');
+        note.className = 'task-text-color text-sm';
+        note.textContent = 'This formula has no variables.';
+        calculatorInputsContainer.appendChild(note);
+    }
+}
+
+/**
+ * Reads the variable values from the input fields. An empty field counts as 0.
+ * @returns {Object<string, number>} Variable name to value.
+ */
+function getCalculatorInputValues() {
+    const values = {};
+    activeFormula.variables.forEach(name => {
+        const inputField = document.getElementById(getVariableInputId(name));
+        values[name] = inputField ? parseFloat(inputField.value) || 0 : 0; // Default to 0 if parsing fails or input is empty
+    });
+    return values;
+}
+
+/**
+ * Sets variables' input fields to values and recalculates once, as if they had been typed.
+ * Values of variables the active formula does not use are kept for when a formula uses them.
+ * @param {Object<string, number>} values - Variable name to value.
+ */
+function setCalculatorInputValues(values) {
+    Object.keys(values).forEach(name => {
+        const text = String(Number(values[name].toPrecision(12))); // Drops floating point noise such as 0.30000000000000004
+        const inputField = document.getElementById(getVariableInputId(name));
+        if (inputField) inputField.value = text;
+        calculatorInputValues[getVariableInputId(name)] = text;
+    });
+    calculateAndUpdateResults();
+    saveCalculatorInputs();
+}
+
+/**
+ * Sets a variable's input field to a value and recalculates, as if it had been typed.
+ * @param {string} name - The variable.
+ * @param {number} value - The value.
+ */
+function setCalculatorInputValue(name, value) {
+    setCalculatorInputValues({ [name]: value });
+}
+
+/**
+ * Formats a number the way the calculator shows results.
+ * @param {number} value - The number.
+ * @param {number} [maximumFractionDigits=4] - The most decimal places to show.
+ * @returns {string} The formatted number, with at least 2 decimal places.
+ */
+function formatCalculatorNumber(value, maximumFractionDigits = 4) {
+    return value.toLocaleString(undefined, {
+        minimumFractionDigits: Math.min(2, maximumFractionDigits), // Show at least 2 decimal places
+        maximumFractionDigits
+    });
+}
+
+/**
+ * Shows why the formula cannot be read or computed, or hides the message.
+ * @param {?string} message - The problem, or null if there is none.
+ */
+function showFormulaError(message) {
+    if (!(formulaErrorText instanceof HTMLElement)) return;
+    formulaErrorText.textContent = message || '';
+    formulaErrorText.classList.toggle('hidden', !message);
+    if (formulaExpressionInput) formulaExpressionInput.setAttribute('aria-invalid', String(Boolean(activeFormula.error)));
+}
+
+/**
+ * Parses the active formula and shows it: its input fields, its text next to the result, and the result.
+ */
+function applyActiveFormula() {
+    const formula = getActiveCalculatorFormula();
+    activeFormula = compileFormula(formula.expression);
+    if (formulaDisplay instanceof HTMLElement) formulaDisplay.textContent = formula.expression;
+    if (!activeFormula.error) renderCalculatorInputs(); // Half-typed formulas keep the fields they had
+    emitCalculatorChange({ type: 'formula', formula });
+    calculateAndUpdateResults();
 }
 
 // --- Calculator Logic ---
 /**
- * Calculates the result of the custom equation based on current input values
- * and updates the display.
- * Equation: ((D * (SP - Cp + B + 74) - 7400) / 1.18) / 100
+ * Calculates the result of the active formula based on current input values
+ * and updates the display. Parse and evaluation errors are shown below the formula.
+ * The default formula is ((D * (SP - Cp + B + 74) - 7400) / 1.20) / 100.
  */
 function calculateAndUpdateResults() {
     // Ensure elements are initialized and available before proceeding
-    if (!varDInput || !varSPInput || !varCpInput || !varBInput || !customEquationResultSpan) {
+    if (!customEquationResultSpan) {
         // Errors for missing elements are logged during initialization.
         return;
     }
 
-    const D = parseFloat(varDInput.value) || 0; // Default to 0 if parsing fails or input is empty
-    const SP = parseFloat(varSPInput.value) || 0;
-    const Cp = parseFloat(varCpInput.value) || 0;
-    const B = parseFloat(varBInput.value) || 0;
-
+    const values = getCalculatorInputValues();
     try {
-        // Calculate the equation step-by-step for clarity
-        const term1 = SP - Cp + B + 74;
-        const term2 = D * term1;
-        const term3 = term2 - 7400;
-        const term4 = term3 / 1.20;
-        const finalResult = term4 / 100;
-
-        // Check for NaN or Infinity, although less likely with this specific equation's structure
-        // unless inputs themselves are extremely large or invalid.
-        if (isNaN(finalResult) || !isFinite(finalResult)) {
-            customEquationResultSpan.textContent = "Error (Invalid result)";
-        } else {
-            customEquationResultSpan.textContent = finalResult.toLocaleString(undefined, { 
-                minimumFractionDigits: 2, // Show at least 2 decimal places
-                maximumFractionDigits: 4  // Show up to 4 decimal places
-            });
-        }
-    } catch (e) { // Catch any other unexpected errors during calculation
+        const finalResult = evaluateActiveFormula(values);
+        customEquationResultSpan.textContent = formatCalculatorNumber(finalResult);
+        showFormulaError(null);
+        emitCalculatorChange({ type: 'calculation', values, result: finalResult, error: null });
+    } catch (e) { // Parse errors, division by zero and other evaluation errors
         customEquationResultSpan.textContent = "Error";
-        console.error("Calculator Error: An exception occurred during custom equation calculation:", e);
+        showFormulaError(e.message);
+        emitCalculatorChange({ type: 'calculation', values, result: null, error: e.message });
     }
 }
 
+// --- Formula Management ---
+
+/**
+ * Shows another formula.
+ * @param {string} formulaId - The formula.
+ */
+function selectCalculatorFormula(formulaId) {
+    if (!calculatorFormulas.some(formula => formula.id === formulaId)) return;
+    activeFormulaId = formulaId;
+    saveCalculatorFormulas();
+    renderFormulaEditor();
+    applyActiveFormula();
+}
+
+/**
+ * Adds a formula and shows it.
+ * @param {string} name - The formula's name.
+ * @param {string} expression - The formula text.
+ * @returns {?string} The new formula's ID, or null if the name is empty.
+ */
+function createCalculatorFormula(name, expression) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) return null;
+    const formula = { id: generateFormulaId(), name: trimmedName, expression: String(expression || '') };
+    calculatorFormulas.push(formula);
+    selectCalculatorFormula(formula.id);
+    if (formulaExpressionInput) formulaExpressionInput.focus();
+    return formula.id;
+}
+
+/**
+ * Deletes the active formula, unless it is the only one, and shows the first remaining one.
+ * @returns {boolean} True if the formula was deleted.
+ */
+function deleteActiveCalculatorFormula() {
+    if (calculatorFormulas.length <= 1) return false;
+    calculatorFormulas = calculatorFormulas.filter(formula => formula.id !== activeFormulaId);
+    selectCalculatorFormula(calculatorFormulas[0].id);
+    return true;
+}
+
+/**
+ * Saves the formula text as it is typed and recalculates. The text is kept even while it
+ * cannot be read, so nothing typed is lost; the problem is shown instead.
+ */
+function handleFormulaExpressionInput() {
+    getActiveCalculatorFormula().expression = formulaExpressionInput.value;
+    saveCalculatorFormulas();
+    applyActiveFormula();
+}
+
+/**
+ * Saves the formula name as it is typed. An empty name is not saved.
+ */
+function handleFormulaNameInput() {
+    const name = formulaNameInput.value.trim();
+    if (!name) return;
+    getActiveCalculatorFormula().name = name;
+    saveCalculatorFormulas();
+    const option = formulaSelect ? formulaSelect.querySelector(`option[value="${activeFormulaId}"]`) : null;
+    if (option) option.textContent = name;
+}
+
+/**
+ * Applies formula changes made in another open tab.
+ */
+function handleRemoteFormulaChange() {
+    loadCalculatorFormulas();
+    renderFormulaEditor(true);
+    applyActiveFormula();
+}
+
+// --- Calculator Persistence ---
+/**
+ * Saves the current input values so they are restored on the next visit.
+ * Values of variables the active formula does not use are kept too.
+ */
+function saveCalculatorInputs() {
+    if (calculatorInputsContainer instanceof HTMLElement) {
+        calculatorInputsContainer.querySelectorAll('input').forEach(inputField => { calculatorInputValues[inputField.id] = inputField.value; });
+    }
+    writeStoredJson(CALCULATOR_INPUTS_STORAGE_KEY, calculatorInputValues);
+}
+
+/**
+ * Restores the input values saved by saveCalculatorInputs, if any.
+ * The field being typed in is left alone.
+ */
+function restoreCalculatorInputs() {
+    const values = readStoredJson(CALCULATOR_INPUTS_STORAGE_KEY);
+    if (!values || typeof values !== 'object') return;
+    Object.keys(values).forEach(inputId => {
+        if (typeof values[inputId] === 'string') calculatorInputValues[inputId] = values[inputId];
+    });
+    if (!(calculatorInputsContainer instanceof HTMLElement)) return;
+    calculatorInputsContainer.querySelectorAll('input').forEach(inputField => {
+        if (inputField !== document.activeElement && typeof values[inputField.id] === 'string') {
+            inputField.value = values[inputField.id];
+        }
+    });
+    logInfo('Calculator', "Restored the last entered values.");
+}
+
 // --- Calculator Initialization ---
 /**
  * Main initialization function for the Calculator.
- * Sets up DOM elements and attaches input event listeners.
+ * Sets up DOM elements, loads the formulas and attaches event listeners.
  */
 function initCalculator() {
-    console.log("Calculator: initCalculator() called. Starting calculator setup for new equation...");
+    logDebug('Calculator', "initCalculator() called. Starting calculator setup...");
     initializeCalculatorDOMElements(); // Initialize and validate DOM element references
 
-    // Add input event listeners to recalculate results dynamically, only if elements exist
-    const inputs = [varDInput, varSPInput, varCpInput, varBInput];
-    inputs.forEach(inputField => {
-        if (inputField) {
-            inputField.addEventListener('input', calculateAndUpdateResults);
-            console.log(`Calculator: Event listener successfully added to '${inputField.id}'.`);
-        }
+    loadCalculatorFormulas();
+    restoreCalculatorInputs(); // Use the values from the last visit for the generated fields
+    renderFormulaEditor();
+    applyActiveFormula(); // Generates the input fields and performs an initial calculation
+
+    if (formulaSelect) formulaSelect.addEventListener('change', () => selectCalculatorFormula(formulaSelect.value));
+    if (formulaExpressionInput) formulaExpressionInput.addEventListener('input', handleFormulaExpressionInput);
+    if (formulaNameInput) {
+        formulaNameInput.addEventListener('input', handleFormulaNameInput);
+        formulaNameInput.addEventListener('blur', () => renderFormulaEditor()); // Puts back the name if it was cleared
+    }
+    if (newFormulaBtn) {
+        newFormulaBtn.addEventListener('click', () => {
+            const name = window.prompt("Name of the new formula:", "New formula");
+            if (name !== null && !createCalculatorFormula(name, '')) showKanbanToast("A formula needs a name.");
+        });
+    }
+    if (duplicateFormulaBtn) {
+        duplicateFormulaBtn.addEventListener('click', () => {
+            const formula = getActiveCalculatorFormula();
+            createCalculatorFormula(`${formula.name} (copy)`, formula.expression);
+        });
+    }
+    if (deleteFormulaBtn) {
+        deleteFormulaBtn.addEventListener('click', () => {
+            const formula = getActiveCalculatorFormula();
+            if (window.confirm(`Delete formula '${formula.name}'?`)) deleteActiveCalculatorFormula();
+        });
+    }
+
+    initGoalSeek();
+    initSensitivityTables();
+    initBatchCalculation();
+    initCalculatorScenarios();
+    initCalculatorTaskLinks();
+
+    subscribeToStorageChanges((key) => { // Show values and formulas changed in another open tab
+        if (key === CALCULATOR_FORMULAS_STORAGE_KEY) handleRemoteFormulaChange();
+        if (key !== CALCULATOR_INPUTS_STORAGE_KEY) return;
+        restoreCalculatorInputs();
+        calculateAndUpdateResults();
     });
-    
-    calculateAndUpdateResults(); // Perform an initial calculation to populate results based on default input values
-    console.log("Calculator: Initial calculation performed for new equation and results displayed.");
-    console.log("Calculator: initCalculator() setup finished for new equation.");
+    logInfo('Calculator', "Initial calculation performed and results displayed.");
+    logDebug('Calculator', "initCalculator() setup finished.");
+}
+
+/**
+ * Stops the calculator. Records a calculation still waiting to go into the history, so values
+ * entered just before the page is closed are not lost.
+ */
+function teardownCalculator() {
+    flushCalculationHistory();
+    logInfo('Calculator', "Stopped.");
 }
+
+registerHubTool({ id: CALCULATOR_TOOL_ID, label: 'Equation Solver', contentId: 'calculatorContent', init: initCalculator, teardown: teardownCalculator });
@@ -0,0 +1,327 @@
+// --- Calculator Batch Calculation ---
+// Runs the active formula over many rows at once: the user pastes CSV text or uploads a CSV file
+// with a column per variable, checks which column feeds which variable (matched from the headers
+// automatically, e.g. "sp", "Variable SP" or "var_sp" for SP), and gets a result per row.
+// Unlike the input fields, where an empty field counts as 0, every cell must hold a number: rows
+// with empty or unreadable values are flagged with the reason instead of being calculated.
+// The results can be downloaded as CSV with the original columns, every intermediate step of the
+// formula (see getFormulaTerms) and the result.
+
+const BATCH_PREVIEW_ROW_LIMIT = 100; // Rows shown on the page; the download has all of them
+
+let batchCsv = { headers: [], records: [] }; // The parsed input, see csvRowsToRecords
+let batchResults = null; // The rows of the last calculation, see calculateBatchRows
+
+// --- Batch DOM Elements ---
+// These will be assigned in initializeBatchDOMElements after the DOM is fully loaded.
+let batchInput, batchUploadBtn, batchFileInput, batchMapping, batchCalculateBtn, batchDownloadBtn, batchSummary, batchPreview;
+
+// --- Batch Calculation ---
+
+/**
+ * Simplifies a header or variable name for matching: lower case, letters and digits only.
+ * @param {string} name - The name.
+ * @returns {string} The simplified name.
+ */
+function normalizeBatchHeader(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Finds the CSV column for each variable: the header that reads the same as the variable's name
+ * ignoring case, spaces and punctuation, optionally with "var" or "variable" in front.
+ * @param {string[]} headers - The CSV headers.
+ * @param {string[]} variables - The formula's variables.
+ * @returns {Object<string, string>} Variable name to header; variables without a match are left out.
+ */
+function guessBatchMapping(headers, variables) {
+    const mapping = {};
+    variables.forEach(variable => {
+        const name = normalizeBatchHeader(variable);
+        const candidates = [name, `var${name}`, `variable${name}`];
+        const exactHeader = headers.find(header => header.trim() === variable);
+        const header = exactHeader || headers.find(existing => candidates.includes(normalizeBatchHeader(existing)));
+        if (header !== undefined) mapping[variable] = header;
+    });
+    return mapping;
+}
+
+/**
+ * Reads a number from a CSV cell. Spaces are ignored, and a single comma is read as a decimal
+ * point when there is no dot (as in "12,5" from spreadsheets set to a European locale).
+ * @param {string} text - The cell.
+ * @returns {number} The number, or NaN if the cell is empty or not a number.
+ */
+function parseBatchNumber(text) {
+    const compact = String(text || '').replace(/\s+/g, '');
+    if (compact === '') return NaN;
+    const normalized = /^[+-]?\d*,\d+$/.test(compact) ? compact.replace(',', '.') : compact;
+    return /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+}
+
+/**
+ * Calculates the active formula for every record. Each record's values are checked first; a row
+ * with a missing or unreadable value is not calculated.
+ * @param {Array<Object<string, string>>} records - The CSV records.
+ * @param {Object<string, string>} mapping - Variable name to the header of its column.
+ * @param {Array<{node: object, text: string}>} terms - The formula's steps, from getFormulaTerms.
+ * @returns {Array<{record: object, values: Object<string, number>, termValues: Array<?number>, result: ?number, error: ?string}>}
+ *   One entry per record; `error` says why a row has no result.
+ */
+function calculateBatchRows(records, mapping, terms) {
+    const variables = getActiveFormulaVariables();
+    return records.map(record => {
+        const values = {};
+        const problems = [];
+        variables.forEach(variable => {
+            const header = mapping[variable];
+            if (header === undefined) {
+                problems.push(`${variable} has no column`);
+                return;
+            }
+            const cell = record[header];
+            const value = parseBatchNumber(cell);
+            if (isNaN(value)) {
+                problems.push(String(cell || '').trim() === '' ? `${variable} is empty` : `${variable} is not a number ('${String(cell).trim()}')`);
+            } else {
+                values[variable] = value;
+            }
+        });
+        if (problems.length > 0) return { record, values, termValues: terms.map(() => null), result: null, error: problems.join('; ') };
+
+        try {
+            const result = evaluateActiveFormula(values);
+            const termValues = terms.map(term => evaluateFormula(term.node, values));
+            return { record, values, termValues, result, error: null };
+        } catch (e) {
+            return { record, values, termValues: terms.map(() => null), result: null, error: e.message };
+        }
+    });
+}
+
+/**
+ * Formats the calculated rows as CSV rows: the original columns, one column per intermediate
+ * step, the result and the reason for rows without one.
+ * @param {string[]} headers - The original CSV headers.
+ * @param {Array<{text: string}>} terms - The formula's intermediate steps (without the whole formula).
+ * @param {Array<object>} rows - The rows, from calculateBatchRows.
+ * @returns {Array<Array<*>>} The rows, for toCsv.
+ */
+function getBatchCsvRows(headers, terms, rows) {
+    const cell = (value) => (value === null ? '' : value);
+    return [
+        [...headers, ...terms.map(term => term.text), 'result', 'error'],
+        ...rows.map(row => [...headers.map(header => row.record[header]), ...row.termValues.map(cell), cell(row.result), row.error || ''])
+    ];
+}
+
+// --- Batch Panel ---
+
+/**
+ * Returns the intermediate steps of the active formula, without the last step (the whole
+ * formula), which is the result.
+ * @returns {Array<{node: object, text: string}>} The steps; empty while the formula cannot be read.
+ */
+function getActiveFormulaTerms() {
+    const formula = getActiveCalculatorFormula();
+    const parsed = compileFormula(formula.expression);
+    return parsed.error ? [] : getFormulaTerms(parsed.ast, formula.expression).slice(0, -1);
+}
+
+/**
+ * Reads the pasted CSV text and shows a column picker per variable, preselected with the guessed
+ * mapping. Choices already made are kept if their column still exists.
+ */
+function renderBatchMapping() {
+    if (!(batchMapping instanceof HTMLElement)) return;
+    const previousMapping = {};
+    batchMapping.querySelectorAll('select').forEach(select => { previousMapping[select.dataset.variable] = select.value; });
+    batchCsv = csvRowsToRecords(parseCsv(batchInput ? batchInput.value : ''));
+    const variables = getActiveFormulaVariables();
+    const guessedMapping = guessBatchMapping(batchCsv.headers, variables);
+
+    batchMapping.innerHTML = '';
+    if (batchCsv.headers.length === 0) {
+        if (batchCalculateBtn) batchCalculateBtn.disabled = true;
+        return;
+    }
+    variables.forEach(variable => {
+        const wrapper = document.createElement('div');
+        const label = document.createElement('label');
+        const selectId = `batchColumn${variable}`;
+        label.htmlFor = selectId;
+        label.className = 'block text-sm font-medium task-text-color mb-1';
+        label.textContent = `${variable} from column:`;
+        const select = document.createElement('select');
+        select.id = selectId;
+        select.dataset.variable = variable;
+        select.className = 'task-input w-full p-2 rounded-lg focus:outline-none';
+        select.appendChild(new Option('(no column)', ''));
+        batchCsv.headers.forEach(header => select.appendChild(new Option(header, header)));
+        const previousHeader = previousMapping[variable];
+        select.value = previousHeader && batchCsv.headers.includes(previousHeader) ? previousHeader : (guessedMapping[variable] || '');
+        wrapper.append(label, select);
+        batchMapping.appendChild(wrapper);
+    });
+    if (batchCalculateBtn) batchCalculateBtn.disabled = variables.length === 0 || batchCsv.records.length === 0;
+}
+
+/**
+ * Reads the column chosen for each variable.
+ * @returns {Object<string, string>} Variable name to header; unmapped variables are left out.
+ */
+function getBatchMapping() {
+    const mapping = {};
+    if (batchMapping instanceof HTMLElement) {
+        batchMapping.querySelectorAll('select').forEach(select => {
+            if (select.value) mapping[select.dataset.variable] = select.value;
+        });
+    }
+    return mapping;
+}
+
+/**
+ * Shows the first calculated rows: the values used, the result, and why invalid rows have none.
+ * @param {Array<object>} rows - The rows, from calculateBatchRows.
+ */
+function renderBatchPreview(rows) {
+    if (!(batchPreview instanceof HTMLElement)) return;
+    batchPreview.innerHTML = '';
+    const variables = getActiveFormulaVariables();
+    const mapping = getBatchMapping();
+    const headRow = batchPreview.createTHead().insertRow();
+    ['Row', ...variables, 'Result'].forEach(text => {
+        const header = document.createElement('th');
+        header.scope = 'col';
+        header.textContent = text;
+        headRow.appendChild(header);
+    });
+    const body = batchPreview.createTBody();
+    rows.slice(0, BATCH_PREVIEW_ROW_LIMIT).forEach((row, index) => {
+        const tableRow = body.insertRow();
+        tableRow.insertCell().textContent = String(index + 2); // Counting the header as row 1, as spreadsheets do
+        variables.forEach(variable => {
+            const header = mapping[variable];
+            tableRow.insertCell().textContent = header !== undefined ? String(row.record[header] || '').trim() : '';
+        });
+        const resultCell = tableRow.insertCell();
+        if (row.error) {
+            tableRow.classList.add('batch-invalid-row');
+            resultCell.textContent = row.error;
+        } else {
+            resultCell.textContent = formatCalculatorNumber(row.result);
+        }
+    });
+}
+
+/**
+ * Calculates every row with the chosen mapping and shows a summary and preview.
+ * @returns {boolean} True if any row was calculated.
+ */
+function runBatchCalculation() {
+    if (batchCsv.records.length === 0) {
+        showBatchSummary("Paste or upload CSV with a header row and at least one data row.");
+        return false;
+    }
+    const rows = calculateBatchRows(batchCsv.records, getBatchMapping(), getActiveFormulaTerms());
+    const invalidCount = rows.filter(row => row.error).length;
+    batchResults = rows;
+    renderBatchPreview(rows);
+    if (batchDownloadBtn) batchDownloadBtn.disabled = false;
+    const shownNote = rows.length > BATCH_PREVIEW_ROW_LIMIT ? ` The first ${BATCH_PREVIEW_ROW_LIMIT} are shown; the download has all of them.` : '';
+    showBatchSummary(`${rows.length} row(s): ${rows.length - invalidCount} calculated, ${invalidCount} flagged as invalid.${shownNote}`);
+    return rows.length > invalidCount;
+}
+
+/**
+ * Shows a message under the batch settings.
+ * @param {string} message - The message.
+ */
+function showBatchSummary(message) {
+    if (batchSummary instanceof HTMLElement) batchSummary.textContent = message;
+}
+
+/**
+ * Forgets the last calculation, e.g. because the input or the formula changed.
+ */
+function clearBatchResults() {
+    batchResults = null;
+    if (batchPreview) batchPreview.innerHTML = '';
+    if (batchDownloadBtn) batchDownloadBtn.disabled = true;
+    showBatchSummary('');
+}
+
+/**
+ * Downloads the last calculation as CSV.
+ */
+function downloadBatchResults() {
+    if (!batchResults) return;
+    const rows = getBatchCsvRows(batchCsv.headers, getActiveFormulaTerms(), batchResults);
+    downloadTextFile(`batch-${toFileSlug(getActiveCalculatorFormula().name)}.csv`, toCsv(rows), 'text/csv');
+}
+
+/**
+ * Puts an uploaded CSV file into the text area, replacing what was there.
+ * @param {File} file - The chosen file.
+ */
+function loadBatchFile(file) {
+    readFileAsText(file).then(text => {
+        batchInput.value = text;
+        clearBatchResults();
+        renderBatchMapping();
+        showBatchSummary(`Loaded ${file.name}: ${batchCsv.records.length} row(s).`);
+    }).catch(error => {
+        logError('Calculator Batch', "Could not read the file.", error);
+        showBatchSummary(`${file.name} could not be read.`);
+    });
+}
+
+/**
+ * Initializes the batch panel's DOM element variables.
+ * Called by initBatchCalculation after the DOM is loaded.
+ */
+function initializeBatchDOMElements() {
+    batchInput = document.getElementById('batchInput');
+    batchUploadBtn = document.getElementById('batchUploadBtn');
+    batchFileInput = document.getElementById('batchFileInput');
+    batchMapping = document.getElementById('batchMapping');
+    batchCalculateBtn = document.getElementById('batchCalculateBtn');
+    batchDownloadBtn = document.getElementById('batchDownloadBtn');
+    batchSummary = document.getElementById('batchSummary');
+    batchPreview = document.getElementById('batchPreview');
+
+    // --- DOM Element Validation ---
+    const requiredElements = { batchInput, batchUploadBtn, batchFileInput, batchMapping, batchCalculateBtn, batchDownloadBtn, batchSummary, batchPreview };
+    checkRequiredElements('Calculator Batch', requiredElements, "Batch calculation cannot be used fully.");
+}
+
+/**
+ * Sets up batch calculation. Called by initCalculator once the formula is shown.
+ */
+function initBatchCalculation() {
+    initializeBatchDOMElements();
+    if (batchInput) {
+        batchInput.addEventListener('input', () => {
+            clearBatchResults();
+            renderBatchMapping();
+        });
+    }
+    if (batchUploadBtn && batchFileInput) {
+        batchUploadBtn.addEventListener('click', () => batchFileInput.click());
+        batchFileInput.addEventListener('change', () => {
+            if (batchFileInput.files.length > 0) loadBatchFile(batchFileInput.files[0]);
+            batchFileInput.value = ''; // Allows choosing the same file again
+        });
+    }
+    if (batchMapping) batchMapping.addEventListener('change', clearBatchResults);
+    if (batchCalculateBtn) batchCalculateBtn.addEventListener('click', runBatchCalculation);
+    if (batchDownloadBtn) batchDownloadBtn.addEventListener('click', downloadBatchResults);
+    subscribeToCalculator((change) => {
+        if (change.type !== 'formula') return;
+        clearBatchResults(); // The results belong to the old formula
+        renderBatchMapping();
+    });
+    clearBatchResults();
+    renderBatchMapping();
+    logInfo('Calculator', "Batch calculation initialized.");
+}
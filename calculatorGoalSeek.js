@@ -0,0 +1,270 @@
+// --- Calculator Goal Seek ---
+// Works the formula backwards: one variable is marked as the unknown, the user enters the result
+// they want, and the solver finds the value of that variable which gives it, keeping the other
+// inputs as entered. Formulas can be anything the formula engine reads, so the value is found
+// numerically: the secant method first (exact in one step for linear formulas like the default
+// one), then a widening search for a sign change followed by bisection.
+
+const GOAL_SEEK_MAX_ITERATIONS = 100;
+const GOAL_SEEK_SCAN_STEPS = 80; // Scans out to about 2^80 away from the starting value
+
+// --- Goal Seek DOM Elements ---
+// These will be assigned in initializeGoalSeekDOMElements after the DOM is fully loaded.
+let goalSeekVariableSelect, goalSeekTargetInput, goalSeekBtn, goalSeekResultText, goalSeekApplyBtn;
+
+let lastGoalSeekSolution = null; // { variable, value } of the last solution, for goalSeekApplyBtn
+
+// --- Solver ---
+
+/**
+ * Finds a value of x for which a function gives the target result.
+ * @param {function(number): number} evaluate - Computes the result for a value of x. It may
+ *   throw for values it is not defined for; those are skipped.
+ * @param {number} startValue - Where to start looking; of several solutions, one near this is found.
+ * @param {number} target - The wanted result.
+ * @returns {{status: string, value: ?number, result: ?number}} `status` is 'solved' (with the
+ *   `value` found and the `result` it gives), 'noEffect' if x does not change the result (which
+ *   is then in `result`), or 'noSolution'. A value only counts as solved if it gives the target
+ *   exactly or the result crosses the target right around it, so a result that merely comes
+ *   ever closer (like 1/x towards 0) is not mistaken for a solution.
+ */
+function solveForTarget(evaluate, startValue, target) {
+    const tolerance = 1e-9 * Math.max(1, Math.abs(target));
+    const difference = (x) => {
+        try {
+            const result = evaluate(x);
+            return isFinite(result) ? result - target : null;
+        } catch (e) {
+            return null; // Not defined here, e.g. a division by zero
+        }
+    };
+    const solved = (x) => ({ status: 'solved', value: x, result: difference(x) + target });
+    // Follows a stretch of differences of exactly 0 from x in one direction to its end, and returns
+    // the difference just beyond it: 0 if the stretch goes on past the scanned range, or null if the
+    // formula is not defined there
+    const differenceBeyondZeros = (x, direction) => {
+        const scale = Math.max(1, Math.abs(x));
+        let inside = x;
+        let outside = null;
+        for (let offset = 1e-9 * scale; offset <= Math.pow(2, GOAL_SEEK_SCAN_STEPS) * scale; offset *= 2) {
+            if (difference(x + direction * offset) !== 0) {
+                outside = x + direction * offset;
+                break;
+            }
+            inside = x + direction * offset;
+        }
+        if (outside === null) return 0;
+        const step = () => 1e-9 * Math.max(1, Math.abs(inside)); // Taken where the stretch ends
+        while (Math.abs(outside - inside) > step()) {
+            const middle = (inside + outside) / 2;
+            if (middle === inside || middle === outside) break;
+            if (difference(middle) === 0) {
+                inside = middle;
+            } else {
+                outside = middle;
+            }
+        }
+        return difference(inside + direction * 2 * step());
+    };
+    // Near the target, with the difference changing sign across x. An exact hit counts as well,
+    // including one on a flat stretch (e.g. floor(x) at 3.5), unless the difference never leaves 0
+    // on either side or only creeps away from it where the stretch ends: that is underflow or
+    // rounding far from the starting value (e.g. exp(-x) becoming 0) rather than a solution.
+    const isSolution = (x) => {
+        const fx = difference(x);
+        if (fx === null || Math.abs(fx) > tolerance) return false;
+        const step = 1e-9 * Math.max(1, Math.abs(x));
+        const fBelow = difference(x - step);
+        const fAbove = difference(x + step);
+        if (fBelow === null || fAbove === null) return true; // At the edge of where the formula is defined, e.g. sqrt(x) at 0
+        if (fx !== 0) return (fBelow < 0 && fAbove > 0) || (fBelow > 0 && fAbove < 0);
+        if (fBelow !== 0 && fAbove !== 0) return true; // E.g. x*x at 0
+        const sides = [differenceBeyondZeros(x, -1), differenceBeyondZeros(x, 1)].filter(side => side !== null && side !== 0);
+        return sides.length > 0 && sides.every(side => Math.abs(side) >= tolerance * 1e-6);
+    };
+
+    // A variable that changes nothing (e.g. SP while D is 0) has no solution to look for
+    const start = isFinite(startValue) ? startValue : 0;
+    const samples = [start, start + 1, start - 1, start + 1000, start - 1000, start * 10 + 7]
+        .map(difference).filter(sample => sample !== null);
+    if (samples.length === 0) return { status: 'noSolution', value: null, result: null };
+    if (samples.every(sample => Math.abs(sample - samples[0]) <= 1e-12 * Math.max(1, Math.abs(samples[0])))) {
+        return { status: 'noEffect', value: null, result: samples[0] + target };
+    }
+
+    // Secant method from the starting value
+    let x0 = start;
+    let x1 = start + Math.max(1, Math.abs(start) * 0.01);
+    let f0 = difference(x0);
+    let f1 = difference(x1);
+    for (let i = 0; i < GOAL_SEEK_MAX_ITERATIONS && f0 !== null && f1 !== null && f1 !== f0; i++) {
+        if (isSolution(x1)) return solved(x1);
+        const x2 = x1 - f1 * (x1 - x0) / (f1 - f0);
+        if (!isFinite(x2)) break;
+        [x0, f0, x1, f1] = [x1, f1, x2, difference(x2)];
+    }
+    if (isSolution(x1)) return solved(x1);
+
+    // Scan outwards in both directions for a sign change, or for where the formula stops being
+    // defined, then bisect it. Bisecting towards an undefined end stays on its defined side.
+    const bisect = (low, fLow, high) => {
+        for (let i = 0; i < 200; i++) {
+            const middle = (low + high) / 2;
+            if (middle === low || middle === high) break;
+            const fMiddle = difference(middle);
+            if (fMiddle !== null && Math.abs(fMiddle) <= tolerance) return middle;
+            if (fMiddle !== null && Math.sign(fMiddle) === Math.sign(fLow)) {
+                [low, fLow] = [middle, fMiddle];
+            } else {
+                high = middle;
+            }
+        }
+        return low; // The last point the formula was defined at
+    };
+    const fStart = difference(start);
+    if (fStart === 0 || isSolution(start)) return solved(start); // The value entered may already give the target
+    for (const direction of [1, -1]) {
+        let previous = start;
+        let fPrevious = fStart;
+        for (let step = 0; step < GOAL_SEEK_SCAN_STEPS; step++) {
+            const x = start + direction * Math.pow(2, step - 10); // From about 0.001 away outwards
+            const fx = difference(x);
+            if (isSolution(x)) return solved(x);
+            let root = null;
+            if (fx !== null && fPrevious !== null && fx !== 0 && (fx < 0) !== (fPrevious < 0)) {
+                root = bisect(previous, fPrevious, x);
+            } else if ((fx === null) !== (fPrevious === null)) {
+                root = fx === null ? bisect(previous, fPrevious, x) : bisect(x, fx, previous);
+            }
+            if (root !== null && isSolution(root)) return solved(root); // Not a pole, like 1/x at 0
+            if (fx !== 0) {
+                previous = x; // A sign change across a stretch of zeros is bisected from its ends
+                fPrevious = fx;
+            }
+        }
+    }
+    return { status: 'noSolution', value: null, result: null };
+}
+
+// --- Goal Seek Panel ---
+
+/**
+ * Fills the unknown variable picker with the active formula's variables and highlights the
+ * unknown's input field. The previous choice is kept if the formula still uses it.
+ */
+function renderGoalSeekVariables() {
+    if (!(goalSeekVariableSelect instanceof HTMLElement)) return;
+    const previousValue = goalSeekVariableSelect.value;
+    const variables = getActiveFormulaVariables();
+    goalSeekVariableSelect.innerHTML = '';
+    variables.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        goalSeekVariableSelect.appendChild(option);
+    });
+    if (variables.includes(previousValue)) goalSeekVariableSelect.value = previousValue;
+    if (goalSeekBtn) goalSeekBtn.disabled = variables.length === 0;
+    document.querySelectorAll('#calculatorInputs input').forEach(inputField => {
+        inputField.classList.toggle('goal-seek-unknown', inputField.dataset.variable === goalSeekVariableSelect.value);
+    });
+}
+
+/**
+ * Shows the outcome of goal seek, or clears it.
+ * @param {string} message - What was found.
+ * @param {boolean} [canApply=false] - Whether to offer putting the value into the input field.
+ */
+function showGoalSeekResult(message, canApply = false) {
+    if (goalSeekResultText instanceof HTMLElement) goalSeekResultText.textContent = message;
+    if (goalSeekApplyBtn) goalSeekApplyBtn.classList.toggle('hidden', !canApply);
+}
+
+/**
+ * Solves the active formula for the chosen unknown so that it gives the target result, with the
+ * other variables as entered, and shows the outcome.
+ * @returns {?number} The value found, or null if there is none.
+ */
+function runGoalSeek() {
+    lastGoalSeekSolution = null;
+    const variable = goalSeekVariableSelect ? goalSeekVariableSelect.value : '';
+    const targetText = goalSeekTargetInput ? goalSeekTargetInput.value.trim() : '';
+    const target = Number(targetText);
+    if (!variable) { // Also the case while the formula cannot be read
+        showGoalSeekResult("The formula has no variable to solve for.");
+        return null;
+    }
+    if (targetText === '' || !isFinite(target)) {
+        showGoalSeekResult("Enter the result you want as a number.");
+        return null;
+    }
+
+    const values = getCalculatorInputValues();
+    const solution = solveForTarget(x => evaluateActiveFormula({ ...values, [variable]: x }), values[variable], target);
+
+    if (solution.status === 'noEffect') {
+        showGoalSeekResult(`${variable} has no effect on the result with the other values as entered: it is always ${formatCalculatorNumber(solution.result)}.`);
+        return null;
+    }
+    if (solution.status === 'noSolution') {
+        showGoalSeekResult(`No value of ${variable} gives a result of ${formatCalculatorNumber(target)} with the other values as entered.`);
+        return null;
+    }
+    lastGoalSeekSolution = { variable, value: solution.value };
+    showGoalSeekResult(`${variable} = ${formatCalculatorNumber(solution.value, 6)} gives a result of ${formatCalculatorNumber(solution.result)}.`, true);
+    return solution.value;
+}
+
+/**
+ * Puts the last value found into the unknown's input field.
+ */
+function applyGoalSeekSolution() {
+    if (!lastGoalSeekSolution) return;
+    setCalculatorInputValue(lastGoalSeekSolution.variable, lastGoalSeekSolution.value);
+    showGoalSeekResult(`${lastGoalSeekSolution.variable} was set to the value found.`);
+    lastGoalSeekSolution = null;
+}
+
+/**
+ * Initializes the goal seek panel's DOM element variables.
+ * Called by initGoalSeek after the DOM is loaded.
+ */
+function initializeGoalSeekDOMElements() {
+    goalSeekVariableSelect = document.getElementById('goalSeekVariable');
+    goalSeekTargetInput = document.getElementById('goalSeekTarget');
+    goalSeekBtn = document.getElementById('goalSeekBtn');
+    goalSeekResultText = document.getElementById('goalSeekResult');
+    goalSeekApplyBtn = document.getElementById('goalSeekApplyBtn');
+
+    // --- DOM Element Validation ---
+    const requiredElements = { goalSeekVariable: goalSeekVariableSelect, goalSeekTarget: goalSeekTargetInput, goalSeekBtn, goalSeekResult: goalSeekResultText, goalSeekApplyBtn };
+    checkRequiredElements('Calculator Goal Seek', requiredElements, "Goal seek cannot be used fully.");
+}
+
+/**
+ * Sets up goal seek. Called by initCalculator once the formula is shown.
+ */
+function initGoalSeek() {
+    initializeGoalSeekDOMElements();
+    if (goalSeekBtn) goalSeekBtn.addEventListener('click', runGoalSeek);
+    if (goalSeekTargetInput) {
+        goalSeekTargetInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') runGoalSeek();
+        });
+    }
+    if (goalSeekApplyBtn) goalSeekApplyBtn.addEventListener('click', applyGoalSeekSolution);
+    if (goalSeekVariableSelect) {
+        goalSeekVariableSelect.addEventListener('change', () => {
+            renderGoalSeekVariables();
+            showGoalSeekResult('');
+        });
+    }
+    subscribeToCalculator((change) => {
+        if (change.type !== 'formula') return;
+        renderGoalSeekVariables();
+        showGoalSeekResult(''); // A solution for the old formula no longer applies
+        lastGoalSeekSolution = null;
+    });
+    renderGoalSeekVariables();
+    logInfo('Calculator', "Goal seek initialized.");
+}
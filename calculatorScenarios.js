@@ -0,0 +1,438 @@
+// --- Calculator Scenarios and History ---
+// Scenarios are named sets of input values, saved together with the formula they were entered
+// for, e.g. "Best case" and "Worst case". Loading one shows its formula and fills in its values.
+// Two or more scenarios can be compared side by side; values and results that differ from the
+// first scenario chosen are highlighted.
+// The history keeps the most recent calculations automatically, with the time, formula, values
+// and result, so an earlier calculation can be brought back. A calculation is recorded once the
+// values have stopped changing for a moment, so typing "120" records one entry, not three.
+// Both are kept in storage and shared with the hub's other open tabs.
+
+const CALCULATOR_SCENARIOS_STORAGE_KEY = 'calculatorScenarios'; // [{ id, name, formulaId, formulaName, expression, values, savedAt }]
+const CALCULATOR_HISTORY_STORAGE_KEY = 'calculatorHistory';     // [{ at, formulaId, formulaName, expression, values, result }], newest first
+const CALCULATOR_HISTORY_LIMIT = 50;
+const CALCULATOR_HISTORY_DELAY = 1500; // Milliseconds without changes before a calculation is recorded
+
+let historyRecordTimer = null; // Waits for the values to settle, see handleCalculatorChangeForHistory
+let pendingCalculation = null; // { formula, values, result } waiting for historyRecordTimer
+
+// --- Scenario DOM Elements ---
+// These will be assigned in initializeScenarioDOMElements after the DOM is fully loaded.
+let scenarioNameInput, saveScenarioBtn, scenarioMessage, scenarioList, compareScenariosBtn, scenarioComparison;
+let calculationHistoryList, clearHistoryBtn;
+
+// --- Stored Scenarios and History ---
+
+/**
+ * Checks a stored set of variable values.
+ * @param {*} values - The stored value.
+ * @returns {Object<string, number>} The values that are numbers.
+ */
+function normalizeScenarioValues(values) {
+    const normalized = {};
+    if (values && typeof values === 'object') {
+        Object.keys(values).forEach(name => {
+            if (typeof values[name] === 'number' && isFinite(values[name])) normalized[name] = values[name];
+        });
+    }
+    return normalized;
+}
+
+/**
+ * Reads the saved scenarios, skipping any that are unusable.
+ * @returns {Array<object>} The scenarios, in the order they were saved.
+ */
+function getCalculatorScenarios() {
+    const stored = readStoredJson(CALCULATOR_SCENARIOS_STORAGE_KEY);
+    if (!Array.isArray(stored)) return [];
+    return stored
+        .filter(scenario => scenario && typeof scenario.id === 'string' && typeof scenario.name === 'string' && typeof scenario.expression === 'string')
+        .map(scenario => ({ ...scenario, values: normalizeScenarioValues(scenario.values) }));
+}
+
+/**
+ * Reads the calculation history, newest first.
+ * @returns {Array<object>} The entries.
+ */
+function getCalculationHistory() {
+    const stored = readStoredJson(CALCULATOR_HISTORY_STORAGE_KEY);
+    if (!Array.isArray(stored)) return [];
+    return stored
+        .filter(entry => entry && typeof entry.at === 'number' && typeof entry.expression === 'string' && typeof entry.result === 'number')
+        .map(entry => ({ ...entry, values: normalizeScenarioValues(entry.values) }));
+}
+
+/**
+ * Saves the current formula and input values as a scenario. A scenario with the same name is
+ * replaced.
+ * @param {string} name - The scenario's name.
+ * @returns {?object} The saved scenario, or null if the name is empty.
+ */
+function saveCalculatorScenario(name) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) return null;
+    const formula = getActiveCalculatorFormula();
+    const scenarios = getCalculatorScenarios();
+    const existing = scenarios.find(scenario => scenario.name.toLowerCase() === trimmedName.toLowerCase());
+    const scenario = {
+        id: existing ? existing.id : 'scenario-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 7),
+        name: trimmedName,
+        formulaId: formula.id,
+        formulaName: formula.name,
+        expression: formula.expression,
+        values: getCalculatorInputValues(),
+        savedAt: Date.now()
+    };
+    writeStoredJson(CALCULATOR_SCENARIOS_STORAGE_KEY, existing
+        ? scenarios.map(other => (other.id === existing.id ? scenario : other))
+        : [...scenarios, scenario]);
+    return scenario;
+}
+
+/**
+ * Deletes a scenario.
+ * @param {string} scenarioId - The scenario.
+ */
+function deleteCalculatorScenario(scenarioId) {
+    writeStoredJson(CALCULATOR_SCENARIOS_STORAGE_KEY, getCalculatorScenarios().filter(scenario => scenario.id !== scenarioId));
+}
+
+/**
+ * Shows a scenario or history entry: switches to its formula if it still exists and fills in its
+ * values. If the formula was deleted, the values are filled into the formula shown.
+ * @param {{formulaId: string, values: Object<string, number>}} saved - The scenario or history entry.
+ * @returns {boolean} True if the saved formula was shown, false if it no longer exists.
+ */
+function loadCalculatorValues(saved) {
+    const formulaExists = Boolean(getCalculatorFormula(saved.formulaId));
+    if (formulaExists && saved.formulaId !== getActiveCalculatorFormula().id) selectCalculatorFormula(saved.formulaId);
+    setCalculatorInputValues(saved.values);
+    return formulaExists;
+}
+
+/**
+ * Computes a scenario's result with its formula as it is now, or as it was saved if the formula
+ * has been deleted.
+ * @param {object} scenario - The scenario.
+ * @returns {{result: ?number, error: ?string}} The result, or why there is none.
+ */
+function computeScenarioResult(scenario) {
+    const formula = getCalculatorFormula(scenario.formulaId);
+    const parsed = compileFormula(formula ? formula.expression : scenario.expression);
+    try {
+        if (parsed.error) throw parsed.error;
+        return { result: evaluateFormula(parsed.ast, scenario.values), error: null };
+    } catch (e) {
+        return { result: null, error: e.message };
+    }
+}
+
+/**
+ * Adds a calculation to the history, unless it repeats the latest entry. Only the most recent
+ * entries are kept.
+ * @param {object} formula - The formula calculated.
+ * @param {Object<string, number>} values - The values used.
+ * @param {number} result - The result.
+ * @returns {boolean} True if the entry was added.
+ */
+function recordCalculation(formula, values, result) {
+    const history = getCalculationHistory();
+    const latest = history[0];
+    if (latest && latest.expression === formula.expression && JSON.stringify(latest.values) === JSON.stringify(values)) return false;
+    const entry = { at: Date.now(), formulaId: formula.id, formulaName: formula.name, expression: formula.expression, values, result };
+    writeStoredJson(CALCULATOR_HISTORY_STORAGE_KEY, [entry, ...history].slice(0, CALCULATOR_HISTORY_LIMIT));
+    return true;
+}
+
+/**
+ * Calculator listener that records successful calculations once the values have settled.
+ * Tabs in the background skip it: they only recalculate to show values typed in another tab,
+ * which records them itself.
+ * @param {object} change - The change object emitted by the calculator.
+ */
+function handleCalculatorChangeForHistory(change) {
+    if (change.type !== 'calculation') return;
+    clearTimeout(historyRecordTimer);
+    pendingCalculation = null;
+    if (change.result === null || document.hidden) return;
+    pendingCalculation = { formula: getActiveCalculatorFormula(), values: change.values, result: change.result };
+    historyRecordTimer = setTimeout(flushCalculationHistory, CALCULATOR_HISTORY_DELAY);
+}
+
+/**
+ * Records the calculation waiting for the values to settle, if there is one, right away.
+ */
+function flushCalculationHistory() {
+    clearTimeout(historyRecordTimer);
+    if (!pendingCalculation) return;
+    const { formula, values, result } = pendingCalculation;
+    pendingCalculation = null;
+    if (recordCalculation(formula, values, result)) renderCalculationHistory();
+}
+
+// --- Scenario and History Rendering ---
+
+/**
+ * Describes a set of values, e.g. "D = 100, SP = 60".
+ * @param {Object<string, number>} values - Variable name to value.
+ * @returns {string} The description.
+ */
+function describeScenarioValues(values) {
+    return Object.keys(values).map(name => `${name} = ${formatCalculatorNumber(values[name], 6)}`).join(', ');
+}
+
+/**
+ * Formats a saved time, e.g. "19 Oct, 14:05".
+ * @param {number} at - The timestamp.
+ * @returns {string} The formatted time.
+ */
+function formatScenarioTime(at) {
+    return new Date(at).toLocaleString(undefined, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Creates a small button for a scenario or history list item.
+ * @param {string} text - The button text.
+ * @param {string} label - The accessible name, naming the item.
+ * @param {function(): void} onClick - What the button does.
+ * @param {string} [className='secondary-btn'] - The button style.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createScenarioButton(text, label, onClick, className = 'secondary-btn') {
+    const button = document.createElement('button');
+    button.className = `${className} py-1 px-3 rounded-lg text-sm`;
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Lists the saved scenarios, each with a checkbox to compare it and buttons to load or delete it.
+ * Checked boxes stay checked.
+ */
+function renderScenarioList() {
+    if (!(scenarioList instanceof HTMLElement)) return;
+    const checkedIds = getComparedScenarioIds();
+    const scenarios = getCalculatorScenarios();
+    scenarioList.innerHTML = '';
+    if (scenarios.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'calculator-tool-help';
+        empty.textContent = 'No saved scenarios yet.';
+        scenarioList.appendChild(empty);
+    }
+    scenarios.forEach(scenario => {
+        const item = document.createElement('li');
+        item.className = 'scenario-item';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = scenario.id;
+        checkbox.checked = checkedIds.includes(scenario.id);
+        checkbox.setAttribute('aria-label', `Compare ${scenario.name}`);
+        checkbox.addEventListener('change', updateCompareScenariosButton);
+        const details = document.createElement('div');
+        details.className = 'scenario-item-details';
+        const name = document.createElement('span');
+        name.className = 'scenario-item-name';
+        name.textContent = scenario.name;
+        const meta = document.createElement('span');
+        meta.className = 'scenario-item-meta';
+        meta.textContent = `${scenario.formulaName} · ${describeScenarioValues(scenario.values)} · saved ${formatScenarioTime(scenario.savedAt)}`;
+        details.append(name, meta);
+        item.append(checkbox, details,
+            createScenarioButton('Load', `Load ${scenario.name}`, () => {
+                if (!loadCalculatorValues(scenario)) showScenarioMessage(`The formula of '${scenario.name}' was deleted; its values were filled into the formula shown.`);
+            }),
+            createScenarioButton('Delete', `Delete ${scenario.name}`, () => {
+                if (window.confirm(`Delete scenario '${scenario.name}'?`)) {
+                    deleteCalculatorScenario(scenario.id);
+                    renderScenarioList();
+                    renderScenarioComparison();
+                }
+            }, 'danger-btn'));
+        scenarioList.appendChild(item);
+    });
+    updateCompareScenariosButton();
+}
+
+/**
+ * Returns the scenarios ticked for comparison.
+ * @returns {string[]} The scenario IDs, in list order.
+ */
+function getComparedScenarioIds() {
+    if (!(scenarioList instanceof HTMLElement)) return [];
+    return Array.from(scenarioList.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => checkbox.value);
+}
+
+/**
+ * Enables the compare button once at least two scenarios are ticked.
+ */
+function updateCompareScenariosButton() {
+    if (compareScenariosBtn) compareScenariosBtn.disabled = getComparedScenarioIds().length < 2;
+}
+
+/**
+ * Shows the ticked scenarios side by side: their formula, every variable any of them has, and
+ * the result. Cells that differ from the first scenario are highlighted, with the difference.
+ * Hidden if fewer than two scenarios are ticked.
+ */
+function renderScenarioComparison() {
+    if (!(scenarioComparison instanceof HTMLElement)) return;
+    const comparedIds = getComparedScenarioIds();
+    const scenarios = getCalculatorScenarios().filter(scenario => comparedIds.includes(scenario.id));
+    scenarioComparison.innerHTML = '';
+    scenarioComparison.classList.toggle('hidden', scenarios.length < 2);
+    if (scenarios.length < 2) return;
+
+    const headRow = scenarioComparison.createTHead().insertRow();
+    ['', ...scenarios.map(scenario => scenario.name)].forEach(text => {
+        const header = document.createElement('th');
+        header.scope = 'col';
+        header.textContent = text;
+        headRow.appendChild(header);
+    });
+    const body = scenarioComparison.createTBody();
+    const addRow = (label, cells) => {
+        const row = body.insertRow();
+        const header = document.createElement('th');
+        header.scope = 'row';
+        header.textContent = label;
+        row.appendChild(header);
+        cells.forEach(({ text, baseline, value }, index) => {
+            const cell = row.insertCell();
+            cell.textContent = text;
+            if (index === 0 || value === baseline) return;
+            cell.classList.add('scenario-diff');
+            if (typeof value === 'number' && typeof baseline === 'number') {
+                const delta = document.createElement('span');
+                delta.className = 'scenario-delta';
+                delta.textContent = ` (${value > baseline ? '+' : ''}${formatCalculatorNumber(value - baseline)})`;
+                cell.appendChild(delta);
+            }
+        });
+    };
+
+    addRow('Formula', scenarios.map(scenario => ({ text: scenario.formulaName, value: scenario.formulaName, baseline: scenarios[0].formulaName })));
+    const variables = [];
+    scenarios.forEach(scenario => Object.keys(scenario.values).forEach(name => { if (!variables.includes(name)) variables.push(name); }));
+    variables.forEach(name => {
+        const baseline = scenarios[0].values[name];
+        addRow(name, scenarios.map(scenario => {
+            const value = scenario.values[name];
+            return { text: value === undefined ? '–' : formatCalculatorNumber(value, 6), value, baseline };
+        }));
+    });
+    const results = scenarios.map(computeScenarioResult);
+    addRow('Result', results.map(({ result, error }) => ({ text: error ? `Error: ${error}` : formatCalculatorNumber(result), value: result, baseline: results[0].result })));
+}
+
+/**
+ * Lists the recent calculations, newest first, each with a button to bring it back.
+ */
+function renderCalculationHistory() {
+    if (!(calculationHistoryList instanceof HTMLElement)) return;
+    const history = getCalculationHistory();
+    calculationHistoryList.innerHTML = '';
+    if (history.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'calculator-tool-help';
+        empty.textContent = 'Calculations will appear here.';
+        calculationHistoryList.appendChild(empty);
+    }
+    history.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'scenario-item';
+        const details = document.createElement('div');
+        details.className = 'scenario-item-details';
+        const result = document.createElement('span');
+        result.className = 'scenario-item-name';
+        result.textContent = formatCalculatorNumber(entry.result);
+        const meta = document.createElement('span');
+        meta.className = 'scenario-item-meta';
+        meta.textContent = `${formatScenarioTime(entry.at)} · ${entry.formulaName} · ${describeScenarioValues(entry.values)}`;
+        details.append(result, meta);
+        item.append(details, createScenarioButton('Restore', `Restore the calculation from ${formatScenarioTime(entry.at)}`, () => loadCalculatorValues(entry)));
+        calculationHistoryList.appendChild(item);
+    });
+    if (clearHistoryBtn) clearHistoryBtn.disabled = history.length === 0;
+}
+
+/**
+ * Shows a message next to the scenario controls.
+ * @param {string} message - The message.
+ */
+function showScenarioMessage(message) {
+    if (scenarioMessage instanceof HTMLElement) scenarioMessage.textContent = message;
+}
+
+/**
+ * Saves a scenario under the name typed, asking first if that replaces an existing one.
+ */
+function handleSaveScenario() {
+    const name = scenarioNameInput ? scenarioNameInput.value.trim() : '';
+    if (!name) {
+        showScenarioMessage("Enter a name for the scenario.");
+        if (scenarioNameInput) scenarioNameInput.focus();
+        return;
+    }
+    const existing = getCalculatorScenarios().find(scenario => scenario.name.toLowerCase() === name.toLowerCase());
+    if (existing && !window.confirm(`Replace scenario '${existing.name}' with the current values?`)) return;
+    saveCalculatorScenario(name);
+    scenarioNameInput.value = '';
+    showScenarioMessage(`Saved '${name}'.`);
+    renderScenarioList();
+    renderScenarioComparison();
+}
+
+/**
+ * Initializes the scenario and history DOM element variables.
+ * Called by initCalculatorScenarios after the DOM is loaded.
+ */
+function initializeScenarioDOMElements() {
+    scenarioNameInput = document.getElementById('scenarioNameInput');
+    saveScenarioBtn = document.getElementById('saveScenarioBtn');
+    scenarioMessage = document.getElementById('scenarioMessage');
+    scenarioList = document.getElementById('scenarioList');
+    compareScenariosBtn = document.getElementById('compareScenariosBtn');
+    scenarioComparison = document.getElementById('scenarioComparison');
+    calculationHistoryList = document.getElementById('calculationHistoryList');
+    clearHistoryBtn = document.getElementById('clearHistoryBtn');
+
+    // --- DOM Element Validation ---
+    const requiredElements = { scenarioNameInput, saveScenarioBtn, scenarioMessage, scenarioList, compareScenariosBtn, scenarioComparison, calculationHistoryList, clearHistoryBtn };
+    checkRequiredElements('Calculator Scenarios', requiredElements, "Scenarios and history cannot be used fully.");
+}
+
+/**
+ * Sets up scenarios and the calculation history. Called by initCalculator once the formula is shown.
+ */
+function initCalculatorScenarios() {
+    initializeScenarioDOMElements();
+    if (saveScenarioBtn) saveScenarioBtn.addEventListener('click', handleSaveScenario);
+    if (scenarioNameInput) {
+        scenarioNameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') handleSaveScenario();
+        });
+    }
+    if (compareScenariosBtn) compareScenariosBtn.addEventListener('click', renderScenarioComparison);
+    if (clearHistoryBtn) {
+        clearHistoryBtn.addEventListener('click', () => {
+            if (!window.confirm("Clear the calculation history?")) return;
+            removeStoredItem(CALCULATOR_HISTORY_STORAGE_KEY);
+            renderCalculationHistory();
+        });
+    }
+    subscribeToCalculator(handleCalculatorChangeForHistory);
+    subscribeToStorageChanges((key) => { // Scenarios saved and calculations made in another open tab
+        if (key === CALCULATOR_SCENARIOS_STORAGE_KEY) {
+            renderScenarioList();
+            renderScenarioComparison();
+        }
+        if (key === CALCULATOR_HISTORY_STORAGE_KEY) renderCalculationHistory();
+    });
+    renderScenarioList();
+    renderScenarioComparison();
+    renderCalculationHistory();
+    logInfo('Calculator', "Scenarios and history initialized.");
+}
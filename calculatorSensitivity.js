@@ -0,0 +1,524 @@
+// --- Calculator Sensitivity Tables ---
+// Shows how the result changes when one or two inputs vary over a range, instead of retyping
+// values one at a time. With one variable the result is listed per value and drawn as a line
+// chart; with two it is a grid (first variable down, second across) drawn as a heatmap. The other
+// variables keep their entered values, and the table is rebuilt when those change.
+// The charts are drawn on a canvas by hand, so they work without any network access. The table
+// can be downloaded as CSV.
+
+const SENSITIVITY_MAX_VALUES = 101; // Per variable, so a grid has at most 101 x 101 cells
+const SENSITIVITY_CHART_HEIGHT = 260;
+const SENSITIVITY_LOW_COLOR = [238, 242, 255];     // Tailwind's indigo-50
+const SENSITIVITY_HIGH_COLOR = [67, 56, 202];      // Tailwind's indigo-700
+const SENSITIVITY_NEGATIVE_COLOR = [220, 38, 38];  // Tailwind's red-600
+const SENSITIVITY_POSITIVE_COLOR = [22, 163, 74];  // Tailwind's green-600
+const SENSITIVITY_ZERO_COLOR = [249, 250, 251];    // Tailwind's gray-50
+
+let sensitivitySettings = null; // The axes of the table shown, see readSensitivityAxis; null if none
+let sensitivityTable = null;    // The table shown, see buildSensitivityTable
+
+// --- Sensitivity DOM Elements ---
+// These will be assigned in initializeSensitivityDOMElements after the DOM is fully loaded.
+let sensitivityRowVariableSelect, sensitivityRowFromInput, sensitivityRowToInput, sensitivityRowStepInput;
+let sensitivityColumnVariableSelect, sensitivityColumnFromInput, sensitivityColumnToInput, sensitivityColumnStepInput;
+let sensitivityBtn, sensitivityExportBtn, sensitivityMessage, sensitivityCanvas, sensitivityTableElement;
+
+// --- Table Calculation ---
+
+/**
+ * Lists the values from one number to another in equal steps. The last value is included if
+ * the steps land on it. Counting down works too (from 10 to 0 with step 2).
+ * @param {number} from - The first value.
+ * @param {number} to - The last value.
+ * @param {number} step - The distance between values, greater than 0.
+ * @returns {number[]} The values.
+ */
+function getRangeValues(from, to, step) {
+    const direction = to >= from ? 1 : -1;
+    const count = Math.floor(Math.abs(to - from) / step + 1e-9) + 1; // The tolerance keeps 0.1 steps from losing the last value
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        values.push(Number((from + direction * i * step).toPrecision(12))); // Computed from the index, so errors do not add up
+    }
+    return values;
+}
+
+/**
+ * Computes the result for every value of one variable, or every combination of values of two.
+ * @param {function(Object<string, number>): number} evaluate - Computes the result for a set of
+ *   variable values; it may throw for values it cannot compute.
+ * @param {Object<string, number>} baseValues - The values of the variables that do not vary.
+ * @param {{variable: string, values: number[]}} rowAxis - The first variable, down the table.
+ * @param {?{variable: string, values: number[]}} columnAxis - The second variable, across; null for a 1-D table.
+ * @returns {{rowAxis: object, columnAxis: ?object, results: Array<Array<?number>>, errors: string[]}}
+ *   `results[row][column]` is the result, or null where it could not be computed (1-D tables have
+ *   one column); `errors` lists the distinct reasons.
+ */
+function buildSensitivityTable(evaluate, baseValues, rowAxis, columnAxis) {
+    const errors = [];
+    const compute = (values) => {
+        try {
+            return evaluate(values);
+        } catch (e) {
+            if (!errors.includes(e.message)) errors.push(e.message);
+            return null;
+        }
+    };
+    const results = rowAxis.values.map(rowValue => {
+        const values = { ...baseValues, [rowAxis.variable]: rowValue };
+        if (!columnAxis) return [compute(values)];
+        return columnAxis.values.map(columnValue => compute({ ...values, [columnAxis.variable]: columnValue }));
+    });
+    return { rowAxis, columnAxis, results, errors };
+}
+
+/**
+ * Returns the lowest and highest result in a table.
+ * @param {Array<Array<?number>>} results - The table's results.
+ * @returns {?{min: number, max: number}} The range, or null if no result could be computed.
+ */
+function getSensitivityRange(results) {
+    const numbers = results.flat().filter(value => value !== null);
+    return numbers.length > 0 ? { min: Math.min(...numbers), max: Math.max(...numbers) } : null;
+}
+
+/**
+ * Works out how far a result is from the light end of the heatmap's colour scale. Ranges that
+ * include 0 are light at 0 and darken towards both ends; other ranges darken from low to high.
+ * @param {number} value - The result.
+ * @param {{min: number, max: number}} range - The table's range, from getSensitivityRange.
+ * @returns {number} From 0 (lightest) to 1 (darkest).
+ */
+function getSensitivityIntensity(value, range) {
+    if (range.min < 0 && range.max > 0) return value < 0 ? value / range.min : value / range.max;
+    const span = range.max - range.min;
+    return span > 0 ? (value - range.min) / span : 0.5;
+}
+
+/**
+ * Picks the heatmap colour for a result: red for losses and green for gains if the range
+ * includes 0, otherwise light to dark indigo.
+ * @param {number} value - The result.
+ * @param {{min: number, max: number}} range - The table's range, from getSensitivityRange.
+ * @returns {string} The CSS colour.
+ */
+function getSensitivityColor(value, range) {
+    const share = getSensitivityIntensity(value, range);
+    const [from, to] = range.min < 0 && range.max > 0
+        ? [SENSITIVITY_ZERO_COLOR, value < 0 ? SENSITIVITY_NEGATIVE_COLOR : SENSITIVITY_POSITIVE_COLOR]
+        : [SENSITIVITY_LOW_COLOR, SENSITIVITY_HIGH_COLOR];
+    return `rgb(${from.map((channel, index) => Math.round(channel + (to[index] - channel) * share)).join(', ')})`;
+}
+
+/**
+ * Formats a table as CSV rows: for 1-D tables a value and a result per row, for 2-D tables the
+ * second variable's values across the top and the first variable's down the side.
+ * @param {object} table - The table, from buildSensitivityTable.
+ * @returns {Array<Array<*>>} The rows, for toCsv.
+ */
+function getSensitivityCsvRows(table) {
+    const cell = (value) => (value === null ? '' : value);
+    if (!table.columnAxis) {
+        return [[table.rowAxis.variable, 'result'], ...table.rowAxis.values.map((value, row) => [value, cell(table.results[row][0])])];
+    }
+    return [
+        [`${table.rowAxis.variable} \\ ${table.columnAxis.variable}`, ...table.columnAxis.values],
+        ...table.rowAxis.values.map((value, row) => [value, ...table.results[row].map(cell)])
+    ];
+}
+
+// --- Table and Chart Rendering ---
+
+/**
+ * Shows the table. In 2-D tables the cells are coloured like the heatmap.
+ * @param {object} table - The table, from buildSensitivityTable.
+ */
+function renderSensitivityTable(table) {
+    if (!(sensitivityTableElement instanceof HTMLElement)) return;
+    sensitivityTableElement.innerHTML = '';
+    const range = getSensitivityRange(table.results);
+    const head = sensitivityTableElement.createTHead().insertRow();
+    const addHeader = (row, text, scope) => {
+        const header = document.createElement('th');
+        header.scope = scope;
+        header.textContent = text;
+        row.appendChild(header);
+    };
+    if (table.columnAxis) {
+        addHeader(head, `${table.rowAxis.variable} \\ ${table.columnAxis.variable}`, 'col');
+        table.columnAxis.values.forEach(value => addHeader(head, formatCalculatorNumber(value, 6), 'col'));
+    } else {
+        addHeader(head, table.rowAxis.variable, 'col');
+        addHeader(head, 'Result', 'col');
+    }
+
+    const body = sensitivityTableElement.createTBody();
+    table.rowAxis.values.forEach((value, rowIndex) => {
+        const row = body.insertRow();
+        addHeader(row, formatCalculatorNumber(value, 6), 'row');
+        table.results[rowIndex].forEach(result => {
+            const cell = row.insertCell();
+            if (result === null) {
+                cell.textContent = '–';
+                cell.title = 'Could not be computed';
+                cell.className = 'sensitivity-error';
+                return;
+            }
+            cell.textContent = formatCalculatorNumber(result);
+            if (table.columnAxis && range) {
+                cell.style.backgroundColor = getSensitivityColor(result, range);
+                cell.classList.toggle('sensitivity-dark-cell', getSensitivityIntensity(result, range) > 0.6); // White text stays readable
+            }
+        });
+    });
+}
+
+/**
+ * Prepares the chart canvas for drawing at the screen's pixel density.
+ * @returns {?{context: CanvasRenderingContext2D, width: number, height: number}} The context and
+ *   size in CSS pixels, or null if the canvas cannot be drawn on.
+ */
+function prepareSensitivityCanvas() {
+    if (!(sensitivityCanvas instanceof HTMLCanvasElement)) return null;
+    const context = sensitivityCanvas.getContext('2d');
+    if (!context) return null;
+    const width = sensitivityCanvas.clientWidth || 640; // clientWidth is 0 while the tab is hidden
+    const height = SENSITIVITY_CHART_HEIGHT;
+    const pixelRatio = window.devicePixelRatio || 1;
+    sensitivityCanvas.width = width * pixelRatio;
+    sensitivityCanvas.height = height * pixelRatio;
+    sensitivityCanvas.style.height = `${height}px`;
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.font = '11px Inter, sans-serif';
+    context.fillStyle = '#4b5563'; // Tailwind's gray-600
+    context.strokeStyle = '#9ca3af'; // Tailwind's gray-400
+    return { context, width, height };
+}
+
+/**
+ * Draws a 1-D table as a line chart of the result against the variable. Values that could not be
+ * computed leave a gap in the line; a dashed line marks a result of 0 if it is in range.
+ * @param {object} table - The table, from buildSensitivityTable.
+ */
+function drawSensitivityLineChart(table) {
+    const canvas = prepareSensitivityCanvas();
+    const range = getSensitivityRange(table.results);
+    if (!canvas || !range) return;
+    const { context, width, height } = canvas;
+    const padding = { left: 72, right: 16, top: 12, bottom: 32 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const values = table.rowAxis.values;
+    const span = range.max - range.min || 1;
+    const x = (index) => padding.left + (values.length > 1 ? (index / (values.length - 1)) * plotWidth : plotWidth / 2);
+    const y = (result) => padding.top + plotHeight - ((result - range.min) / span) * plotHeight;
+
+    // Axes and labels
+    context.beginPath();
+    context.moveTo(padding.left, padding.top);
+    context.lineTo(padding.left, padding.top + plotHeight);
+    context.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+    context.stroke();
+    context.textAlign = 'right';
+    context.fillText(formatCalculatorNumber(range.max), padding.left - 6, padding.top + 8);
+    context.fillText(formatCalculatorNumber(range.min), padding.left - 6, padding.top + plotHeight);
+    context.textAlign = 'center';
+    const labelStep = Math.max(1, Math.ceil(values.length / 6));
+    values.forEach((value, index) => {
+        if (index % labelStep !== 0 && index !== values.length - 1) return;
+        context.fillText(formatCalculatorNumber(value, 6), x(index), height - 14);
+    });
+    context.fillText(table.rowAxis.variable, padding.left + plotWidth / 2, height - 1);
+    if (range.min < 0 && range.max > 0) {
+        context.setLineDash([4, 4]);
+        context.beginPath();
+        context.moveTo(padding.left, y(0));
+        context.lineTo(padding.left + plotWidth, y(0));
+        context.stroke();
+        context.setLineDash([]);
+    }
+
+    // The line, with a dot per value
+    context.strokeStyle = '#4f46e5'; // Tailwind's indigo-600
+    context.fillStyle = '#4f46e5';
+    context.lineWidth = 2;
+    context.beginPath();
+    let isDrawing = false;
+    table.results.forEach(([result], index) => {
+        if (result === null) {
+            isDrawing = false;
+            return;
+        }
+        if (isDrawing) context.lineTo(x(index), y(result));
+        else context.moveTo(x(index), y(result));
+        isDrawing = true;
+    });
+    context.stroke();
+    if (values.length <= 30) {
+        table.results.forEach(([result], index) => {
+            if (result === null) return;
+            context.beginPath();
+            context.arc(x(index), y(result), 3, 0, 2 * Math.PI);
+            context.fill();
+        });
+    }
+    context.lineWidth = 1;
+}
+
+/**
+ * Draws a 2-D table as a heatmap: the first variable down, the second across, with the colour
+ * scale's ends labelled underneath.
+ * @param {object} table - The table, from buildSensitivityTable.
+ */
+function drawSensitivityHeatmap(table) {
+    const canvas = prepareSensitivityCanvas();
+    const range = getSensitivityRange(table.results);
+    if (!canvas || !range) return;
+    const { context, width, height } = canvas;
+    const padding = { left: 72, right: 16, top: 12, bottom: 52 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const rowValues = table.rowAxis.values;
+    const columnValues = table.columnAxis.values;
+    const cellWidth = plotWidth / columnValues.length;
+    const cellHeight = plotHeight / rowValues.length;
+
+    table.results.forEach((row, rowIndex) => {
+        row.forEach((result, columnIndex) => {
+            context.fillStyle = result === null ? '#e5e7eb' : getSensitivityColor(result, range); // Tailwind's gray-200 for gaps
+            // The extra half pixel stops hairline gaps between cells
+            context.fillRect(padding.left + columnIndex * cellWidth, padding.top + rowIndex * cellHeight, cellWidth + 0.5, cellHeight + 0.5);
+        });
+    });
+
+    // Axis labels: first and last value of each variable
+    context.fillStyle = '#4b5563'; // Tailwind's gray-600
+    context.textAlign = 'right';
+    context.fillText(formatCalculatorNumber(rowValues[0], 6), padding.left - 6, padding.top + 10);
+    context.fillText(formatCalculatorNumber(rowValues[rowValues.length - 1], 6), padding.left - 6, padding.top + plotHeight);
+    context.fillText(table.rowAxis.variable, padding.left - 6, padding.top + plotHeight / 2);
+    context.textAlign = 'left';
+    context.fillText(formatCalculatorNumber(columnValues[0], 6), padding.left, padding.top + plotHeight + 14);
+    context.textAlign = 'right';
+    context.fillText(formatCalculatorNumber(columnValues[columnValues.length - 1], 6), padding.left + plotWidth, padding.top + plotHeight + 14);
+    context.textAlign = 'center';
+    context.fillText(table.columnAxis.variable, padding.left + plotWidth / 2, padding.top + plotHeight + 14);
+
+    // Colour scale
+    const scaleTop = height - 18;
+    const scaleWidth = Math.min(200, plotWidth);
+    const scaleLeft = padding.left + (plotWidth - scaleWidth) / 2;
+    for (let i = 0; i < scaleWidth; i++) {
+        context.fillStyle = getSensitivityColor(range.min + (i / (scaleWidth - 1)) * (range.max - range.min), range);
+        context.fillRect(scaleLeft + i, scaleTop, 1.5, 8);
+    }
+    context.fillStyle = '#4b5563';
+    context.textAlign = 'right';
+    context.fillText(formatCalculatorNumber(range.min), scaleLeft - 6, scaleTop + 8);
+    context.textAlign = 'left';
+    context.fillText(formatCalculatorNumber(range.max), scaleLeft + scaleWidth + 6, scaleTop + 8);
+}
+
+// --- Sensitivity Panel ---
+
+/**
+ * Fills the two variable pickers with the active formula's variables, keeping the previous
+ * choices if the formula still uses them. The second picker can also be left empty.
+ */
+function renderSensitivityVariables() {
+    const variables = getActiveFormulaVariables();
+    const fill = (select, allowNone) => {
+        if (!(select instanceof HTMLElement)) return;
+        const previousValue = select.value;
+        select.innerHTML = '';
+        if (allowNone) select.appendChild(new Option('None (1-D table)', ''));
+        variables.forEach(name => select.appendChild(new Option(name, name)));
+        if (variables.includes(previousValue)) select.value = previousValue;
+    };
+    fill(sensitivityRowVariableSelect, false);
+    fill(sensitivityColumnVariableSelect, true);
+    if (sensitivityBtn) sensitivityBtn.disabled = variables.length === 0;
+    const hasSecondVariable = Boolean(sensitivityColumnVariableSelect && sensitivityColumnVariableSelect.value);
+    [sensitivityColumnFromInput, sensitivityColumnToInput, sensitivityColumnStepInput].forEach(inputField => {
+        if (inputField) inputField.disabled = !hasSecondVariable;
+    });
+}
+
+/**
+ * Suggests a range around a variable's current value: ten steps, with a step that suits the
+ * value's size (1 for values under 10, 10 for values under 100 and so on).
+ * @param {string} variable - The variable.
+ * @param {HTMLInputElement} fromInput - The range's From field.
+ * @param {HTMLInputElement} toInput - The range's To field.
+ * @param {HTMLInputElement} stepInput - The range's Step field.
+ */
+function suggestSensitivityRange(variable, fromInput, toInput, stepInput) {
+    if (!variable || !fromInput || !toInput || !stepInput) return;
+    const value = getCalculatorInputValues()[variable] || 0;
+    const step = Math.abs(value) < 10 ? 1 : Math.pow(10, Math.floor(Math.log10(Math.abs(value))) - 1);
+    fromInput.value = String(Number((value - 5 * step).toPrecision(12)));
+    toInput.value = String(Number((value + 5 * step).toPrecision(12)));
+    stepInput.value = String(step);
+}
+
+/**
+ * Reads one variable's range from its fields.
+ * @param {string} variable - The chosen variable.
+ * @param {HTMLInputElement} fromInput - The From field.
+ * @param {HTMLInputElement} toInput - The To field.
+ * @param {HTMLInputElement} stepInput - The Step field.
+ * @returns {{variable: string, values: number[]}} The axis.
+ * @throws {Error} If the range is incomplete, has a step of 0 or less, or has too many values.
+ */
+function readSensitivityAxis(variable, fromInput, toInput, stepInput) {
+    const [from, to, step] = [fromInput, toInput, stepInput].map(inputField => (inputField && inputField.value.trim() !== '' ? Number(inputField.value) : NaN));
+    if (![from, to, step].every(isFinite)) throw new Error(`Enter numbers for From, To and Step of ${variable}.`);
+    if (step <= 0) throw new Error(`The step of ${variable} must be greater than 0.`);
+    if (Math.abs(to - from) / step + 1 > SENSITIVITY_MAX_VALUES) {
+        throw new Error(`That gives ${variable} more than ${SENSITIVITY_MAX_VALUES} values. Use a larger step or a smaller range.`);
+    }
+    return { variable, values: getRangeValues(from, to, step) };
+}
+
+/**
+ * Computes the table for the chosen settings and shows it with its chart.
+ */
+function renderSensitivity() {
+    if (!sensitivitySettings) return;
+    const { rowAxis, columnAxis } = sensitivitySettings;
+    sensitivityTable = buildSensitivityTable(evaluateActiveFormula, getCalculatorInputValues(), rowAxis, columnAxis);
+    renderSensitivityTable(sensitivityTable);
+    if (columnAxis) drawSensitivityHeatmap(sensitivityTable);
+    else drawSensitivityLineChart(sensitivityTable);
+    if (sensitivityCanvas) {
+        sensitivityCanvas.classList.remove('hidden');
+        sensitivityCanvas.setAttribute('aria-label', columnAxis
+            ? `Heatmap of the result for ${rowAxis.variable} (down) and ${columnAxis.variable} (across)`
+            : `Line chart of the result against ${rowAxis.variable}`);
+    }
+    if (sensitivityExportBtn) sensitivityExportBtn.disabled = false;
+    const cellCount = sensitivityTable.results.length * sensitivityTable.results[0].length;
+    const failedCount = sensitivityTable.results.flat().filter(result => result === null).length;
+    showSensitivityMessage(failedCount > 0
+        ? `${failedCount} of ${cellCount} result(s) could not be computed: ${sensitivityTable.errors.join('; ')}`
+        : `${cellCount} result(s) computed. The other variables keep their entered values.`);
+}
+
+/**
+ * Shows a message under the sensitivity settings.
+ * @param {string} message - The message.
+ */
+function showSensitivityMessage(message) {
+    if (sensitivityMessage instanceof HTMLElement) sensitivityMessage.textContent = message;
+}
+
+/**
+ * Hides the table and chart, e.g. because the formula changed.
+ */
+function clearSensitivity() {
+    sensitivitySettings = null;
+    sensitivityTable = null;
+    if (sensitivityTableElement) sensitivityTableElement.innerHTML = '';
+    if (sensitivityCanvas) sensitivityCanvas.classList.add('hidden');
+    if (sensitivityExportBtn) sensitivityExportBtn.disabled = true;
+    showSensitivityMessage('');
+}
+
+/**
+ * Reads the settings, then builds and shows the table, or explains what is wrong with them.
+ * @returns {boolean} True if the table was built.
+ */
+function buildSensitivityFromSettings() {
+    const rowVariable = sensitivityRowVariableSelect ? sensitivityRowVariableSelect.value : '';
+    const columnVariable = sensitivityColumnVariableSelect ? sensitivityColumnVariableSelect.value : '';
+    if (!rowVariable) {
+        showSensitivityMessage("The formula has no variable to vary.");
+        return false;
+    }
+    if (rowVariable === columnVariable) {
+        showSensitivityMessage("Choose two different variables, or None for the second.");
+        return false;
+    }
+    try {
+        sensitivitySettings = {
+            rowAxis: readSensitivityAxis(rowVariable, sensitivityRowFromInput, sensitivityRowToInput, sensitivityRowStepInput),
+            columnAxis: columnVariable ? readSensitivityAxis(columnVariable, sensitivityColumnFromInput, sensitivityColumnToInput, sensitivityColumnStepInput) : null
+        };
+    } catch (e) {
+        showSensitivityMessage(e.message);
+        return false;
+    }
+    renderSensitivity();
+    return true;
+}
+
+/**
+ * Downloads the table shown as a CSV file.
+ */
+function exportSensitivityCsv() {
+    if (!sensitivityTable) return;
+    const formulaName = getActiveCalculatorFormula().name;
+    downloadTextFile(`sensitivity-${toFileSlug(formulaName)}.csv`, toCsv(getSensitivityCsvRows(sensitivityTable)), 'text/csv');
+}
+
+/**
+ * Initializes the sensitivity panel's DOM element variables.
+ * Called by initSensitivityTables after the DOM is loaded.
+ */
+function initializeSensitivityDOMElements() {
+    sensitivityRowVariableSelect = document.getElementById('sensitivityRowVariable');
+    sensitivityRowFromInput = document.getElementById('sensitivityRowFrom');
+    sensitivityRowToInput = document.getElementById('sensitivityRowTo');
+    sensitivityRowStepInput = document.getElementById('sensitivityRowStep');
+    sensitivityColumnVariableSelect = document.getElementById('sensitivityColumnVariable');
+    sensitivityColumnFromInput = document.getElementById('sensitivityColumnFrom');
+    sensitivityColumnToInput = document.getElementById('sensitivityColumnTo');
+    sensitivityColumnStepInput = document.getElementById('sensitivityColumnStep');
+    sensitivityBtn = document.getElementById('sensitivityBtn');
+    sensitivityExportBtn = document.getElementById('sensitivityExportBtn');
+    sensitivityMessage = document.getElementById('sensitivityMessage');
+    sensitivityCanvas = document.getElementById('sensitivityCanvas');
+    sensitivityTableElement = document.getElementById('sensitivityTable');
+
+    // --- DOM Element Validation ---
+    const requiredElements = {
+        sensitivityRowVariable: sensitivityRowVariableSelect, sensitivityRowFrom: sensitivityRowFromInput, sensitivityRowTo: sensitivityRowToInput, sensitivityRowStep: sensitivityRowStepInput,
+        sensitivityColumnVariable: sensitivityColumnVariableSelect, sensitivityColumnFrom: sensitivityColumnFromInput, sensitivityColumnTo: sensitivityColumnToInput, sensitivityColumnStep: sensitivityColumnStepInput,
+        sensitivityBtn, sensitivityExportBtn, sensitivityMessage, sensitivityCanvas, sensitivityTable: sensitivityTableElement
+    };
+    checkRequiredElements('Calculator Sensitivity', requiredElements, "Sensitivity tables cannot be shown fully.");
+}
+
+/**
+ * Sets up sensitivity tables. Called by initCalculator once the formula is shown.
+ */
+function initSensitivityTables() {
+    initializeSensitivityDOMElements();
+    renderSensitivityVariables();
+    suggestSensitivityRange(sensitivityRowVariableSelect && sensitivityRowVariableSelect.value, sensitivityRowFromInput, sensitivityRowToInput, sensitivityRowStepInput);
+
+    if (sensitivityRowVariableSelect) {
+        sensitivityRowVariableSelect.addEventListener('change', () => {
+            suggestSensitivityRange(sensitivityRowVariableSelect.value, sensitivityRowFromInput, sensitivityRowToInput, sensitivityRowStepInput);
+        });
+    }
+    if (sensitivityColumnVariableSelect) {
+        sensitivityColumnVariableSelect.addEventListener('change', () => {
+            renderSensitivityVariables(); // Enables or disables the second range's fields
+            suggestSensitivityRange(sensitivityColumnVariableSelect.value, sensitivityColumnFromInput, sensitivityColumnToInput, sensitivityColumnStepInput);
+        });
+    }
+    if (sensitivityBtn) sensitivityBtn.addEventListener('click', buildSensitivityFromSettings);
+    if (sensitivityExportBtn) sensitivityExportBtn.addEventListener('click', exportSensitivityCsv);
+    subscribeToCalculator((change) => {
+        if (change.type === 'formula') {
+            renderSensitivityVariables();
+            clearSensitivity(); // The table belongs to the old formula
+        } else if (sensitivitySettings) {
+            renderSensitivity(); // Another variable's value changed
+        }
+    });
+    clearSensitivity();
+    logInfo('Calculator', "Sensitivity tables initialized.");
+}
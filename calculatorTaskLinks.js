@@ -0,0 +1,314 @@
+// --- Calculator Task Links ---
+// Attaches the current calculation (formula, input values and result) to a Kanban task, either
+// a new one or one already on the active board, e.g. to track a priced deal as a card. The card
+// shows the result; clicking it switches to the solver and fills in the formula and inputs.
+// The result is kept as it was when it was attached. Each time a card is shown, the formula as
+// it is now is evaluated with the attached inputs; if that no longer gives the attached result
+// (because the formula's constants were edited, for example), the card and the list of linked
+// tasks here flag it as out of date. Attaching again updates the task's calculation.
+
+const TASK_CALCULATION_TOLERANCE = 1e-9; // Relative difference below which a fresh result still matches
+const NEW_TASK_OPTION = ''; // Value of the "New task" option in calculationTaskSelect
+const LINKED_TASK_REFRESH_DELAY = 300; // Milliseconds to wait after a formula change before checking the cards again
+
+// --- Task Link DOM Elements ---
+// These will be assigned in initializeTaskLinkDOMElements after the DOM is fully loaded.
+let calculationTaskSelect, calculationTaskTextInput, linkCalculationBtn, calculationLinkMessage, linkedTasksList;
+
+let linkedTaskRefreshTimer = null; // Pending refreshLinkedTaskCards after a formula change
+let compiledTaskFormulas = {}; // Formula ID to { source, parsed }, so cards do not parse the formula on every render
+
+// --- Linked Calculations ---
+
+/**
+ * Describes the current calculation for storing with a task.
+ * @returns {?object} `{formulaId, formulaName, expression, values, result, linkedAt}`, or null
+ *   if the formula cannot be calculated with the values entered.
+ */
+function createTaskCalculation() {
+    const formula = getActiveCalculatorFormula();
+    const values = getCalculatorInputValues();
+    try {
+        const result = evaluateActiveFormula(values);
+        return { formulaId: formula.id, formulaName: formula.name, expression: formula.expression, values, result, linkedAt: Date.now() };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Evaluates a task's calculation again with its formula as it is now and compares the result.
+ * @param {object} calculation - The task's calculation.
+ * @returns {{isStale: boolean, result: ?number, error: ?string}} Whether the fresh result no
+ *   longer matches the stored one, and the fresh result or why there is none.
+ */
+function getTaskCalculationStatus(calculation) {
+    const formula = getCalculatorFormula(calculation.formulaId);
+    const source = formula ? formula.expression : calculation.expression; // A deleted formula is checked as it was attached
+    let compiled = compiledTaskFormulas[calculation.formulaId];
+    if (!compiled || compiled.source !== source) {
+        compiled = { source, parsed: compileFormula(source) };
+        compiledTaskFormulas[calculation.formulaId] = compiled;
+    }
+    let result;
+    try {
+        if (compiled.parsed.error) throw compiled.parsed.error;
+        result = evaluateFormula(compiled.parsed.ast, calculation.values);
+    } catch (e) {
+        return { isStale: true, result: null, error: e.message };
+    }
+    const isStale = Math.abs(result - calculation.result) > TASK_CALCULATION_TOLERANCE * Math.max(1, Math.abs(calculation.result));
+    return { isStale, result, error: null };
+}
+
+/**
+ * Explains why a calculation is out of date, e.g. "The formula has changed: these inputs now give 55.00."
+ * @param {{result: ?number, error: ?string}} status - The status from getTaskCalculationStatus.
+ * @returns {string} The explanation.
+ */
+function describeStaleCalculation(status) {
+    return status.result === null
+        ? `The formula has changed: these inputs no longer give a result (${status.error}).`
+        : `The formula has changed: these inputs now give ${formatCalculatorNumber(status.result)}.`;
+}
+
+/**
+ * Attaches the current calculation to the task chosen in the panel, or to a new task in the
+ * board's first column.
+ * @returns {?object} The task, or null if nothing was attached.
+ */
+function linkCalculationToTask() {
+    const calculation = createTaskCalculation();
+    if (!calculation) {
+        showTaskLinkMessage("The formula cannot be calculated with these values, so there is nothing to attach.");
+        return null;
+    }
+    const taskId = calculationTaskSelect ? calculationTaskSelect.value : NEW_TASK_OPTION;
+    if (taskId === NEW_TASK_OPTION) {
+        const typedText = calculationTaskTextInput ? calculationTaskTextInput.value.trim() : '';
+        const text = typedText || `${calculation.formulaName}: ${formatCalculatorNumber(calculation.result)}`;
+        const task = addTaskToBoard({ text, calculation });
+        if (!task) {
+            const firstColumn = getBoardColumns()[0];
+            showTaskLinkMessage(firstColumn ? `'${firstColumn.title}' is at its task limit, so no task was added.` : "The board has no column to add the task to.");
+            return null;
+        }
+        if (calculationTaskTextInput) calculationTaskTextInput.value = '';
+        if (calculationTaskSelect) calculationTaskSelect.value = task.id;
+        updateCalculationTaskTextVisibility();
+        showTaskLinkMessage(`Added '${task.text}' to '${getBoardColumn(task.status).title}' with this calculation.`);
+        return task;
+    }
+    const task = updateTaskOnBoard(taskId, { calculation });
+    if (!task) {
+        showTaskLinkMessage("That task is no longer on the board.");
+        return null;
+    }
+    showTaskLinkMessage(`Attached this calculation to '${task.text}'.`);
+    return task;
+}
+
+/**
+ * Shows a task's calculation in the solver: switches to the solver, shows the formula and fills
+ * in the inputs, and picks the task in the panel so attaching again updates it.
+ * @param {string} taskId - The task.
+ */
+function openTaskCalculation(taskId) {
+    const task = getBoardTask(taskId);
+    if (!task || !task.calculation) return;
+    switchTab(CALCULATOR_TOOL_ID);
+    const formulaShown = loadCalculatorValues(task.calculation);
+    renderCalculationTaskOptions();
+    if (calculationTaskSelect) calculationTaskSelect.value = task.id;
+    updateCalculationTaskTextVisibility();
+    showTaskLinkMessage(formulaShown
+        ? `Showing the calculation attached to '${task.text}'.`
+        : `The formula '${task.calculation.formulaName}' of '${task.text}' was deleted; its values were filled into the formula shown.`);
+}
+
+// --- Rendering ---
+
+/**
+ * Creates the result chip shown on a card with a linked calculation. Clicking it opens the
+ * calculation in the solver. Registered as a task card decorator by initCalculatorTaskLinks.
+ * @param {object} task - The task.
+ * @returns {?HTMLElement} The chip, or null if the task has no calculation.
+ */
+function createTaskCalculationElement(task) {
+    if (!task.calculation) return null;
+    const calculation = task.calculation;
+    const status = getTaskCalculationStatus(calculation);
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'task-calculation';
+    chip.textContent = `= ${formatCalculatorNumber(calculation.result)}`;
+    const description = `${calculation.formulaName}: ${describeScenarioValues(calculation.values)}`;
+    chip.title = `${description}. Click to open in the Equation Solver.`;
+    if (status.isStale) {
+        chip.classList.add('task-calculation-stale');
+        chip.textContent += ' ⚠'; // Warning sign
+        chip.title = `${describeStaleCalculation(status)} ${chip.title}`;
+    }
+    chip.setAttribute('aria-label', `Result ${chip.textContent}${status.isStale ? ', out of date' : ''}. Open in the Equation Solver.`);
+    chip.addEventListener('click', () => openTaskCalculation(task.id));
+    return chip;
+}
+
+/**
+ * Fills the task picker with "New task" and the active board's tasks, keeping the choice if the
+ * task is still there.
+ */
+function renderCalculationTaskOptions() {
+    if (!(calculationTaskSelect instanceof HTMLElement)) return;
+    const previousValue = calculationTaskSelect.value;
+    calculationTaskSelect.innerHTML = '';
+    const newOption = document.createElement('option');
+    newOption.value = NEW_TASK_OPTION;
+    newOption.textContent = "New task";
+    calculationTaskSelect.appendChild(newOption);
+    getBoardColumns().forEach(column => {
+        const tasks = getColumnTasks(column.id);
+        if (tasks.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = column.title;
+        tasks.forEach(task => {
+            const option = document.createElement('option');
+            option.value = task.id;
+            option.textContent = task.calculation ? `${task.text} (= ${formatCalculatorNumber(task.calculation.result)})` : task.text;
+            group.appendChild(option);
+        });
+        calculationTaskSelect.appendChild(group);
+    });
+    calculationTaskSelect.value = getBoardTask(previousValue) ? previousValue : NEW_TASK_OPTION;
+    updateCalculationTaskTextVisibility();
+}
+
+/**
+ * Shows the field for the new task's text only while "New task" is chosen.
+ */
+function updateCalculationTaskTextVisibility() {
+    if (!(calculationTaskTextInput instanceof HTMLElement) || !calculationTaskSelect) return;
+    calculationTaskTextInput.classList.toggle('hidden', calculationTaskSelect.value !== NEW_TASK_OPTION);
+}
+
+/**
+ * Lists the active board's tasks with a linked calculation, flagging those that are out of date.
+ */
+function renderLinkedTasks() {
+    if (!(linkedTasksList instanceof HTMLElement)) return;
+    linkedTasksList.innerHTML = '';
+    const linkedTasks = getAllBoardTasks().filter(task => task.calculation);
+    if (linkedTasks.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'scenario-item-meta';
+        emptyItem.textContent = "No task on this board has a calculation attached yet.";
+        linkedTasksList.appendChild(emptyItem);
+        return;
+    }
+    linkedTasks.forEach(task => {
+        const status = getTaskCalculationStatus(task.calculation);
+        const item = document.createElement('li');
+        item.className = 'scenario-item';
+        if (status.isStale) item.classList.add('linked-task-stale');
+        const details = document.createElement('div');
+        details.className = 'scenario-item-details';
+        const name = document.createElement('span');
+        name.className = 'scenario-item-name';
+        name.textContent = `${task.text} = ${formatCalculatorNumber(task.calculation.result)}`;
+        const meta = document.createElement('span');
+        meta.className = 'scenario-item-meta';
+        meta.textContent = status.isStale
+            ? describeStaleCalculation(status)
+            : `${task.calculation.formulaName} · ${getBoardColumn(task.status).title}`;
+        details.append(name, meta);
+        const openBtn = document.createElement('button');
+        openBtn.className = 'secondary-btn py-1 px-3 rounded-lg text-sm';
+        openBtn.textContent = 'Load';
+        openBtn.addEventListener('click', () => openTaskCalculation(task.id));
+        item.append(details, openBtn);
+        linkedTasksList.appendChild(item);
+    });
+}
+
+/**
+ * Shows the outcome of attaching or opening a calculation.
+ * @param {string} message - The message, or '' to clear it.
+ */
+function showTaskLinkMessage(message) {
+    if (calculationLinkMessage instanceof HTMLElement) calculationLinkMessage.textContent = message;
+}
+
+/**
+ * Checks the result chips on the cards again after a formula changed, replacing only the chips
+ * whose flag or explanation changed, so the rest of the board (e.g. a task being edited) is
+ * left alone.
+ */
+function refreshLinkedTaskCards() {
+    clearTimeout(linkedTaskRefreshTimer);
+    linkedTaskRefreshTimer = null;
+    renderLinkedTasks();
+    getAllBoardTasks().filter(task => task.calculation).forEach(task => {
+        const taskElement = document.getElementById(task.id);
+        const chip = taskElement ? taskElement.querySelector('.task-calculation') : null;
+        if (!chip) return; // Not shown, e.g. while the board is being rebuilt
+        const newChip = createTaskCalculationElement(task);
+        if (newChip.className !== chip.className || newChip.title !== chip.title) chip.replaceWith(newChip);
+    });
+}
+
+/**
+ * Refreshes the result chips once the formula has not changed for a moment, e.g. while it is typed.
+ */
+function scheduleLinkedTaskRefresh() {
+    clearTimeout(linkedTaskRefreshTimer);
+    linkedTaskRefreshTimer = setTimeout(refreshLinkedTaskCards, LINKED_TASK_REFRESH_DELAY);
+}
+
+/**
+ * Initializes the task link panel's DOM element variables.
+ * Called by initCalculatorTaskLinks after the DOM is loaded.
+ */
+function initializeTaskLinkDOMElements() {
+    calculationTaskSelect = document.getElementById('calculationTaskSelect');
+    calculationTaskTextInput = document.getElementById('calculationTaskText');
+    linkCalculationBtn = document.getElementById('linkCalculationBtn');
+    calculationLinkMessage = document.getElementById('calculationLinkMessage');
+    linkedTasksList = document.getElementById('linkedTasksList');
+
+    // --- DOM Element Validation ---
+    const requiredElements = {
+        calculationTaskSelect, calculationTaskText: calculationTaskTextInput, linkCalculationBtn, calculationLinkMessage, linkedTasksList
+    };
+    checkRequiredElements('Calculator Task Links', requiredElements, "Calculations cannot be attached to tasks fully.");
+}
+
+/**
+ * Sets up attaching calculations to tasks. Called by initCalculator once the formulas are loaded.
+ */
+function initCalculatorTaskLinks() {
+    initializeTaskLinkDOMElements();
+    if (calculationTaskSelect) calculationTaskSelect.addEventListener('change', updateCalculationTaskTextVisibility);
+    if (linkCalculationBtn) linkCalculationBtn.addEventListener('click', linkCalculationToTask);
+    if (calculationTaskTextInput) {
+        calculationTaskTextInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') linkCalculationToTask();
+        });
+    }
+    registerTaskCardDecorator(createTaskCalculationElement);
+    subscribeToBoard(() => {
+        renderCalculationTaskOptions();
+        renderLinkedTasks();
+    });
+    subscribeToCalculator((change) => {
+        if (change.type === 'formula') {
+            compiledTaskFormulas = {};
+            scheduleLinkedTaskRefresh();
+        }
+        if (change.type === 'calculation' && linkCalculationBtn) linkCalculationBtn.disabled = change.result === null;
+    });
+    if (linkCalculationBtn) linkCalculationBtn.disabled = !createTaskCalculation();
+    renderCalculationTaskOptions();
+    renderLinkedTasks();
+    if (getAllBoardTasks().some(task => task.calculation)) renderBoard(); // The board was shown before the chips were registered
+    logInfo('Calculator', "Task links initialized.");
+}
@@ -0,0 +1,141 @@
+// --- Data File Utilities ---
+// Shared helpers for reading and writing CSV and for moving files in and out of the browser.
+// Used by the Kanban import/export and by the calculator's table exports.
+
+/**
+ * Guesses the delimiter of CSV text from its first line: a semicolon (common in locales that
+ * use a decimal comma) or a tab if the line has more of those than commas, otherwise a comma.
+ * @param {string} text - The CSV text.
+ * @returns {string} The delimiter character.
+ */
+function detectCsvDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const count = (character) => firstLine.split(character).length - 1;
+    const candidates = [',', ';', '\t'];
+    return candidates.reduce((best, candidate) => (count(candidate) > count(best) ? candidate : best), ',');
+}
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells containing delimiters, line breaks
+ * and doubled quotes, Windows line endings and a leading byte order mark. Blank lines are skipped.
+ * @param {string} text - The CSV text.
+ * @param {string} [delimiter] - The cell delimiter; detected from the first line when omitted.
+ * @returns {string[][]} The rows, each an array of cell strings.
+ */
+function parseCsv(text, delimiter) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const separator = delimiter || detectCsvDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const character = source[i];
+        if (inQuotes) {
+            if (character === '"' && source[i + 1] === '"') {
+                cell += '"'; // Doubled quote inside a quoted cell
+                i++;
+            } else if (character === '"') {
+                inQuotes = false;
+            } else {
+                cell += character;
+            }
+        } else if (character === '"' && cell === '') {
+            inQuotes = true;
+        } else if (character === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += character;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Formats one CSV cell, quoting it if it contains a delimiter, quote or line break.
+ * @param {*} value - The cell value; null and undefined become empty cells.
+ * @returns {string} The formatted cell.
+ */
+function formatCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows of values as CSV text, with Windows line endings for spreadsheet compatibility.
+ * @param {Array<Array<*>>} rows - The rows, each an array of cell values.
+ * @returns {string} The CSV text.
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(formatCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Turns parsed CSV rows into objects keyed by the header row's names.
+ * @param {string[][]} rows - The parsed rows; the first row is the header.
+ * @returns {{headers: string[], records: Array<Object<string, string>>}} The trimmed header names and
+ *   one object per data row (missing cells become empty strings).
+ */
+function csvRowsToRecords(rows) {
+    const headers = (rows[0] || []).map(header => header.trim());
+    const records = rows.slice(1).map(cells => {
+        const record = {};
+        headers.forEach((header, index) => { record[header] = cells[index] !== undefined ? cells[index] : ''; });
+        return record;
+    });
+    return { headers, records };
+}
+
+/**
+ * Makes the browser download text as a file.
+ * @param {string} filename - The suggested file name.
+ * @param {string} text - The file content.
+ * @param {string} [mimeType='text/plain'] - The file's MIME type.
+ */
+function downloadTextFile(filename, text, mimeType = 'text/plain') {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the download time to start
+}
+
+/**
+ * Reads a file chosen by the user as text.
+ * @param {File} file - The file, e.g. from an <input type="file">.
+ * @returns {Promise<string>} The file's content.
+ */
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Turns a name into a safe file name part, e.g. "My Board!" becomes "my-board".
+ * @param {string} name - The name.
+ * @returns {string} The slug, or 'export' if nothing usable is left.
+ */
+function toFileSlug(name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'export';
+}
@@ -0,0 +1,248 @@
+// --- Diagnostics Panel ---
+// A panel for tracking down problems, hidden from everyday use: Ctrl+Alt+D opens and closes
+// it, as does "Show diagnostics" on the error banner (see showFatalError in main.js). It shows
+// the recent log entries (see logger.js), which elements the modules looked for and did not
+// find, and the state of storage: the backend in use, how much is saved, changes that could not
+// be saved and unreadable data that was set aside. The log level can be changed here, and
+// everything shown can be downloaded as a report to attach to a bug report.
+
+const DIAGNOSTICS_LOG_ENTRIES_SHOWN = 100;
+const DIAGNOSTICS_LARGEST_KEYS_SHOWN = 5;
+
+// --- Diagnostics DOM Elements ---
+// These will be assigned in initializeDiagnosticsDOMElements after the DOM is fully loaded.
+let diagnosticsPanel, diagnosticsLogLevelSelect, diagnosticsLogList, diagnosticsElementChecks;
+let diagnosticsStorage, diagnosticsDownloadBtn, diagnosticsCloseBtn;
+
+/**
+ * Formats a number of bytes, e.g. "12.3 KB".
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} The formatted size.
+ */
+function formatByteSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Describes the extra values of a log entry, e.g. an Error's message.
+ * @param {Array<*>} details - The entry's details.
+ * @returns {string} The description, or '' if there are none.
+ */
+function describeLogDetails(details) {
+    return details
+        .filter(detail => detail !== '' && detail !== undefined)
+        .map(detail => {
+            if (detail instanceof Error) return `${detail.name}: ${detail.message}`;
+            if (detail && typeof detail === 'object') {
+                try {
+                    return JSON.stringify(detail);
+                } catch (e) {
+                    return String(detail); // E.g. an object referring to itself
+                }
+            }
+            return String(detail);
+        })
+        .join(' ');
+}
+
+/**
+ * Collects the state of storage.
+ * @returns {object} The backend, saved size, largest keys, unsaved changes and quarantined items.
+ */
+function getStorageDiagnostics() {
+    const usage = getStorageUsage();
+    return {
+        backend: getStorageBackendName(),
+        schemaVersion: getStorageSchemaVersion(),
+        keyCount: usage.keys.length,
+        bytes: usage.bytes,
+        largestKeys: usage.keys.slice(0, DIAGNOSTICS_LARGEST_KEYS_SHOWN),
+        hasUnsavedChanges: hasUnsavedStorageChanges(),
+        quarantined: getQuarantinedItems().map(item => ({ key: item.key, reason: item.reason, quarantinedAt: item.quarantinedAt }))
+    };
+}
+
+// --- Rendering ---
+
+/**
+ * Lists the most recent log entries, newest first.
+ */
+function renderDiagnosticsLog() {
+    if (!(diagnosticsLogList instanceof HTMLElement)) return;
+    diagnosticsLogList.innerHTML = '';
+    const entries = getLogEntries().slice(-DIAGNOSTICS_LOG_ENTRIES_SHOWN).reverse();
+    if (entries.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'diagnostics-empty';
+        emptyItem.textContent = "Nothing has been logged yet.";
+        diagnosticsLogList.appendChild(emptyItem);
+        return;
+    }
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `diagnostics-log-entry diagnostics-level-${entry.level}`;
+        const time = document.createElement('span');
+        time.className = 'diagnostics-log-meta';
+        time.textContent = `${new Date(entry.time).toLocaleTimeString()} ${entry.level.toUpperCase()} ${entry.module}`;
+        const message = document.createElement('span');
+        const details = describeLogDetails(entry.details);
+        message.textContent = details ? `${entry.message} ${details}` : entry.message;
+        item.append(time, message);
+        diagnosticsLogList.appendChild(item);
+    });
+}
+
+/**
+ * Lists the elements the modules looked for and did not find, or says that all were found.
+ */
+function renderDiagnosticsElementChecks() {
+    if (!(diagnosticsElementChecks instanceof HTMLElement)) return;
+    diagnosticsElementChecks.innerHTML = '';
+    const checks = getElementChecks();
+    const missing = checks.filter(check => !check.found);
+    const summary = document.createElement('p');
+    summary.className = 'diagnostics-summary';
+    summary.textContent = `${checks.length - missing.length} of ${checks.length} required elements were found.`;
+    diagnosticsElementChecks.appendChild(summary);
+    if (missing.length === 0) return;
+    const list = document.createElement('ul');
+    missing.forEach(check => {
+        const item = document.createElement('li');
+        item.className = `diagnostics-level-${check.level}`;
+        item.textContent = `${check.module}: #${check.id}${check.impact ? ` (${check.impact})` : ''}`;
+        list.appendChild(item);
+    });
+    diagnosticsElementChecks.appendChild(list);
+}
+
+/**
+ * Shows the state of storage, and the browser's storage quota where it tells.
+ */
+function renderDiagnosticsStorage() {
+    if (!(diagnosticsStorage instanceof HTMLElement)) return;
+    const storage = getStorageDiagnostics();
+    const lines = [
+        `Backend: ${storage.backend || 'not started'} (schema version ${storage.schemaVersion})`,
+        `Saved: ${storage.keyCount} keys, about ${formatByteSize(storage.bytes)}`,
+        ...storage.largestKeys.map(entry => `  ${entry.key}: ${formatByteSize(entry.bytes)}`),
+        storage.hasUnsavedChanges ? "Unsaved changes: some changes could not be saved and only exist in this tab." : "Unsaved changes: none",
+        `Set aside as unreadable: ${storage.quarantined.length === 0 ? 'nothing' : ''}`,
+        ...storage.quarantined.map(item => `  ${item.key} at ${item.quarantinedAt}: ${item.reason}`)
+    ];
+    diagnosticsStorage.textContent = lines.join('\n');
+    if (navigator.storage && typeof navigator.storage.estimate === 'function') {
+        navigator.storage.estimate().then(estimate => {
+            if (!estimate.quota) return;
+            diagnosticsStorage.textContent += `\nBrowser quota: ${formatByteSize(estimate.usage || 0)} of ${formatByteSize(estimate.quota)} used by this site`;
+        }).catch(() => {}); // The quota is a bonus; leave it out if the browser refuses
+    }
+}
+
+/**
+ * Fills in every section of the diagnostics panel.
+ */
+function renderDiagnosticsPanel() {
+    if (diagnosticsLogLevelSelect) diagnosticsLogLevelSelect.value = getLogLevel();
+    renderDiagnosticsLog();
+    renderDiagnosticsElementChecks();
+    renderDiagnosticsStorage();
+}
+
+// --- Panel ---
+
+/**
+ * Opens the diagnostics panel.
+ */
+function openDiagnosticsPanel() {
+    if (!diagnosticsPanel) return;
+    renderDiagnosticsPanel();
+    diagnosticsPanel.classList.remove('hidden');
+    if (diagnosticsCloseBtn) diagnosticsCloseBtn.focus();
+}
+
+/**
+ * Closes the diagnostics panel.
+ */
+function closeDiagnosticsPanel() {
+    if (diagnosticsPanel) diagnosticsPanel.classList.add('hidden');
+}
+
+/**
+ * Downloads everything the panel shows as a JSON report.
+ */
+function downloadDiagnosticsReport() {
+    const report = {
+        createdAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        url: window.location.href,
+        logLevel: getLogLevel(),
+        log: getLogEntries().map(entry => ({ ...entry, time: new Date(entry.time).toISOString(), details: describeLogDetails(entry.details) })),
+        missingElements: getElementChecks().filter(check => !check.found),
+        storage: getStorageDiagnostics()
+    };
+    downloadTextFile(`hub-diagnostics-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(report, null, 2), 'application/json');
+}
+
+/**
+ * Opens or closes the panel on Ctrl+Alt+D.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleDiagnosticsShortcut(event) {
+    if (!event.ctrlKey || !event.altKey || (event.key || '').toLowerCase() !== 'd') return; // Some synthetic events have no key
+    event.preventDefault();
+    if (diagnosticsPanel && diagnosticsPanel.classList.contains('hidden')) {
+        openDiagnosticsPanel();
+    } else {
+        closeDiagnosticsPanel();
+    }
+}
+
+/**
+ * Initializes the diagnostics panel's DOM element variables.
+ * Called by initDiagnostics after the DOM is loaded.
+ */
+function initializeDiagnosticsDOMElements() {
+    diagnosticsPanel = document.getElementById('diagnosticsPanel');
+    diagnosticsLogLevelSelect = document.getElementById('diagnosticsLogLevel');
+    diagnosticsLogList = document.getElementById('diagnosticsLogList');
+    diagnosticsElementChecks = document.getElementById('diagnosticsElementChecks');
+    diagnosticsStorage = document.getElementById('diagnosticsStorage');
+    diagnosticsDownloadBtn = document.getElementById('diagnosticsDownloadBtn');
+    diagnosticsCloseBtn = document.getElementById('diagnosticsCloseBtn');
+
+    // --- DOM Element Validation ---
+    const requiredElements = {
+        diagnosticsPanel, diagnosticsLogLevel: diagnosticsLogLevelSelect, diagnosticsLogList, diagnosticsElementChecks,
+        diagnosticsStorage, diagnosticsDownloadBtn, diagnosticsCloseBtn
+    };
+    checkRequiredElements('Diagnostics', requiredElements, "The diagnostics panel cannot be shown fully.", 'warn');
+}
+
+/**
+ * Sets up the diagnostics panel and its shortcut. Called early in the load handler, so the panel
+ * works even if a tool fails to start.
+ */
+function initDiagnostics() {
+    initializeDiagnosticsDOMElements();
+    if (diagnosticsLogLevelSelect) {
+        diagnosticsLogLevelSelect.addEventListener('change', () => setLogLevel(diagnosticsLogLevelSelect.value));
+    }
+    if (diagnosticsDownloadBtn) diagnosticsDownloadBtn.addEventListener('click', downloadDiagnosticsReport);
+    if (diagnosticsCloseBtn) diagnosticsCloseBtn.addEventListener('click', closeDiagnosticsPanel);
+    if (diagnosticsPanel) {
+        // Clicking the dimmed backdrop or pressing Escape closes the panel
+        diagnosticsPanel.addEventListener('click', (event) => {
+            if (event.target === diagnosticsPanel) closeDiagnosticsPanel();
+        });
+        diagnosticsPanel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') closeDiagnosticsPanel();
+        });
+    }
+    document.addEventListener('keydown', handleDiagnosticsShortcut);
+    subscribeToLog(() => {
+        if (diagnosticsPanel && !diagnosticsPanel.classList.contains('hidden')) renderDiagnosticsLog();
+    });
+    logInfo('Diagnostics', "Diagnostics panel initialized. Press Ctrl+Alt+D to open it.");
+}
@@ -0,0 +1,329 @@
+// --- Formula Engine ---
+// Parses and evaluates the calculator's formulas without eval(). A formula is an arithmetic
+// expression over named variables, e.g. "((D * (SP - Cp + B + 74) - 7400) / 1.20) / 100".
+//
+// Supported: numbers (1, 2.5, .5, 1e3), variables (a letter or underscore followed by letters,
+// digits or underscores; names are case-sensitive), the constants pi and e, the operators
+// + - * / ^ (power, right-associative, binding tighter than unary minus, so -2^2 is -4),
+// parentheses, and the functions listed in FORMULA_FUNCTIONS.
+//
+// parseFormula turns the text into a tree of nodes, evaluateFormula computes a tree for a set of
+// variable values, and getFormulaTerms lists the intermediate steps of a formula. Both parsing
+// and evaluation throw an Error with a user-facing message; parse errors also carry the
+// character position (from 1) in error.position.
+
+const FORMULA_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Function name to { minArgs, maxArgs, apply }. maxArgs Infinity allows any number of arguments.
+const FORMULA_FUNCTIONS = {
+    abs: { minArgs: 1, maxArgs: 1, apply: Math.abs },
+    sqrt: { minArgs: 1, maxArgs: 1, apply: Math.sqrt },
+    exp: { minArgs: 1, maxArgs: 1, apply: Math.exp },
+    ln: { minArgs: 1, maxArgs: 1, apply: Math.log },
+    log: { minArgs: 1, maxArgs: 2, apply: (x, base = 10) => Math.log(x) / Math.log(base) },
+    pow: { minArgs: 2, maxArgs: 2, apply: Math.pow },
+    min: { minArgs: 1, maxArgs: Infinity, apply: Math.min },
+    max: { minArgs: 1, maxArgs: Infinity, apply: Math.max },
+    round: { minArgs: 1, maxArgs: 2, apply: (x, digits = 0) => Math.round(x * Math.pow(10, digits)) / Math.pow(10, digits) },
+    floor: { minArgs: 1, maxArgs: 1, apply: Math.floor },
+    ceil: { minArgs: 1, maxArgs: 1, apply: Math.ceil },
+    sin: { minArgs: 1, maxArgs: 1, apply: Math.sin },
+    cos: { minArgs: 1, maxArgs: 1, apply: Math.cos },
+    tan: { minArgs: 1, maxArgs: 1, apply: Math.tan }
+};
+
+const FORMULA_OPERATORS = ['+', '-', '*', '/', '^'];
+
+/**
+ * Creates the Error thrown for a formula that cannot be read.
+ * @param {string} message - What is wrong, for the user.
+ * @param {number} position - The character position (from 1) where the problem is.
+ * @returns {Error} The error, with the position in error.position.
+ */
+function createFormulaError(message, position) {
+    const error = new Error(`${message} (at character ${position})`);
+    error.position = position;
+    return error;
+}
+
+// --- Tokenizer ---
+
+/**
+ * Splits formula text into tokens.
+ * @param {string} source - The formula text.
+ * @returns {Array<{type: string, value: (string|number), position: number, end: number}>} The
+ *   tokens, whose type is 'number', 'name', 'operator', '(', ')', ',' or, last, 'end'. `end` is
+ *   the index just after the token in the text.
+ * @throws {Error} If the text contains a character that cannot be part of a formula.
+ */
+function tokenizeFormula(source) {
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+        const rest = source.slice(index);
+        const position = index + 1;
+        const whitespace = rest.match(/^\s+/);
+        const number = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+        const name = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (whitespace) {
+            index += whitespace[0].length;
+        } else if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), position, end: index + number[0].length });
+            index += number[0].length;
+        } else if (name) {
+            tokens.push({ type: 'name', value: name[0], position, end: index + name[0].length });
+            index += name[0].length;
+        } else if (FORMULA_OPERATORS.includes(rest[0])) {
+            tokens.push({ type: 'operator', value: rest[0], position, end: index + 1 });
+            index++;
+        } else if (rest[0] === '(' || rest[0] === ')' || rest[0] === ',') {
+            tokens.push({ type: rest[0], value: rest[0], position, end: index + 1 });
+            index++;
+        } else {
+            throw createFormulaError(`Unexpected character '${rest[0]}'`, position);
+        }
+    }
+    tokens.push({ type: 'end', value: '', position: source.length + 1, end: source.length });
+    return tokens;
+}
+
+// --- Parser ---
+// Recursive descent, lowest precedence first:
+//   expression = term (('+' | '-') term)*
+//   term       = unary (('*' | '/') unary)*
+//   unary      = ('-' | '+') unary | power
+//   power      = primary ('^' unary)?
+//   primary    = number | constant | variable | function '(' arguments ')' | '(' expression ')'
+// Nodes are { type: 'number', value }, { type: 'variable', name }, { type: 'unary', operator, operand },
+// { type: 'binary', operator, left, right } and { type: 'call', name, args }. Every node also has
+// `start` and `end`, the part of the text it was read from, and `parenthesized` if it was written
+// in parentheses.
+
+/**
+ * Parses formula text into a tree of nodes.
+ * @param {string} source - The formula text.
+ * @returns {object} The root node.
+ * @throws {Error} If the formula cannot be read, with the position in error.position.
+ */
+function parseFormula(source) {
+    const text = String(source || '');
+    if (text.trim() === '') throw createFormulaError("The formula is empty", 1);
+    const tokens = tokenizeFormula(text);
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const next = () => tokens[current++];
+    const isOperator = (...operators) => peek().type === 'operator' && operators.includes(peek().value);
+    const describe = (token) => (token.type === 'end' ? 'the end of the formula' : `'${token.value}'`);
+
+    // Records which part of the text a node was read from, starting at the token at startIndex
+    const spanned = (node, startIndex) => ({ ...node, start: tokens[startIndex].position - 1, end: tokens[current - 1].end });
+
+    const expect = (type, what) => {
+        if (peek().type !== type) throw createFormulaError(`Expected ${what} but found ${describe(peek())}`, peek().position);
+        return next();
+    };
+
+    const parseExpression = () => {
+        const startIndex = current;
+        let node = parseTerm();
+        while (isOperator('+', '-')) {
+            const operator = next().value;
+            node = spanned({ type: 'binary', operator, left: node, right: parseTerm() }, startIndex);
+        }
+        return node;
+    };
+
+    const parseTerm = () => {
+        const startIndex = current;
+        let node = parseUnary();
+        while (isOperator('*', '/')) {
+            const operator = next().value;
+            node = spanned({ type: 'binary', operator, left: node, right: parseUnary() }, startIndex);
+        }
+        return node;
+    };
+
+    const parseUnary = () => {
+        const startIndex = current;
+        if (isOperator('-', '+')) {
+            const operator = next().value;
+            return spanned({ type: 'unary', operator, operand: parseUnary() }, startIndex);
+        }
+        return parsePower();
+    };
+
+    const parsePower = () => {
+        const startIndex = current;
+        const base = parsePrimary();
+        if (isOperator('^')) {
+            next();
+            return spanned({ type: 'binary', operator: '^', left: base, right: parseUnary() }, startIndex);
+        }
+        return base;
+    };
+
+    const parsePrimary = () => {
+        const startIndex = current;
+        const token = next();
+        if (token.type === 'number') return spanned({ type: 'number', value: token.value }, startIndex);
+        if (token.type === '(') {
+            const node = parseExpression();
+            expect(')', "')'");
+            return spanned({ ...node, parenthesized: true }, startIndex);
+        }
+        if (token.type === 'name') {
+            if (peek().type === '(') return parseCall(token, startIndex);
+            if (Object.prototype.hasOwnProperty.call(FORMULA_CONSTANTS, token.value)) {
+                return spanned({ type: 'number', value: FORMULA_CONSTANTS[token.value] }, startIndex);
+            }
+            if (Object.prototype.hasOwnProperty.call(FORMULA_FUNCTIONS, token.value)) {
+                throw createFormulaError(`The function ${token.value} needs its arguments in parentheses`, token.position);
+            }
+            return spanned({ type: 'variable', name: token.value }, startIndex);
+        }
+        throw createFormulaError(`Expected a number, variable or '(' but found ${describe(token)}`, token.position);
+    };
+
+    const parseCall = (nameToken, startIndex) => {
+        const definition = Object.prototype.hasOwnProperty.call(FORMULA_FUNCTIONS, nameToken.value) ? FORMULA_FUNCTIONS[nameToken.value] : null;
+        if (!definition) throw createFormulaError(`Unknown function '${nameToken.value}'`, nameToken.position);
+        next(); // '('
+        const args = [];
+        if (peek().type !== ')') {
+            args.push(parseExpression());
+            while (peek().type === ',') {
+                next();
+                args.push(parseExpression());
+            }
+        }
+        expect(')', "',' or ')'");
+        if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+            const expected = definition.maxArgs === Infinity ? `at least ${definition.minArgs}`
+                : definition.minArgs === definition.maxArgs ? `${definition.minArgs}` : `${definition.minArgs} or ${definition.maxArgs}`;
+            throw createFormulaError(`${nameToken.value}() takes ${expected} argument(s), not ${args.length}`, nameToken.position);
+        }
+        return spanned({ type: 'call', name: nameToken.value, args }, startIndex);
+    };
+
+    const root = parseExpression();
+    if (peek().type !== 'end') {
+        throw createFormulaError(`Expected an operator but found ${describe(peek())}`, peek().position);
+    }
+    return root;
+}
+
+/**
+ * Lists the variables a formula uses, in the order they first appear.
+ * @param {object} node - The formula's root node, from parseFormula.
+ * @returns {string[]} The variable names.
+ */
+function getFormulaVariables(node) {
+    const names = [];
+    const visit = (current) => {
+        if (current.type === 'variable' && !names.includes(current.name)) names.push(current.name);
+        if (current.type === 'unary') visit(current.operand);
+        if (current.type === 'binary') {
+            visit(current.left);
+            visit(current.right);
+        }
+        if (current.type === 'call') current.args.forEach(visit);
+    };
+    visit(node);
+    return names;
+}
+
+/**
+ * Lists a formula's intermediate steps in the order they are computed, ending with the whole
+ * formula. Parenthesized parts and operations on parenthesized parts are steps of their own;
+ * chains of the same kind of operation (like SP - Cp + B + 74) count as one step. For the default
+ * equation the steps are SP - Cp + B + 74, D * (...), ... - 7400, ... / 1.20 and the whole formula.
+ * @param {object} node - The formula's root node, from parseFormula.
+ * @param {string} source - The formula text the node was parsed from.
+ * @returns {Array<{node: object, text: string}>} The steps, each with the part of the text it was read from.
+ */
+function getFormulaTerms(node, source) {
+    const group = (operator) => ({ '+': 'sum', '-': 'sum', '*': 'product', '/': 'product', '^': 'power' }[operator]);
+    const isLeaf = (current) => current.type === 'number' || current.type === 'variable';
+    const terms = [];
+    const visit = (current, parent) => {
+        if (current.type === 'unary') visit(current.operand, current);
+        if (current.type === 'binary') {
+            visit(current.left, current);
+            visit(current.right, current);
+        }
+        if (current.type === 'call') current.args.forEach(arg => visit(arg, current));
+        const continuesChain = parent && parent.type === 'binary' && parent.left === current && !current.parenthesized &&
+            current.type === 'binary' && group(current.operator) === group(parent.operator) && group(current.operator) !== 'power';
+        const isSignedLeaf = current.type === 'unary' && isLeaf(current.operand);
+        if (!isLeaf(current) && !continuesChain && !isSignedLeaf) {
+            terms.push({ node: current, text: source.slice(current.start, current.end).trim() });
+        }
+    };
+    visit(node, null);
+    return terms;
+}
+
+// --- Evaluator ---
+
+/**
+ * Computes a parsed formula.
+ * @param {object} node - The formula's root node, from parseFormula.
+ * @param {Object<string, number>} values - Variable name to value.
+ * @returns {number} The result, always a finite number.
+ * @throws {Error} If a variable has no value, a division by zero occurs, a function is given a
+ *   value it is not defined for, or the result is not a finite number.
+ */
+function evaluateFormula(node, values) {
+    const evaluate = (current) => {
+        if (current.type === 'number') return current.value;
+        if (current.type === 'variable') {
+            const value = values[current.name];
+            if (typeof value !== 'number' || isNaN(value)) throw new Error(`No value for ${current.name}`);
+            return value;
+        }
+        if (current.type === 'unary') {
+            const operand = evaluate(current.operand);
+            return current.operator === '-' ? -operand : operand;
+        }
+        if (current.type === 'binary') {
+            const left = evaluate(current.left);
+            const right = evaluate(current.right);
+            if (current.operator === '+') return left + right;
+            if (current.operator === '-') return left - right;
+            if (current.operator === '*') return left * right;
+            if (current.operator === '/') {
+                if (right === 0) throw new Error("Division by zero");
+                return left / right;
+            }
+            const power = Math.pow(left, right);
+            if (isNaN(power)) throw new Error(`${left} ^ ${right} is not a real number`);
+            return power;
+        }
+        if (current.type === 'call') {
+            const args = current.args.map(evaluate);
+            const result = FORMULA_FUNCTIONS[current.name].apply(...args);
+            if (isNaN(result)) throw new Error(`${current.name}(${args.join(', ')}) is not defined`);
+            return result;
+        }
+        throw new Error(`Unknown formula node '${current.type}'`);
+    };
+
+    const result = evaluate(node);
+    if (!isFinite(result)) throw new Error("The result is too large to show");
+    return result;
+}
+
+/**
+ * Parses formula text and lists its variables, without throwing.
+ * @param {string} source - The formula text.
+ * @returns {{ast: ?object, variables: string[], error: ?Error}} The parsed formula, or the parse error.
+ */
+function compileFormula(source) {
+    try {
+        const ast = parseFormula(source);
+        return { ast, variables: getFormulaVariables(ast), error: null };
+    } catch (error) {
+        return { ast: null, variables: [], error };
+    }
+}
@@ -0,0 +1,90 @@
+// --- Hub Tools ---
+// The hub's tools (the Kanban board, the equation solver, ...) register themselves here with an
+// ID, a tab label, the element holding their content, and functions to start and stop them.
+// main.js builds the tab bar from the registered tools, starts them once the page has loaded
+// and shows one at a time. Each tool has a route made from its ID, e.g. "#/solver", so the
+// address bar tells which tool is shown and reloading or going back shows it again.
+// Tools appear in the tab bar in the order they register, i.e. the order their scripts load;
+// the first one is shown when the address has no route.
+
+const hubTools = []; // [{ id, label, contentId, init, teardown }]
+
+/**
+ * Registers a tool of the hub.
+ * @param {object} tool - The tool.
+ * @param {string} tool.id - Unique ID, used in its route. Letters, digits and '-' only.
+ * @param {string} tool.label - Text of its tab.
+ * @param {string} tool.contentId - ID of the element holding its content.
+ * @param {function(): void} tool.init - Starts the tool. Called once, after the page has loaded.
+ * @param {function(): void} [tool.teardown] - Stops the tool, e.g. its timers, and saves anything
+ *   still pending. Called when the page is closed.
+ * @returns {boolean} True if the tool was registered, false if it is invalid or its ID is taken.
+ */
+function registerHubTool(tool) {
+    if (!tool || typeof tool.id !== 'string' || !/^[\w-]+$/.test(tool.id) || typeof tool.init !== 'function') {
+        logError('Hub Tools', "A tool needs an ID made of letters, digits and '-', and an init function.", tool);
+        return false;
+    }
+    if (getHubTool(tool.id)) {
+        logError('Hub Tools', `A tool with ID '${tool.id}' is already registered.`);
+        return false;
+    }
+    hubTools.push({
+        id: tool.id,
+        label: String(tool.label || tool.id),
+        contentId: tool.contentId,
+        init: tool.init,
+        teardown: typeof tool.teardown === 'function' ? tool.teardown : null
+    });
+    return true;
+}
+
+/**
+ * Returns the registered tools, in tab order.
+ * @returns {Array<object>} The tools.
+ */
+function getHubTools() {
+    return hubTools.slice();
+}
+
+/**
+ * Finds a registered tool.
+ * @param {string} toolId - The tool's ID.
+ * @returns {?object} The tool, or null.
+ */
+function getHubTool(toolId) {
+    return hubTools.find(tool => tool.id === toolId) || null;
+}
+
+/**
+ * Calls a tool's teardown function, if it has one. Errors are logged, so one tool cannot keep
+ * the others from stopping.
+ * @param {object} tool - The tool.
+ */
+function stopHubTool(tool) {
+    if (!tool.teardown) return;
+    try {
+        tool.teardown();
+    } catch (e) {
+        logError('Hub Tools', `Stopping tool '${tool.id}' failed:`, e);
+    }
+}
+
+/**
+ * Returns a tool's route, e.g. "#/solver".
+ * @param {string} toolId - The tool's ID.
+ * @returns {string} The route.
+ */
+function getHubToolRoute(toolId) {
+    return `#/${toolId}`;
+}
+
+/**
+ * Reads the tool ID from a route.
+ * @param {string} hash - The route, e.g. location.hash.
+ * @returns {?string} The ID, or null if the hash is not a route.
+ */
+function parseHubToolRoute(hash) {
+    const match = /^#\/([\w-]+)\/?$/.exec(hash || '');
+    return match ? match[1] : null;
+}
@@ -0,0 +1,183 @@
+// --- Kanban Activity Log ---
+// Records when tasks are created, moved between columns and deleted, so the time work spends in
+// each column can be measured (see kanbanMetrics.js) and each card can show its history.
+// Each board has its own log, saved under 'kanbanActivity:<boardId>', oldest event first.
+// Reordering a task within its column is not recorded; it says nothing about flow. Archiving is
+// recorded, but an archived task still counts as finished in the metrics.
+
+const KANBAN_ACTIVITY_KEY_PREFIX = 'kanbanActivity:';
+const KANBAN_ACTIVITY_LIMIT = 5000; // Oldest events are dropped beyond this many per board
+
+let activityColumnTitles = {}; // Column ID to title as of the last change, for columns deleted by the current one
+
+// --- Kanban Task Activity Elements ---
+// Assigned in initKanbanActivity after the DOM is fully loaded.
+let taskDetailActivityList;
+
+/**
+ * Returns the storage key holding a board's activity log.
+ * @param {string} boardId - The board ID.
+ * @returns {string} The storage key.
+ */
+function getBoardActivityStorageKey(boardId) {
+    return KANBAN_ACTIVITY_KEY_PREFIX + boardId;
+}
+
+/**
+ * Returns a board's activity log.
+ * @param {string} [boardId] - The board; defaults to the active board.
+ * @returns {Array<{at: number, type: string, taskId: string, text: string, fromColumnId: ?string,
+ *   fromColumnTitle: ?string, toColumnId: ?string, toColumnTitle: ?string}>} The events, oldest first.
+ *   `type` is 'create', 'move', 'delete', 'restore' (a deletion was undone), 'archive' or 'unarchive'
+ *   (brought back from the archive); `at` is a timestamp in milliseconds.
+ */
+function getBoardActivity(boardId = getActiveBoardId()) {
+    const events = readStoredJson(getBoardActivityStorageKey(boardId));
+    return Array.isArray(events) ? events.filter(event => event && typeof event.at === 'number' && typeof event.taskId === 'string') : [];
+}
+
+/**
+ * Returns one task's events, oldest first.
+ * @param {string} taskId - The task.
+ * @returns {Array<object>} The task's events.
+ */
+function getTaskActivity(taskId) {
+    return getBoardActivity().filter(event => event.taskId === taskId);
+}
+
+/**
+ * Reads the creation time hidden in IDs made by generateId ('task-<milliseconds>-<random>'),
+ * for tasks created before the activity log existed.
+ * @param {string} taskId - The task ID.
+ * @returns {number | null} The timestamp, or null if the ID does not contain one.
+ */
+function getCreationTimeFromTaskId(taskId) {
+    const match = /^task-(\d{13})-/.exec(taskId);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Turns a board change into activity events.
+ * @param {object} change - A single (flattened) change emitted by the board store.
+ * @param {string} source - Who made the change ('local' or 'history').
+ * @param {number} at - The timestamp to record.
+ * @returns {object | null} The event, or null if the change is not recorded.
+ */
+function createActivityEvent(change, source, at) {
+    const columnTitle = (columnId) => {
+        const column = columnId ? getBoardColumn(columnId) : null;
+        return column ? column.title : (activityColumnTitles[columnId] || null);
+    };
+    const base = { at, taskId: change.taskId, text: change.task ? change.task.text : '' };
+    switch (change.type) {
+        case 'add':
+            return { ...base, type: source === 'history' ? 'restore' : 'create', fromColumnId: null, fromColumnTitle: null,
+                toColumnId: change.toColumnId, toColumnTitle: columnTitle(change.toColumnId) };
+        case 'move':
+            if (change.fromColumnId === change.toColumnId) return null;
+            return { ...base, type: 'move', fromColumnId: change.fromColumnId, fromColumnTitle: columnTitle(change.fromColumnId),
+                toColumnId: change.toColumnId, toColumnTitle: columnTitle(change.toColumnId) };
+        case 'delete':
+        case 'archive':
+            return { ...base, type: change.type, fromColumnId: change.fromColumnId, fromColumnTitle: columnTitle(change.fromColumnId),
+                toColumnId: null, toColumnTitle: null };
+        case 'unarchive':
+            return { ...base, type: 'unarchive', fromColumnId: null, fromColumnTitle: null,
+                toColumnId: change.toColumnId, toColumnTitle: columnTitle(change.toColumnId) };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Board listener that appends task creations, moves and deletions to the active board's log.
+ * Changes from other tabs are recorded by the tab that made them. The log is re-read before
+ * each append, so events recorded by another tab meanwhile are kept.
+ * @param {object} change - The change object emitted by the board store.
+ */
+function recordBoardActivity(change) {
+    if (change.type !== 'reset' && change.source !== 'remote') {
+        const at = Date.now();
+        const newEvents = flattenBoardChange(change)
+            .map(singleChange => createActivityEvent(singleChange, change.source, at))
+            .filter(event => event);
+        if (newEvents.length > 0) {
+            const events = getBoardActivity().concat(newEvents);
+            writeStoredJson(getBoardActivityStorageKey(getActiveBoardId()), events.slice(-KANBAN_ACTIVITY_LIMIT));
+        }
+    }
+    getBoardColumns().forEach(column => { activityColumnTitles[column.id] = column.title; });
+}
+
+// --- Card Timeline ---
+
+/**
+ * Formats a timestamp for the timeline, e.g. "19 Oct 2026, 14:03".
+ * @param {number} at - The timestamp.
+ * @returns {string} The formatted date and time.
+ */
+function formatActivityTime(at) {
+    return new Date(at).toLocaleString(undefined, { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Describes one event for the card timeline.
+ * @param {object} event - The event.
+ * @returns {string} The description, e.g. "Moved from To Do to In Progress".
+ */
+function describeActivityEvent(event) {
+    const from = event.fromColumnTitle || event.fromColumnId;
+    const to = event.toColumnTitle || event.toColumnId;
+    switch (event.type) {
+        case 'create': return `Created in ${to}`;
+        case 'restore': return `Restored to ${to}`;
+        case 'move': return `Moved from ${from} to ${to}`;
+        case 'delete': return `Deleted from ${from}`;
+        case 'archive': return `Archived from ${from}`;
+        case 'unarchive': return `Restored from the archive to ${to}`;
+        default: return 'Changed';
+    }
+}
+
+/**
+ * Fills the detail panel's activity timeline for a task, newest event first. Tasks created
+ * before the log existed show the creation time read from their ID.
+ * @param {string} taskId - The task shown in the panel.
+ */
+function renderTaskActivityTimeline(taskId) {
+    if (!(taskDetailActivityList instanceof HTMLElement)) return;
+    taskDetailActivityList.innerHTML = '';
+    const events = getTaskActivity(taskId);
+    const entries = events.map(event => ({ at: event.at, text: describeActivityEvent(event) }));
+    if (!events.some(event => event.type === 'create')) {
+        const createdAt = getCreationTimeFromTaskId(taskId);
+        if (createdAt) entries.unshift({ at: createdAt, text: 'Created' });
+    }
+    if (entries.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'activity-empty';
+        emptyItem.textContent = 'No activity recorded yet.';
+        taskDetailActivityList.appendChild(emptyItem);
+        return;
+    }
+    entries.reverse().forEach(entry => {
+        const item = document.createElement('li');
+        const time = document.createElement('time');
+        time.dateTime = new Date(entry.at).toISOString();
+        time.textContent = formatActivityTime(entry.at);
+        item.appendChild(time);
+        item.appendChild(document.createTextNode(entry.text));
+        taskDetailActivityList.appendChild(item);
+    });
+}
+
+/**
+ * Starts recording board activity. Called by initKanban.
+ */
+function initKanbanActivity() {
+    taskDetailActivityList = document.getElementById('taskDetailActivity');
+    checkRequiredElements('Kanban Activity', { taskDetailActivity: taskDetailActivityList }, "Card timelines will not be shown.", 'warn');
+    getBoardColumns().forEach(column => { activityColumnTitles[column.id] = column.title; });
+    subscribeToBoard(recordBoardActivity);
+    logInfo('Kanban', "Activity log initialized.");
+}
@@ -0,0 +1,231 @@
+// --- Kanban Archive ---
+// Done tasks can be put away in the board's archive instead of being deleted: one at a time
+// (the card's archive button), all at once ("Archive all" on the done column) or automatically
+// once they have been done for a number of days. The archive panel lists archived tasks, can be
+// searched, and restores tasks to the column they were archived from.
+// Archived tasks are part of the board state (see archiveTask in kanbanStore.js), so archiving
+// and restoring can be undone and reach other tabs like any other change.
+
+const KANBAN_AUTO_ARCHIVE_STORAGE_KEY = 'kanbanAutoArchiveDays';
+const AUTO_ARCHIVE_CHECK_INTERVAL = 60 * 60 * 1000; // Hourly is plenty for a limit in days
+const ARCHIVE_DAY_MS = 24 * 60 * 60 * 1000;
+
+let autoArchiveInterval = null; // Checks every AUTO_ARCHIVE_CHECK_INTERVAL, see initKanbanArchive
+
+// --- Archive DOM Elements ---
+// These will be assigned in initializeArchiveDOMElements after the DOM is fully loaded.
+let archivePanel, showArchiveBtn, archiveCloseBtn, archiveSearchInput, archiveSummary, archiveList, autoArchiveDaysInput;
+
+// --- Automatic Archiving ---
+
+/**
+ * Returns after how many days in the done column tasks are archived automatically.
+ * The setting applies to every board.
+ * @returns {number | null} The number of days, or null if tasks are never archived automatically.
+ */
+function getAutoArchiveDays() {
+    const days = readStoredJson(KANBAN_AUTO_ARCHIVE_STORAGE_KEY);
+    return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+/**
+ * Sets after how many days in the done column tasks are archived automatically.
+ * @param {?number} days - A positive whole number of days, or null to switch it off.
+ */
+function setAutoArchiveDays(days) {
+    writeStoredJson(KANBAN_AUTO_ARCHIVE_STORAGE_KEY, Number.isInteger(days) && days > 0 ? days : null);
+}
+
+/**
+ * Finds when a task last entered the done column, from the activity log. Tasks that got there
+ * before the log existed fall back to the creation time in their ID.
+ * @param {string} taskId - The task, which is in the done column.
+ * @param {Array<object>} events - The board's activity log.
+ * @param {string} doneColumnId - The done column.
+ * @returns {number | null} The timestamp, or null if it cannot be told.
+ */
+function getDoneSince(taskId, events, doneColumnId) {
+    const arrivals = events.filter(event => event.taskId === taskId && event.toColumnId === doneColumnId);
+    return arrivals.length > 0 ? arrivals[arrivals.length - 1].at : getCreationTimeFromTaskId(taskId);
+}
+
+/**
+ * Lists the done tasks that have been done for longer than the auto-archive setting allows.
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {string[]} The task IDs; empty if automatic archiving is off.
+ */
+function getTasksDueForAutoArchive(now = Date.now()) {
+    const days = getAutoArchiveDays();
+    const doneColumnId = getDoneColumnId();
+    if (!days || !doneColumnId) return [];
+    const events = getBoardActivity();
+    return getColumnTasks(doneColumnId)
+        .filter(task => {
+            const doneSince = getDoneSince(task.id, events, doneColumnId);
+            return doneSince !== null && now - doneSince >= days * ARCHIVE_DAY_MS;
+        })
+        .map(task => task.id);
+}
+
+/**
+ * Archives the active board's done tasks that are past the auto-archive limit, as one step.
+ * Skipped while the page is in the background, so that with several tabs open the visible one
+ * does the archiving.
+ */
+function autoArchiveDoneTasks() {
+    if (document.hidden) return;
+    const taskIds = getTasksDueForAutoArchive();
+    if (taskIds.length > 0 && archiveTasksOnBoard(taskIds, 'Done tasks archived automatically')) {
+        showKanbanToast(`${taskIds.length} done task(s) archived automatically`, { actionLabel: 'Undo', onAction: undoLastBoardChange });
+    }
+}
+
+// --- Archive Panel ---
+
+/**
+ * Formats when a task was archived, e.g. "19 Oct 2026".
+ * @param {number} archivedAt - The timestamp.
+ * @returns {string} The formatted date.
+ */
+function formatArchivedDate(archivedAt) {
+    return new Date(archivedAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Fills the archive panel with the archived tasks matching its search, newest archived first.
+ */
+function renderArchivePanel() {
+    if (!(archiveList instanceof HTMLElement)) return;
+    const archivedTasks = getArchivedBoardTasks().reverse();
+    const query = archiveSearchInput ? archiveSearchInput.value : '';
+    const searchFilter = { ...createEmptyBoardFilter(), query };
+    const matchingTasks = archivedTasks.filter(task => taskMatchesBoardFilter(task, searchFilter));
+    const terms = getSearchTerms(query);
+
+    archiveList.innerHTML = '';
+    matchingTasks.forEach(task => {
+        const item = document.createElement('li');
+        item.className = 'archive-item';
+        const details = document.createElement('div');
+        details.className = 'archive-item-details';
+        const text = document.createElement('span');
+        text.className = 'archive-item-text';
+        highlightSearchTerms(text, task.text, terms);
+        const meta = document.createElement('span');
+        meta.className = 'archive-item-meta';
+        const column = getBoardColumn(task.status);
+        meta.textContent = `From ${column ? column.title : 'a deleted column'} · archived ${formatArchivedDate(task.archivedAt)}`;
+        details.append(text, meta);
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'secondary-btn py-1 px-3 rounded-lg text-sm';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.setAttribute('aria-label', `Restore ${task.text}`);
+        restoreBtn.onclick = () => {
+            if (restoreArchivedTask(task.id)) {
+                showKanbanToast('Task restored', { actionLabel: 'Undo', onAction: undoLastBoardChange });
+                if (archiveSearchInput) archiveSearchInput.focus(); // The button is gone after the re-render
+            }
+        };
+        item.append(details, restoreBtn);
+        archiveList.appendChild(item);
+    });
+
+    if (archiveSummary instanceof HTMLElement) {
+        if (archivedTasks.length === 0) {
+            archiveSummary.textContent = 'The archive is empty.';
+        } else if (terms.length > 0) {
+            archiveSummary.textContent = `Showing ${matchingTasks.length} of ${archivedTasks.length} archived tasks`;
+        } else {
+            archiveSummary.textContent = `${archivedTasks.length} archived task(s)`;
+        }
+    }
+}
+
+/**
+ * Opens the archive panel for the active board.
+ */
+function openArchivePanel() {
+    if (!archivePanel) return;
+    if (autoArchiveDaysInput) autoArchiveDaysInput.value = getAutoArchiveDays() || '';
+    renderArchivePanel();
+    archivePanel.classList.remove('hidden');
+    if (archiveSearchInput) archiveSearchInput.focus();
+}
+
+/**
+ * Closes the archive panel.
+ */
+function closeArchivePanel() {
+    if (archivePanel) archivePanel.classList.add('hidden');
+}
+
+/**
+ * Saves the auto-archive setting typed into the archive panel and applies it straight away.
+ * An empty field or 0 switches automatic archiving off.
+ */
+function handleAutoArchiveDaysChange() {
+    const days = Number(autoArchiveDaysInput.value);
+    if (autoArchiveDaysInput.value.trim() !== '' && (!Number.isInteger(days) || days < 0)) {
+        autoArchiveDaysInput.classList.add('border-red-500');
+        setTimeout(() => autoArchiveDaysInput.classList.remove('border-red-500'), 2500);
+        return;
+    }
+    setAutoArchiveDays(days > 0 ? days : null);
+    autoArchiveDoneTasks();
+}
+
+/**
+ * Initializes the archive panel's DOM element variables.
+ * Called by initKanbanArchive after the DOM is loaded.
+ */
+function initializeArchiveDOMElements() {
+    archivePanel = document.getElementById('archivePanel');
+    showArchiveBtn = document.getElementById('showArchiveBtn');
+    archiveCloseBtn = document.getElementById('archiveCloseBtn');
+    archiveSearchInput = document.getElementById('archiveSearchInput');
+    archiveSummary = document.getElementById('archiveSummary');
+    archiveList = document.getElementById('archiveList');
+    autoArchiveDaysInput = document.getElementById('autoArchiveDays');
+
+    // --- DOM Element Validation ---
+    const requiredElements = { archivePanel, showArchiveBtn, archiveCloseBtn, archiveSearchInput, archiveSummary, archiveList, autoArchiveDays: autoArchiveDaysInput };
+    checkRequiredElements('Kanban Archive', requiredElements, "The archive cannot be shown fully.");
+}
+
+/**
+ * Sets up the archive panel and automatic archiving. Called by initKanban after the board has been loaded.
+ */
+function initKanbanArchive() {
+    initializeArchiveDOMElements();
+    if (showArchiveBtn) showArchiveBtn.addEventListener('click', openArchivePanel);
+    if (archiveCloseBtn) archiveCloseBtn.addEventListener('click', closeArchivePanel);
+    if (archiveSearchInput) archiveSearchInput.addEventListener('input', renderArchivePanel);
+    if (autoArchiveDaysInput) autoArchiveDaysInput.addEventListener('change', handleAutoArchiveDaysChange);
+    if (archivePanel) {
+        // Clicking the dimmed backdrop or pressing Escape closes the panel
+        archivePanel.addEventListener('click', (event) => {
+            if (event.target === archivePanel) closeArchivePanel();
+        });
+        archivePanel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') closeArchivePanel();
+        });
+    }
+    subscribeToBoard((change) => {
+        if (archivePanel && !archivePanel.classList.contains('hidden')) renderArchivePanel();
+        if (change.type === 'reset') setTimeout(autoArchiveDoneTasks, 0); // Another board was shown
+    });
+    document.addEventListener('visibilitychange', autoArchiveDoneTasks);
+    autoArchiveInterval = setInterval(autoArchiveDoneTasks, AUTO_ARCHIVE_CHECK_INTERVAL);
+    autoArchiveDoneTasks();
+    logInfo('Kanban', "Archive initialized.");
+}
+
+/**
+ * Stops archiving done tasks automatically. Called by teardownKanban.
+ */
+function stopAutoArchive() {
+    document.removeEventListener('visibilitychange', autoArchiveDoneTasks);
+    clearInterval(autoArchiveInterval);
+    autoArchiveInterval = null;
+}
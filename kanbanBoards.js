@@ -0,0 +1,321 @@
+// --- Kanban Boards ---
+// The hub can hold several named boards. The board index (which boards exist and which one
+// is shown) is saved under 'kanbanBoards'; each board's columns and tasks are saved under
+// their own key, 'kanbanBoard:<boardId>'. Only the active board is loaded into the board store.
+
+const KANBAN_BOARD_INDEX_KEY = 'kanbanBoards';
+const KANBAN_BOARD_KEY_PREFIX = 'kanbanBoard:';
+const LEGACY_KANBAN_KEYS = ['kanbanTasks', 'kanbanColumns']; // Single-board storage used before boards existed
+
+let kanbanBoardIndex = { activeBoardId: null, boards: [] }; // boards: Array<{id: string, name: string}>
+
+// --- Board Switcher DOM Elements ---
+// These will be assigned in initializeBoardSwitcherDOMElements after the DOM is fully loaded.
+let boardSwitcherSelect, newBoardBtn, renameBoardBtn, duplicateBoardBtn, deleteBoardBtn;
+
+// --- Board Index Functions ---
+
+/**
+ * Generates a unique ID string for boards.
+ * @returns {string} A unique ID.
+ */
+function generateBoardId() {
+    return 'board-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Returns the storage key holding a board's columns and tasks.
+ * @param {string} boardId - The board ID.
+ * @returns {string} The storage key.
+ */
+function getBoardStorageKey(boardId) {
+    return KANBAN_BOARD_KEY_PREFIX + boardId;
+}
+
+/**
+ * Returns the ID of the board currently shown.
+ * @returns {string | null} The active board ID.
+ */
+function getActiveBoardId() {
+    return kanbanBoardIndex.activeBoardId;
+}
+
+/**
+ * Returns all boards in the order they are listed in the switcher.
+ * @returns {Array<{id: string, name: string}>} Copies of the board entries.
+ */
+function getKanbanBoards() {
+    return kanbanBoardIndex.boards.map(board => ({ ...board }));
+}
+
+/**
+ * Saves the board index.
+ */
+function saveBoardIndex() {
+    writeStoredJson(KANBAN_BOARD_INDEX_KEY, kanbanBoardIndex);
+}
+
+/**
+ * Storage migration to schema version 2: moves data saved before multiple boards existed
+ * ('kanbanTasks' and 'kanbanColumns') into a board named 'My Board', so existing users keep
+ * their tasks. The legacy keys are removed afterwards; unreadable legacy data is quarantined.
+ * @param {object} store - The migration store passed by runStorageMigrations.
+ */
+function migrateLegacyKanbanStorage(store) {
+    if (!LEGACY_KANBAN_KEYS.some(key => store.getItem(key) !== null)) return; // Nothing saved by the single-board version
+    const boardId = generateBoardId();
+    const boardData = { columns: DEFAULT_KANBAN_COLUMNS, tasks: [] };
+    LEGACY_KANBAN_KEYS.forEach(key => {
+        const storedValue = store.getItem(key);
+        if (storedValue === null) return;
+        try {
+            const parsedValue = JSON.parse(storedValue);
+            if (Array.isArray(parsedValue)) {
+                boardData[key === 'kanbanTasks' ? 'tasks' : 'columns'] = parsedValue;
+            }
+        } catch (error) {
+            logError('Kanban Boards', `Could not parse legacy data in '${key}' while migrating. It was quarantined.`, error);
+            const quarantinedAt = new Date().toISOString();
+            store.setItem(`${STORAGE_QUARANTINE_PREFIX}${quarantinedAt}:${key}`,
+                JSON.stringify({ key, reason: 'The value is not valid JSON.', quarantinedAt, rawValue: storedValue }));
+        }
+    });
+    store.setItem(getBoardStorageKey(boardId), JSON.stringify(boardData));
+
+    let index = null;
+    try {
+        index = JSON.parse(store.getItem(KANBAN_BOARD_INDEX_KEY));
+    } catch (e) {
+        index = null; // loadBoardIndex recovers an unreadable index later
+    }
+    if (index && Array.isArray(index.boards)) {
+        index.boards.push({ id: boardId, name: 'My Board' });
+    } else {
+        index = { activeBoardId: boardId, boards: [{ id: boardId, name: 'My Board' }] };
+    }
+    store.setItem(KANBAN_BOARD_INDEX_KEY, JSON.stringify(index));
+    LEGACY_KANBAN_KEYS.forEach(key => store.removeItem(key));
+    logInfo('Kanban Boards', `Migrated ${boardData.tasks.length} tasks from single-board storage into a default board.`);
+}
+
+registerStorageMigration(2, 'Single-board Kanban data moved into named boards', migrateLegacyKanbanStorage);
+
+/**
+ * Loads the board index. On first use a default board is created. If the index is missing or
+ * unreadable but boards are still saved, the index is rebuilt from them so no board is lost.
+ */
+function loadBoardIndex() {
+    const index = readStoredJson(KANBAN_BOARD_INDEX_KEY); // Unreadable data is quarantined and reads as null
+    if (index) {
+        const boards = Array.isArray(index.boards)
+            ? index.boards.filter(board => board && typeof board.id === 'string' && typeof board.name === 'string')
+            : [];
+        if (boards.length > 0) {
+            const activeBoardId = boards.some(board => board.id === index.activeBoardId) ? index.activeBoardId : boards[0].id;
+            kanbanBoardIndex = { activeBoardId, boards };
+            logInfo('Kanban Boards', `Loaded ${boards.length} board(s).`);
+            return;
+        }
+        logError('Kanban Boards', "The board index lists no valid boards. Rebuilding it.");
+    }
+
+    const savedBoardIds = getStoredKeys(KANBAN_BOARD_KEY_PREFIX).map(key => key.slice(KANBAN_BOARD_KEY_PREFIX.length));
+    if (savedBoardIds.length > 0) {
+        const boards = savedBoardIds.map((id, position) => ({ id, name: savedBoardIds.length === 1 ? 'My Board' : `Recovered Board ${position + 1}` }));
+        kanbanBoardIndex = { activeBoardId: boards[0].id, boards };
+        logWarn('Kanban Boards', `Rebuilt the board index from ${boards.length} saved board(s).`);
+    } else {
+        const boardId = generateBoardId();
+        writeStoredJson(getBoardStorageKey(boardId), { columns: DEFAULT_KANBAN_COLUMNS, tasks: [] });
+        kanbanBoardIndex = { activeBoardId: boardId, boards: [{ id: boardId, name: 'My Board' }] };
+    }
+    saveBoardIndex();
+}
+
+/**
+ * Storage listener that picks up boards created, renamed or deleted in another tab.
+ * This tab keeps showing its own board unless that board was deleted.
+ * @param {string} key - The key another tab changed.
+ */
+function handleRemoteBoardIndexChange(key) {
+    if (key !== KANBAN_BOARD_INDEX_KEY) return;
+    const index = readStoredJson(KANBAN_BOARD_INDEX_KEY);
+    const boards = index && Array.isArray(index.boards)
+        ? index.boards.filter(board => board && typeof board.id === 'string' && typeof board.name === 'string')
+        : [];
+    if (boards.length === 0) return;
+    const activeBoardStillExists = boards.some(board => board.id === kanbanBoardIndex.activeBoardId);
+    kanbanBoardIndex = { activeBoardId: kanbanBoardIndex.activeBoardId, boards };
+    if (activeBoardStillExists) {
+        renderBoardSwitcher();
+    } else {
+        showKanbanToast("This board was deleted in another tab.");
+        switchBoard(boards[0].id);
+    }
+}
+
+// --- Board Management Functions ---
+
+/**
+ * Shows another board: loads its columns and tasks into the board store and its undo history.
+ * The current board needs no saving, as every change is persisted when it happens.
+ * @param {string} boardId - The board to show.
+ */
+function switchBoard(boardId) {
+    if (!kanbanBoardIndex.boards.some(board => board.id === boardId)) {
+        logWarn('Kanban Boards', `Cannot switch to unknown board '${boardId}'.`);
+        return;
+    }
+    kanbanBoardIndex.activeBoardId = boardId;
+    saveBoardIndex();
+    loadTasksFromStorage(); // Loads the active board and re-renders
+    switchBoardHistory(boardId);
+    renderBoardSwitcher();
+    logInfo('Kanban Boards', `Switched to board '${boardId}'.`);
+}
+
+/**
+ * Creates an empty board with the default columns and switches to it.
+ * @param {string} name - The new board's name.
+ * @returns {string | null} The new board's ID, or null if the name was empty.
+ */
+function createBoard(name) {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (trimmedName === '') return null;
+    const boardId = generateBoardId();
+    writeStoredJson(getBoardStorageKey(boardId), { columns: DEFAULT_KANBAN_COLUMNS, tasks: [] });
+    kanbanBoardIndex.boards.push({ id: boardId, name: trimmedName });
+    switchBoard(boardId);
+    return boardId;
+}
+
+/**
+ * Renames a board.
+ * @param {string} boardId - The board to rename.
+ * @param {string} name - Its new name.
+ * @returns {boolean} True if the board was renamed.
+ */
+function renameBoard(boardId, name) {
+    const board = kanbanBoardIndex.boards.find(existing => existing.id === boardId);
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!board || trimmedName === '') return false;
+    board.name = trimmedName;
+    saveBoardIndex();
+    renderBoardSwitcher();
+    return true;
+}
+
+/**
+ * Copies a board, with all of its columns, tasks and activity, and switches to the copy.
+ * @param {string} boardId - The board to copy.
+ * @returns {string | null} The copy's ID, or null if the board does not exist.
+ */
+function duplicateBoard(boardId) {
+    const board = kanbanBoardIndex.boards.find(existing => existing.id === boardId);
+    if (!board) return null;
+    const copyId = generateBoardId();
+    const storedBoard = readStoredJson(getBoardStorageKey(boardId));
+    writeStoredJson(getBoardStorageKey(copyId), storedBoard || { columns: DEFAULT_KANBAN_COLUMNS, tasks: [] });
+    writeStoredJson(getBoardActivityStorageKey(copyId), getBoardActivity(boardId)); // The copy keeps its tasks' history
+    const position = kanbanBoardIndex.boards.indexOf(board) + 1;
+    kanbanBoardIndex.boards.splice(position, 0, { id: copyId, name: `${board.name} (copy)` });
+    switchBoard(copyId);
+    return copyId;
+}
+
+/**
+ * Deletes a board and its data. The last remaining board cannot be deleted.
+ * If the deleted board was shown, the first remaining board is shown instead.
+ * @param {string} boardId - The board to delete.
+ * @returns {boolean} True if the board was deleted.
+ */
+function deleteBoard(boardId) {
+    if (kanbanBoardIndex.boards.length <= 1 || !kanbanBoardIndex.boards.some(board => board.id === boardId)) {
+        logWarn('Kanban Boards', `Cannot delete board '${boardId}'. It is missing or the last board.`);
+        return false;
+    }
+    kanbanBoardIndex.boards = kanbanBoardIndex.boards.filter(board => board.id !== boardId);
+    removeStoredItem(getBoardStorageKey(boardId));
+    removeStoredItem(getBoardActivityStorageKey(boardId));
+    clearBoardHistory(boardId);
+    if (kanbanBoardIndex.activeBoardId === boardId) {
+        switchBoard(kanbanBoardIndex.boards[0].id);
+    } else {
+        saveBoardIndex();
+        renderBoardSwitcher();
+    }
+    return true;
+}
+
+// --- Board Switcher UI ---
+
+/**
+ * Initializes the board switcher's DOM element variables.
+ * Called by initBoardSwitcher after the DOM is loaded.
+ */
+function initializeBoardSwitcherDOMElements() {
+    boardSwitcherSelect = document.getElementById('boardSwitcher');
+    newBoardBtn = document.getElementById('newBoardBtn');
+    renameBoardBtn = document.getElementById('renameBoardBtn');
+    duplicateBoardBtn = document.getElementById('duplicateBoardBtn');
+    deleteBoardBtn = document.getElementById('deleteBoardBtn');
+
+    // --- DOM Element Validation ---
+    checkRequiredElements('Kanban Boards', { boardSwitcher: boardSwitcherSelect }, "Only the active board can be used.");
+    checkRequiredElements('Kanban Boards', { newBoardBtn, renameBoardBtn, duplicateBoardBtn, deleteBoardBtn }, "Boards cannot be managed fully.", 'warn');
+}
+
+/**
+ * Fills the board switcher with the current boards and selects the active one.
+ */
+function renderBoardSwitcher() {
+    if (!(boardSwitcherSelect instanceof HTMLElement)) return;
+    boardSwitcherSelect.innerHTML = '';
+    kanbanBoardIndex.boards.forEach(board => {
+        const option = document.createElement('option');
+        option.value = board.id;
+        option.textContent = board.name;
+        option.selected = board.id === kanbanBoardIndex.activeBoardId;
+        boardSwitcherSelect.appendChild(option);
+    });
+    if (deleteBoardBtn) deleteBoardBtn.disabled = kanbanBoardIndex.boards.length <= 1;
+}
+
+/**
+ * Sets up the board switcher: fills it and wires the create, rename, duplicate and delete buttons.
+ * Called by initKanban after the board index has been loaded.
+ */
+function initBoardSwitcher() {
+    initializeBoardSwitcherDOMElements();
+    renderBoardSwitcher();
+
+    if (boardSwitcherSelect) {
+        boardSwitcherSelect.addEventListener('change', () => switchBoard(boardSwitcherSelect.value));
+    }
+    subscribeToStorageChanges(handleRemoteBoardIndexChange); // Boards added or removed in other tabs
+    if (newBoardBtn) {
+        newBoardBtn.addEventListener('click', () => {
+            const name = window.prompt("Name of the new board:", "New Board");
+            if (name !== null && !createBoard(name)) showKanbanToast("A board needs a name.");
+        });
+    }
+    if (renameBoardBtn) {
+        renameBoardBtn.addEventListener('click', () => {
+            const board = kanbanBoardIndex.boards.find(existing => existing.id === getActiveBoardId());
+            const name = window.prompt("New name for this board:", board ? board.name : '');
+            if (name !== null && !renameBoard(getActiveBoardId(), name)) showKanbanToast("A board needs a name.");
+        });
+    }
+    if (duplicateBoardBtn) {
+        duplicateBoardBtn.addEventListener('click', () => duplicateBoard(getActiveBoardId()));
+    }
+    if (deleteBoardBtn) {
+        deleteBoardBtn.addEventListener('click', () => {
+            const board = kanbanBoardIndex.boards.find(existing => existing.id === getActiveBoardId());
+            if (board && window.confirm(`Delete board '${board.name}' and all of its tasks? This cannot be undone.`)) {
+                deleteBoard(board.id);
+            }
+        });
+    }
+    logInfo('Kanban', "Board switcher initialized.");
+}
@@ -0,0 +1,306 @@
+// --- Kanban Task Checklists ---
+// A task can hold a checklist of smaller steps (its `subtasks`), edited in the task detail panel
+// and summarized on the card as a progress bar such as "3/5". Each change to a checklist is an
+// ordinary task update, so it can be undone and reaches other tabs like any other edit.
+// Optionally, ticking a task's last open item moves the task to the done column in the same step.
+
+const CHECKLIST_AUTO_COMPLETE_STORAGE_KEY = 'kanbanChecklistAutoComplete';
+
+// --- Checklist DOM Elements ---
+// These will be assigned in initializeChecklistDOMElements after the DOM is fully loaded.
+let taskDetailChecklist, taskDetailSubtaskInput, taskDetailAddSubtaskBtn, taskDetailChecklistProgress, checklistAutoCompleteToggle;
+
+// --- Checklist Changes ---
+
+/**
+ * Checks whether completing a checklist should move its task to the done column.
+ * @returns {boolean} True if the option is switched on.
+ */
+function isChecklistAutoCompleteEnabled() {
+    return readStoredJson(CHECKLIST_AUTO_COMPLETE_STORAGE_KEY) === true;
+}
+
+/**
+ * Switches moving tasks with a completed checklist to the done column on or off, for every board.
+ * @param {boolean} enabled - Whether to move them.
+ */
+function setChecklistAutoComplete(enabled) {
+    writeStoredJson(CHECKLIST_AUTO_COMPLETE_STORAGE_KEY, enabled === true);
+}
+
+/**
+ * Replaces a task's checklist as one undoable step.
+ * @param {string} taskId - The task.
+ * @param {Array<object>} subtasks - The new checklist.
+ * @param {string} label - What the change is called in the undo history.
+ * @returns {boolean} True if the task was updated.
+ */
+function updateTaskSubtasks(taskId, subtasks, label) {
+    return !!applyBoardOperation({ type: 'updateTask', taskId, changes: { subtasks }, label });
+}
+
+/**
+ * Adds an item to the end of a task's checklist.
+ * @param {string} taskId - The task.
+ * @param {string} text - The item's text.
+ * @returns {boolean} True if the item was added; empty text is rejected.
+ */
+function addSubtask(taskId, text) {
+    const task = getBoardTask(taskId);
+    const trimmedText = typeof text === 'string' ? text.trim() : '';
+    if (!task || trimmedText === '') return false;
+    const subtasks = task.subtasks.concat([{ id: generateSubtaskId(), text: trimmedText, done: false }]);
+    return updateTaskSubtasks(taskId, subtasks, 'Checklist item added');
+}
+
+/**
+ * Ticks or unticks a checklist item. When this ticks the last open item, the task is on a
+ * board with a done column and the auto-complete option is on, the task is also moved to the
+ * done column (subject to its WIP limit); both are undone together.
+ * @param {string} taskId - The task.
+ * @param {string} subtaskId - The item.
+ * @param {boolean} done - Whether the item is done.
+ * @returns {boolean} True if the task was updated.
+ */
+function setSubtaskDone(taskId, subtaskId, done) {
+    const task = getBoardTask(taskId);
+    if (!task || !task.subtasks.some(subtask => subtask.id === subtaskId)) return false;
+    const subtasks = task.subtasks.map(subtask => (subtask.id === subtaskId ? { ...subtask, done } : subtask));
+    const updateOperation = { type: 'updateTask', taskId, changes: { subtasks } };
+    const doneColumnId = getDoneColumnId();
+    const completesChecklist = done && subtasks.every(subtask => subtask.done);
+    if (completesChecklist && isChecklistAutoCompleteEnabled() && doneColumnId && task.status !== doneColumnId) {
+        if (canColumnAcceptTask(doneColumnId, taskId)) {
+            return !!applyBoardOperation({
+                type: 'batch',
+                label: 'Checklist completed',
+                operations: [updateOperation, { type: 'moveTask', taskId, columnId: doneColumnId }]
+            });
+        }
+        showKanbanToast('Checklist complete, but the done column is at its WIP limit.');
+    }
+    return !!applyBoardOperation({ ...updateOperation, label: done ? 'Checklist item ticked' : 'Checklist item unticked' });
+}
+
+/**
+ * Moves a checklist item up or down.
+ * @param {string} taskId - The task.
+ * @param {string} subtaskId - The item.
+ * @param {number} offset - -1 to move it up, 1 to move it down.
+ * @returns {boolean} True if the item was moved.
+ */
+function moveSubtask(taskId, subtaskId, offset) {
+    const task = getBoardTask(taskId);
+    if (!task) return false;
+    const index = task.subtasks.findIndex(subtask => subtask.id === subtaskId);
+    const newIndex = index + offset;
+    if (index === -1 || newIndex < 0 || newIndex >= task.subtasks.length) return false;
+    const subtasks = task.subtasks.slice();
+    const [subtask] = subtasks.splice(index, 1);
+    subtasks.splice(newIndex, 0, subtask);
+    return updateTaskSubtasks(taskId, subtasks, 'Checklist reordered');
+}
+
+/**
+ * Removes an item from a task's checklist.
+ * @param {string} taskId - The task.
+ * @param {string} subtaskId - The item.
+ * @returns {boolean} True if the item was removed.
+ */
+function deleteSubtask(taskId, subtaskId) {
+    const task = getBoardTask(taskId);
+    if (!task || !task.subtasks.some(subtask => subtask.id === subtaskId)) return false;
+    return updateTaskSubtasks(taskId, task.subtasks.filter(subtask => subtask.id !== subtaskId), 'Checklist item deleted');
+}
+
+// --- Checklist Rendering ---
+
+/**
+ * Creates the progress bar shown on a card with a checklist, e.g. "3/5".
+ * @param {object} task - The task.
+ * @returns {HTMLElement | null} The progress element, or null if the task has no checklist.
+ */
+function createChecklistProgressElement(task) {
+    const progress = getSubtaskProgress(task);
+    if (progress.total === 0) return null;
+    const progressDiv = document.createElement('div');
+    progressDiv.className = 'checklist-progress';
+    if (progress.done === progress.total) progressDiv.classList.add('checklist-progress-complete');
+    progressDiv.setAttribute('role', 'progressbar');
+    progressDiv.setAttribute('aria-valuemin', '0');
+    progressDiv.setAttribute('aria-valuemax', String(progress.total));
+    progressDiv.setAttribute('aria-valuenow', String(progress.done));
+    progressDiv.setAttribute('aria-label', `Checklist: ${progress.done} of ${progress.total} done`);
+    const track = document.createElement('span');
+    track.className = 'checklist-progress-track';
+    const fill = document.createElement('span');
+    fill.className = 'checklist-progress-fill';
+    fill.style.width = `${(progress.done / progress.total) * 100}%`;
+    track.appendChild(fill);
+    const label = document.createElement('span');
+    label.className = 'checklist-progress-label';
+    label.textContent = `${progress.done}/${progress.total}`;
+    progressDiv.append(track, label);
+    return progressDiv;
+}
+
+/**
+ * Creates a small icon button for a checklist item.
+ * @param {string} action - What the button does: 'up', 'down' or 'delete'.
+ * @param {string} symbol - The HTML shown on the button.
+ * @param {string} label - The button's accessible name.
+ * @param {string} subtaskId - The item it acts on.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createChecklistItemButton(action, symbol, label, subtaskId) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = action === 'delete' ? 'delete-btn' : 'task-action-btn';
+    button.innerHTML = symbol;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.dataset.checklistAction = action;
+    button.dataset.subtaskId = subtaskId;
+    return button;
+}
+
+/**
+ * Fills the detail panel's checklist for a task. Keeps keyboard focus on the same control
+ * when the list is rebuilt after a change.
+ * @param {string} taskId - The task shown in the panel.
+ */
+function renderTaskChecklist(taskId) {
+    if (!(taskDetailChecklist instanceof HTMLElement)) return;
+    const task = getBoardTask(taskId);
+    const focused = document.activeElement;
+    const focusedAction = focused && taskDetailChecklist.contains(focused) ? focused.dataset.checklistAction : null;
+    const focusedSubtaskId = focusedAction ? focused.dataset.subtaskId : null;
+
+    taskDetailChecklist.innerHTML = '';
+    const subtasks = task ? task.subtasks : [];
+    subtasks.forEach((subtask, index) => {
+        const item = document.createElement('li');
+        item.className = 'checklist-item';
+        const checkboxLabel = document.createElement('label');
+        checkboxLabel.className = 'checklist-item-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = subtask.done;
+        checkbox.dataset.checklistAction = 'toggle';
+        checkbox.dataset.subtaskId = subtask.id;
+        const text = document.createElement('span');
+        text.textContent = subtask.text;
+        if (subtask.done) text.className = 'checklist-item-done';
+        checkboxLabel.append(checkbox, text);
+        item.appendChild(checkboxLabel);
+
+        const upBtn = createChecklistItemButton('up', '&uarr;', `Move "${subtask.text}" up`, subtask.id);
+        upBtn.disabled = index === 0;
+        const downBtn = createChecklistItemButton('down', '&darr;', `Move "${subtask.text}" down`, subtask.id);
+        downBtn.disabled = index === subtasks.length - 1;
+        item.append(upBtn, downBtn, createChecklistItemButton('delete', '&times;', `Delete "${subtask.text}"`, subtask.id));
+        taskDetailChecklist.appendChild(item);
+    });
+
+    if (taskDetailChecklistProgress instanceof HTMLElement) {
+        const progress = task ? getSubtaskProgress(task) : { done: 0, total: 0 };
+        taskDetailChecklistProgress.textContent = progress.total > 0 ? `${progress.done}/${progress.total} done` : '';
+    }
+    if (focusedAction) {
+        const sameControl = taskDetailChecklist.querySelector(`[data-checklist-action="${focusedAction}"][data-subtask-id="${focusedSubtaskId}"]`);
+        const target = sameControl && !sameControl.disabled ? sameControl : taskDetailChecklist.querySelector(`[data-subtask-id="${focusedSubtaskId}"]`);
+        (target || taskDetailSubtaskInput || taskDetailChecklist).focus();
+    }
+}
+
+/**
+ * Handles clicks and ticks inside the detail panel's checklist.
+ * @param {Event} event - The click or change event.
+ */
+function handleChecklistAction(event) {
+    const control = event.target.closest('[data-checklist-action]');
+    if (!control || !editingTaskId) return;
+    const subtaskId = control.dataset.subtaskId;
+    switch (control.dataset.checklistAction) {
+        case 'toggle':
+            if (event.type === 'change') setSubtaskDone(editingTaskId, subtaskId, control.checked);
+            break;
+        case 'up':
+            if (event.type === 'click') moveSubtask(editingTaskId, subtaskId, -1);
+            break;
+        case 'down':
+            if (event.type === 'click') moveSubtask(editingTaskId, subtaskId, 1);
+            break;
+        case 'delete':
+            if (event.type === 'click') deleteSubtask(editingTaskId, subtaskId);
+            break;
+    }
+}
+
+/**
+ * Adds the item typed into the detail panel's checklist input.
+ */
+function addSubtaskFromInput() {
+    if (!editingTaskId || !taskDetailSubtaskInput) return;
+    if (addSubtask(editingTaskId, taskDetailSubtaskInput.value)) {
+        taskDetailSubtaskInput.value = '';
+    }
+    taskDetailSubtaskInput.focus();
+}
+
+/**
+ * Board listener that keeps the open detail panel's checklist in step with the task,
+ * e.g. after an undo or a change made in another tab.
+ * @param {object} change - The change object emitted by the board store.
+ */
+function handleBoardChangeForChecklist(change) {
+    if (!editingTaskId || !taskDetailPanel || taskDetailPanel.classList.contains('hidden')) return;
+    if (change.type === 'reset' || flattenBoardChange(change).some(singleChange => singleChange.taskId === editingTaskId)) {
+        renderTaskChecklist(editingTaskId);
+    }
+}
+
+/**
+ * Initializes the checklist's DOM element variables.
+ * Called by initTaskChecklists after the DOM is loaded.
+ */
+function initializeChecklistDOMElements() {
+    taskDetailChecklist = document.getElementById('taskDetailChecklist');
+    taskDetailSubtaskInput = document.getElementById('taskDetailSubtaskInput');
+    taskDetailAddSubtaskBtn = document.getElementById('taskDetailAddSubtaskBtn');
+    taskDetailChecklistProgress = document.getElementById('taskDetailChecklistProgress');
+    checklistAutoCompleteToggle = document.getElementById('checklistAutoCompleteToggle');
+
+    // --- DOM Element Validation ---
+    const requiredElements = { taskDetailChecklist, taskDetailSubtaskInput, taskDetailAddSubtaskBtn, taskDetailChecklistProgress, checklistAutoCompleteToggle };
+    checkRequiredElements('Kanban Checklist', requiredElements, "Checklists cannot be edited fully.");
+}
+
+/**
+ * Sets up editing checklists in the task detail panel. Called by initKanban.
+ */
+function initTaskChecklists() {
+    initializeChecklistDOMElements();
+    if (taskDetailChecklist) {
+        taskDetailChecklist.addEventListener('click', handleChecklistAction);
+        taskDetailChecklist.addEventListener('change', handleChecklistAction);
+    }
+    if (taskDetailAddSubtaskBtn) taskDetailAddSubtaskBtn.addEventListener('click', addSubtaskFromInput);
+    if (taskDetailSubtaskInput) {
+        taskDetailSubtaskInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                addSubtaskFromInput();
+            }
+        });
+    }
+    if (checklistAutoCompleteToggle) {
+        checklistAutoCompleteToggle.checked = isChecklistAutoCompleteEnabled();
+        checklistAutoCompleteToggle.addEventListener('change', () => setChecklistAutoComplete(checklistAutoCompleteToggle.checked));
+        subscribeToStorageChanges((key) => {
+            if (key === CHECKLIST_AUTO_COMPLETE_STORAGE_KEY) checklistAutoCompleteToggle.checked = isChecklistAutoCompleteEnabled();
+        });
+    }
+    subscribeToBoard(handleBoardChangeForChecklist);
+    logInfo('Kanban', "Task checklists initialized.");
+}
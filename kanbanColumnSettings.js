@@ -0,0 +1,173 @@
+// --- Kanban Column Settings Panel Elements ---
+// These will be assigned in initializeColumnSettingsDOMElements after the DOM is fully loaded.
+let columnSettingsPanel, columnSettingsNameInput, columnSettingsWipLimitInput, columnSettingsWipModeSelect;
+let columnSettingsIsDoneCheckbox, columnSettingsExistingActions, columnMoveLeftBtn, columnMoveRightBtn;
+let columnDeleteBtn, columnSettingsSaveBtn, columnSettingsCancelBtn;
+let editingColumnId = null; // ID of the column shown in the panel, or null when adding a new column
+
+/**
+ * Initializes the column settings panel's DOM element variables.
+ * Called by initColumnSettingsPanel after the DOM is loaded.
+ */
+function initializeColumnSettingsDOMElements() {
+    columnSettingsPanel = document.getElementById('columnSettingsPanel');
+    columnSettingsNameInput = document.getElementById('columnSettingsName');
+    columnSettingsWipLimitInput = document.getElementById('columnSettingsWipLimit');
+    columnSettingsWipModeSelect = document.getElementById('columnSettingsWipMode');
+    columnSettingsIsDoneCheckbox = document.getElementById('columnSettingsIsDone');
+    columnSettingsExistingActions = document.getElementById('columnSettingsExistingActions');
+    columnMoveLeftBtn = document.getElementById('columnMoveLeftBtn');
+    columnMoveRightBtn = document.getElementById('columnMoveRightBtn');
+    columnDeleteBtn = document.getElementById('columnDeleteBtn');
+    columnSettingsSaveBtn = document.getElementById('columnSettingsSaveBtn');
+    columnSettingsCancelBtn = document.getElementById('columnSettingsCancelBtn');
+
+    // --- DOM Element Validation ---
+    const requiredElements = {
+        columnSettingsPanel, columnSettingsName: columnSettingsNameInput, columnSettingsWipLimit: columnSettingsWipLimitInput,
+        columnSettingsWipMode: columnSettingsWipModeSelect, columnSettingsIsDone: columnSettingsIsDoneCheckbox,
+        columnSettingsExistingActions, columnMoveLeftBtn, columnMoveRightBtn, columnDeleteBtn,
+        columnSettingsSaveBtn, columnSettingsCancelBtn
+    };
+    checkRequiredElements('Kanban Columns', requiredElements, "Columns cannot be configured.");
+}
+
+/**
+ * Checks that the panel's form elements were found.
+ * @returns {boolean} True if the panel can be used.
+ */
+function isColumnSettingsPanelAvailable() {
+    return !!(columnSettingsPanel && columnSettingsNameInput && columnSettingsWipLimitInput &&
+        columnSettingsWipModeSelect && columnSettingsIsDoneCheckbox);
+}
+
+/**
+ * Opens the settings panel for an existing column, or for a new column when given null.
+ * @param {string | null} columnId - The column to configure.
+ */
+function openColumnSettingsPanel(columnId) {
+    const column = columnId ? getBoardColumn(columnId) : null;
+    if ((columnId && !column) || !isColumnSettingsPanelAvailable()) {
+        logWarn('Kanban Columns', `Cannot open settings for column '${columnId}'.`);
+        return;
+    }
+    editingColumnId = columnId;
+    columnSettingsNameInput.value = column ? column.title : '';
+    columnSettingsWipLimitInput.value = column && column.wipLimit !== null ? column.wipLimit : '';
+    columnSettingsWipModeSelect.value = column ? column.wipMode : 'warn';
+    columnSettingsIsDoneCheckbox.checked = !!column && column.isDone;
+    if (columnSettingsExistingActions) {
+        columnSettingsExistingActions.classList.toggle('hidden', !column); // Move/delete only apply to existing columns
+    }
+    columnSettingsPanel.classList.remove('hidden');
+    columnSettingsNameInput.focus();
+}
+
+/**
+ * Closes the settings panel without saving.
+ */
+function closeColumnSettingsPanel() {
+    editingColumnId = null;
+    if (columnSettingsPanel) columnSettingsPanel.classList.add('hidden');
+}
+
+/**
+ * Saves the panel's values: creates the new column or updates the existing one, and
+ * marks or unmarks it as the done column.
+ */
+function saveColumnSettingsPanel() {
+    if (!isColumnSettingsPanelAvailable()) return;
+    const title = columnSettingsNameInput.value.trim();
+    if (title === '') {
+        columnSettingsNameInput.classList.add('border-red-500');
+        setTimeout(() => columnSettingsNameInput.classList.remove('border-red-500'), 2500);
+        return;
+    }
+    const settings = {
+        title,
+        wipLimit: columnSettingsWipLimitInput.value === '' ? null : parseInt(columnSettingsWipLimitInput.value, 10),
+        wipMode: columnSettingsWipModeSelect.value
+    };
+
+    let columnId = editingColumnId;
+    if (columnId) {
+        const column = getBoardColumn(columnId);
+        const changed = Object.keys(settings).some(key => settings[key] !== column[key]);
+        if (changed) updateColumnOnBoard(columnId, settings);
+    } else {
+        const column = addColumnToBoard(settings);
+        if (!column) return;
+        columnId = column.id;
+    }
+
+    // Only one column can be the done column, so marking this one unmarks any other
+    if (columnSettingsIsDoneCheckbox.checked && !isDoneColumn(columnId)) {
+        setDoneColumn(columnId);
+    } else if (!columnSettingsIsDoneCheckbox.checked && isDoneColumn(columnId)) {
+        setDoneColumn(null);
+    }
+    closeColumnSettingsPanel();
+}
+
+/**
+ * Moves the column shown in the panel one position left or right.
+ * @param {number} offset - -1 for left, 1 for right.
+ */
+function moveEditedColumn(offset) {
+    if (!editingColumnId) return;
+    const index = getBoardColumns().findIndex(column => column.id === editingColumnId);
+    const newIndex = index + offset;
+    if (index === -1 || newIndex < 0 || newIndex >= getBoardColumns().length) return;
+    moveColumnOnBoard(editingColumnId, newIndex);
+}
+
+/**
+ * Deletes the column shown in the panel after confirmation. Its tasks move to the first
+ * remaining column; the deletion can be undone.
+ */
+function deleteEditedColumn() {
+    if (!editingColumnId) return;
+    const columns = getBoardColumns();
+    const column = columns.find(existing => existing.id === editingColumnId);
+    const targetColumn = columns.find(existing => existing.id !== editingColumnId);
+    if (!column || !targetColumn) {
+        showKanbanToast("A board needs at least one column.");
+        return;
+    }
+    const taskCount = getColumnTasks(column.id).length;
+    if (taskCount > 0 && !window.confirm(`Delete column '${column.title}'? Its ${taskCount} task(s) will move to '${targetColumn.title}'.`)) {
+        return;
+    }
+    if (deleteColumnFromBoard(column.id, targetColumn.id)) {
+        closeColumnSettingsPanel();
+        showKanbanToast(`Column '${column.title}' deleted`, { actionLabel: 'Undo', onAction: undoLastBoardChange });
+    }
+}
+
+/**
+ * Sets up the column settings panel: element references, buttons and keyboard handling.
+ * Called by initKanban.
+ */
+function initColumnSettingsPanel() {
+    initializeColumnSettingsDOMElements();
+    if (columnSettingsSaveBtn) columnSettingsSaveBtn.addEventListener('click', saveColumnSettingsPanel);
+    if (columnSettingsCancelBtn) columnSettingsCancelBtn.addEventListener('click', closeColumnSettingsPanel);
+    if (columnMoveLeftBtn) columnMoveLeftBtn.addEventListener('click', () => moveEditedColumn(-1));
+    if (columnMoveRightBtn) columnMoveRightBtn.addEventListener('click', () => moveEditedColumn(1));
+    if (columnDeleteBtn) columnDeleteBtn.addEventListener('click', deleteEditedColumn);
+    if (columnSettingsPanel) {
+        // Clicking the dimmed backdrop or pressing Escape closes the panel
+        columnSettingsPanel.addEventListener('click', (event) => {
+            if (event.target === columnSettingsPanel) closeColumnSettingsPanel();
+        });
+        columnSettingsPanel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                closeColumnSettingsPanel();
+            } else if (event.key === 'Enter' && event.target instanceof HTMLInputElement && event.target.type !== 'checkbox') {
+                event.preventDefault();
+                saveColumnSettingsPanel();
+            }
+        });
+    }
+    logInfo('Kanban', "Column settings panel initialized.");
+}
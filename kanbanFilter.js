@@ -0,0 +1,380 @@
+// --- Kanban Search and Filter ---
+// Filters the cards shown on the board by free text and by chips for column, tag, priority and
+// due date. Filtering only hides cards; the board state is untouched, so dragging, undo and
+// saving work as usual. The active filter is kept in the page's query string (e.g.
+// ?q=report&tag=urgent&due=overdue) so a filtered view can be bookmarked or shared.
+
+/**
+ * Due-date filter options, in the order their chips are shown.
+ * @type {Array<{value: string, label: string}>}
+ */
+const DUE_FILTER_OPTIONS = [
+    { value: 'overdue', label: 'Overdue' },
+    { value: 'today', label: 'Due today' },
+    { value: 'week', label: 'Due within 7 days' },
+    { value: 'none', label: 'No due date' }
+];
+
+const FILTER_URL_PARAMS = { query: 'q', statuses: 'status', tags: 'tag', priorities: 'priority', dues: 'due' };
+
+let boardFilter = createEmptyBoardFilter();
+
+// --- Filter DOM Elements ---
+// These will be assigned in initializeBoardFilterDOMElements after the DOM is fully loaded.
+let boardSearchInput, boardFilterChips, boardFilterSummary, clearBoardFilterBtn;
+
+// --- Filter State ---
+
+/**
+ * Creates a filter that matches every task. Within a chip group any selected value may match;
+ * across groups (and the text query) all must match.
+ * @returns {{query: string, statuses: string[], tags: string[], priorities: string[], dues: string[]}} The filter.
+ */
+function createEmptyBoardFilter() {
+    return { query: '', statuses: [], tags: [], priorities: [], dues: [] };
+}
+
+/**
+ * Checks whether a filter would hide anything.
+ * @param {object} filter - The filter to check.
+ * @returns {boolean} True if any text or chip is set.
+ */
+function isBoardFilterActive(filter) {
+    return filter.query.trim() !== '' ||
+        ['statuses', 'tags', 'priorities', 'dues'].some(group => filter[group].length > 0);
+}
+
+/**
+ * Splits a search query into lower-case words; a task must contain all of them.
+ * @param {string} query - The search text.
+ * @returns {string[]} The search terms.
+ */
+function getSearchTerms(query) {
+    return query.toLowerCase().split(/\s+/).filter(term => term !== '');
+}
+
+/**
+ * Checks a task's due date against one due-date filter option.
+ * @param {object} task - The task.
+ * @param {string} due - 'overdue', 'today', 'week' or 'none'.
+ * @returns {boolean} True if the task matches the option.
+ */
+function matchesDueFilter(task, due) {
+    const today = getTodayDateString();
+    switch (due) {
+        case 'overdue':
+            return isTaskOverdue(task);
+        case 'today':
+            return task.dueDate === today;
+        case 'week': {
+            const weekEnd = new Date();
+            weekEnd.setDate(weekEnd.getDate() + 6);
+            return !!task.dueDate && task.dueDate >= today && task.dueDate <= getTodayDateString(weekEnd);
+        }
+        case 'none':
+            return !task.dueDate;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Checks whether a task passes a filter. The text query is matched against the task's text,
+ * description, tags and checklist items, ignoring case.
+ * @param {object} task - The task.
+ * @param {object} filter - The filter.
+ * @returns {boolean} True if the task should be shown.
+ */
+function taskMatchesBoardFilter(task, filter) {
+    const searchableText = [task.text, task.description].concat(task.tags, task.subtasks.map(subtask => subtask.text)).join('\n').toLowerCase();
+    if (!getSearchTerms(filter.query).every(term => searchableText.includes(term))) return false;
+    if (filter.statuses.length > 0 && !filter.statuses.includes(task.status)) return false;
+    if (filter.priorities.length > 0 && !filter.priorities.includes(task.priority)) return false;
+    if (filter.tags.length > 0) {
+        const taskTags = task.tags.map(tag => tag.toLowerCase());
+        if (!filter.tags.some(tag => taskTags.includes(tag.toLowerCase()))) return false;
+    }
+    if (filter.dues.length > 0 && !filter.dues.some(due => matchesDueFilter(task, due))) return false;
+    return true;
+}
+
+/**
+ * Checks whether a task's card is currently hidden by the filter.
+ * @param {string} taskId - The task.
+ * @returns {boolean} True if the card is hidden.
+ */
+function isTaskHiddenByFilter(taskId) {
+    const task = getBoardTask(taskId);
+    return !!task && !taskMatchesBoardFilter(task, boardFilter);
+}
+
+// --- URL Persistence ---
+
+/**
+ * Reads a filter from a query string.
+ * @param {string} search - The query string, e.g. location.search.
+ * @returns {object} The filter it describes.
+ */
+function parseBoardFilterFromUrl(search) {
+    const params = new URLSearchParams(search);
+    const filter = createEmptyBoardFilter();
+    filter.query = params.get(FILTER_URL_PARAMS.query) || '';
+    filter.statuses = params.getAll(FILTER_URL_PARAMS.statuses);
+    filter.tags = normalizeTags(params.getAll(FILTER_URL_PARAMS.tags));
+    filter.priorities = params.getAll(FILTER_URL_PARAMS.priorities).filter(priority => TASK_PRIORITIES.includes(priority));
+    filter.dues = params.getAll(FILTER_URL_PARAMS.dues).filter(due => DUE_FILTER_OPTIONS.some(option => option.value === due));
+    return filter;
+}
+
+/**
+ * Writes the current filter into the page's query string without adding a history entry.
+ * Query parameters that do not belong to the filter are kept.
+ */
+function saveBoardFilterToUrl() {
+    const params = new URLSearchParams(window.location.search);
+    Object.values(FILTER_URL_PARAMS).forEach(name => params.delete(name));
+    if (boardFilter.query.trim() !== '') params.set(FILTER_URL_PARAMS.query, boardFilter.query);
+    ['statuses', 'tags', 'priorities', 'dues'].forEach(group => {
+        boardFilter[group].forEach(value => params.append(FILTER_URL_PARAMS[group], value));
+    });
+    const queryString = params.toString();
+    const url = window.location.pathname + (queryString ? `?${queryString}` : '') + window.location.hash;
+    try {
+        history.replaceState(history.state, '', url);
+    } catch (e) {
+        logWarn('Kanban Filter', "Could not update the URL with the current filter.", e);
+    }
+}
+
+// --- Filter Rendering ---
+
+/**
+ * Initializes the filter bar's DOM element variables.
+ * Called by initBoardFilter after the DOM is loaded.
+ */
+function initializeBoardFilterDOMElements() {
+    boardSearchInput = document.getElementById('boardSearchInput');
+    boardFilterChips = document.getElementById('boardFilterChips');
+    boardFilterSummary = document.getElementById('boardFilterSummary');
+    clearBoardFilterBtn = document.getElementById('clearBoardFilterBtn');
+
+    // --- DOM Element Validation ---
+    checkRequiredElements('Kanban Filter', { boardSearchInput }, "Tasks cannot be searched.");
+    checkRequiredElements('Kanban Filter', { boardFilterChips }, "Filter chips will not be shown.", 'warn');
+    checkRequiredElements('Kanban Filter', { boardFilterSummary, clearBoardFilterBtn }, '', 'warn');
+}
+
+/**
+ * Replaces an element's text with the same text, with every occurrence of the search terms
+ * wrapped in a <mark>.
+ * @param {HTMLElement} element - The element to highlight in.
+ * @param {string} text - The element's text.
+ * @param {string[]} terms - The lower-case search terms.
+ */
+function highlightSearchTerms(element, text, terms) {
+    element.textContent = '';
+    if (terms.length === 0) {
+        element.textContent = text;
+        return;
+    }
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    text.split(pattern).forEach((part, index) => {
+        if (part === '') return;
+        if (index % 2 === 1) { // split() puts the captured matches at odd positions
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = part;
+            element.appendChild(mark);
+        } else {
+            element.appendChild(document.createTextNode(part));
+        }
+    });
+}
+
+/**
+ * Shows or hides every card according to the filter, highlights the search terms and updates
+ * the column counts and the summary. Called by renderBoard after the cards are rebuilt, and
+ * whenever the filter changes.
+ */
+function applyBoardFilter() {
+    const filterActive = isBoardFilterActive(boardFilter);
+    const terms = getSearchTerms(boardFilter.query);
+    let visibleTotal = 0;
+    let taskTotal = 0;
+
+    getBoardColumns().forEach(column => {
+        const tasks = getColumnTasks(column.id);
+        let visibleCount = 0;
+        tasks.forEach(task => {
+            const taskElement = document.getElementById(task.id);
+            if (!(taskElement instanceof HTMLElement)) return;
+            const matches = taskMatchesBoardFilter(task, boardFilter);
+            taskElement.classList.toggle('task-filtered-out', !matches);
+            if (matches) visibleCount++;
+            const taskTextSpan = taskElement.querySelector('span.task-text-color');
+            if (taskTextSpan) highlightSearchTerms(taskTextSpan, task.text, terms);
+            taskElement.querySelectorAll('.tag-chip').forEach(tagChip => highlightSearchTerms(tagChip, tagChip.textContent, terms));
+        });
+        visibleTotal += visibleCount;
+        taskTotal += tasks.length;
+
+        renderColumnWipStatus(column.id); // Restores the plain count when the filter was just cleared
+        const columnDiv = columnElementsMap[column.id];
+        const countSpan = columnDiv instanceof HTMLElement ? columnDiv.querySelector('.column-count') : null;
+        if (countSpan && filterActive) {
+            countSpan.textContent = `${visibleCount} of ${tasks.length}`;
+            countSpan.title = `${visibleCount} of ${tasks.length} tasks match the filter`;
+        }
+    });
+
+    if (boardFilterSummary) {
+        boardFilterSummary.textContent = filterActive ? `Showing ${visibleTotal} of ${taskTotal} tasks` : '';
+    }
+    if (clearBoardFilterBtn) clearBoardFilterBtn.classList.toggle('hidden', !filterActive);
+    renderTaskSelection(); // Cards the filter hides drop out of the selection
+}
+
+/**
+ * Creates a toggle chip for one filter value.
+ * @param {string} group - The filter group ('statuses', 'tags', 'priorities' or 'dues').
+ * @param {string} value - The value the chip selects.
+ * @param {string} label - The chip's text.
+ * @returns {HTMLElement} The chip button.
+ */
+function createFilterChip(group, value, label) {
+    const chip = document.createElement('button');
+    const selected = boardFilter[group].includes(value);
+    chip.type = 'button';
+    chip.className = selected ? 'filter-chip filter-chip-selected' : 'filter-chip';
+    chip.textContent = label;
+    chip.setAttribute('aria-pressed', String(selected));
+    chip.dataset.filterGroup = group;
+    chip.dataset.filterValue = value;
+    chip.addEventListener('click', () => toggleBoardFilterValue(group, value));
+    return chip;
+}
+
+/**
+ * Creates a labelled row of chips.
+ * @param {string} label - The group's label.
+ * @param {Array<HTMLElement>} chips - The chips.
+ * @returns {HTMLElement} The group element.
+ */
+function createFilterChipGroup(label, chips) {
+    const groupDiv = document.createElement('div');
+    groupDiv.className = 'filter-group';
+    groupDiv.setAttribute('role', 'group');
+    groupDiv.setAttribute('aria-label', label);
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'filter-group-label';
+    labelSpan.textContent = `${label}:`;
+    groupDiv.appendChild(labelSpan);
+    chips.forEach(chip => groupDiv.appendChild(chip));
+    return groupDiv;
+}
+
+/**
+ * Rebuilds the filter chips from the board's current columns and tags. Selected tags that no
+ * task has any more keep their chip so they can be deselected.
+ */
+function renderBoardFilterChips() {
+    if (!(boardFilterChips instanceof HTMLElement)) return;
+    // Rebuilding the chips would drop keyboard focus from the chip that was just toggled
+    const focusedChip = boardFilterChips.contains(document.activeElement) ? document.activeElement.dataset : null;
+    boardFilterChips.innerHTML = '';
+
+    const statusChips = getBoardColumns().map(column => createFilterChip('statuses', column.id, column.title));
+    boardFilterChips.appendChild(createFilterChipGroup('Status', statusChips));
+
+    const priorityChips = TASK_PRIORITIES.slice().reverse()
+        .map(priority => createFilterChip('priorities', priority, priority === 'none' ? 'No priority' : priority.charAt(0).toUpperCase() + priority.slice(1)));
+    boardFilterChips.appendChild(createFilterChipGroup('Priority', priorityChips));
+
+    const dueChips = DUE_FILTER_OPTIONS.map(option => createFilterChip('dues', option.value, option.label));
+    boardFilterChips.appendChild(createFilterChipGroup('Due', dueChips));
+
+    const tags = normalizeTags(getAllBoardTasks().flatMap(task => task.tags).concat(boardFilter.tags))
+        .sort((a, b) => a.localeCompare(b));
+    if (tags.length > 0) {
+        boardFilterChips.appendChild(createFilterChipGroup('Tags', tags.map(tag => createFilterChip('tags', tag, tag))));
+    }
+
+    if (focusedChip) {
+        const chipToFocus = Array.from(boardFilterChips.querySelectorAll('.filter-chip')).find(chip =>
+            chip.dataset.filterGroup === focusedChip.filterGroup && chip.dataset.filterValue === focusedChip.filterValue);
+        if (chipToFocus) chipToFocus.focus();
+    }
+}
+
+// --- Filter Changes ---
+
+/**
+ * Replaces the filter, then updates the cards, chips and URL.
+ * @param {object} filter - The new filter.
+ */
+function setBoardFilter(filter) {
+    boardFilter = filter;
+    if (boardSearchInput && boardSearchInput.value !== filter.query) boardSearchInput.value = filter.query;
+    renderBoardFilterChips();
+    applyBoardFilter();
+    saveBoardFilterToUrl();
+}
+
+/**
+ * Selects or deselects one chip value.
+ * @param {string} group - The filter group ('statuses', 'tags', 'priorities' or 'dues').
+ * @param {string} value - The value to toggle.
+ */
+function toggleBoardFilterValue(group, value) {
+    const values = boardFilter[group];
+    const newValues = values.includes(value) ? values.filter(existing => existing !== value) : values.concat([value]);
+    setBoardFilter({ ...boardFilter, [group]: newValues });
+}
+
+/**
+ * Clears the search text and every chip.
+ */
+function clearBoardFilter() {
+    setBoardFilter(createEmptyBoardFilter());
+}
+
+/**
+ * Board listener that keeps the chips in step with the board: new tags get chips, and
+ * status chips follow the columns. Column filters for columns the board no longer has
+ * (e.g. after switching boards) are dropped.
+ * @param {object} change - The change object emitted by the board store.
+ */
+function handleBoardChangeForFilter(change) {
+    const columnIds = getBoardColumns().map(column => column.id);
+    const statuses = boardFilter.statuses.filter(status => columnIds.includes(status));
+    if (statuses.length !== boardFilter.statuses.length) {
+        setBoardFilter({ ...boardFilter, statuses });
+        return;
+    }
+    renderBoardFilterChips();
+}
+
+/**
+ * Sets up the search box and chips, and restores the filter from the URL.
+ * Called by initKanban after the board has been loaded.
+ */
+function initBoardFilter() {
+    initializeBoardFilterDOMElements();
+    if (boardSearchInput) {
+        boardSearchInput.addEventListener('input', () => setBoardFilter({ ...boardFilter, query: boardSearchInput.value }));
+        boardSearchInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && boardSearchInput.value !== '') {
+                event.preventDefault();
+                setBoardFilter({ ...boardFilter, query: '' });
+            }
+        });
+    }
+    if (clearBoardFilterBtn) clearBoardFilterBtn.addEventListener('click', clearBoardFilter);
+    subscribeToBoard(handleBoardChangeForFilter);
+
+    const filter = parseBoardFilterFromUrl(window.location.search);
+    filter.statuses = filter.statuses.filter(status => hasBoardColumn(status));
+    setBoardFilter(filter);
+    if (isBoardFilterActive(filter)) logInfo('Kanban', "Restored the board filter from the URL.");
+    logInfo('Kanban', "Search and filter bar initialized.");
+}
@@ -0,0 +1,181 @@
+// --- Kanban Undo/Redo History ---
+// Records the inverse of every user change to the board so it can be undone and redone.
+// Each board has its own history, kept in sessionStorage, so it survives a page reload but
+// not the end of the browser session.
+
+const KANBAN_HISTORY_STORAGE_KEY = 'kanbanHistory';
+const KANBAN_HISTORY_LIMIT = 100; // Maximum number of undo steps kept
+
+let historyBoardId = null; // The board whose history is loaded
+let undoStack = []; // Entries of the form { label, operation }, most recent last
+let redoStack = [];
+
+/**
+ * Returns the sessionStorage key holding a board's undo history.
+ * @param {string} boardId - The board ID.
+ * @returns {string} The storage key.
+ */
+function getBoardHistoryStorageKey(boardId) {
+    return `${KANBAN_HISTORY_STORAGE_KEY}:${boardId}`;
+}
+
+/**
+ * Describes a board change in a few words, for toasts and history labels.
+ * @param {object} change - The change object emitted by the board store.
+ * @returns {string} A short, human-readable label such as "Task moved".
+ */
+function describeBoardChange(change) {
+    if (change.operation && change.operation.label) {
+        return change.operation.label; // Batches name themselves, e.g. "Column deleted"
+    }
+    const labels = {
+        add: 'Task added',
+        move: 'Task moved',
+        update: 'Task edited',
+        delete: 'Task deleted',
+        archive: 'Task archived',
+        unarchive: 'Task restored from archive',
+        addArchived: 'Archived task added',
+        deleteArchived: 'Archived task deleted',
+        addColumn: 'Column added',
+        updateColumn: 'Column updated',
+        moveColumn: 'Column moved',
+        deleteColumn: 'Column deleted'
+    };
+    return labels[change.type] || 'Board changed';
+}
+
+/**
+ * Writes the undo and redo stacks to sessionStorage.
+ */
+function saveBoardHistory() {
+    try {
+        sessionStorage.setItem(getBoardHistoryStorageKey(historyBoardId), JSON.stringify({ undo: undoStack, redo: redoStack }));
+    } catch (e) {
+        logWarn('Kanban History', "Could not save the undo history to session storage.", e);
+    }
+}
+
+/**
+ * Restores the active board's undo and redo stacks from sessionStorage, if this session has any.
+ */
+function loadBoardHistory() {
+    undoStack = [];
+    redoStack = [];
+    let storedHistory;
+    try {
+        storedHistory = sessionStorage.getItem(getBoardHistoryStorageKey(historyBoardId));
+    } catch (e) {
+        logWarn('Kanban History', "Session storage is not available. Starting with an empty history.", e);
+        return;
+    }
+    if (!storedHistory) return;
+    try {
+        const history = JSON.parse(storedHistory);
+        undoStack = Array.isArray(history.undo) ? history.undo : [];
+        redoStack = Array.isArray(history.redo) ? history.redo : [];
+        logInfo('Kanban History', `Restored ${undoStack.length} undo and ${redoStack.length} redo steps for this session.`);
+    } catch (e) {
+        logWarn('Kanban History', "Stored undo history could not be parsed. Starting with an empty history.", e);
+        undoStack = [];
+        redoStack = [];
+    }
+}
+
+/**
+ * Board listener that records every local change as an undoable step.
+ * Changes made by undo/redo themselves, changes from other tabs and full board resets are not recorded.
+ * @param {object} change - The change object emitted by the board store.
+ */
+function recordBoardHistory(change) {
+    if (change.source !== 'local' || !change.inverse) return;
+    undoStack.push({ label: describeBoardChange(change), operation: change.inverse });
+    if (undoStack.length > KANBAN_HISTORY_LIMIT) {
+        undoStack.shift(); // Forget the oldest step
+    }
+    redoStack = []; // A new change invalidates anything that was undone
+    saveBoardHistory();
+}
+
+/**
+ * Moves the most recent entry of one stack to the other by applying its operation.
+ * An entry that no longer applies (e.g. its task is gone) is discarded.
+ * @param {Array<object>} fromStack - The stack to take the entry from.
+ * @param {Array<object>} toStack - The stack that receives the reverting entry.
+ * @returns {string | null} The label of the applied entry, or null if nothing was applied.
+ */
+function replayHistoryEntry(fromStack, toStack) {
+    const entry = fromStack.pop();
+    if (!entry) return null;
+    const inverse = applyBoardOperation(entry.operation, 'history');
+    if (inverse) {
+        toStack.push({ label: entry.label, operation: inverse });
+    } else {
+        logWarn('Kanban History', "A history step no longer applies to the board and was discarded:", entry);
+    }
+    saveBoardHistory();
+    return inverse ? entry.label : null;
+}
+
+/**
+ * Undoes the most recent change to the board.
+ * @returns {string | null} The label of the undone change, or null if there was nothing to undo.
+ */
+function undoBoardChange() {
+    return replayHistoryEntry(undoStack, redoStack);
+}
+
+/**
+ * Redoes the most recently undone change.
+ * @returns {string | null} The label of the redone change, or null if there was nothing to redo.
+ */
+function redoBoardChange() {
+    return replayHistoryEntry(redoStack, undoStack);
+}
+
+/**
+ * Checks whether there is anything to undo.
+ * @returns {boolean} True if undoBoardChange would do something.
+ */
+function canUndoBoardChange() {
+    return undoStack.length > 0;
+}
+
+/**
+ * Checks whether there is anything to redo.
+ * @returns {boolean} True if redoBoardChange would do something.
+ */
+function canRedoBoardChange() {
+    return redoStack.length > 0;
+}
+
+/**
+ * Forgets a board's history, e.g. once the board is deleted.
+ * @param {string} boardId - The board ID.
+ */
+function clearBoardHistory(boardId) {
+    try {
+        sessionStorage.removeItem(getBoardHistoryStorageKey(boardId));
+    } catch (e) {
+        logWarn('Kanban History', "Could not remove the undo history from session storage.", e);
+    }
+}
+
+/**
+ * Switches to another board's history. Call this after that board has been loaded.
+ * @param {string} boardId - The board now shown.
+ */
+function switchBoardHistory(boardId) {
+    historyBoardId = boardId;
+    loadBoardHistory();
+}
+
+/**
+ * Restores this session's history for the active board and starts recording board changes.
+ * Call this after the saved board has been loaded.
+ * @param {string} boardId - The board now shown.
+ */
+function initBoardHistory(boardId) {
+    switchBoardHistory(boardId);
+    subscribeToBoard(recordBoardHistory);
+}
@@ -0,0 +1,354 @@
+// --- Kanban Keyboard, Touch and Screen Reader Support ---
+// HTML5 drag and drop only works with a mouse. This file adds pointer-based dragging through
+// each card's drag handle (for touch screens and pens), keyboard shortcuts on focused cards,
+// and live-region announcements of board changes for screen reader users.
+
+let kanbanLiveRegion; // Visually hidden element whose text changes are read out by screen readers
+let pointerDrag = null; // State of the current pointer drag: { taskId, pointerId, ghost, sourceElement, column, beforeTaskId }
+
+/**
+ * Initializes the DOM element variables used for announcements.
+ * Called by initKanbanInteractions after the DOM is loaded.
+ */
+function initializeKanbanInteractionDOMElements() {
+    kanbanLiveRegion = document.getElementById('kanbanLiveRegion');
+    checkRequiredElements('Kanban', { kanbanLiveRegion }, "Board changes will not be announced.", 'warn');
+}
+
+// --- Announcements ---
+
+/**
+ * Reads a message out to screen reader users through the live region.
+ * @param {string} message - The message to announce.
+ */
+function announceKanban(message) {
+    if (!(kanbanLiveRegion instanceof HTMLElement)) return;
+    kanbanLiveRegion.textContent = ''; // Clearing first makes repeated identical messages be announced again
+    setTimeout(() => { kanbanLiveRegion.textContent = message; }, 50);
+}
+
+/**
+ * Describes a board change for screen reader users, e.g. "Moved 'Write report' to In Progress".
+ * @param {object} change - The change object emitted by the board store.
+ * @returns {string | null} The announcement, or null if the change needs none.
+ */
+function describeBoardChangeForAnnouncement(change) {
+    const column = change.toColumnId ? getBoardColumn(change.toColumnId) : null;
+    const taskText = change.task ? `'${change.task.text}'` : 'Task';
+    switch (change.type) {
+        case 'add':
+            return `Added ${taskText} to ${column ? column.title : 'the board'}`;
+        case 'move': {
+            if (!column) return null;
+            const position = findTaskPosition(change.taskId);
+            const total = getColumnTasks(change.toColumnId).length;
+            const positionText = position ? `, position ${position.index + 1} of ${total}` : '';
+            return change.fromColumnId === change.toColumnId
+                ? `Moved ${taskText} to position ${position ? position.index + 1 : '?'} of ${total} in ${column.title}`
+                : `Moved ${taskText} to ${column.title}${positionText}`;
+        }
+        case 'delete':
+            return `Deleted ${taskText}`;
+        case 'archive':
+            return `Archived ${taskText}`;
+        case 'unarchive':
+            return `Restored ${taskText} to ${column ? column.title : 'the board'}`;
+        case 'update':
+            return `Updated ${taskText}`;
+        default:
+            return null;
+    }
+}
+
+// --- Keyboard Operation ---
+
+/**
+ * Moves keyboard focus to a task's card, if it is on the board.
+ * @param {string} taskId - The task to focus.
+ */
+function focusTaskElement(taskId) {
+    const taskElement = document.getElementById(taskId);
+    if (taskElement instanceof HTMLElement) taskElement.focus();
+}
+
+/**
+ * Returns a column's tasks that the search and filter bar currently shows.
+ * @param {string} columnId - The column.
+ * @returns {Array<object>} The visible tasks, in order.
+ */
+function getVisibleColumnTasks(columnId) {
+    return getColumnTasks(columnId).filter(task => !isTaskHiddenByFilter(task.id));
+}
+
+/**
+ * Returns the column next to a task's column.
+ * @param {string} columnId - The current column.
+ * @param {number} offset - -1 for the column to the left, 1 for the one to the right.
+ * @returns {object | null} The neighbouring column, or null at the edge of the board.
+ */
+function getNeighbourColumn(columnId, offset) {
+    const columns = getBoardColumns();
+    const index = columns.findIndex(column => column.id === columnId);
+    return index === -1 ? null : (columns[index + offset] || null);
+}
+
+/**
+ * Handles keyboard shortcuts on a focused task card:
+ * - Arrow keys move focus between cards (up/down within a column, left/right across columns).
+ * - Alt+Arrow keys move the card itself (up/down within its column, left/right to the next column).
+ * - Enter opens the detail panel, F2 edits the text in place, Delete removes the card.
+ * - Space selects or deselects the card for bulk actions (Shift+Space selects a range), Escape clears the selection.
+ * @param {KeyboardEvent} event - The keydown event on the card.
+ * @param {string} taskId - The task the card shows.
+ */
+function handleTaskKeydown(event, taskId) {
+    if (event.target !== event.currentTarget) return; // Keys typed into the inline editor or buttons are not shortcuts
+    const position = findTaskPosition(taskId);
+    if (!position) return;
+    const columnTasks = getColumnTasks(position.columnId);
+    const visibleIndex = getVisibleColumnTasks(position.columnId).findIndex(task => task.id === taskId);
+
+    switch (event.key) {
+        case 'ArrowUp':
+        case 'ArrowDown': {
+            event.preventDefault();
+            const offset = event.key === 'ArrowUp' ? -1 : 1;
+            if (event.altKey) {
+                const newIndex = position.index + offset;
+                if (newIndex < 0 || newIndex >= columnTasks.length) return;
+                moveTaskOnBoard(taskId, position.columnId, newIndex);
+                focusTaskElement(taskId);
+            } else {
+                const nextTask = getVisibleColumnTasks(position.columnId)[visibleIndex + offset];
+                if (nextTask) focusTaskElement(nextTask.id);
+            }
+            break;
+        }
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+            event.preventDefault();
+            const neighbour = getNeighbourColumn(position.columnId, event.key === 'ArrowLeft' ? -1 : 1);
+            if (!neighbour) return;
+            if (event.altKey) {
+                // Keep the card at the same height where possible
+                const neighbourTasks = getColumnTasks(neighbour.id);
+                if (moveTaskWithWipCheck(taskId, neighbour.id, Math.min(position.index, neighbourTasks.length))) {
+                    focusTaskElement(taskId);
+                }
+            } else {
+                const visibleNeighbourTasks = getVisibleColumnTasks(neighbour.id);
+                if (visibleNeighbourTasks.length > 0) {
+                    focusTaskElement(visibleNeighbourTasks[Math.min(Math.max(visibleIndex, 0), visibleNeighbourTasks.length - 1)].id);
+                }
+            }
+            break;
+        }
+        case 'Enter':
+            event.preventDefault();
+            openTaskDetailPanel(taskId);
+            break;
+        case 'F2': {
+            event.preventDefault();
+            const taskTextSpan = event.currentTarget.querySelector('span.task-text-color');
+            startInlineTaskEdit(taskId, taskTextSpan);
+            break;
+        }
+        case ' ':
+            event.preventDefault();
+            if (event.shiftKey) {
+                selectTaskRange(taskId);
+            } else {
+                toggleTaskSelection(taskId);
+            }
+            break;
+        case 'Escape':
+            clearTaskSelection();
+            break;
+        case 'Delete': {
+            event.preventDefault();
+            // Keep focus on the board: move it to the next card, or the previous one at the end
+            const visibleTasks = getVisibleColumnTasks(position.columnId);
+            const nextTask = visibleTasks[visibleIndex + 1] || visibleTasks[visibleIndex - 1];
+            deleteTask(taskId);
+            if (nextTask) focusTaskElement(nextTask.id);
+            break;
+        }
+        default:
+            break;
+    }
+}
+
+/**
+ * Makes a task card focusable and operable from the keyboard, and describes it to assistive technology.
+ * @param {HTMLElement} taskDiv - The card element.
+ * @param {object} task - The task the card shows.
+ */
+function makeTaskKeyboardAccessible(taskDiv, task) {
+    taskDiv.tabIndex = 0;
+    taskDiv.setAttribute('role', 'listitem');
+    taskDiv.setAttribute('aria-label', task.text);
+    taskDiv.setAttribute('aria-describedby', 'kanbanKeyboardHelp');
+    taskDiv.addEventListener('keydown', (event) => handleTaskKeydown(event, task.id));
+}
+
+// --- Pointer (Touch and Pen) Dragging ---
+
+/**
+ * Finds the column under a screen position.
+ * @param {number} clientX - Horizontal position.
+ * @param {number} clientY - Vertical position.
+ * @returns {HTMLElement | null} The column element, or null if the position is not over a column.
+ */
+function getColumnAtPoint(clientX, clientY) {
+    const element = document.elementFromPoint(clientX, clientY);
+    return element instanceof HTMLElement ? element.closest('.kanban-column') : null;
+}
+
+/**
+ * Updates the drag ghost, the highlighted column and the drop indicator for the pointer position.
+ * @param {PointerEvent} event - The pointer event.
+ */
+function updatePointerDrag(event) {
+    if (!pointerDrag || event.pointerId !== pointerDrag.pointerId) return;
+    event.preventDefault();
+    if (!pointerDrag.sourceElement.isConnected && !refreshPointerDragSource()) return;
+    pointerDrag.ghost.style.transform = `translate(${event.clientX - pointerDrag.offsetX}px, ${event.clientY - pointerDrag.offsetY}px)`;
+
+    const column = getColumnAtPoint(event.clientX, event.clientY);
+    if (pointerDrag.column && pointerDrag.column !== column) {
+        pointerDrag.column.classList.remove('drag-over');
+    }
+    pointerDrag.column = column;
+    const container = column ? taskContainers[column.id] : null;
+    if (column && container instanceof HTMLElement) {
+        column.classList.add('drag-over');
+        pointerDrag.beforeTaskId = getDropBeforeTaskId(container, event.clientY, pointerDrag.taskId);
+        showDropIndicator(container, pointerDrag.beforeTaskId);
+    } else {
+        hideDropIndicator();
+    }
+}
+
+/**
+ * Finds the dragged card again after the board was re-rendered during the drag (e.g. by a change
+ * from another tab), which replaces the card and its handle. Cancels the drag if the task is gone.
+ * @returns {boolean} True if the drag goes on.
+ */
+function refreshPointerDragSource() {
+    const sourceElement = document.getElementById(pointerDrag.taskId);
+    if (!(sourceElement instanceof HTMLElement)) {
+        stopPointerDrag();
+        return false;
+    }
+    sourceElement.classList.add('dragging');
+    pointerDrag.sourceElement = sourceElement;
+    return true;
+}
+
+/**
+ * Keeps a pointer drag going when the handle loses pointer capture because it left the page.
+ * @param {PointerEvent} event - The lostpointercapture event.
+ */
+function handlePointerDragCaptureLost(event) {
+    if (!pointerDrag || event.pointerId !== pointerDrag.pointerId || pointerDrag.sourceElement.isConnected) return;
+    refreshPointerDragSource();
+}
+
+/**
+ * Removes the ghost, highlights and document listeners of the current pointer drag.
+ * @returns {object} The state of the drag that was stopped.
+ */
+function stopPointerDrag() {
+    const drag = pointerDrag;
+    pointerDrag = null;
+    document.removeEventListener('pointermove', updatePointerDrag);
+    document.removeEventListener('pointerup', endPointerDrag);
+    document.removeEventListener('pointercancel', endPointerDrag);
+    document.removeEventListener('lostpointercapture', handlePointerDragCaptureLost);
+    drag.ghost.remove();
+    drag.sourceElement.classList.remove('dragging');
+    hideDropIndicator();
+    if (drag.column) drag.column.classList.remove('drag-over');
+    return drag;
+}
+
+/**
+ * Ends the current pointer drag, dropping the task if the pointer is over a column.
+ * @param {PointerEvent} event - The pointerup or pointercancel event.
+ */
+function endPointerDrag(event) {
+    if (!pointerDrag || event.pointerId !== pointerDrag.pointerId) return;
+    const { taskId, column, beforeTaskId } = stopPointerDrag();
+    if (event.type === 'pointerup' && column) {
+        dropTaskAt(taskId, column.id, beforeTaskId);
+    }
+}
+
+/**
+ * Starts dragging a card with a touch or pen pointer from its drag handle. Mouse drags are
+ * left to the native HTML5 drag and drop set up in createTaskElement.
+ * @param {PointerEvent} event - The pointerdown event on the handle.
+ * @param {string} taskId - The task being dragged.
+ */
+function startPointerDrag(event, taskId) {
+    if (event.pointerType === 'mouse' || pointerDrag) return;
+    const sourceElement = document.getElementById(taskId);
+    if (!(sourceElement instanceof HTMLElement)) return;
+    event.preventDefault();
+
+    const rect = sourceElement.getBoundingClientRect();
+    const ghost = sourceElement.cloneNode(true);
+    ghost.removeAttribute('id');
+    ghost.classList.add('task-drag-ghost');
+    ghost.style.width = `${rect.width}px`;
+    ghost.style.transform = `translate(${rect.left}px, ${rect.top}px)`;
+    document.body.appendChild(ghost);
+    sourceElement.classList.add('dragging');
+
+    pointerDrag = {
+        taskId,
+        pointerId: event.pointerId,
+        ghost,
+        sourceElement,
+        offsetX: event.clientX - rect.left,
+        offsetY: event.clientY - rect.top,
+        column: null,
+        beforeTaskId: null
+    };
+    if (event.target instanceof HTMLElement && event.target.setPointerCapture) {
+        event.target.setPointerCapture(event.pointerId); // Keep receiving events when the finger leaves the handle
+    }
+    // On the document rather than the handle, so the drag still ends if the board is re-rendered meanwhile
+    document.addEventListener('pointermove', updatePointerDrag);
+    document.addEventListener('pointerup', endPointerDrag);
+    document.addEventListener('pointercancel', endPointerDrag);
+    document.addEventListener('lostpointercapture', handlePointerDragCaptureLost);
+}
+
+/**
+ * Creates the drag handle for a card. Touching and dragging it moves the card.
+ * @param {string} taskId - The task the card shows.
+ * @returns {HTMLElement} The handle element.
+ */
+function createTaskDragHandle(taskId) {
+    const handle = document.createElement('span');
+    handle.className = 'task-drag-handle';
+    handle.textContent = '⠿'; // Braille "six dots" pattern, a common grip symbol
+    handle.title = "Drag to move";
+    handle.setAttribute('aria-hidden', 'true'); // Keyboard users move cards with Alt+Arrow keys instead
+    handle.addEventListener('pointerdown', (event) => startPointerDrag(event, taskId));
+    return handle;
+}
+
+/**
+ * Sets up announcements. Called by initKanban.
+ */
+function initKanbanInteractions() {
+    initializeKanbanInteractionDOMElements();
+    subscribeToBoard((change) => {
+        if (change.type === 'reset') return;
+        const announcement = describeBoardChangeForAnnouncement(change);
+        if (announcement) announceKanban(announcement);
+    });
+    logInfo('Kanban', "Keyboard, touch and screen reader support initialized.");
+}
@@ -0,0 +1,423 @@
+// --- Kanban Flow Metrics ---
+// Measures how work flows across the active board, from its activity log (see kanbanActivity.js):
+// - Lead time: from a task's creation until it last entered the done column.
+// - Cycle time: from when a task first left the board's first column (or was created in a later
+//   one) until it last entered the done column.
+// - Throughput: how many different tasks entered the done column in each of the last weeks.
+// - Cumulative flow: how many tasks were in each column at the end of each recent day, drawn as
+//   stacked areas on a canvas.
+// Tasks created before the log existed are placed from the creation time hidden in their ID.
+
+const METRICS_THROUGHPUT_WEEKS = 8;
+const METRICS_CFD_DAYS = 30;
+const METRICS_DAY_MS = 24 * 60 * 60 * 1000;
+const METRICS_CFD_COLORS = ['#34d399', '#a78bfa', '#60a5fa', '#f472b6', '#fbbf24', '#f87171', '#2dd4bf', '#818cf8']; // Tailwind 400 shades
+const METRICS_OTHER_COLOR = '#d1d5db'; // Tailwind's gray-300, for columns that no longer exist
+
+// --- Metrics DOM Elements ---
+// These will be assigned in initializeMetricsDOMElements after the DOM is fully loaded.
+let metricsPanel, showMetricsBtn, metricsCloseBtn, metricsSummary, metricsThroughput, metricsCfdCanvas, metricsCfdLegend;
+
+// --- Metric Calculations ---
+
+/**
+ * Returns the median of a list of numbers.
+ * @param {number[]} values - The numbers.
+ * @returns {number | null} The median, or null for an empty list.
+ */
+function getMedian(values) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Works out when each finished task was created, started and completed.
+ * @param {Array<object>} events - The board's activity log, oldest first.
+ * @param {Array<object>} tasks - The tasks on the board.
+ * @param {string} firstColumnId - The board's first column, where work waits before it starts.
+ * @param {string} doneColumnId - The done column.
+ * @returns {Array<{taskId: string, createdAt: ?number, startedAt: ?number, completedAt: number}>} One entry
+ *   per task in the done column whose arrival there was recorded.
+ */
+function getTaskFlowTimes(events, tasks, firstColumnId, doneColumnId) {
+    return tasks.filter(task => task.status === doneColumnId).map(task => {
+        const taskEvents = events.filter(event => event.taskId === task.id);
+        const arrivals = taskEvents.filter(event => event.toColumnId === doneColumnId);
+        if (arrivals.length === 0) return null;
+        const creation = taskEvents.find(event => event.type === 'create');
+        const start = taskEvents.find(event => event.toColumnId && event.toColumnId !== firstColumnId);
+        return {
+            taskId: task.id,
+            createdAt: creation ? creation.at : getCreationTimeFromTaskId(task.id),
+            startedAt: start ? start.at : null,
+            completedAt: arrivals[arrivals.length - 1].at
+        };
+    }).filter(entry => entry);
+}
+
+/**
+ * Summarizes a list of durations.
+ * @param {number[]} durations - Durations in milliseconds.
+ * @returns {{count: number, average: ?number, median: ?number}} The summary.
+ */
+function summarizeDurations(durations) {
+    const valid = durations.filter(duration => typeof duration === 'number' && duration >= 0);
+    return {
+        count: valid.length,
+        average: valid.length > 0 ? valid.reduce((sum, duration) => sum + duration, 0) / valid.length : null,
+        median: getMedian(valid)
+    };
+}
+
+/**
+ * Returns the start (Monday, 00:00 local time) of the week containing a time.
+ * @param {number} at - The timestamp.
+ * @returns {Date} The start of its week.
+ */
+function getWeekStart(at) {
+    const date = new Date(at);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7)); // getDay() is 0 for Sunday
+    return date;
+}
+
+/**
+ * Counts the different tasks that entered the done column in each of the last weeks,
+ * including tasks deleted since.
+ * @param {Array<object>} events - The board's activity log.
+ * @param {string} doneColumnId - The done column.
+ * @param {number} weekCount - How many weeks to count, ending with the current one.
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {Array<{weekStart: Date, count: number}>} The counts, oldest week first.
+ */
+function getWeeklyThroughput(events, doneColumnId, weekCount, now = Date.now()) {
+    const weeks = [];
+    const currentWeekStart = getWeekStart(now);
+    for (let i = weekCount - 1; i >= 0; i--) {
+        const weekStart = new Date(currentWeekStart);
+        weekStart.setDate(weekStart.getDate() - i * 7);
+        weeks.push({ weekStart, taskIds: new Set() });
+    }
+    events.filter(event => event.toColumnId === doneColumnId).forEach(event => {
+        const week = weeks.find(candidate => candidate.weekStart.getTime() === getWeekStart(event.at).getTime());
+        if (week) week.taskIds.add(event.taskId);
+    });
+    return weeks.map(week => ({ weekStart: week.weekStart, count: week.taskIds.size }));
+}
+
+/**
+ * Replays the activity log to count the tasks in each column at the end of each recent day.
+ * @param {Array<object>} events - The board's activity log, oldest first.
+ * @param {Array<object>} tasks - The tasks on the board.
+ * @param {Array<object>} columns - The board's columns.
+ * @param {number} dayCount - How many days to cover, ending today.
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {{days: Date[], series: Array<{columnId: ?string, title: string, counts: number[]}>}} One series
+ *   per column in board order, plus an 'Other' series (columnId null) if deleted columns held tasks.
+ */
+function getCumulativeFlow(events, tasks, columns, dayCount, now = Date.now()) {
+    // Tasks with no recorded creation start out in the column they were first seen in
+    const entries = [];
+    const taskIdsWithCreation = new Set(events.filter(event => event.type === 'create').map(event => event.taskId));
+    const firstSeenColumn = {};
+    events.forEach(event => {
+        if (!(event.taskId in firstSeenColumn)) firstSeenColumn[event.taskId] = event.fromColumnId || event.toColumnId;
+    });
+    tasks.forEach(task => {
+        if (!(task.id in firstSeenColumn)) firstSeenColumn[task.id] = task.status;
+    });
+    Object.keys(firstSeenColumn).forEach(taskId => {
+        if (taskIdsWithCreation.has(taskId)) return;
+        const firstEvent = events.find(event => event.taskId === taskId);
+        if (firstEvent && firstEvent.type === 'restore') return; // Re-added after a deletion; the restore places it
+        entries.push({ at: getCreationTimeFromTaskId(taskId) || 0, taskId, toColumnId: firstSeenColumn[taskId] });
+    });
+    entries.push(...events.map(event => ({ at: event.at, taskId: event.taskId, toColumnId: event.toColumnId })));
+    entries.sort((a, b) => a.at - b.at);
+
+    const columnIds = columns.map(column => column.id);
+    const days = [];
+    const countsByDay = [];
+    const positions = new Map();
+    let entryIndex = 0;
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    for (let i = dayCount - 1; i >= 0; i--) {
+        const day = new Date(today);
+        day.setDate(day.getDate() - i);
+        const dayEnd = day.getTime() + METRICS_DAY_MS;
+        while (entryIndex < entries.length && entries[entryIndex].at < dayEnd) {
+            const entry = entries[entryIndex++];
+            if (entry.toColumnId) {
+                positions.set(entry.taskId, entry.toColumnId);
+            } else {
+                positions.delete(entry.taskId); // Deleted
+            }
+        }
+        const counts = {};
+        positions.forEach(columnId => {
+            const key = columnIds.includes(columnId) ? columnId : null;
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        days.push(day);
+        countsByDay.push(counts);
+    }
+
+    const series = columns.map(column => ({ columnId: column.id, title: column.title, counts: countsByDay.map(counts => counts[column.id] || 0) }));
+    const otherCounts = countsByDay.map(counts => counts[null] || 0);
+    if (otherCounts.some(count => count > 0)) series.push({ columnId: null, title: 'Other', counts: otherCounts });
+    return { days, series };
+}
+
+// --- Metrics Rendering ---
+
+/**
+ * Formats a duration for display, e.g. "3.2 days", "5.0 hours" or "12 min".
+ * @param {number | null} milliseconds - The duration.
+ * @returns {string} The formatted duration, or '–' if there is none.
+ */
+function formatDuration(milliseconds) {
+    if (milliseconds === null) return '–';
+    if (milliseconds >= METRICS_DAY_MS) return `${(milliseconds / METRICS_DAY_MS).toFixed(1)} days`;
+    if (milliseconds >= 60 * 60 * 1000) return `${(milliseconds / (60 * 60 * 1000)).toFixed(1)} hours`;
+    return `${Math.round(milliseconds / 60000)} min`;
+}
+
+/**
+ * Creates one summary card, e.g. for lead time.
+ * @param {string} title - The metric's name.
+ * @param {string} value - The main figure.
+ * @param {string} detail - A line of detail under it.
+ * @returns {HTMLElement} The card.
+ */
+function createMetricCard(title, value, detail) {
+    const card = document.createElement('div');
+    card.className = 'metric-card';
+    const titleElement = document.createElement('div');
+    titleElement.className = 'metric-card-title';
+    titleElement.textContent = title;
+    const valueElement = document.createElement('div');
+    valueElement.className = 'metric-card-value';
+    valueElement.textContent = value;
+    const detailElement = document.createElement('div');
+    detailElement.className = 'metric-card-detail';
+    detailElement.textContent = detail;
+    card.append(titleElement, valueElement, detailElement);
+    return card;
+}
+
+/**
+ * Shows the lead time, cycle time and last week's throughput as summary cards.
+ * @param {Array<object>} flowTimes - The result of getTaskFlowTimes.
+ * @param {Array<object>} throughput - The result of getWeeklyThroughput.
+ */
+function renderMetricsSummary(flowTimes, throughput) {
+    if (!(metricsSummary instanceof HTMLElement)) return;
+    metricsSummary.innerHTML = '';
+    const lead = summarizeDurations(flowTimes.filter(entry => entry.createdAt !== null).map(entry => entry.completedAt - entry.createdAt));
+    const cycle = summarizeDurations(flowTimes.filter(entry => entry.startedAt !== null).map(entry => entry.completedAt - entry.startedAt));
+    const thisWeek = throughput[throughput.length - 1];
+    const averageThroughput = throughput.reduce((sum, week) => sum + week.count, 0) / throughput.length;
+    metricsSummary.append(
+        createMetricCard('Lead time (average)', formatDuration(lead.average), `Median ${formatDuration(lead.median)} over ${lead.count} task(s)`),
+        createMetricCard('Cycle time (average)', formatDuration(cycle.average), `Median ${formatDuration(cycle.median)} over ${cycle.count} task(s)`),
+        createMetricCard('Throughput this week', `${thisWeek.count} task(s)`, `${averageThroughput.toFixed(1)} per week over ${throughput.length} weeks`)
+    );
+}
+
+/**
+ * Shows weekly throughput as a bar list.
+ * @param {Array<{weekStart: Date, count: number}>} throughput - The result of getWeeklyThroughput.
+ */
+function renderThroughputBars(throughput) {
+    if (!(metricsThroughput instanceof HTMLElement)) return;
+    metricsThroughput.innerHTML = '';
+    const maxCount = Math.max(1, ...throughput.map(week => week.count));
+    throughput.forEach(week => {
+        const row = document.createElement('li');
+        row.className = 'throughput-row';
+        const label = document.createElement('span');
+        label.className = 'throughput-label';
+        label.textContent = week.weekStart.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+        const bar = document.createElement('span');
+        bar.className = 'throughput-bar';
+        bar.style.width = `${(week.count / maxCount) * 100}%`;
+        const count = document.createElement('span');
+        count.className = 'throughput-count';
+        count.textContent = String(week.count);
+        row.append(label, bar, count);
+        row.setAttribute('aria-label', `Week of ${label.textContent}: ${week.count} task(s) done`);
+        metricsThroughput.appendChild(row);
+    });
+}
+
+/**
+ * Returns the colour used for a cumulative flow series.
+ * @param {number} index - The series' position (board order).
+ * @param {?string} columnId - The column, or null for the 'Other' series.
+ * @returns {string} The CSS colour.
+ */
+function getCumulativeFlowColor(index, columnId) {
+    return columnId === null ? METRICS_OTHER_COLOR : METRICS_CFD_COLORS[index % METRICS_CFD_COLORS.length];
+}
+
+/**
+ * Draws the cumulative flow diagram: one stacked area per column, the last column (usually
+ * done) at the bottom, with day labels along the x axis and task counts up the y axis.
+ * @param {{days: Date[], series: Array<object>}} flow - The result of getCumulativeFlow.
+ */
+function drawCumulativeFlowDiagram(flow) {
+    if (!(metricsCfdCanvas instanceof HTMLCanvasElement)) return;
+    const context = metricsCfdCanvas.getContext('2d');
+    if (!context) return;
+    const width = metricsCfdCanvas.clientWidth || 640; // clientWidth is 0 until the panel is laid out
+    const height = 260;
+    const pixelRatio = window.devicePixelRatio || 1;
+    metricsCfdCanvas.width = width * pixelRatio;
+    metricsCfdCanvas.height = height * pixelRatio;
+    metricsCfdCanvas.style.height = `${height}px`;
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    const padding = { left: 36, right: 12, top: 12, bottom: 28 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const dayCount = flow.days.length;
+    const totals = flow.days.map((day, dayIndex) => flow.series.reduce((sum, series) => sum + series.counts[dayIndex], 0));
+    const maxTotal = Math.max(1, ...totals);
+    const x = (dayIndex) => padding.left + (dayCount > 1 ? (dayIndex / (dayCount - 1)) * plotWidth : 0);
+    const y = (count) => padding.top + plotHeight - (count / maxTotal) * plotHeight;
+
+    // Axes and labels
+    context.strokeStyle = '#9ca3af'; // Tailwind's gray-400
+    context.fillStyle = '#4b5563'; // Tailwind's gray-600
+    context.font = '11px Inter, sans-serif';
+    context.beginPath();
+    context.moveTo(padding.left, padding.top);
+    context.lineTo(padding.left, padding.top + plotHeight);
+    context.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+    context.stroke();
+    context.textAlign = 'right';
+    context.fillText(String(maxTotal), padding.left - 6, padding.top + 8);
+    context.fillText('0', padding.left - 6, padding.top + plotHeight);
+    context.textAlign = 'center';
+    const labelStep = Math.max(1, Math.ceil(dayCount / 6));
+    flow.days.forEach((day, dayIndex) => {
+        if (dayIndex % labelStep !== 0 && dayIndex !== dayCount - 1) return;
+        context.fillText(day.toLocaleDateString(undefined, { day: 'numeric', month: 'short' }), x(dayIndex), height - 8);
+    });
+
+    // Stacked areas, drawn bottom-up from the last series
+    const baseline = new Array(dayCount).fill(0);
+    flow.series.map((series, index) => ({ series, index })).reverse().forEach(({ series, index }) => {
+        const top = baseline.map((base, dayIndex) => base + series.counts[dayIndex]);
+        context.beginPath();
+        top.forEach((count, dayIndex) => (dayIndex === 0 ? context.moveTo(x(dayIndex), y(count)) : context.lineTo(x(dayIndex), y(count))));
+        for (let dayIndex = dayCount - 1; dayIndex >= 0; dayIndex--) context.lineTo(x(dayIndex), y(baseline[dayIndex]));
+        context.closePath();
+        context.fillStyle = getCumulativeFlowColor(index, series.columnId);
+        context.fill();
+        top.forEach((count, dayIndex) => { baseline[dayIndex] = count; });
+    });
+}
+
+/**
+ * Shows which colour stands for which column in the cumulative flow diagram.
+ * @param {Array<object>} series - The diagram's series.
+ */
+function renderCumulativeFlowLegend(series) {
+    if (!(metricsCfdLegend instanceof HTMLElement)) return;
+    metricsCfdLegend.innerHTML = '';
+    series.forEach((entry, index) => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'cfd-swatch';
+        swatch.style.backgroundColor = getCumulativeFlowColor(index, entry.columnId);
+        item.append(swatch, document.createTextNode(`${entry.title} (${entry.counts[entry.counts.length - 1]})`));
+        metricsCfdLegend.appendChild(item);
+    });
+}
+
+/**
+ * Calculates and shows every metric for the active board. Archived tasks still count, in the
+ * column they were archived from; archiving is tidying up, not a change in the flow of work.
+ */
+function renderMetrics() {
+    const events = getBoardActivity().filter(event => event.type !== 'archive' && event.type !== 'unarchive');
+    const tasks = getAllBoardTasks().concat(getArchivedBoardTasks());
+    const columns = getBoardColumns();
+    const doneColumnId = getDoneColumnId();
+    const flowTimes = doneColumnId ? getTaskFlowTimes(events, tasks, columns[0].id, doneColumnId) : [];
+    const throughput = getWeeklyThroughput(doneColumnId ? events : [], doneColumnId, METRICS_THROUGHPUT_WEEKS);
+    renderMetricsSummary(flowTimes, throughput);
+    if (!doneColumnId && metricsSummary) {
+        const note = document.createElement('p');
+        note.className = 'text-sm task-text-color';
+        note.textContent = "Mark a column as done in its settings to measure lead time, cycle time and throughput.";
+        metricsSummary.appendChild(note);
+    }
+    renderThroughputBars(throughput);
+    const flow = getCumulativeFlow(events, tasks, columns, METRICS_CFD_DAYS);
+    drawCumulativeFlowDiagram(flow);
+    renderCumulativeFlowLegend(flow.series);
+}
+
+/**
+ * Initializes the metrics panel's DOM element variables.
+ * Called by initKanbanMetrics after the DOM is loaded.
+ */
+function initializeMetricsDOMElements() {
+    metricsPanel = document.getElementById('metricsPanel');
+    showMetricsBtn = document.getElementById('showMetricsBtn');
+    metricsCloseBtn = document.getElementById('metricsCloseBtn');
+    metricsSummary = document.getElementById('metricsSummary');
+    metricsThroughput = document.getElementById('metricsThroughput');
+    metricsCfdCanvas = document.getElementById('metricsCfdCanvas');
+    metricsCfdLegend = document.getElementById('metricsCfdLegend');
+
+    // --- DOM Element Validation ---
+    const requiredElements = { metricsPanel, showMetricsBtn, metricsCloseBtn, metricsSummary, metricsThroughput, metricsCfdCanvas, metricsCfdLegend };
+    checkRequiredElements('Kanban Metrics', requiredElements, "Metrics cannot be shown fully.");
+}
+
+/**
+ * Opens the metrics panel for the active board.
+ */
+function openMetricsPanel() {
+    if (!metricsPanel) return;
+    metricsPanel.classList.remove('hidden');
+    renderMetrics(); // After showing the panel, so the canvas has its laid-out width
+    if (metricsCloseBtn) metricsCloseBtn.focus();
+}
+
+/**
+ * Closes the metrics panel.
+ */
+function closeMetricsPanel() {
+    if (metricsPanel) metricsPanel.classList.add('hidden');
+}
+
+/**
+ * Sets up the metrics panel. Called by initKanban.
+ */
+function initKanbanMetrics() {
+    initializeMetricsDOMElements();
+    if (showMetricsBtn) showMetricsBtn.addEventListener('click', openMetricsPanel);
+    if (metricsCloseBtn) metricsCloseBtn.addEventListener('click', closeMetricsPanel);
+    if (metricsPanel) {
+        // Clicking the dimmed backdrop or pressing Escape closes the panel
+        metricsPanel.addEventListener('click', (event) => {
+            if (event.target === metricsPanel) closeMetricsPanel();
+        });
+        metricsPanel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') closeMetricsPanel();
+        });
+    }
+    // Keep the figures current while the panel is open, e.g. when another tab changes the board
+    subscribeToBoard(() => {
+        if (metricsPanel && !metricsPanel.classList.contains('hidden')) renderMetrics();
+    });
+    logInfo('Kanban', "Metrics view initialized.");
+}
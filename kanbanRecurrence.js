@@ -0,0 +1,126 @@
+// --- Kanban Recurring Tasks ---
+// A task can repeat daily, weekly or monthly. When a repeating task is moved to the done column,
+// its next instance is added to the first column with the due date moved on by one interval, and
+// the finished task stops repeating (the new instance carries the series on). Both happen in a
+// single step, which can be undone separately from the move that triggered it.
+
+const RECURRENCE_LABELS = { none: 'Does not repeat', daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+
+/**
+ * Reads a 'YYYY-MM-DD' date as a local date.
+ * @param {string} dateString - The date.
+ * @returns {Date} The date at local midnight.
+ */
+function parseDateString(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Moves a date on by one recurrence interval. Monthly steps keep the day of the month where
+ * possible and use the month's last day otherwise (31 January is followed by 28 or 29 February).
+ * @param {string} dateString - The date, as 'YYYY-MM-DD'.
+ * @param {string} recurrence - 'daily', 'weekly' or 'monthly'.
+ * @returns {string} The next date, as 'YYYY-MM-DD'.
+ */
+function addRecurrenceInterval(dateString, recurrence) {
+    const date = parseDateString(dateString);
+    if (recurrence === 'daily') {
+        date.setDate(date.getDate() + 1);
+    } else if (recurrence === 'weekly') {
+        date.setDate(date.getDate() + 7);
+    } else if (recurrence === 'monthly') {
+        const day = date.getDate();
+        date.setDate(1);
+        date.setMonth(date.getMonth() + 1);
+        const lastDayOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        date.setDate(Math.min(day, lastDayOfMonth));
+    }
+    return getTodayDateString(date);
+}
+
+/**
+ * Works out the due date of a repeating task's next instance: one interval after its current
+ * due date (or after today, if it has none), skipping ahead past any intervals already missed.
+ * @param {object} task - The repeating task.
+ * @param {string} [today=getTodayDateString()] - Today's date, as 'YYYY-MM-DD'.
+ * @returns {string} The next due date.
+ */
+function getNextDueDate(task, today = getTodayDateString()) {
+    let nextDueDate = addRecurrenceInterval(task.dueDate || today, task.recurrence);
+    while (nextDueDate < today) {
+        nextDueDate = addRecurrenceInterval(nextDueDate, task.recurrence);
+    }
+    return nextDueDate;
+}
+
+/**
+ * Builds the next instance of a repeating task: the same text, details and checklist (with
+ * every item unticked), and the next due date.
+ * @param {object} task - The finished task.
+ * @returns {object} The new task, with a new ID.
+ */
+function createNextRecurrence(task) {
+    return {
+        id: generateId(),
+        text: task.text,
+        description: task.description,
+        dueDate: getNextDueDate(task),
+        priority: task.priority,
+        tags: task.tags.slice(),
+        subtasks: normalizeSubtasks(task.subtasks.map(subtask => ({ text: subtask.text, done: false }))), // New IDs, the same in every tab
+        recurrence: task.recurrence
+    };
+}
+
+/**
+ * Adds the next instance of a repeating task that is now in the done column. Does nothing if
+ * the task no longer qualifies, e.g. because the move was undone in the meantime.
+ * @param {string} taskId - The finished task.
+ */
+function createNextRecurrenceFor(taskId) {
+    const task = getBoardTask(taskId);
+    const firstColumn = getBoardColumns()[0];
+    if (!task || task.recurrence === 'none' || !isDoneColumn(task.status) || firstColumn.isDone) return;
+    if (!canColumnAcceptTask(firstColumn.id)) {
+        showKanbanToast(`The next "${task.text}" was not created: ${firstColumn.title} is at its WIP limit.`);
+        return;
+    }
+    const nextTask = createNextRecurrence(task);
+    const applied = applyBoardOperation({
+        type: 'batch',
+        label: 'Next recurrence created',
+        operations: [
+            { type: 'updateTask', taskId, changes: { recurrence: 'none' } },
+            { type: 'addTask', task: { ...nextTask, status: firstColumn.id }, columnId: firstColumn.id }
+        ]
+    });
+    if (applied) {
+        showKanbanToast(`Next "${task.text}" added to ${firstColumn.title}, due ${nextTask.dueDate}`, { actionLabel: 'Undo', onAction: undoLastBoardChange });
+    }
+}
+
+/**
+ * Board listener that creates the next instance of repeating tasks moved to the done column in
+ * this tab. Undo/redo and changes from other tabs are skipped; the tab that made the move creates
+ * the instance. It runs once every listener has seen the move, so the two land in order.
+ * @param {object} change - The change object emitted by the board store.
+ */
+function handleBoardChangeForRecurrence(change) {
+    if (change.source !== 'local' || change.type === 'reset') return;
+    const finishedTaskIds = flattenBoardChange(change)
+        .filter(singleChange => singleChange.type === 'move' && singleChange.task && singleChange.task.recurrence !== 'none' &&
+            isDoneColumn(singleChange.toColumnId) && !isDoneColumn(singleChange.fromColumnId))
+        .map(singleChange => singleChange.taskId);
+    if (finishedTaskIds.length > 0) {
+        setTimeout(() => finishedTaskIds.forEach(createNextRecurrenceFor), 0);
+    }
+}
+
+/**
+ * Starts creating the next instances of repeating tasks. Called by initKanban.
+ */
+function initTaskRecurrence() {
+    subscribeToBoard(handleBoardChangeForRecurrence);
+    logInfo('Kanban', "Recurring tasks initialized.");
+}
@@ -0,0 +1,223 @@
+// --- Kanban Due-Date Reminders ---
+// While the hub is open, tasks that are due today or overdue (and not done) raise a reminder:
+// a toast on the page and, if the user has allowed it, a browser notification. Tasks on every
+// board are checked. Each reminder fires once per task, due date and kind ('dueToday' or
+// 'overdue'); which ones have fired is kept in storage, so reloading the page or opening
+// another tab does not repeat them.
+
+const KANBAN_REMINDERS_STORAGE_KEY = 'kanbanReminders';
+const REMINDER_CHECK_INTERVAL = 60 * 1000; // Catches due dates that arrive at midnight
+const REMINDER_TOAST_LIMIT = 3; // Further reminders are summed up in one toast
+const REMINDER_STATE_RETENTION = 60 * 24 * 60 * 60 * 1000; // Fired reminders are forgotten after 60 days
+
+let reminderCheckTimer = null; // Debounces checks after board changes
+let reminderCheckInterval = null; // Checks every REMINDER_CHECK_INTERVAL, see initDueDateReminders
+
+// --- Reminder DOM Elements ---
+// Assigned in initDueDateReminders after the DOM is fully loaded.
+let enableRemindersBtn;
+
+/**
+ * Lists the tasks with a due date on every board, with what reminders need to know about them.
+ * The active board is read from the board store, the others from storage.
+ * @returns {Array<{boardId: string, boardName: string, task: object, isDone: boolean}>} The tasks.
+ */
+function getTasksWithDueDates() {
+    const entries = [];
+    getKanbanBoards().forEach(board => {
+        if (board.id === getActiveBoardId()) {
+            getAllBoardTasks().forEach(task => entries.push({ boardId: board.id, boardName: board.name, task, isDone: isDoneColumn(task.status) }));
+            return;
+        }
+        const boardData = readStoredJson(getBoardStorageKey(board.id));
+        if (!boardData || !Array.isArray(boardData.tasks)) return;
+        const doneColumnIds = (Array.isArray(boardData.columns) ? boardData.columns : DEFAULT_KANBAN_COLUMNS)
+            .filter(column => column && column.isDone).map(column => column.id);
+        boardData.tasks.filter(isValidTask).forEach(storedTask => {
+            const task = normalizeTask(storedTask);
+            entries.push({ boardId: board.id, boardName: board.name, task, isDone: doneColumnIds.includes(task.status) });
+        });
+    });
+    return entries.filter(entry => entry.task.dueDate);
+}
+
+/**
+ * Decides which reminder, if any, a task is due for.
+ * @param {{task: object, isDone: boolean}} entry - The task, as listed by getTasksWithDueDates.
+ * @param {string} today - Today's date, as 'YYYY-MM-DD'.
+ * @returns {string | null} 'dueToday', 'overdue' or null.
+ */
+function getReminderKind(entry, today) {
+    if (entry.isDone || !entry.task.dueDate) return null;
+    if (entry.task.dueDate === today) return 'dueToday';
+    return entry.task.dueDate < today ? 'overdue' : null;
+}
+
+/**
+ * Reads which reminders have fired, forgetting those older than the retention period.
+ * @returns {Object<string, number>} Reminder key (see getReminderKey) to the time it fired.
+ */
+function loadReminderState() {
+    const storedState = readStoredJson(KANBAN_REMINDERS_STORAGE_KEY);
+    const state = {};
+    if (storedState && typeof storedState === 'object') {
+        const oldestKept = Date.now() - REMINDER_STATE_RETENTION;
+        Object.keys(storedState).forEach(key => {
+            if (typeof storedState[key] === 'number' && storedState[key] >= oldestKept) state[key] = storedState[key];
+        });
+    }
+    return state;
+}
+
+/**
+ * Builds the key a reminder is remembered by. A changed due date gives a new key, so moving
+ * a task's due date reminds again.
+ * @param {string} boardId - The task's board.
+ * @param {object} task - The task.
+ * @param {string} kind - 'dueToday' or 'overdue'.
+ * @returns {string} The key.
+ */
+function getReminderKey(boardId, task, kind) {
+    return `${boardId}|${task.id}|${task.dueDate}|${kind}`;
+}
+
+/**
+ * Finds the reminders that are due and have not fired yet, and remembers them as fired.
+ * @returns {Array<{key: string, kind: string, boardId: string, boardName: string, task: object}>} The new reminders.
+ */
+function collectDueReminders() {
+    const today = getTodayDateString();
+    const state = loadReminderState();
+    const reminders = [];
+    getTasksWithDueDates().forEach(entry => {
+        const kind = getReminderKind(entry, today);
+        if (!kind) return;
+        const key = getReminderKey(entry.boardId, entry.task, kind);
+        if (state[key]) return;
+        state[key] = Date.now();
+        reminders.push({ key, kind, boardId: entry.boardId, boardName: entry.boardName, task: entry.task });
+    });
+    if (reminders.length > 0) writeStoredJson(KANBAN_REMINDERS_STORAGE_KEY, state); // Saved before alerting, so other tabs skip them
+    return reminders;
+}
+
+/**
+ * Describes a reminder in a sentence, e.g. "'Pay rent' is due today".
+ * @param {object} reminder - The reminder.
+ * @returns {string} The description.
+ */
+function describeReminder(reminder) {
+    return reminder.kind === 'dueToday'
+        ? `"${reminder.task.text}" is due today`
+        : `"${reminder.task.text}" is overdue (due ${reminder.task.dueDate})`;
+}
+
+/**
+ * Shows a reminder's task: switches to the Kanban tab and its board, and opens its details.
+ * @param {object} reminder - The reminder.
+ */
+function openReminderTask(reminder) {
+    switchTab(KANBAN_TOOL_ID);
+    if (reminder.boardId !== getActiveBoardId()) switchBoard(reminder.boardId);
+    if (getBoardTask(reminder.task.id)) openTaskDetailPanel(reminder.task.id);
+}
+
+/**
+ * Shows a browser notification for a reminder, if the user has allowed notifications.
+ * The reminder key is used as the notification's tag, so the system shows it only once.
+ * @param {object} reminder - The reminder.
+ */
+function showReminderNotification(reminder) {
+    if (typeof Notification !== 'function' || Notification.permission !== 'granted') return;
+    try {
+        const notification = new Notification(reminder.kind === 'dueToday' ? 'Task due today' : 'Task overdue', {
+            body: `${reminder.task.text} (${reminder.boardName})`,
+            tag: reminder.key
+        });
+        notification.onclick = () => {
+            window.focus();
+            openReminderTask(reminder);
+            notification.close();
+        };
+    } catch (e) {
+        // Some browsers only allow notifications from a service worker
+        logWarn('Kanban Reminders', "Could not show a browser notification.", e);
+    }
+}
+
+/**
+ * Raises the reminders that are due: a toast each (up to a few, then one summary) and a
+ * browser notification each.
+ */
+function checkDueDateReminders() {
+    const reminders = collectDueReminders();
+    reminders.slice(0, REMINDER_TOAST_LIMIT).forEach(reminder => {
+        showKanbanToast(describeReminder(reminder), { actionLabel: 'Open', onAction: () => openReminderTask(reminder), duration: 10000 });
+    });
+    if (reminders.length > REMINDER_TOAST_LIMIT) {
+        showKanbanToast(`${reminders.length - REMINDER_TOAST_LIMIT} more task(s) are due today or overdue.`, { duration: 10000 });
+    }
+    reminders.forEach(showReminderNotification);
+    if (reminders.length > 0) logInfo('Kanban Reminders', `Raised ${reminders.length} due-date reminder(s).`);
+}
+
+/**
+ * Board listener that checks for reminders shortly after a change, e.g. a due date set to today.
+ * @param {object} change - The change object emitted by the board store.
+ */
+function handleBoardChangeForReminders(change) {
+    clearTimeout(reminderCheckTimer);
+    reminderCheckTimer = setTimeout(checkDueDateReminders, change.type === 'reset' ? 0 : 1000);
+}
+
+/**
+ * Shows the button for allowing browser notifications only while the browser can still ask.
+ */
+function updateEnableRemindersButton() {
+    if (!(enableRemindersBtn instanceof HTMLElement)) return;
+    const canAsk = typeof Notification === 'function' && Notification.permission === 'default';
+    enableRemindersBtn.classList.toggle('hidden', !canAsk);
+}
+
+/**
+ * Asks the user to allow browser notifications for reminders.
+ */
+function requestReminderNotifications() {
+    if (typeof Notification !== 'function') return;
+    // Older browsers take a callback and return nothing instead of a promise
+    new Promise((resolve, reject) => {
+        const request = Notification.requestPermission(resolve);
+        if (request && typeof request.then === 'function') request.then(resolve, reject);
+    }).then(permission => {
+        updateEnableRemindersButton();
+        showKanbanToast(permission === 'granted'
+            ? 'Reminders will also appear as browser notifications.'
+            : 'Browser notifications are off. Reminders will only appear on this page.');
+    }).catch(error => {
+        logWarn('Kanban Reminders', "Could not ask for permission to show browser notifications.", error);
+    });
+}
+
+/**
+ * Starts checking for due-date reminders: once now, every minute and after board changes.
+ * Called by initKanban after the board has been loaded.
+ */
+function initDueDateReminders() {
+    enableRemindersBtn = document.getElementById('enableRemindersBtn');
+    checkRequiredElements('Kanban Reminders', { enableRemindersBtn }, "Browser notifications cannot be turned on.", 'warn');
+    if (enableRemindersBtn) enableRemindersBtn.addEventListener('click', requestReminderNotifications);
+    updateEnableRemindersButton();
+    subscribeToBoard(handleBoardChangeForReminders);
+    reminderCheckInterval = setInterval(checkDueDateReminders, REMINDER_CHECK_INTERVAL);
+    checkDueDateReminders();
+    logInfo('Kanban', "Due-date reminders initialized.");
+}
+
+/**
+ * Stops checking for due-date reminders. Called by teardownKanban.
+ */
+function stopDueDateReminders() {
+    clearTimeout(reminderCheckTimer);
+    clearInterval(reminderCheckInterval);
+    reminderCheckInterval = null;
+}
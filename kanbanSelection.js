@@ -0,0 +1,204 @@
+// --- Kanban Multi-Select and Bulk Actions ---
+// Several cards can be selected with Ctrl/Cmd-click (add or remove one card), Shift-click (a
+// range within a column) or Space on a focused card. While cards are selected, a bar above the
+// board moves, archives or deletes all of them as one undoable step.
+// The selection is kept by task ID, so it survives re-rendering; cards that disappear or that
+// the search and filter bar hides drop out of it.
+
+let selectedTaskIds = new Set();
+let selectionAnchorTaskId = null; // Where Shift-click ranges start
+
+// --- Selection DOM Elements ---
+// These will be assigned in initializeSelectionDOMElements after the DOM is fully loaded.
+let bulkActionBar, bulkSelectionCount, bulkMoveSelect, bulkMoveBtn, bulkArchiveBtn, bulkDeleteBtn, bulkClearBtn;
+
+// --- Selection State ---
+
+/**
+ * Returns the selected tasks that are on the board and shown, in board order.
+ * @returns {string[]} The task IDs.
+ */
+function getSelectedTaskIds() {
+    return getAllBoardTasks()
+        .filter(task => selectedTaskIds.has(task.id) && !isTaskHiddenByFilter(task.id))
+        .map(task => task.id);
+}
+
+/**
+ * Adds a task to the selection, or removes it if it is already selected.
+ * @param {string} taskId - The task.
+ */
+function toggleTaskSelection(taskId) {
+    if (selectedTaskIds.has(taskId)) {
+        selectedTaskIds.delete(taskId);
+    } else {
+        selectedTaskIds.add(taskId);
+    }
+    selectionAnchorTaskId = taskId;
+    renderTaskSelection();
+}
+
+/**
+ * Selects every shown task between the last clicked task and this one, if both are in the
+ * same column; otherwise selects just this task.
+ * @param {string} taskId - The task clicked with Shift.
+ */
+function selectTaskRange(taskId) {
+    const position = findTaskPosition(taskId);
+    const anchorPosition = selectionAnchorTaskId ? findTaskPosition(selectionAnchorTaskId) : null;
+    if (!position || !anchorPosition || anchorPosition.columnId !== position.columnId) {
+        toggleTaskSelection(taskId);
+        return;
+    }
+    const columnTaskIds = getVisibleColumnTasks(position.columnId).map(task => task.id);
+    const from = columnTaskIds.indexOf(selectionAnchorTaskId);
+    const to = columnTaskIds.indexOf(taskId);
+    columnTaskIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedTaskIds.add(id));
+    renderTaskSelection();
+}
+
+/**
+ * Deselects every task.
+ */
+function clearTaskSelection() {
+    selectedTaskIds.clear();
+    selectionAnchorTaskId = null;
+    renderTaskSelection();
+}
+
+/**
+ * Marks the selected cards and shows or hides the bulk action bar. Tasks that are no longer
+ * on the board or are hidden by the filter are dropped from the selection.
+ * Called after every re-render of the board and after the filter changes.
+ */
+function renderTaskSelection() {
+    selectedTaskIds = new Set(getSelectedTaskIds());
+    document.querySelectorAll('#kanbanColumns .task').forEach(taskElement => {
+        const isSelected = selectedTaskIds.has(taskElement.id);
+        taskElement.classList.toggle('task-selected', isSelected);
+        taskElement.setAttribute('aria-selected', String(isSelected));
+    });
+    if (!(bulkActionBar instanceof HTMLElement)) return;
+    bulkActionBar.classList.toggle('hidden', selectedTaskIds.size === 0);
+    if (bulkSelectionCount) bulkSelectionCount.textContent = `${selectedTaskIds.size} selected`;
+    if (bulkMoveSelect) {
+        const previousValue = bulkMoveSelect.value;
+        bulkMoveSelect.innerHTML = '';
+        getBoardColumns().forEach(column => {
+            const option = document.createElement('option');
+            option.value = column.id;
+            option.textContent = column.title;
+            bulkMoveSelect.appendChild(option);
+        });
+        if (hasBoardColumn(previousValue)) bulkMoveSelect.value = previousValue;
+    }
+}
+
+/**
+ * Handles clicks on cards: Ctrl/Cmd-click toggles a card's selection, Shift-click selects a
+ * range, and a plain click on a card clears the selection. Clicks on a card's buttons are left alone.
+ * @param {MouseEvent} event - The click on the board.
+ */
+function handleTaskSelectionClick(event) {
+    const taskElement = event.target.closest('.task');
+    if (!taskElement || event.target.closest('button, input, textarea, select, .task-drag-handle')) return;
+    if (event.ctrlKey || event.metaKey) {
+        event.preventDefault();
+        toggleTaskSelection(taskElement.id);
+    } else if (event.shiftKey) {
+        event.preventDefault();
+        selectTaskRange(taskElement.id);
+    } else if (selectedTaskIds.size > 0) {
+        clearTaskSelection();
+    }
+}
+
+// --- Bulk Actions ---
+
+/**
+ * Moves the selected tasks to the end of a column as one step. Tasks already in that column
+ * stay where they are. Refused if the column blocks at its WIP limit and would go over it.
+ * @param {string} columnId - The target column.
+ * @returns {boolean} True if any task was moved.
+ */
+function moveSelectedTasks(columnId) {
+    const column = getBoardColumn(columnId);
+    const taskIds = getSelectedTaskIds().filter(taskId => findTaskPosition(taskId).columnId !== columnId);
+    if (!column || taskIds.length === 0) return false;
+    const wipStatus = getColumnWipStatus(columnId);
+    if (wipStatus.mode === 'block' && wipStatus.limit !== null && wipStatus.count + taskIds.length > wipStatus.limit) {
+        showKanbanToast(`${column.title} is limited to ${wipStatus.limit} tasks. The selected tasks were not moved.`);
+        return false;
+    }
+    const operations = taskIds.map(taskId => ({ type: 'moveTask', taskId, columnId }));
+    if (!applyBoardOperation({ type: 'batch', label: 'Tasks moved', operations })) return false;
+    announceKanban(`Moved ${taskIds.length} task(s) to ${column.title}`);
+    return true;
+}
+
+/**
+ * Archives the selected tasks as one step, offering to undo it.
+ * @returns {boolean} True if the tasks were archived.
+ */
+function archiveSelectedTasks() {
+    const taskIds = getSelectedTaskIds();
+    if (!archiveTasksOnBoard(taskIds, 'Tasks archived')) return false;
+    clearTaskSelection();
+    showKanbanToast(`${taskIds.length} task(s) archived`, { actionLabel: 'Undo', onAction: undoLastBoardChange });
+    announceKanban(`Archived ${taskIds.length} task(s)`);
+    return true;
+}
+
+/**
+ * Deletes the selected tasks as one step, offering to undo it.
+ * @returns {boolean} True if the tasks were deleted.
+ */
+function deleteSelectedTasks() {
+    const taskIds = getSelectedTaskIds();
+    if (taskIds.length === 0) return false;
+    const operations = taskIds.map(taskId => ({ type: 'deleteTask', taskId }));
+    if (!applyBoardOperation({ type: 'batch', label: 'Tasks deleted', operations })) return false;
+    clearTaskSelection();
+    showKanbanToast(`${taskIds.length} task(s) deleted`, { actionLabel: 'Undo', onAction: undoLastBoardChange });
+    announceKanban(`Deleted ${taskIds.length} task(s)`);
+    return true;
+}
+
+/**
+ * Initializes the bulk action bar's DOM element variables.
+ * Called by initTaskSelection after the DOM is loaded.
+ */
+function initializeSelectionDOMElements() {
+    bulkActionBar = document.getElementById('bulkActionBar');
+    bulkSelectionCount = document.getElementById('bulkSelectionCount');
+    bulkMoveSelect = document.getElementById('bulkMoveColumn');
+    bulkMoveBtn = document.getElementById('bulkMoveBtn');
+    bulkArchiveBtn = document.getElementById('bulkArchiveBtn');
+    bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
+    bulkClearBtn = document.getElementById('bulkClearBtn');
+
+    // --- DOM Element Validation ---
+    const requiredElements = { bulkActionBar, bulkSelectionCount, bulkMoveColumn: bulkMoveSelect, bulkMoveBtn, bulkArchiveBtn, bulkDeleteBtn, bulkClearBtn };
+    checkRequiredElements('Kanban Selection', requiredElements, "Bulk actions cannot be used fully.");
+}
+
+/**
+ * Sets up selecting several cards and the bulk action bar. Called by initKanban.
+ */
+function initTaskSelection() {
+    initializeSelectionDOMElements();
+    const columnsContainer = document.getElementById('kanbanColumns');
+    if (columnsContainer) {
+        columnsContainer.addEventListener('click', handleTaskSelectionClick);
+        // Stop Shift-click from selecting the cards' text
+        columnsContainer.addEventListener('mousedown', (event) => {
+            if (event.shiftKey && event.target.closest('.task')) event.preventDefault();
+        });
+    }
+    if (bulkMoveBtn) bulkMoveBtn.addEventListener('click', () => moveSelectedTasks(bulkMoveSelect.value));
+    if (bulkArchiveBtn) bulkArchiveBtn.addEventListener('click', archiveSelectedTasks);
+    if (bulkDeleteBtn) bulkDeleteBtn.addEventListener('click', deleteSelectedTasks);
+    if (bulkClearBtn) bulkClearBtn.addEventListener('click', clearTaskSelection);
+    renderTaskSelection();
+    logInfo('Kanban', "Multi-select and bulk actions initialized.");
+}
@@ -0,0 +1,892 @@
+// --- Kanban Board State ---
+// The board state is the single source of truth for tasks, columns and task order.
+// It holds no DOM references, so the board can be scripted (or exercised outside a
+// browser) through the functions below. Kanban.js renders from it and persists it.
+
+/**
+ * The columns every board starts with. Besides `id` and `title`, a column has an optional
+ * work-in-progress limit (`wipLimit`, null for none), a `wipMode` saying whether exceeding
+ * the limit only 'warn's or 'block's drops, and an `isDone` flag for the one column whose
+ * tasks count as finished.
+ * @type {Array<{id: string, title: string, wipLimit: ?number, wipMode: string, isDone: boolean}>}
+ */
+const DEFAULT_KANBAN_COLUMNS = [
+    { id: 'todo', title: 'To Do', wipLimit: null, wipMode: 'warn', isDone: false },
+    { id: 'inprogress', title: 'In Progress', wipLimit: null, wipMode: 'warn', isDone: false },
+    { id: 'done', title: 'Done', wipLimit: null, wipMode: 'warn', isDone: true }
+];
+
+/**
+ * What happens when a column is at its WIP limit: 'warn' allows the drop but flags the
+ * column, 'block' refuses it.
+ * @type {string[]}
+ */
+const WIP_MODES = ['warn', 'block'];
+
+/**
+ * Priority levels a task can have, from lowest to highest.
+ * @type {string[]}
+ */
+const TASK_PRIORITIES = ['none', 'low', 'medium', 'high'];
+
+/**
+ * How often a task repeats. When a repeating task is moved to the done column, its next
+ * instance is created (see kanbanRecurrence.js).
+ * @type {string[]}
+ */
+const TASK_RECURRENCES = ['none', 'daily', 'weekly', 'monthly'];
+
+let boardState = createEmptyBoardState(DEFAULT_KANBAN_COLUMNS);
+let boardChangeListeners = []; // Functions notified after every change to boardState
+
+// --- Kanban Store Utility Functions ---
+
+/**
+ * Generates a unique ID string for tasks.
+ * @returns {string} A unique ID.
+ */
+function generateId() {
+    return 'task-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Generates a unique ID string for checklist items (subtasks).
+ * @returns {string} A unique ID.
+ */
+function generateSubtaskId() {
+    return 'subtask-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Generates a unique ID string for columns.
+ * @returns {string} A unique ID.
+ */
+function generateColumnId() {
+    return 'column-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Fills in a column's optional settings with defaults and discards values of the wrong type.
+ * @param {{id: string, title: string}} column - A column with at least an id and a title.
+ * @returns {object} A new column object with every field present.
+ */
+function normalizeColumn(column) {
+    const wipLimit = Number(column.wipLimit);
+    return {
+        id: column.id,
+        title: column.title,
+        wipLimit: column.wipLimit !== null && column.wipLimit !== '' && Number.isInteger(wipLimit) && wipLimit > 0 ? wipLimit : null,
+        wipMode: WIP_MODES.includes(column.wipMode) ? column.wipMode : 'warn',
+        isDone: column.isDone === true
+    };
+}
+
+/**
+ * Checks whether a value looks like a column object (must have a non-empty string id and a string title).
+ * @param {*} column - The value to check.
+ * @returns {boolean} True if the value can be stored as a column.
+ */
+function isValidColumn(column) {
+    return !!column && typeof column.id === 'string' && column.id !== '' && typeof column.title === 'string';
+}
+
+/**
+ * Creates an empty board state with the given columns.
+ * @param {Array<{id: string, title: string}>} columns - The board's columns, in display order.
+ * @returns {{columns: Array<object>, tasks: Object<string, object>, order: Object<string, string[]>, archive: Array<object>}}
+ *   `tasks` maps task ID to task object and `order` maps column ID to its ordered task IDs.
+ *   `archive` lists archived tasks in the order they were archived; each keeps the column it
+ *   was archived from as its `status` and has an `archivedAt` timestamp.
+ */
+function createEmptyBoardState(columns) {
+    const order = {};
+    columns.forEach(column => { order[column.id] = []; });
+    return {
+        columns: columns.map(normalizeColumn),
+        tasks: {},
+        order,
+        archive: []
+    };
+}
+
+/**
+ * Returns a copy of a task so callers cannot mutate the store directly.
+ * @param {object} task - The stored task.
+ * @returns {object} A copy of the task.
+ */
+function copyTask(task) {
+    return JSON.parse(JSON.stringify(task));
+}
+
+/**
+ * Checks whether a value looks like a task object (must have string id, text and status).
+ * @param {*} task - The value to check.
+ * @returns {boolean} True if the value can be stored as a task.
+ */
+function isValidTask(task) {
+    return !!task && typeof task.id === 'string' && typeof task.text === 'string' && typeof task.status === 'string';
+}
+
+/**
+ * Cleans up a list of tags: trims them, drops empty ones and removes case-insensitive duplicates.
+ * @param {*} tags - An array of tags or a comma-separated string.
+ * @returns {string[]} The cleaned-up tags.
+ */
+function normalizeTags(tags) {
+    const rawTags = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+    const seen = new Set();
+    return rawTags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (tag === '' || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Cleans up a task's checklist: drops items without text, gives items without an ID (or with
+ * a duplicate one) a new ID, and makes `done` a boolean.
+ * @param {*} subtasks - An array of `{id, text, done}` items.
+ * @returns {Array<{id: string, text: string, done: boolean}>} The cleaned-up checklist, in order.
+ */
+function normalizeSubtasks(subtasks) {
+    const seenIds = new Set();
+    return (Array.isArray(subtasks) ? subtasks : [])
+        .filter(subtask => subtask && typeof subtask.text === 'string' && subtask.text.trim() !== '')
+        .map(subtask => {
+            const id = typeof subtask.id === 'string' && subtask.id !== '' && !seenIds.has(subtask.id) ? subtask.id : generateSubtaskId();
+            seenIds.add(id);
+            return { id, text: subtask.text.trim(), done: subtask.done === true };
+        });
+}
+
+/**
+ * Checks the calculation linked to a task from the Equation Solver (see calculatorTaskLinks.js).
+ * @param {*} calculation - `{formulaId, formulaName, expression, values, result, linkedAt}`.
+ * @returns {?object} The calculation with only number values kept, or null if there is none
+ *   or it has no expression or result.
+ */
+function normalizeTaskCalculation(calculation) {
+    if (!calculation || typeof calculation.expression !== 'string' || typeof calculation.result !== 'number' || !isFinite(calculation.result)) {
+        return null;
+    }
+    const values = {};
+    if (calculation.values && typeof calculation.values === 'object') {
+        Object.keys(calculation.values).forEach(name => {
+            if (typeof calculation.values[name] === 'number' && isFinite(calculation.values[name])) values[name] = calculation.values[name];
+        });
+    }
+    return {
+        formulaId: typeof calculation.formulaId === 'string' ? calculation.formulaId : '',
+        formulaName: typeof calculation.formulaName === 'string' ? calculation.formulaName : '',
+        expression: calculation.expression,
+        values,
+        result: calculation.result,
+        linkedAt: typeof calculation.linkedAt === 'number' ? calculation.linkedAt : null
+    };
+}
+
+/**
+ * Fills in the optional task fields (description, due date, priority, tags, checklist,
+ * recurrence and linked calculation) with defaults and discards values of the wrong type. Tasks
+ * saved before these fields existed only have id, text and status, and load unchanged apart
+ * from the defaults.
+ * @param {object} task - A task with at least id, text and status.
+ * @returns {object} A new task object with every field present.
+ */
+function normalizeTask(task) {
+    return {
+        ...task,
+        description: typeof task.description === 'string' ? task.description : '',
+        dueDate: typeof task.dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(task.dueDate) ? task.dueDate : null,
+        priority: TASK_PRIORITIES.includes(task.priority) ? task.priority : 'none',
+        tags: normalizeTags(task.tags),
+        subtasks: normalizeSubtasks(task.subtasks),
+        recurrence: TASK_RECURRENCES.includes(task.recurrence) ? task.recurrence : 'none',
+        calculation: normalizeTaskCalculation(task.calculation)
+    };
+}
+
+/**
+ * Counts a task's ticked checklist items.
+ * @param {object} task - The task.
+ * @returns {{done: number, total: number}} The number of ticked items and of all items.
+ */
+function getSubtaskProgress(task) {
+    const subtasks = task.subtasks || [];
+    return { done: subtasks.filter(subtask => subtask.done).length, total: subtasks.length };
+}
+
+/**
+ * Returns today's date in the same 'YYYY-MM-DD' form used for due dates, in local time.
+ * @param {Date} [date=new Date()] - The date to format.
+ * @returns {string} The formatted date.
+ */
+function getTodayDateString(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Checks whether a task is past its due date and not yet done.
+ * @param {object} task - The task to check.
+ * @returns {boolean} True if the task is overdue.
+ */
+function isTaskOverdue(task) {
+    return !!task.dueDate && !isDoneColumn(task.status) && task.dueDate < getTodayDateString();
+}
+
+// --- Kanban Store Queries ---
+
+/**
+ * Returns the board's columns in display order.
+ * @returns {Array<object>} Copies of the column objects.
+ */
+function getBoardColumns() {
+    return boardState.columns.map(column => ({ ...column }));
+}
+
+/**
+ * Checks whether a column exists on the board.
+ * @param {string} columnId - The column ID to look for.
+ * @returns {boolean} True if the column exists.
+ */
+function hasBoardColumn(columnId) {
+    return boardState.columns.some(column => column.id === columnId);
+}
+
+/**
+ * Looks up a single column.
+ * @param {string} columnId - The column ID.
+ * @returns {object | null} A copy of the column, or null if it does not exist.
+ */
+function getBoardColumn(columnId) {
+    const column = boardState.columns.find(existing => existing.id === columnId);
+    return column ? { ...column } : null;
+}
+
+/**
+ * Checks whether a column is the board's "done" column, whose tasks count as finished.
+ * @param {string} columnId - The column ID.
+ * @returns {boolean} True if the column is marked as done.
+ */
+function isDoneColumn(columnId) {
+    const column = boardState.columns.find(existing => existing.id === columnId);
+    return !!column && column.isDone;
+}
+
+/**
+ * Returns the ID of the board's "done" column.
+ * @returns {string | null} The column ID, or null if no column is marked as done.
+ */
+function getDoneColumnId() {
+    const column = boardState.columns.find(existing => existing.isDone);
+    return column ? column.id : null;
+}
+
+/**
+ * Reports how full a column is relative to its work-in-progress limit.
+ * @param {string} columnId - The column ID.
+ * @returns {{count: number, limit: ?number, mode: string, overLimit: boolean, atLimit: boolean}}
+ *   The number of tasks, the limit (null if none), the WIP mode, and whether the column is
+ *   above or exactly at its limit.
+ */
+function getColumnWipStatus(columnId) {
+    const column = boardState.columns.find(existing => existing.id === columnId);
+    const count = (boardState.order[columnId] || []).length;
+    const limit = column ? column.wipLimit : null;
+    return {
+        count,
+        limit,
+        mode: column ? column.wipMode : 'warn',
+        overLimit: limit !== null && count > limit,
+        atLimit: limit !== null && count >= limit
+    };
+}
+
+/**
+ * Checks whether a column's WIP limit allows one more task. Moving a task within the column it
+ * is already in is always allowed, and 'warn' columns accept tasks past their limit.
+ * @param {string} columnId - The target column.
+ * @param {string} [taskId] - The task being moved there, if it already exists.
+ * @returns {boolean} True if the task may be placed in the column.
+ */
+function canColumnAcceptTask(columnId, taskId) {
+    const task = taskId ? boardState.tasks[taskId] : null;
+    if (task && task.status === columnId) return true;
+    const wipStatus = getColumnWipStatus(columnId);
+    return wipStatus.mode !== 'block' || !wipStatus.atLimit;
+}
+
+/**
+ * Looks up a single task.
+ * @param {string} taskId - The ID of the task.
+ * @returns {object | null} A copy of the task, or null if it does not exist.
+ */
+function getBoardTask(taskId) {
+    const task = boardState.tasks[taskId];
+    return task ? copyTask(task) : null;
+}
+
+/**
+ * Returns the tasks of one column in display order.
+ * @param {string} columnId - The column ID.
+ * @returns {Array<object>} Copies of the column's tasks (empty if the column does not exist).
+ */
+function getColumnTasks(columnId) {
+    const taskIds = boardState.order[columnId] || [];
+    return taskIds.map(taskId => copyTask(boardState.tasks[taskId]));
+}
+
+/**
+ * Returns every task on the board, column by column, in display order.
+ * @returns {Array<object>} Copies of all tasks.
+ */
+function getAllBoardTasks() {
+    return boardState.columns.reduce((tasks, column) => tasks.concat(getColumnTasks(column.id)), []);
+}
+
+/**
+ * Returns the board's archived tasks.
+ * @returns {Array<object>} Copies of the archived tasks, oldest archived first. Each has the
+ *   column it was archived from as its `status` and the time it was archived as `archivedAt`.
+ */
+function getArchivedBoardTasks() {
+    return boardState.archive.map(copyTask);
+}
+
+/**
+ * Checks whether a task ID belongs to a task in the board's archive.
+ * @param {string} taskId - The ID of the task.
+ * @returns {boolean} True if the task is archived.
+ */
+function isArchivedBoardTask(taskId) {
+    return boardState.archive.some(archived => archived.id === taskId);
+}
+
+/**
+ * Finds where a task currently sits on the board.
+ * @param {string} taskId - The ID of the task.
+ * @returns {{columnId: string, index: number} | null} The task's position, or null if not found.
+ */
+function findTaskPosition(taskId) {
+    const task = boardState.tasks[taskId];
+    if (!task) return null;
+    const index = (boardState.order[task.status] || []).indexOf(taskId);
+    return index === -1 ? null : { columnId: task.status, index };
+}
+
+// --- Kanban Store Change Events ---
+
+/**
+ * Registers a listener that is called after every change to the board.
+ * The listener receives a change object:
+ * `{ type, taskId, task, fromColumnId, toColumnId, columnId, changes, operation, inverse, source }`,
+ * where `type` is 'add', 'move', 'update', 'delete', 'archive' or 'unarchive' for tasks, 'addArchived' or
+ * 'deleteArchived' for tasks put straight into or taken out of the archive, 'addColumn', 'updateColumn',
+ * 'moveColumn' or 'deleteColumn' for columns, 'batch' for several changes applied together
+ * (listed in `changes`) or 'reset' when the whole board was loaded. `operation` is the
+ * operation that was applied, `inverse` is the operation that reverts it and `source`
+ * says who applied it ('local' for user actions, 'history' for undo/redo).
+ * @param {function(object): void} listener - The function to call.
+ * @returns {function(): void} A function that removes the listener again.
+ */
+function subscribeToBoard(listener) {
+    boardChangeListeners.push(listener);
+    return () => {
+        boardChangeListeners = boardChangeListeners.filter(existing => existing !== listener);
+    };
+}
+
+/**
+ * Flattens a change into the list of individual task and column changes it consists of,
+ * so listeners can treat a batch the same as the changes in it.
+ * @param {object} change - The change object emitted by the board store.
+ * @returns {Array<object>} The individual changes (just `[change]` unless it is a batch).
+ */
+function flattenBoardChange(change) {
+    if (change.type !== 'batch') return [change];
+    return change.changes.reduce((all, subChange) => all.concat(flattenBoardChange(subChange)), []);
+}
+
+/**
+ * Notifies all board listeners of a change. A failing listener does not stop the others.
+ * @param {object} change - The change object passed to each listener.
+ */
+function emitBoardChange(change) {
+    boardChangeListeners.forEach(listener => {
+        try {
+            listener(change);
+        } catch (e) {
+            logError('Kanban Store', "A board change listener threw an exception:", e);
+        }
+    });
+}
+
+// --- Kanban Store Operations ---
+// Every change to the board is described by a plain, JSON-serialisable operation object
+// such as `{ type: 'moveTask', taskId, columnId, index }`. Applying an operation returns
+// its inverse, which is what the undo history stores.
+
+/**
+ * Inserts a task ID into a column's order, clamping the index to the column's bounds.
+ * @param {string} columnId - The target column.
+ * @param {string} taskId - The task ID to insert.
+ * @param {number} [index] - The position to insert at; appends when omitted.
+ */
+function insertIntoColumnOrder(columnId, taskId, index) {
+    const columnOrder = boardState.order[columnId];
+    const position = (typeof index === 'number' && index >= 0 && index <= columnOrder.length) ? index : columnOrder.length;
+    columnOrder.splice(position, 0, taskId);
+}
+
+/**
+ * Removes a task ID from whichever column currently holds it.
+ * @param {string} taskId - The task ID to remove.
+ */
+function removeFromColumnOrder(taskId) {
+    Object.keys(boardState.order).forEach(columnId => {
+        boardState.order[columnId] = boardState.order[columnId].filter(id => id !== taskId);
+    });
+}
+
+/**
+ * Applies an operation to the board state without notifying listeners.
+ * @param {object} operation - The operation to apply.
+ * @returns {{change: object, inverse: object} | null} The resulting change and the inverse
+ *   operation, or null if the operation could not be applied.
+ */
+function performBoardOperation(operation) {
+    switch (operation && operation.type) {
+        case 'addTask': {
+            const task = { ...operation.task, status: operation.columnId };
+            if (!isValidTask(task) || !hasBoardColumn(task.status)) {
+                logError('Kanban Store', "Cannot add an invalid task or add to a missing column:", operation);
+                return null;
+            }
+            if (boardState.tasks[task.id] || isArchivedBoardTask(task.id)) {
+                logError('Kanban Store', `A task with ID '${task.id}' already exists on the board or in its archive.`);
+                return null;
+            }
+            boardState.tasks[task.id] = normalizeTask(task);
+            insertIntoColumnOrder(task.status, task.id, operation.index);
+            return {
+                change: { type: 'add', taskId: task.id, task: copyTask(boardState.tasks[task.id]), fromColumnId: null, toColumnId: task.status },
+                inverse: { type: 'deleteTask', taskId: task.id }
+            };
+        }
+        case 'moveTask': {
+            const position = findTaskPosition(operation.taskId);
+            if (!position || !hasBoardColumn(operation.columnId)) {
+                logWarn('Kanban Store', `Cannot move task '${operation.taskId}' to column '${operation.columnId}'.`);
+                return null;
+            }
+            const task = boardState.tasks[operation.taskId];
+            removeFromColumnOrder(task.id);
+            insertIntoColumnOrder(operation.columnId, task.id, operation.index);
+            task.status = operation.columnId;
+            return {
+                change: { type: 'move', taskId: task.id, task: copyTask(task), fromColumnId: position.columnId, toColumnId: task.status },
+                inverse: { type: 'moveTask', taskId: task.id, columnId: position.columnId, index: position.index }
+            };
+        }
+        case 'updateTask': {
+            const task = boardState.tasks[operation.taskId];
+            if (!task || !operation.changes) {
+                logWarn('Kanban Store', `Cannot update task '${operation.taskId}'.`);
+                return null;
+            }
+            const { id, status, ...allowedChanges } = operation.changes;
+            const updatedTask = normalizeTask({ ...task, ...allowedChanges });
+            if (!isValidTask(updatedTask)) {
+                logError('Kanban Store', "Update would produce an invalid task:", updatedTask);
+                return null;
+            }
+            const previousValues = {};
+            Object.keys(allowedChanges).forEach(key => { previousValues[key] = task[key]; });
+            boardState.tasks[task.id] = updatedTask;
+            return {
+                change: { type: 'update', taskId: task.id, task: copyTask(updatedTask), fromColumnId: task.status, toColumnId: task.status },
+                inverse: { type: 'updateTask', taskId: task.id, changes: previousValues }
+            };
+        }
+        case 'deleteTask': {
+            const position = findTaskPosition(operation.taskId);
+            if (!position) {
+                logWarn('Kanban Store', `Attempted to delete task with ID '${operation.taskId}', but it does not exist.`);
+                return null;
+            }
+            const task = boardState.tasks[operation.taskId];
+            removeFromColumnOrder(task.id);
+            delete boardState.tasks[task.id];
+            return {
+                change: { type: 'delete', taskId: task.id, task: copyTask(task), fromColumnId: position.columnId, toColumnId: null },
+                inverse: { type: 'addTask', task: copyTask(task), columnId: position.columnId, index: position.index }
+            };
+        }
+        case 'archiveTask': {
+            const position = findTaskPosition(operation.taskId);
+            if (!position || typeof operation.archivedAt !== 'number') {
+                logWarn('Kanban Store', `Cannot archive task '${operation.taskId}'.`);
+                return null;
+            }
+            const task = boardState.tasks[operation.taskId];
+            removeFromColumnOrder(task.id);
+            delete boardState.tasks[task.id];
+            boardState.archive.push({ ...task, archivedAt: operation.archivedAt });
+            return {
+                change: { type: 'archive', taskId: task.id, task: copyTask(task), fromColumnId: position.columnId, toColumnId: null },
+                inverse: { type: 'unarchiveTask', taskId: task.id, columnId: position.columnId, index: position.index }
+            };
+        }
+        case 'unarchiveTask': {
+            const archiveIndex = boardState.archive.findIndex(archived => archived.id === operation.taskId);
+            if (archiveIndex === -1 || !hasBoardColumn(operation.columnId) || boardState.tasks[operation.taskId]) {
+                logWarn('Kanban Store', `Cannot restore archived task '${operation.taskId}' to column '${operation.columnId}'.`);
+                return null;
+            }
+            const [archivedTask] = boardState.archive.splice(archiveIndex, 1);
+            const { archivedAt, ...task } = archivedTask;
+            task.status = operation.columnId;
+            boardState.tasks[task.id] = task;
+            insertIntoColumnOrder(task.status, task.id, operation.index);
+            return {
+                change: { type: 'unarchive', taskId: task.id, task: copyTask(task), fromColumnId: null, toColumnId: task.status },
+                inverse: { type: 'archiveTask', taskId: task.id, archivedAt }
+            };
+        }
+        case 'addArchivedTask': {
+            // Puts a task straight into the archive, e.g. from an imported backup
+            const task = operation.task;
+            if (!isValidTask(task) || typeof task.archivedAt !== 'number') {
+                logError('Kanban Store', "Cannot add an invalid task to the archive:", operation);
+                return null;
+            }
+            if (boardState.tasks[task.id] || isArchivedBoardTask(task.id)) {
+                logError('Kanban Store', `A task with ID '${task.id}' already exists on the board or in its archive.`);
+                return null;
+            }
+            // Without an index the task goes where its archivedAt puts it, keeping the archive oldest first
+            const laterIndex = boardState.archive.findIndex(archived => archived.archivedAt > task.archivedAt);
+            const position = (typeof operation.index === 'number' && operation.index >= 0 && operation.index <= boardState.archive.length)
+                ? operation.index : (laterIndex === -1 ? boardState.archive.length : laterIndex);
+            boardState.archive.splice(position, 0, { ...normalizeTask(task), archivedAt: task.archivedAt });
+            return {
+                change: { type: 'addArchived', taskId: task.id, task: copyTask(boardState.archive[position]), fromColumnId: null, toColumnId: null },
+                inverse: { type: 'deleteArchivedTask', taskId: task.id }
+            };
+        }
+        case 'deleteArchivedTask': {
+            const archiveIndex = boardState.archive.findIndex(archived => archived.id === operation.taskId);
+            if (archiveIndex === -1) {
+                logWarn('Kanban Store', `Cannot delete archived task '${operation.taskId}'.`);
+                return null;
+            }
+            const [archivedTask] = boardState.archive.splice(archiveIndex, 1);
+            return {
+                change: { type: 'deleteArchived', taskId: archivedTask.id, task: copyTask(archivedTask), fromColumnId: null, toColumnId: null },
+                inverse: { type: 'addArchivedTask', task: copyTask(archivedTask), index: archiveIndex }
+            };
+        }
+        case 'addColumn': {
+            if (!isValidColumn(operation.column) || hasBoardColumn(operation.column.id)) {
+                logError('Kanban Store', "Cannot add an invalid or duplicate column:", operation);
+                return null;
+            }
+            const column = normalizeColumn(operation.column);
+            const position = (typeof operation.index === 'number' && operation.index >= 0 && operation.index <= boardState.columns.length)
+                ? operation.index : boardState.columns.length;
+            boardState.columns.splice(position, 0, column);
+            boardState.order[column.id] = [];
+            return {
+                change: { type: 'addColumn', columnId: column.id },
+                inverse: { type: 'deleteColumn', columnId: column.id }
+            };
+        }
+        case 'updateColumn': {
+            const index = boardState.columns.findIndex(column => column.id === operation.columnId);
+            if (index === -1 || !operation.changes) {
+                logWarn('Kanban Store', `Cannot update column '${operation.columnId}'.`);
+                return null;
+            }
+            const column = boardState.columns[index];
+            const { id, ...allowedChanges } = operation.changes;
+            const updatedColumn = normalizeColumn({ ...column, ...allowedChanges });
+            if (!isValidColumn(updatedColumn)) {
+                logError('Kanban Store', "Update would produce an invalid column:", updatedColumn);
+                return null;
+            }
+            const previousValues = {};
+            Object.keys(allowedChanges).forEach(key => { previousValues[key] = column[key]; });
+            boardState.columns[index] = updatedColumn;
+            return {
+                change: { type: 'updateColumn', columnId: column.id },
+                inverse: { type: 'updateColumn', columnId: column.id, changes: previousValues }
+            };
+        }
+        case 'moveColumn': {
+            const fromIndex = boardState.columns.findIndex(column => column.id === operation.columnId);
+            if (fromIndex === -1 || typeof operation.index !== 'number') {
+                logWarn('Kanban Store', `Cannot move column '${operation.columnId}'.`);
+                return null;
+            }
+            const [column] = boardState.columns.splice(fromIndex, 1);
+            const toIndex = Math.max(0, Math.min(operation.index, boardState.columns.length));
+            boardState.columns.splice(toIndex, 0, column);
+            return {
+                change: { type: 'moveColumn', columnId: column.id },
+                inverse: { type: 'moveColumn', columnId: column.id, index: fromIndex }
+            };
+        }
+        case 'deleteColumn': {
+            const index = boardState.columns.findIndex(column => column.id === operation.columnId);
+            if (index === -1 || boardState.columns.length === 1 || boardState.order[operation.columnId].length > 0) {
+                // Tasks must be moved out first (see deleteColumnFromBoard) and a board keeps at least one column
+                logWarn('Kanban Store', `Cannot delete column '${operation.columnId}'. It is missing, the last column, or not empty.`);
+                return null;
+            }
+            const [column] = boardState.columns.splice(index, 1);
+            delete boardState.order[column.id];
+            return {
+                change: { type: 'deleteColumn', columnId: column.id },
+                inverse: { type: 'addColumn', column: { ...column }, index }
+            };
+        }
+        case 'batch': {
+            // Applies each operation in turn; if one fails, the ones already applied are reverted
+            const results = [];
+            for (const subOperation of operation.operations || []) {
+                const result = performBoardOperation(subOperation);
+                if (!result) {
+                    results.reverse().forEach(applied => performBoardOperation(applied.inverse));
+                    logWarn('Kanban Store', "A batch operation failed and was rolled back:", operation);
+                    return null;
+                }
+                results.push(result);
+            }
+            return {
+                change: { type: 'batch', changes: results.map(result => result.change) },
+                inverse: { type: 'batch', label: operation.label, operations: results.map(result => result.inverse).reverse() }
+            };
+        }
+        default:
+            logError('Kanban Store', "Unknown board operation:", operation);
+            return null;
+    }
+}
+
+/**
+ * Applies an operation to the board and notifies all listeners.
+ * @param {object} operation - The operation to apply.
+ * @param {string} [source='local'] - Who applied it: 'local' for user actions, 'history' for undo/redo,
+ *   'remote' for changes made in another tab.
+ * @returns {object | null} The inverse operation, or null if the operation could not be applied.
+ */
+function applyBoardOperation(operation, source = 'local') {
+    const result = performBoardOperation(operation);
+    if (!result) return null;
+    emitBoardChange({ ...result.change, operation, inverse: result.inverse, source });
+    return result.inverse;
+}
+
+// --- Kanban Store Mutations ---
+
+/**
+ * Adds a new task to the board.
+ * @param {{text: string, id?: string}} fields - The task's fields; an ID is generated if none is given.
+ * @param {string} [columnId] - The column to add the task to; defaults to the first column.
+ * @param {number} [index] - The position within the column; appends when omitted.
+ * @returns {object | null} A copy of the created task, or null if the input was invalid.
+ */
+function addTaskToBoard(fields, columnId, index) {
+    const targetColumnId = columnId || (boardState.columns[0] && boardState.columns[0].id);
+    const { id, status, ...otherFields } = fields || {};
+    const task = { id: id || generateId(), ...otherFields, status: targetColumnId };
+    if (!canColumnAcceptTask(targetColumnId)) {
+        logWarn('Kanban Store', `Column '${targetColumnId}' is at its WIP limit. Task not added.`);
+        return null;
+    }
+    return applyBoardOperation({ type: 'addTask', task, columnId: targetColumnId, index }) ? getBoardTask(task.id) : null;
+}
+
+/**
+ * Moves a task to a column (which may be its current column) at a given position.
+ * Moves into a column that blocks at its WIP limit are refused.
+ * @param {string} taskId - The ID of the task to move.
+ * @param {string} columnId - The target column.
+ * @param {number} [index] - The position within the target column; appends when omitted.
+ * @returns {boolean} True if the task was moved.
+ */
+function moveTaskOnBoard(taskId, columnId, index) {
+    if (!canColumnAcceptTask(columnId, taskId)) {
+        logWarn('Kanban Store', `Column '${columnId}' is at its WIP limit. Task '${taskId}' not moved.`);
+        return false;
+    }
+    return !!applyBoardOperation({ type: 'moveTask', taskId, columnId, index });
+}
+
+/**
+ * Updates fields of an existing task. The `id` and `status` fields cannot be changed here;
+ * use moveTaskOnBoard to change a task's column.
+ * @param {string} taskId - The ID of the task to update.
+ * @param {object} changes - The fields to overwrite.
+ * @returns {object | null} A copy of the updated task, or null if the update was rejected.
+ */
+function updateTaskOnBoard(taskId, changes) {
+    return applyBoardOperation({ type: 'updateTask', taskId, changes }) ? getBoardTask(taskId) : null;
+}
+
+/**
+ * Deletes a task from the board.
+ * @param {string} taskId - The ID of the task to delete.
+ * @returns {boolean} True if the task existed and was deleted.
+ */
+function deleteTaskFromBoard(taskId) {
+    return !!applyBoardOperation({ type: 'deleteTask', taskId });
+}
+
+/**
+ * Moves tasks from the board into its archive as one undoable step.
+ * @param {string[]} taskIds - The tasks to archive.
+ * @param {string} [label='Tasks archived'] - What the step is called in the undo history.
+ * @returns {boolean} True if the tasks were archived.
+ */
+function archiveTasksOnBoard(taskIds, label = 'Tasks archived') {
+    const archivedAt = Date.now();
+    const operations = taskIds.map(taskId => ({ type: 'archiveTask', taskId, archivedAt }));
+    if (operations.length === 0) return false;
+    return !!applyBoardOperation(operations.length === 1 ? { ...operations[0], label: 'Task archived' } : { type: 'batch', label, operations });
+}
+
+/**
+ * Brings an archived task back onto the board, at the end of the column it was archived from,
+ * or of the first column if that column no longer exists.
+ * @param {string} taskId - The archived task.
+ * @returns {boolean} True if the task was restored.
+ */
+function restoreArchivedTask(taskId) {
+    const archivedTask = boardState.archive.find(archived => archived.id === taskId);
+    if (!archivedTask) return false;
+    const columnId = hasBoardColumn(archivedTask.status) ? archivedTask.status : boardState.columns[0].id;
+    return !!applyBoardOperation({ type: 'unarchiveTask', taskId, columnId, label: 'Task restored from archive' });
+}
+
+/**
+ * Adds a new column to the board. Use setDoneColumn to make it the done column.
+ * @param {{title: string, wipLimit?: ?number, wipMode?: string}} fields - The column's title and optional WIP settings.
+ * @param {number} [index] - The position among the columns; appends when omitted.
+ * @returns {object | null} A copy of the created column, or null if the title was invalid.
+ */
+function addColumnToBoard(fields, index) {
+    const { id, isDone, ...settings } = fields || {};
+    const column = { ...settings, id: generateColumnId(), title: typeof settings.title === 'string' ? settings.title.trim() : '' };
+    if (column.title === '') {
+        logWarn('Kanban Store', "A column needs a title.");
+        return null;
+    }
+    return applyBoardOperation({ type: 'addColumn', column, index }) ? getBoardColumn(column.id) : null;
+}
+
+/**
+ * Updates a column's title, WIP limit or WIP mode. Use setDoneColumn to choose the done column.
+ * @param {string} columnId - The column to update.
+ * @param {{title?: string, wipLimit?: ?number, wipMode?: string}} changes - The settings to overwrite.
+ * @returns {object | null} A copy of the updated column, or null if the update was rejected.
+ */
+function updateColumnOnBoard(columnId, changes) {
+    const { isDone, ...allowedChanges } = changes || {};
+    if (typeof allowedChanges.title === 'string') {
+        allowedChanges.title = allowedChanges.title.trim();
+        if (allowedChanges.title === '') return null;
+    }
+    return applyBoardOperation({ type: 'updateColumn', columnId, changes: allowedChanges }) ? getBoardColumn(columnId) : null;
+}
+
+/**
+ * Moves a column to a new position among the columns.
+ * @param {string} columnId - The column to move.
+ * @param {number} index - Its new position.
+ * @returns {boolean} True if the column was moved.
+ */
+function moveColumnOnBoard(columnId, index) {
+    return !!applyBoardOperation({ type: 'moveColumn', columnId, index });
+}
+
+/**
+ * Marks one column as the board's done column, or clears the mark when given null.
+ * @param {string | null} columnId - The new done column.
+ * @returns {boolean} True if the board was changed.
+ */
+function setDoneColumn(columnId) {
+    if (columnId !== null && !hasBoardColumn(columnId)) return false;
+    const operations = boardState.columns
+        .filter(column => column.isDone !== (column.id === columnId))
+        .map(column => ({ type: 'updateColumn', columnId: column.id, changes: { isDone: column.id === columnId } }));
+    if (operations.length === 0) return false;
+    return !!applyBoardOperation({ type: 'batch', label: 'Done column changed', operations });
+}
+
+/**
+ * Deletes a column. Its tasks are moved to the end of another column first, ignoring that
+ * column's WIP limit; the whole deletion is undone as one step.
+ * @param {string} columnId - The column to delete.
+ * @param {string} [targetColumnId] - Where its tasks go; defaults to the first other column.
+ * @returns {boolean} True if the column was deleted.
+ */
+function deleteColumnFromBoard(columnId, targetColumnId) {
+    const otherColumns = boardState.columns.filter(column => column.id !== columnId);
+    if (!hasBoardColumn(columnId) || otherColumns.length === 0) {
+        logWarn('Kanban Store', `Cannot delete column '${columnId}'.`);
+        return false;
+    }
+    const fallbackColumnId = targetColumnId && targetColumnId !== columnId && hasBoardColumn(targetColumnId) ? targetColumnId : otherColumns[0].id;
+    const operations = (boardState.order[columnId] || [])
+        .map(taskId => ({ type: 'moveTask', taskId, columnId: fallbackColumnId }))
+        .concat([{ type: 'deleteColumn', columnId }]);
+    return !!applyBoardOperation({ type: 'batch', label: 'Column deleted', operations });
+}
+
+/**
+ * Replaces the whole board, e.g. when loading saved data. This cannot be undone.
+ * Invalid tasks and duplicate IDs are skipped; tasks whose column does not exist go to the first column.
+ * @param {Array<object>} tasks - The tasks to load, column by column in display order.
+ * @param {Array<object>} [columns] - The columns to load; invalid or missing columns fall back to the defaults.
+ * @param {Array<object>} [archive] - The archived tasks to load, oldest archived first.
+ * @returns {number} The number of tasks loaded (not counting archived ones).
+ */
+function loadBoardState(tasks, columns, archive) {
+    const validColumns = (Array.isArray(columns) ? columns : []).filter((column, index, all) =>
+        isValidColumn(column) && all.findIndex(other => other && other.id === column.id) === index);
+    boardState = createEmptyBoardState(validColumns.length > 0 ? validColumns : DEFAULT_KANBAN_COLUMNS);
+    const firstColumnId = boardState.columns[0].id;
+    (tasks || []).forEach(task => {
+        if (!isValidTask(task)) {
+            logWarn('Kanban Store', "Invalid task object, skipping:", task);
+            return;
+        }
+        if (boardState.tasks[task.id]) {
+            logWarn('Kanban Store', `Duplicate task ID '${task.id}', skipping.`);
+            return;
+        }
+        const columnId = hasBoardColumn(task.status) ? task.status : firstColumnId;
+        if (columnId !== task.status) {
+            logWarn('Kanban Store', `Column '${task.status}' not found for task '${task.id}'. Placing it in '${columnId}'.`);
+        }
+        boardState.tasks[task.id] = normalizeTask({ ...task, status: columnId });
+        insertIntoColumnOrder(columnId, task.id);
+    });
+    (Array.isArray(archive) ? archive : []).forEach(archivedTask => {
+        if (!isValidTask(archivedTask) || boardState.tasks[archivedTask.id] || boardState.archive.some(other => other.id === archivedTask.id)) {
+            logWarn('Kanban Store', "Invalid or duplicate archived task, skipping:", archivedTask);
+            return;
+        }
+        const archivedAt = typeof archivedTask.archivedAt === 'number' ? archivedTask.archivedAt : Date.now();
+        boardState.archive.push({ ...normalizeTask(archivedTask), archivedAt });
+    });
+    emitBoardChange({ type: 'reset', taskId: null, task: null, fromColumnId: null, toColumnId: null, operation: null, inverse: null, source: 'local' });
+    return Object.keys(boardState.tasks).length;
+}
@@ -0,0 +1,177 @@
+// --- Kanban Live Sync ---
+// Keeps the board in step across every open tab of the hub. Each change made in a tab is sent to
+// the other tabs as the board operation that made it, and they apply it with source 'remote'
+// (which the undo history ignores). As operations name single tasks and fields, edits to
+// different tasks, or to different fields of one task, merge instead of overwriting each other.
+//
+// When two tabs change the same field (or move the same task) at about the same time, the later
+// stamp wins in every tab: each tab remembers the stamp of the last change to each field and
+// skips remote changes that are older. A deleted task stays deleted.
+
+let kanbanSyncStamps = new Map(); // Sync key (see getOperationSyncKeys) to the stamp of its latest change
+let pendingRemoteBoardMessages = []; // Remote changes held back while a card is being edited in place
+
+/**
+ * Lists the keys conflicts are tracked by for one (non-batch) operation: a task's or column's
+ * position, or one of its fields.
+ * @param {object} operation - The board operation.
+ * @returns {string[]} The sync keys.
+ */
+function getOperationSyncKeys(operation) {
+    switch (operation.type) {
+        case 'updateTask':
+            return Object.keys(operation.changes || {}).map(field => `task:${operation.taskId}.${field}`);
+        case 'moveTask':
+        case 'archiveTask':
+        case 'unarchiveTask':
+            return [`task:${operation.taskId}.position`];
+        case 'updateColumn':
+            return Object.keys(operation.changes || {}).map(field => `column:${operation.columnId}.${field}`);
+        case 'moveColumn':
+            return [`column:${operation.columnId}.position`];
+        default:
+            return []; // Adding and deleting always apply
+    }
+}
+
+/**
+ * Remembers the stamp of a change for every key it touches.
+ * @param {object} operation - The applied operation (may be a batch).
+ * @param {{time: number, tabId: string}} stamp - The change's stamp.
+ */
+function recordOperationStamps(operation, stamp) {
+    if (operation.type === 'batch') {
+        (operation.operations || []).forEach(subOperation => recordOperationStamps(subOperation, stamp));
+        return;
+    }
+    getOperationSyncKeys(operation).forEach(key => kanbanSyncStamps.set(key, stamp));
+}
+
+/**
+ * Checks whether this tab has a newer change for a sync key than a remote stamp.
+ * @param {string} key - The sync key.
+ * @param {{time: number, tabId: string}} stamp - The remote change's stamp.
+ * @returns {boolean} True if the remote change lost.
+ */
+function isSupersededLocally(key, stamp) {
+    return compareTabStamps(kanbanSyncStamps.get(key), stamp) > 0;
+}
+
+/**
+ * Removes the parts of a remote operation that lose against newer changes made in this tab.
+ * @param {object} operation - The remote operation.
+ * @param {{time: number, tabId: string}} stamp - Its stamp.
+ * @returns {object | null} The operation to apply, or null if nothing of it is left.
+ */
+function filterRemoteOperation(operation, stamp) {
+    switch (operation.type) {
+        case 'batch': {
+            const operations = (operation.operations || [])
+                .map(subOperation => filterRemoteOperation(subOperation, stamp))
+                .filter(subOperation => subOperation);
+            return operations.length > 0 ? { ...operation, operations } : null;
+        }
+        case 'updateTask':
+        case 'updateColumn': {
+            const prefix = operation.type === 'updateTask' ? `task:${operation.taskId}` : `column:${operation.columnId}`;
+            const changes = {};
+            Object.keys(operation.changes || {}).forEach(field => {
+                if (!isSupersededLocally(`${prefix}.${field}`, stamp)) changes[field] = operation.changes[field];
+            });
+            return Object.keys(changes).length > 0 ? { ...operation, changes } : null;
+        }
+        case 'moveTask':
+        case 'moveColumn':
+        case 'archiveTask':
+        case 'unarchiveTask':
+            return getOperationSyncKeys(operation).some(key => isSupersededLocally(key, stamp)) ? null : operation;
+        default:
+            return operation;
+    }
+}
+
+/**
+ * Applies a remote operation. If a batch no longer applies as a whole (e.g. the other tab
+ * moved a task this tab has deleted), its operations are applied one by one instead, so the
+ * parts that still apply are not lost.
+ * @param {object} operation - The filtered remote operation.
+ */
+function applyRemoteOperation(operation) {
+    if (applyBoardOperation(operation, 'remote')) return;
+    if (operation.type === 'batch') {
+        operation.operations.forEach(subOperation => applyBoardOperation(subOperation, 'remote'));
+    } else {
+        logWarn('Kanban Sync', "A change from another tab no longer applies to this board and was skipped:", operation);
+    }
+}
+
+/**
+ * Board listener that sends every change made in this tab to the other tabs.
+ * Full board loads are not sent; every tab loads boards from the shared storage.
+ * @param {object} change - The change object emitted by the board store.
+ */
+function broadcastBoardChange(change) {
+    if (change.source === 'remote' || change.type === 'reset' || !change.operation) return;
+    const stamp = createTabStamp();
+    recordOperationStamps(change.operation, stamp);
+    postTabMessage({ type: 'boardOperation', boardId: getActiveBoardId(), operation: change.operation, stamp });
+}
+
+/**
+ * Checks whether a card is being edited in place. Applying a remote change re-renders the
+ * board, which would throw away what is being typed.
+ * @returns {boolean} True while an inline editor is open.
+ */
+function isInlineEditInProgress() {
+    return !!document.querySelector('.task-inline-edit');
+}
+
+/**
+ * Applies a remote change to the board if it is for the board shown in this tab.
+ * @param {object} message - The 'boardOperation' message.
+ */
+function applyRemoteBoardMessage(message) {
+    if (message.boardId !== getActiveBoardId()) return; // Other boards are read from storage when shown
+    const operation = filterRemoteOperation(message.operation, message.stamp);
+    if (!operation) {
+        logInfo('Kanban Sync', "A change from another tab was superseded by a newer change in this tab.");
+        return;
+    }
+    recordOperationStamps(operation, message.stamp);
+    applyRemoteOperation(operation);
+}
+
+/**
+ * Applies remote changes that arrived while a card was being edited in place.
+ */
+function flushPendingRemoteBoardMessages() {
+    if (isInlineEditInProgress() || pendingRemoteBoardMessages.length === 0) return;
+    const messages = pendingRemoteBoardMessages;
+    pendingRemoteBoardMessages = [];
+    messages.forEach(applyRemoteBoardMessage);
+}
+
+/**
+ * Tab message listener for board changes made in other tabs.
+ * @param {object} message - The message from another tab.
+ */
+function handleBoardSyncMessage(message) {
+    if (message.type !== 'boardOperation' || !message.operation) return;
+    if (isInlineEditInProgress()) {
+        pendingRemoteBoardMessages.push(message);
+        return;
+    }
+    applyRemoteBoardMessage(message);
+}
+
+/**
+ * Starts sending this tab's board changes to other tabs and applying theirs.
+ * Called by initKanban after the board has been loaded.
+ */
+function initBoardSync() {
+    subscribeToBoard(broadcastBoardChange);
+    subscribeToTabMessages(handleBoardSyncMessage);
+    // An inline edit ends when its input loses focus; apply what arrived in the meantime
+    document.addEventListener('focusout', () => setTimeout(flushPendingRemoteBoardMessages, 0));
+    logInfo('Kanban', "Live sync with other tabs initialized.");
+}
@@ -0,0 +1,118 @@
+// --- Kanban Task Detail Panel Elements ---
+// These will be assigned in initializeTaskDetailDOMElements after the DOM is fully loaded.
+let taskDetailPanel, taskDetailTextInput, taskDetailDescriptionInput, taskDetailDueDateInput;
+let taskDetailPrioritySelect, taskDetailRecurrenceSelect, taskDetailTagsInput, taskDetailSaveBtn, taskDetailCancelBtn;
+let editingTaskId = null; // ID of the task currently shown in the panel
+
+/**
+ * Initializes the task detail panel's DOM element variables.
+ * Called by initTaskDetailPanel after the DOM is loaded.
+ */
+function initializeTaskDetailDOMElements() {
+    taskDetailPanel = document.getElementById('taskDetailPanel');
+    taskDetailTextInput = document.getElementById('taskDetailText');
+    taskDetailDescriptionInput = document.getElementById('taskDetailDescription');
+    taskDetailDueDateInput = document.getElementById('taskDetailDueDate');
+    taskDetailPrioritySelect = document.getElementById('taskDetailPriority');
+    taskDetailRecurrenceSelect = document.getElementById('taskDetailRecurrence');
+    taskDetailTagsInput = document.getElementById('taskDetailTags');
+    taskDetailSaveBtn = document.getElementById('taskDetailSaveBtn');
+    taskDetailCancelBtn = document.getElementById('taskDetailCancelBtn');
+
+    // --- DOM Element Validation ---
+    const requiredElements = {
+        taskDetailPanel, taskDetailText: taskDetailTextInput, taskDetailDescription: taskDetailDescriptionInput,
+        taskDetailDueDate: taskDetailDueDateInput, taskDetailPriority: taskDetailPrioritySelect, taskDetailRecurrence: taskDetailRecurrenceSelect,
+        taskDetailTags: taskDetailTagsInput, taskDetailSaveBtn, taskDetailCancelBtn
+    };
+    checkRequiredElements('Kanban Details', requiredElements, "Task details cannot be edited.");
+}
+
+/**
+ * Checks that every element of the detail panel was found.
+ * @returns {boolean} True if the panel can be used.
+ */
+function isTaskDetailPanelAvailable() {
+    return !!(taskDetailPanel && taskDetailTextInput && taskDetailDescriptionInput && taskDetailDueDateInput &&
+        taskDetailPrioritySelect && taskDetailRecurrenceSelect && taskDetailTagsInput);
+}
+
+/**
+ * Opens the detail panel for a task, filled with its current values.
+ * @param {string} taskId - The ID of the task to edit.
+ */
+function openTaskDetailPanel(taskId) {
+    const task = getBoardTask(taskId);
+    if (!task || !isTaskDetailPanelAvailable()) {
+        logWarn('Kanban Details', `Cannot open details for task '${taskId}'.`);
+        return;
+    }
+    editingTaskId = taskId;
+    taskDetailTextInput.value = task.text;
+    taskDetailDescriptionInput.value = task.description;
+    taskDetailDueDateInput.value = task.dueDate || '';
+    taskDetailPrioritySelect.value = task.priority;
+    taskDetailRecurrenceSelect.value = task.recurrence;
+    taskDetailTagsInput.value = task.tags.join(', ');
+    renderTaskChecklist(taskId);
+    renderTaskActivityTimeline(taskId);
+    taskDetailPanel.classList.remove('hidden');
+    taskDetailTextInput.focus();
+}
+
+/**
+ * Closes the detail panel without saving.
+ */
+function closeTaskDetailPanel() {
+    editingTaskId = null;
+    if (taskDetailPanel) taskDetailPanel.classList.add('hidden');
+}
+
+/**
+ * Saves the panel's values to the task being edited and closes the panel.
+ * An empty task text is rejected, matching addTask.
+ */
+function saveTaskDetailPanel() {
+    if (!editingTaskId || !isTaskDetailPanelAvailable()) return;
+    const text = taskDetailTextInput.value.trim();
+    if (text === '') {
+        taskDetailTextInput.classList.add('border-red-500');
+        setTimeout(() => taskDetailTextInput.classList.remove('border-red-500'), 2500);
+        return;
+    }
+    updateTaskOnBoard(editingTaskId, {
+        text,
+        description: taskDetailDescriptionInput.value.trim(),
+        dueDate: taskDetailDueDateInput.value || null,
+        priority: taskDetailPrioritySelect.value,
+        recurrence: taskDetailRecurrenceSelect.value,
+        tags: normalizeTags(taskDetailTagsInput.value)
+    });
+    closeTaskDetailPanel();
+}
+
+/**
+ * Sets up the task detail panel: element references, buttons and keyboard handling.
+ * Called by initKanban.
+ */
+function initTaskDetailPanel() {
+    initializeTaskDetailDOMElements();
+    if (taskDetailSaveBtn) taskDetailSaveBtn.addEventListener('click', saveTaskDetailPanel);
+    if (taskDetailCancelBtn) taskDetailCancelBtn.addEventListener('click', closeTaskDetailPanel);
+    if (taskDetailPanel) {
+        // Clicking the dimmed backdrop or pressing Escape closes the panel
+        taskDetailPanel.addEventListener('click', (event) => {
+            if (event.target === taskDetailPanel) closeTaskDetailPanel();
+        });
+        taskDetailPanel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                closeTaskDetailPanel();
+            } else if (event.key === 'Enter' && event.target !== taskDetailDescriptionInput && !event.target.closest('.task-checklist-section')) {
+                // The checklist handles Enter itself (adding items, pressing its buttons)
+                event.preventDefault();
+                saveTaskDetailPanel();
+            }
+        });
+    }
+    logInfo('Kanban', "Task detail panel initialized.");
+}
@@ -0,0 +1,540 @@
+// --- Kanban Import and Export ---
+// Exports the active board as versioned JSON (everything, for backups and moving boards between
+// browsers), CSV (one row per task, for spreadsheets) or a Markdown checklist grouped by column.
+// JSON and CSV files can be imported again, either merged into the active board or replacing it.
+// An import is applied as a single batch operation, so it can be undone in one step.
+
+const KANBAN_EXPORT_FORMAT = 'productivity-hub-kanban-board';
+const KANBAN_EXPORT_VERSION = 1; // Bump when the JSON layout changes, and keep reading older versions
+const KANBAN_CSV_HEADERS = ['id', 'text', 'status', 'column', 'description', 'dueDate', 'priority', 'recurrence', 'tags', 'checklist'];
+
+// --- Import/Export DOM Elements ---
+// These will be assigned in initializeBoardTransferDOMElements after the DOM is fully loaded.
+let exportFormatSelect, exportBoardBtn, importBoardBtn, importFileInput;
+let importPanel, importSummary, importRejectedList, importMergeBtn, importReplaceBtn, importCancelBtn;
+let pendingImport = null; // The parsed file waiting for the user to choose merge or replace
+
+// --- Export ---
+
+/**
+ * Writes a checklist as text for a CSV cell, one item per line: "[x] Done step" or "[ ] Open step".
+ * @param {Array<{text: string, done: boolean}>} subtasks - The checklist.
+ * @returns {string} The text.
+ */
+function formatChecklistText(subtasks) {
+    return subtasks.map(subtask => `[${subtask.done ? 'x' : ' '}] ${subtask.text}`).join('\n');
+}
+
+/**
+ * Reads a checklist written by formatChecklistText. Lines without a "[ ]" or "[x]" prefix
+ * become open items.
+ * @param {string} text - The cell's text.
+ * @returns {Array<{text: string, done: boolean}>} The checklist items, without IDs.
+ */
+function parseChecklistText(text) {
+    return (text || '').split(/\r?\n/).map(line => {
+        const match = /^\s*\[([ xX]?)\]\s*(.*)$/.exec(line);
+        return match ? { text: match[2].trim(), done: match[1].toLowerCase() === 'x' } : { text: line.trim(), done: false };
+    }).filter(subtask => subtask.text !== '');
+}
+
+/**
+ * Returns the name of the board currently shown.
+ * @returns {string} The board name.
+ */
+function getActiveBoardName() {
+    const board = getKanbanBoards().find(existing => existing.id === getActiveBoardId());
+    return board ? board.name : 'Board';
+}
+
+/**
+ * Serializes the active board as versioned JSON, with every column setting and task field, and
+ * the archived tasks.
+ * @returns {string} The JSON text.
+ */
+function exportBoardAsJson() {
+    const exportData = {
+        format: KANBAN_EXPORT_FORMAT,
+        version: KANBAN_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        board: { name: getActiveBoardName(), columns: getBoardColumns(), tasks: getAllBoardTasks(), archive: getArchivedBoardTasks() }
+    };
+    return JSON.stringify(exportData, null, 2);
+}
+
+/**
+ * Serializes the active board's tasks as CSV, one row per task in board order.
+ * The `column` cell holds the column's title for readability; `status` holds its ID.
+ * @returns {string} The CSV text.
+ */
+function exportBoardAsCsv() {
+    const rows = getAllBoardTasks().map(task => {
+        const column = getBoardColumn(task.status);
+        return [task.id, task.text, task.status, column ? column.title : '', task.description,
+            task.dueDate || '', task.priority, task.recurrence, task.tags.join(', '), formatChecklistText(task.subtasks)];
+    });
+    return toCsv([KANBAN_CSV_HEADERS].concat(rows));
+}
+
+/**
+ * Serializes the active board as a Markdown checklist: a heading per column, with tasks in
+ * the done column checked off. Due dates, priorities, recurrence, tags, descriptions and each task's own
+ * checklist (as nested items) are included.
+ * @returns {string} The Markdown text.
+ */
+function exportBoardAsMarkdown() {
+    const lines = [`# ${getActiveBoardName()}`, ''];
+    getBoardColumns().forEach(column => {
+        lines.push(`## ${column.title}`, '');
+        const tasks = getColumnTasks(column.id);
+        if (tasks.length === 0) lines.push('_No tasks_');
+        tasks.forEach(task => {
+            const details = [];
+            if (task.dueDate) details.push(`due ${task.dueDate}`);
+            if (task.priority !== 'none') details.push(`${task.priority} priority`);
+            if (task.recurrence !== 'none') details.push(`repeats ${task.recurrence}`);
+            const detailText = details.length > 0 ? ` (${details.join(', ')})` : '';
+            const tagText = task.tags.map(tag => ` #${tag.replace(/\s+/g, '-')}`).join('');
+            lines.push(`- [${column.isDone ? 'x' : ' '}] ${task.text}${detailText}${tagText}`);
+            if (task.description) {
+                // Indented lines continue the list item
+                task.description.split(/\r?\n/).forEach(line => lines.push(`  ${line}`));
+            }
+            task.subtasks.forEach(subtask => lines.push(`  - [${subtask.done ? 'x' : ' '}] ${subtask.text}`));
+        });
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Downloads the active board in the given format.
+ * @param {string} format - 'json', 'csv' or 'markdown'.
+ */
+function exportActiveBoard(format) {
+    const exporters = {
+        json: { run: exportBoardAsJson, extension: 'json', mimeType: 'application/json' },
+        csv: { run: exportBoardAsCsv, extension: 'csv', mimeType: 'text/csv' },
+        markdown: { run: exportBoardAsMarkdown, extension: 'md', mimeType: 'text/markdown' }
+    };
+    const exporter = exporters[format];
+    if (!exporter) {
+        logError('Kanban Transfer', `Unknown export format '${format}'.`);
+        return;
+    }
+    const filename = `${toFileSlug(getActiveBoardName())}-${getTodayDateString()}.${exporter.extension}`;
+    downloadTextFile(filename, exporter.run(), exporter.mimeType);
+    logInfo('Kanban Transfer', `Exported the board as ${filename}.`);
+}
+
+// --- Import Parsing and Validation ---
+
+/**
+ * Validates imported tasks the way saved tasks are validated on load: each needs a string
+ * `id`, `text` and `status`. Tasks with empty text, repeated IDs or (when the file defines
+ * its columns) an unknown status are rejected as well.
+ * @param {Array<{row: number, task: *}>} entries - The candidate tasks with the row they came from.
+ * @param {Set<string> | null} knownColumnIds - The file's column IDs, or null if any status is allowed.
+ * @returns {{tasks: Array<object>, rejected: Array<{row: number, reason: string}>}} The valid tasks
+ *   and the rejected rows.
+ */
+function validateImportedTasks(entries, knownColumnIds) {
+    const tasks = [];
+    const rejected = [];
+    const seenIds = new Set();
+    entries.forEach(({ row, task }) => {
+        let reason = null;
+        if (!task || typeof task !== 'object') {
+            reason = 'not a task';
+        } else {
+            const missing = ['id', 'text', 'status'].filter(field => typeof task[field] !== 'string' || task[field].trim() === '');
+            if (missing.length > 0) {
+                reason = `missing ${missing.join(', ')}`;
+            } else if (seenIds.has(task.id)) {
+                reason = `duplicate id '${task.id}'`;
+            } else if (knownColumnIds && !knownColumnIds.has(task.status)) {
+                reason = `unknown column '${task.status}'`;
+            }
+        }
+        if (reason) {
+            rejected.push({ row, reason });
+            return;
+        }
+        seenIds.add(task.id);
+        tasks.push(normalizeTask({ ...task, text: task.text.trim() }));
+    });
+    return { tasks, rejected };
+}
+
+/**
+ * Reads an exported JSON board. Besides this hub's export format, a stored board
+ * (`{columns, tasks, archive}`) or a bare array of tasks is accepted.
+ * @param {string} text - The file content.
+ * @returns {{columns: ?Array<object>, archive: ?Array<object>, tasks: Array<object>, rejected: Array<object>}}
+ *   The parsed board; columns and archive are null if the file has none. Archived tasks keep
+ *   their `archivedAt`.
+ * @throws {Error} If the file is not JSON or not a board.
+ */
+function parseBoardJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("The file is not valid JSON.");
+    }
+    if (data && data.format === KANBAN_EXPORT_FORMAT) {
+        if (typeof data.version !== 'number' || data.version > KANBAN_EXPORT_VERSION) {
+            throw new Error(`The file was exported by a newer version (format version ${data.version}).`);
+        }
+        data = data.board;
+    }
+    const rawTasks = Array.isArray(data) ? data : (data && data.tasks);
+    if (!Array.isArray(rawTasks)) {
+        throw new Error("The file contains no task list.");
+    }
+
+    let columns = null;
+    if (data && Array.isArray(data.columns)) {
+        columns = data.columns.filter((column, index, all) =>
+            isValidColumn(column) && column.title.trim() !== '' && all.findIndex(other => other && other.id === column.id) === index);
+        let hasDoneColumn = false;
+        columns = columns.map(column => {
+            const normalized = normalizeColumn(column);
+            normalized.isDone = normalized.isDone && !hasDoneColumn; // Only one done column
+            hasDoneColumn = hasDoneColumn || normalized.isDone;
+            return normalized;
+        });
+        if (columns.length === 0) columns = null;
+    }
+
+    const entries = rawTasks.map((task, index) => ({ row: index + 1, task }));
+    const knownColumnIds = columns ? new Set(columns.map(column => column.id)) : null;
+    const validated = validateImportedTasks(entries, knownColumnIds);
+
+    let archive = null;
+    if (data && Array.isArray(data.archive)) {
+        // Archived tasks may come from columns deleted since, so any status is allowed
+        const archiveEntries = data.archive.map((task, index) => ({ row: index + 1, task }));
+        const validatedArchive = validateImportedTasks(archiveEntries, null);
+        const taskIds = new Set(validated.tasks.map(task => task.id));
+        archive = validatedArchive.tasks
+            .filter(task => !taskIds.has(task.id))
+            .map(task => ({ ...task, archivedAt: typeof task.archivedAt === 'number' ? task.archivedAt : Date.now() }));
+        const duplicates = validatedArchive.tasks.filter(task => taskIds.has(task.id))
+            .map(task => ({ row: data.archive.findIndex(raw => raw && raw.id === task.id) + 1, reason: `duplicate id '${task.id}'` }));
+        validatedArchive.rejected.concat(duplicates)
+            .forEach(({ row, reason }) => validated.rejected.push({ row, reason: `${reason} (archived task)` }));
+    }
+    return { columns, archive, ...validated };
+}
+
+/**
+ * Reads a CSV file with at least the `id`, `text` and `status` headers (in any order and case).
+ * The optional `column` header names columns that do not exist on the board yet.
+ * @param {string} text - The file content.
+ * @returns {{columns: null, archive: null, columnTitles: Object<string, string>, tasks: Array<object>, rejected: Array<object>}}
+ *   The parsed tasks, and the titles given for each status.
+ * @throws {Error} If a required header is missing.
+ */
+function parseBoardCsv(text) {
+    const { headers, records } = csvRowsToRecords(parseCsv(text));
+    const headerByField = {};
+    KANBAN_CSV_HEADERS.forEach(field => {
+        const header = headers.find(name => name.toLowerCase() === field.toLowerCase());
+        if (header !== undefined) headerByField[field] = header;
+    });
+    const missingHeaders = ['id', 'text', 'status'].filter(field => !(field in headerByField));
+    if (missingHeaders.length > 0) {
+        throw new Error(`The CSV file has no ${missingHeaders.join(', ')} column.`);
+    }
+
+    const columnTitles = {};
+    const entries = records.map((record, index) => {
+        const value = (field) => (field in headerByField ? record[headerByField[field]] : undefined);
+        const task = {
+            id: value('id').trim(),
+            text: value('text'),
+            status: value('status').trim(),
+            description: value('description') || '',
+            dueDate: (value('dueDate') || '').trim() || null,
+            priority: (value('priority') || '').trim().toLowerCase() || 'none',
+            recurrence: (value('recurrence') || '').trim().toLowerCase() || 'none',
+            tags: value('tags') || '',
+            subtasks: parseChecklistText(value('checklist'))
+        };
+        const columnTitle = (value('column') || '').trim();
+        if (task.status && columnTitle && !columnTitles[task.status]) columnTitles[task.status] = columnTitle;
+        return { row: index + 2, task }; // Row 1 is the header
+    });
+    const validated = validateImportedTasks(entries, null);
+    // CSV files have no column for calculations linked from the solver; existing tasks keep theirs
+    validated.tasks.forEach(task => { delete task.calculation; });
+    return { columns: null, archive: null, columnTitles, ...validated };
+}
+
+/**
+ * Parses an import file, choosing the format from its extension or, failing that, its content.
+ * @param {string} filename - The file's name.
+ * @param {string} text - The file's content.
+ * @returns {object} The parsed board, as returned by parseBoardJson or parseBoardCsv.
+ * @throws {Error} If the file cannot be read as a board.
+ */
+function parseBoardImport(filename, text) {
+    const isJson = /\.json$/i.test(filename) || (!/\.csv$/i.test(filename) && /^\s*[[{]/.test(text));
+    return isJson ? parseBoardJson(text) : parseBoardCsv(text);
+}
+
+// --- Applying an Import ---
+
+/**
+ * Returns the fields of an imported task that differ from an existing task. Checklists are
+ * compared by their items' text and state only, as CSV files do not carry item IDs.
+ * @param {object} existingTask - The task on the board.
+ * @param {object} importedTask - The imported task.
+ * @returns {object} The changed fields, empty if nothing differs.
+ */
+function getImportedTaskChanges(existingTask, importedTask) {
+    const { id, status, ...fields } = importedTask;
+    const comparable = (key, value) => (key === 'subtasks' && Array.isArray(value)
+        ? value.map(subtask => [subtask.text, subtask.done]) : value);
+    const changes = {};
+    Object.keys(fields).forEach(key => {
+        if (JSON.stringify(comparable(key, fields[key])) !== JSON.stringify(comparable(key, existingTask[key]))) changes[key] = fields[key];
+    });
+    return changes;
+}
+
+/**
+ * Builds the operations that create the columns imported tasks need but the board lacks.
+ * Columns from a JSON file keep their settings (except the done flag, which stays with the
+ * board's own done column); statuses from a CSV file become columns titled from its `column` cells.
+ * @param {object} imported - The parsed import.
+ * @param {Set<string>} existingColumnIds - The columns already on the board.
+ * @returns {Array<object>} The addColumn operations.
+ */
+function buildMissingColumnOperations(imported, existingColumnIds) {
+    const operations = [];
+    const addedIds = new Set(existingColumnIds);
+    if (imported.columns) {
+        imported.columns.filter(column => !addedIds.has(column.id)).forEach(column => {
+            operations.push({ type: 'addColumn', column: { ...column, isDone: false } });
+            addedIds.add(column.id);
+        });
+    }
+    imported.tasks.forEach(task => {
+        if (addedIds.has(task.status)) return;
+        const title = (imported.columnTitles && imported.columnTitles[task.status]) || task.status;
+        operations.push({ type: 'addColumn', column: { id: task.status, title } });
+        addedIds.add(task.status);
+    });
+    return operations;
+}
+
+/**
+ * Leaves out imported tasks whose ID belongs to a task in the board's archive, e.g. from a file
+ * exported before the task was archived. They are not added again; restore them from the archive.
+ * @param {object} imported - The parsed import.
+ * @returns {object} The import without those tasks.
+ */
+function withoutArchivedImports(imported) {
+    return { ...imported, tasks: imported.tasks.filter(task => !isArchivedBoardTask(task.id)) };
+}
+
+/**
+ * Merges imported tasks into the active board: tasks whose ID is already on the board are
+ * updated (and moved if their column differs), new tasks are added to the end of their column,
+ * and tasks missing from the file or in the board's archive are left alone. Archived tasks from
+ * the file are added to the archive unless their ID is already on the board or archived. WIP
+ * limits are not enforced for imports.
+ * @param {object} imported - The parsed import.
+ * @returns {boolean} True if the board changed.
+ */
+function mergeImportedBoard(imported) {
+    imported = withoutArchivedImports(imported);
+    const existingColumnIds = new Set(getBoardColumns().map(column => column.id));
+    const operations = buildMissingColumnOperations(imported, existingColumnIds);
+    imported.tasks.forEach(task => {
+        const existingTask = getBoardTask(task.id);
+        if (!existingTask) {
+            operations.push({ type: 'addTask', task, columnId: task.status });
+            return;
+        }
+        const changes = getImportedTaskChanges(existingTask, task);
+        if (Object.keys(changes).length > 0) operations.push({ type: 'updateTask', taskId: task.id, changes });
+        if (existingTask.status !== task.status) operations.push({ type: 'moveTask', taskId: task.id, columnId: task.status });
+    });
+    (imported.archive || []).forEach(task => {
+        if (!getBoardTask(task.id) && !isArchivedBoardTask(task.id)) operations.push({ type: 'addArchivedTask', task });
+    });
+    if (operations.length === 0) return false;
+    return !!applyBoardOperation({ type: 'batch', label: 'Tasks imported', operations });
+}
+
+/**
+ * Replaces the active board's tasks with the imported ones. A JSON file with an archive also
+ * replaces the board's archive; otherwise the archive is kept, and imported tasks in it are
+ * left out. A JSON file that defines columns also replaces the column layout; otherwise the
+ * board's columns are kept and any missing ones are added.
+ * @param {object} imported - The parsed import.
+ * @returns {boolean} True if the board changed.
+ */
+function replaceWithImportedBoard(imported) {
+    if (!imported.archive) imported = withoutArchivedImports(imported);
+    const currentColumns = getBoardColumns();
+    const operations = getAllBoardTasks().map(task => ({ type: 'deleteTask', taskId: task.id }));
+    if (imported.archive) {
+        operations.push(...getArchivedBoardTasks().map(task => ({ type: 'deleteArchivedTask', taskId: task.id })));
+    }
+
+    if (imported.columns) {
+        const currentIds = new Set(currentColumns.map(column => column.id));
+        const importedIds = new Set(imported.columns.map(column => column.id));
+        imported.columns.forEach((column, index) => {
+            if (currentIds.has(column.id)) {
+                const { id, ...settings } = column;
+                operations.push({ type: 'updateColumn', columnId: id, changes: settings });
+                operations.push({ type: 'moveColumn', columnId: id, index });
+            } else {
+                operations.push({ type: 'addColumn', column, index });
+            }
+        });
+        // Removed last, once they are empty and the imported columns exist
+        currentColumns.filter(column => !importedIds.has(column.id))
+            .forEach(column => operations.push({ type: 'deleteColumn', columnId: column.id }));
+    } else {
+        operations.push(...buildMissingColumnOperations(imported, new Set(currentColumns.map(column => column.id))));
+    }
+
+    imported.tasks.forEach(task => operations.push({ type: 'addTask', task, columnId: task.status }));
+    (imported.archive || []).forEach(task => operations.push({ type: 'addArchivedTask', task }));
+    if (operations.length === 0) return false;
+    return !!applyBoardOperation({ type: 'batch', label: 'Board replaced by import', operations });
+}
+
+// --- Import/Export UI ---
+
+/**
+ * Initializes the import/export DOM element variables.
+ * Called by initBoardTransfer after the DOM is loaded.
+ */
+function initializeBoardTransferDOMElements() {
+    exportFormatSelect = document.getElementById('exportFormat');
+    exportBoardBtn = document.getElementById('exportBoardBtn');
+    importBoardBtn = document.getElementById('importBoardBtn');
+    importFileInput = document.getElementById('importFileInput');
+    importPanel = document.getElementById('importPanel');
+    importSummary = document.getElementById('importSummary');
+    importRejectedList = document.getElementById('importRejectedList');
+    importMergeBtn = document.getElementById('importMergeBtn');
+    importReplaceBtn = document.getElementById('importReplaceBtn');
+    importCancelBtn = document.getElementById('importCancelBtn');
+
+    // --- DOM Element Validation ---
+    const requiredElements = {
+        exportFormat: exportFormatSelect, exportBoardBtn, importBoardBtn, importFileInput, importPanel,
+        importSummary, importRejectedList, importMergeBtn, importReplaceBtn, importCancelBtn
+    };
+    checkRequiredElements('Kanban Transfer', requiredElements, "Import/export will not work fully.");
+}
+
+/**
+ * Shows the import panel for a parsed file: how many tasks can be imported and which rows
+ * were rejected and why.
+ * @param {string} filename - The imported file's name.
+ * @param {object} imported - The parsed import.
+ */
+function openImportPanel(filename, imported) {
+    if (!importPanel || !importSummary || !importRejectedList) return;
+    pendingImport = imported;
+    const columnNote = imported.columns ? ` and ${imported.columns.length} column(s)` : '';
+    const archiveNote = imported.archive && imported.archive.length > 0 ? `, ${imported.archive.length} archived task(s)` : '';
+    importSummary.textContent = `'${filename}' contains ${imported.tasks.length} valid task(s)${archiveNote}${columnNote}.` +
+        (imported.rejected.length > 0 ? ` ${imported.rejected.length} row(s) were rejected:` : '');
+    importRejectedList.innerHTML = '';
+    imported.rejected.forEach(({ row, reason }) => {
+        const item = document.createElement('li');
+        item.textContent = `Row ${row}: ${reason}`;
+        importRejectedList.appendChild(item);
+    });
+    importRejectedList.classList.toggle('hidden', imported.rejected.length === 0);
+    const canImport = imported.tasks.length > 0 || !!imported.columns || (!!imported.archive && imported.archive.length > 0);
+    if (importMergeBtn) importMergeBtn.disabled = !canImport;
+    if (importReplaceBtn) importReplaceBtn.disabled = !canImport;
+    importPanel.classList.remove('hidden');
+    if (importCancelBtn) importCancelBtn.focus();
+}
+
+/**
+ * Closes the import panel, discarding the parsed file.
+ */
+function closeImportPanel() {
+    pendingImport = null;
+    if (importPanel) importPanel.classList.add('hidden');
+    if (importFileInput) importFileInput.value = ''; // Lets the same file be chosen again
+}
+
+/**
+ * Applies the parsed file shown in the import panel and reports the result.
+ * @param {string} mode - 'merge' or 'replace'.
+ */
+function applyPendingImport(mode) {
+    if (!pendingImport) return;
+    const imported = pendingImport;
+    closeImportPanel();
+    const keepsArchive = mode !== 'replace' || !imported.archive;
+    const archivedCount = keepsArchive ? imported.tasks.length - withoutArchivedImports(imported).tasks.length : 0;
+    const changed = mode === 'replace' ? replaceWithImportedBoard(imported) : mergeImportedBoard(imported);
+    if (!changed) {
+        showKanbanToast(mode === 'replace' ? "The board could not be replaced." : "Nothing to import. The board already matches the file.");
+        return;
+    }
+    const importedCount = imported.tasks.length - archivedCount;
+    const archivedNote = archivedCount > 0 ? `, ${archivedCount} skipped as already archived` : '';
+    const rejectedNote = imported.rejected.length > 0 ? `, ${imported.rejected.length} row(s) rejected` : '';
+    showKanbanToast(`Imported ${importedCount} task(s)${archivedNote}${rejectedNote}`, { actionLabel: 'Undo', onAction: undoLastBoardChange });
+    logInfo('Kanban Transfer', `${mode === 'replace' ? 'Replaced the board with' : 'Merged'} ${importedCount} imported task(s).`);
+}
+
+/**
+ * Reads the file chosen in the file input and shows the import panel for it.
+ */
+async function handleImportFileChosen() {
+    const file = importFileInput && importFileInput.files[0];
+    if (!file) return;
+    try {
+        const text = await readFileAsText(file);
+        openImportPanel(file.name, parseBoardImport(file.name, text));
+    } catch (error) {
+        logError('Kanban Transfer', `Could not import '${file.name}'.`, error);
+        showKanbanToast(`Import failed: ${error.message}`);
+        importFileInput.value = '';
+    }
+}
+
+/**
+ * Sets up the export and import controls and the import panel.
+ * Called by initKanban.
+ */
+function initBoardTransfer() {
+    initializeBoardTransferDOMElements();
+    if (exportBoardBtn) {
+        exportBoardBtn.addEventListener('click', () => exportActiveBoard(exportFormatSelect ? exportFormatSelect.value : 'json'));
+    }
+    if (importBoardBtn && importFileInput) {
+        importBoardBtn.addEventListener('click', () => importFileInput.click());
+        importFileInput.addEventListener('change', handleImportFileChosen);
+    }
+    if (importMergeBtn) importMergeBtn.addEventListener('click', () => applyPendingImport('merge'));
+    if (importReplaceBtn) importReplaceBtn.addEventListener('click', () => applyPendingImport('replace'));
+    if (importCancelBtn) importCancelBtn.addEventListener('click', closeImportPanel);
+    if (importPanel) {
+        // Clicking the dimmed backdrop or pressing Escape closes the panel
+        importPanel.addEventListener('click', (event) => {
+            if (event.target === importPanel) closeImportPanel();
+        });
+        importPanel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') closeImportPanel();
+        });
+    }
+    logInfo('Kanban', "Import/export initialized.");
+}
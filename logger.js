@@ -0,0 +1,190 @@
+// --- Logger ---
+// Shared logging for every script of the hub. Each entry has a level and the module it comes
+// from, e.g. logWarn('Kanban Store', "..."). Entries at or above the current level are written
+// to the console; the default level, 'warn', keeps the console quiet unless something goes
+// wrong. The most recent entries of every level are kept for the diagnostics panel
+// (diagnostics.js), together with the results of the required-element checks the modules run
+// when they start.
+// The level can be changed at runtime with setLogLevel, e.g. setLogLevel('debug') in the
+// console, or in the diagnostics panel. It is remembered in localStorage directly, as the
+// logger is used before storage.js has loaded the saved data.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent']; // 'silent' turns console output off
+const LOG_LEVEL_STORAGE_KEY = 'hubLogLevel';
+const DEFAULT_LOG_LEVEL = 'warn';
+const LOG_ENTRY_LIMIT = 300;
+
+let logLevel = readSavedLogLevel();
+let logEntries = [];    // [{ time, level, module, message, details }], oldest first
+let logListeners = [];  // Functions called with every new entry
+let elementChecks = []; // [{ module, id, found, impact, level }] from checkRequiredElements
+
+/**
+ * Reads the level saved by setLogLevel.
+ * @returns {string} The saved level, or the default one.
+ */
+function readSavedLogLevel() {
+    try {
+        const savedLevel = window.localStorage.getItem(LOG_LEVEL_STORAGE_KEY);
+        return LOG_LEVELS.includes(savedLevel) ? savedLevel : DEFAULT_LOG_LEVEL;
+    } catch (e) {
+        return DEFAULT_LOG_LEVEL; // localStorage is blocked, e.g. for a file:// page in some browsers
+    }
+}
+
+/**
+ * Returns the current log level.
+ * @returns {string} One of LOG_LEVELS.
+ */
+function getLogLevel() {
+    return logLevel;
+}
+
+/**
+ * Sets which entries are written to the console, and remembers it for the next visit.
+ * Entries below the level are still kept for the diagnostics panel.
+ * @param {string} level - One of LOG_LEVELS.
+ * @returns {boolean} True if the level was set, false if it is unknown.
+ */
+function setLogLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+        logWarn('Logger', `Unknown log level '${level}'. Use one of: ${LOG_LEVELS.join(', ')}.`);
+        return false;
+    }
+    logLevel = level;
+    try {
+        window.localStorage.setItem(LOG_LEVEL_STORAGE_KEY, level);
+    } catch (e) {
+        // Not remembered, but it still applies until the page is closed
+    }
+    return true;
+}
+
+/**
+ * Subscribes to new log entries.
+ * @param {function(object): void} listener - Called with every new entry.
+ * @returns {function(): void} Call to unsubscribe.
+ */
+function subscribeToLog(listener) {
+    logListeners.push(listener);
+    return () => {
+        logListeners = logListeners.filter(other => other !== listener);
+    };
+}
+
+/**
+ * Returns the recent log entries, oldest first.
+ * @returns {Array<object>} The entries.
+ */
+function getLogEntries() {
+    return logEntries.slice();
+}
+
+/**
+ * Keeps an entry and tells the listeners about it.
+ * @param {object} entry - The entry.
+ */
+function addLogEntry(entry) {
+    logEntries.push(entry);
+    if (logEntries.length > LOG_ENTRY_LIMIT) logEntries.shift();
+    logListeners.forEach(listener => {
+        try {
+            listener(entry);
+        } catch (e) {
+            console.error("Logger: A log listener failed.", e); // Not logged again, which could repeat forever
+        }
+    });
+}
+
+/**
+ * Logs a message.
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'.
+ * @param {string} moduleName - The module it comes from, e.g. 'Kanban Store'.
+ * @param {string} message - The message.
+ * @param {...*} details - Further values, e.g. an Error, shown after the message.
+ */
+function writeLog(level, moduleName, message, ...details) {
+    addLogEntry({ time: Date.now(), level, module: moduleName, message: String(message), details });
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logLevel)) return;
+    console[level](`${moduleName}: ${message}`, ...details);
+}
+
+/**
+ * Logs detail that is only useful while debugging, e.g. each step of a module's setup.
+ * @param {string} moduleName - The module it comes from.
+ * @param {string} message - The message.
+ * @param {...*} details - Further values.
+ */
+function logDebug(moduleName, message, ...details) {
+    writeLog('debug', moduleName, message, ...details);
+}
+
+/**
+ * Logs something that happened as expected, e.g. a module having started.
+ * @param {string} moduleName - The module it comes from.
+ * @param {string} message - The message.
+ * @param {...*} details - Further values.
+ */
+function logInfo(moduleName, message, ...details) {
+    writeLog('info', moduleName, message, ...details);
+}
+
+/**
+ * Logs a problem the hub works around, e.g. an optional element that is missing.
+ * @param {string} moduleName - The module it comes from.
+ * @param {string} message - The message.
+ * @param {...*} details - Further values.
+ */
+function logWarn(moduleName, message, ...details) {
+    writeLog('warn', moduleName, message, ...details);
+}
+
+/**
+ * Logs a failure, e.g. something that could not be loaded or saved.
+ * @param {string} moduleName - The module it comes from.
+ * @param {string} message - The message.
+ * @param {...*} details - Further values.
+ */
+function logError(moduleName, message, ...details) {
+    writeLog('error', moduleName, message, ...details);
+}
+
+// --- Required Element Checks ---
+
+/**
+ * Checks that the page has the elements a module needs, records the result for the
+ * diagnostics panel and logs the missing ones.
+ * @param {string} moduleName - The module checking, e.g. 'Kanban Archive'.
+ * @param {Object<string, ?HTMLElement>} elements - Element ID to the element found for it.
+ * @param {string} [impact=''] - What does not work without them, e.g. "The archive cannot be shown fully."
+ * @param {string} [level='error'] - The level missing elements are logged at.
+ * @returns {boolean} True if every element was found.
+ */
+function checkRequiredElements(moduleName, elements, impact = '', level = 'error') {
+    let allFound = true;
+    Object.keys(elements).forEach(id => {
+        const found = Boolean(elements[id]);
+        elementChecks = elementChecks.filter(check => check.id !== id || check.module !== moduleName);
+        elementChecks.push({ module: moduleName, id, found, impact, level });
+        if (found) return;
+        allFound = false;
+        writeLog(level, moduleName, `Element with ID '${id}' was NOT FOUND.${impact ? ' ' + impact : ''}`);
+    });
+    return allFound;
+}
+
+/**
+ * Returns the results of every required-element check so far.
+ * @returns {Array<{module: string, id: string, found: boolean, impact: string, level: string}>} The checks.
+ */
+function getElementChecks() {
+    return elementChecks.slice();
+}
+
+// Errors nobody caught are kept for the diagnostics panel; the browser already shows them in the console
+window.addEventListener('error', (event) => {
+    addLogEntry({ time: Date.now(), level: 'error', module: 'Page', message: event.message || 'Script error', details: event.error ? [event.error] : [] });
+});
+window.addEventListener('unhandledrejection', (event) => {
+    addLogEntry({ time: Date.now(), level: 'error', module: 'Page', message: 'A promise was rejected and nothing handled it.', details: [event.reason] });
+});
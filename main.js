@@ -1,136 +1,273 @@
 // --- Tab Navigation Elements ---
-// These will be assigned in initializeTabDOMElements after the DOM is fully loaded.
-let tabKanbanBtn, tabCalculatorBtn, kanbanContentDiv, calculatorContentDiv;
-let tabButtons = [];  // Array to hold tab button HTMLElements
-let tabContents = []; // Array to hold tab content div HTMLElements
+// The tab bar is built from the tools registered in hubTools.js; see initTabs.
+let hubTabBar; // The element holding the tab buttons
+let activeToolId = null; // ID of the tool shown
 
 /**
  * Initializes Tab Navigation DOM element variables.
  * This function is crucial and is called by initTabs after the DOM is loaded.
  */
 function initializeTabDOMElements() {
-    console.log("Main: Initializing Tab DOM elements...");
-    tabKanbanBtn = document.getElementById('tabKanban');
-    tabCalculatorBtn = document.getElementById('tabCalculator');
-    kanbanContentDiv = document.getElementById('kanbanContent');
-    calculatorContentDiv = document.getElementById('calculatorContent');
+    logDebug('Main', "Initializing Tab DOM elements...");
+    hubTabBar = document.getElementById('hubTabBar');
 
     // --- DOM Element Validation ---
     // It's vital these elements exist for tab navigation to function.
-    if (tabKanbanBtn && tabCalculatorBtn && kanbanContentDiv && calculatorContentDiv) {
-        tabButtons = [tabKanbanBtn, tabCalculatorBtn];
-        tabContents = [kanbanContentDiv, calculatorContentDiv];
-        console.log("Main: Tab DOM elements successfully initialized and assigned.");
-    } else {
-        console.error("Main FATAL Error: One or more critical tab navigation elements were NOT FOUND. Tab functionality will be severely impaired or non-functional.");
-        // Log which specific elements are missing for easier debugging
-        if(!tabKanbanBtn) console.error("Main FATAL Error: Tab button with ID 'tabKanban' was NOT FOUND.");
-        if(!tabCalculatorBtn) console.error("Main FATAL Error: Tab button with ID 'tabCalculator' was NOT FOUND.");
-        if(!kanbanContentDiv) console.error("Main FATAL Error: Kanban content div with ID 'kanbanContent' was NOT FOUND.");
-        if(!calculatorContentDiv) console.error("Main FATAL Error: Calculator content div with ID 'calculatorContent' was NOT FOUND.");
-        // Ensure arrays are empty if elements are missing to prevent errors in switchTab
-        tabButtons = []; 
-        tabContents = [];
-    }
-    console.log("Main: Tab DOM elements initialization process finished.");
+    checkRequiredElements('Main', { hubTabBar }, "Tools cannot be switched.");
+    getHubTools().forEach(tool => {
+        checkRequiredElements('Main', { [tool.contentId]: document.getElementById(tool.contentId) }, `The ${tool.label} cannot be shown.`);
+    });
+    logDebug('Main', "Tab DOM elements initialization process finished.");
 }
 
 /**
- * Switches the active tab by updating visibility and button styles.
- * @param {number} activeIndex - The index of the tab to activate (0 for Kanban, 1 for Calculator).
+ * Builds a tab button for every registered tool.
  */
-function switchTab(activeIndex) {
-    console.log(`Main: Attempting to switch to tab index ${activeIndex}.`);
-    // Check if tab system is properly initialized and index is valid
-    if (tabButtons.length === 0 || tabContents.length === 0 || activeIndex < 0 || activeIndex >= tabButtons.length) {
-        console.warn(`Main Warning: Cannot switch tabs. Tab elements not initialized correctly or activeIndex ${activeIndex} is out of bounds.`);
-        return;
-    }
+function renderTabBar() {
+    if (!(hubTabBar instanceof HTMLElement)) return;
+    hubTabBar.innerHTML = '';
+    getHubTools().forEach(tool => {
+        const button = document.createElement('button');
+        button.id = `tab-${tool.id}`;
+        button.className = 'tab-button';
+        button.textContent = tool.label;
+        button.setAttribute('role', 'tab');
+        button.setAttribute('aria-controls', tool.contentId);
+        button.addEventListener('click', () => switchTab(tool.id));
+        hubTabBar.appendChild(button);
 
-    tabButtons.forEach((button, index) => {
-        // Ensure the button and its corresponding content div exist before trying to modify them
-        if (button instanceof HTMLElement && tabContents[index] instanceof HTMLElement) {
-            if (index === activeIndex) {
-                button.classList.add('active-tab');    // Style for the active tab button
-                tabContents[index].classList.remove('hidden'); // Show the active tab's content
-            } else {
-                button.classList.remove('active-tab'); // Remove active style from other tab buttons
-                tabContents[index].classList.add('hidden');    // Hide other tab contents
-            }
-        } else {
-            // This case should ideally be caught during initializeTabDOMElements
-            console.warn(`Main Warning: Tab button or content at index ${index} is not a valid HTMLElement during switchTab operation.`);
+        const content = document.getElementById(tool.contentId);
+        if (content instanceof HTMLElement) {
+            content.setAttribute('role', 'tabpanel');
+            content.setAttribute('aria-labelledby', button.id);
         }
     });
-    console.log(`Main: Successfully switched to tab index ${activeIndex}.`);
 }
 
 /**
- * Initializes tab switching functionality by attaching event listeners.
+ * Shows a tool's content and marks its tab as active, hiding the other tools.
+ * @param {string} toolId - The ID of the tool to show.
+ * @returns {boolean} True if the tool was shown, false if there is no such tool.
+ */
+function showHubTool(toolId) {
+    if (!getHubTool(toolId)) {
+        logWarn('Main', `Cannot switch tabs. There is no tool with ID '${toolId}'.`);
+        return false;
+    }
+    getHubTools().forEach(tool => {
+        const isActive = tool.id === toolId;
+        const button = document.getElementById(`tab-${tool.id}`);
+        const content = document.getElementById(tool.contentId);
+        if (button instanceof HTMLElement) {
+            button.classList.toggle('active-tab', isActive); // Style for the active tab button
+            button.setAttribute('aria-selected', String(isActive));
+        }
+        if (content instanceof HTMLElement) content.classList.toggle('hidden', !isActive);
+    });
+    activeToolId = toolId;
+    return true;
+}
+
+/**
+ * Switches the active tab and puts the tool's route in the address bar, so the browser's back
+ * button returns to the previous tool.
+ * @param {string} toolId - The ID of the tool to show, e.g. 'board' or 'solver'.
+ */
+function switchTab(toolId) {
+    logDebug('Main', `Attempting to switch to tool '${toolId}'.`);
+    if (!showHubTool(toolId)) return;
+    if (parseHubToolRoute(window.location.hash) !== toolId) {
+        // The filter bar keeps its state in the query string, so only the hash is replaced
+        history.pushState(history.state, '', window.location.pathname + window.location.search + getHubToolRoute(toolId));
+    }
+    logInfo('Main', `Successfully switched to tool '${toolId}'.`);
+}
+
+/**
+ * Shows the tool named by the address bar's route, or the first tool if the route names none.
+ * Called on load and whenever the route changes, e.g. through the back and forward buttons.
+ */
+function showRoutedTool() {
+    const tools = getHubTools();
+    if (tools.length === 0) {
+        logWarn('Main', "No tools are registered, so there is no tab to show.");
+        return;
+    }
+    const routedId = parseHubToolRoute(window.location.hash);
+    const toolId = routedId && getHubTool(routedId) ? routedId : tools[0].id;
+    showHubTool(toolId);
+    if (routedId !== toolId && window.location.hash) {
+        // An unknown route: show the address of the tool shown instead, without a new history entry
+        history.replaceState(history.state, '', window.location.pathname + window.location.search + getHubToolRoute(toolId));
+    }
+}
+
+/**
+ * Builds the tab bar from the registered tools and shows the one named by the route.
  * This function should be called after the DOM is fully loaded.
  */
 function initTabs() {
-    console.log("Main: initTabs() called. Starting tab system setup...");
+    logDebug('Main', "initTabs() called. Starting tab system setup...");
     initializeTabDOMElements(); // Initialize and validate DOM element references for tabs
+    renderTabBar();
+    showRoutedTool();
+    window.addEventListener('hashchange', showRoutedTool); // Back/forward, or a route typed into the address bar
+    logDebug('Main', "initTabs() setup finished.");
+}
 
-    // Attach click event listeners to tab buttons, if they exist
-    if (tabKanbanBtn) {
-        tabKanbanBtn.addEventListener('click', () => switchTab(0)); // 0 is the index for Kanban
-        console.log("Main: Event listener successfully added to 'tabKanbanBtn'.");
-    }
-    if (tabCalculatorBtn) {
-        tabCalculatorBtn.addEventListener('click', () => switchTab(1)); // 1 is the index for Calculator
-        console.log("Main: Event listener successfully added to 'tabCalculatorBtn'.");
-    }
+/**
+ * Starts every registered tool. A tool that fails to start does not keep the others from starting.
+ */
+function initHubTools() {
+    getHubTools().forEach(tool => {
+        try {
+            logDebug('Productivity Hub', `Attempting to initialize tool '${tool.id}'...`);
+            tool.init();
+        } catch (e) {
+            showFatalError(`The ${tool.label} could not be started.`, e);
+        }
+    });
+    // Stop the tools when the page is closed for good; a page kept in the back/forward cache may come back
+    window.addEventListener('pagehide', (event) => {
+        if (!event.persisted) getHubTools().forEach(stopHubTool);
+    });
+}
 
-    // Set the default active tab (Kanban) if tab elements are available
-    if (tabButtons.length > 0 && tabContents.length > 0) {
-        switchTab(0); // Default to showing the Kanban tab
+// --- Fatal Error Banner ---
+let fatalErrorCount = 0; // Failures shown on the banner since the page was loaded
+
+/**
+ * Logs a failure that leaves part of the hub unusable and shows it on the error banner at the
+ * top of the page, so it does not go unnoticed. The banner's elements are looked up here rather
+ * than in an init function, as it has to work however far the page got in starting up.
+ * @param {string} message - What does not work, in words for the user.
+ * @param {*} [error] - The error caught.
+ */
+function showFatalError(message, error) {
+    logError('Productivity Hub', message, error);
+    fatalErrorCount++;
+    const banner = document.getElementById('fatalErrorBanner');
+    const list = document.getElementById('fatalErrorList');
+    if (!(banner instanceof HTMLElement) || !(list instanceof HTMLElement)) return; // Already in the log
+    const item = document.createElement('li');
+    item.textContent = error instanceof Error ? `${message} (${error.message})` : message;
+    list.appendChild(item);
+    banner.classList.remove('hidden');
+}
+
+/**
+ * Sets up the error banner's buttons.
+ */
+function initFatalErrorBanner() {
+    const detailsBtn = document.getElementById('fatalErrorDetailsBtn');
+    const reloadBtn = document.getElementById('fatalErrorReloadBtn');
+    if (detailsBtn) detailsBtn.addEventListener('click', openDiagnosticsPanel);
+    if (reloadBtn) reloadBtn.addEventListener('click', () => window.location.reload());
+}
+
+// --- Storage Problem Reporting ---
+/**
+ * Shows storage problems (full storage, unreadable saved data) to the user as toasts.
+ * When localStorage is full, the toast offers to move the data to IndexedDB, which has
+ * a much larger quota.
+ * @param {{type: string, key: ?string, message: string}} problem - The problem reported by storage.js.
+ */
+function handleStorageProblem(problem) {
+    if (problem.type === 'quota' && getStorageBackendName() === 'localStorage' && isIndexedDbAvailable()) {
+        showKanbanToast("Browser storage is full. Recent changes are not saved yet.", {
+            actionLabel: 'Use IndexedDB',
+            onAction: () => {
+                switchStorageBackend('indexedDB').then(moved => {
+                    if (moved) showKanbanToast("Saved data moved to IndexedDB. All changes are saved.");
+                });
+            },
+            duration: 15000
+        });
+    } else if (problem.type === 'corrupt') {
+        showKanbanToast("Some saved data could not be read. A copy was set aside so it is not lost.", { duration: 10000 });
     } else {
-        console.warn("Main Warning: Default tab could not be set as tab elements are not fully available or initialized.");
+        showKanbanToast(problem.message, { duration: 10000 });
     }
-    console.log("Main: initTabs() setup finished.");
+}
+
+// --- Offline Support ---
+const SERVICE_WORKER_UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // Open pages look for a new version hourly
+
+/**
+ * Tells the user a new version of the hub has been downloaded, and offers to reload into it.
+ * @param {ServiceWorker} waitingWorker - The new version's service worker, waiting to take over.
+ */
+function showUpdateAvailable(waitingWorker) {
+    const reloadIntoUpdate = () => {
+        // Reload once the new version has taken over, so the page is not served a mix of versions
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+        waitingWorker.postMessage('skipWaiting');
+    };
+    showKanbanToast("A new version of the hub is available.", { actionLabel: 'Reload', onAction: reloadIntoUpdate, duration: 60000 });
+}
+
+/**
+ * Registers the service worker (serviceWorker.js), which keeps the hub working offline, and
+ * watches for new versions of it. Browsers only allow service workers on http(s) pages.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+        logInfo('Productivity Hub', "Service workers are not available here. The hub will not work offline.");
+        return;
+    }
+    navigator.serviceWorker.register('serviceWorker.js').then(registration => {
+        logInfo('Productivity Hub', "Service worker registered. The hub works offline.");
+        // A new version that finished installing during an earlier visit is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) showUpdateAvailable(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const installingWorker = registration.installing;
+            if (!installingWorker) return;
+            installingWorker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (installingWorker.state === 'installed' && navigator.serviceWorker.controller) showUpdateAvailable(installingWorker);
+            });
+        });
+        setInterval(() => registration.update().catch(() => {}), SERVICE_WORKER_UPDATE_CHECK_INTERVAL); // Fails while offline
+    }).catch(e => {
+        logWarn('Productivity Hub', "The service worker could not be registered. The hub will not work offline.", e);
+    });
 }
 
 // --- Global Initializations ---
 // This event listener ensures that the entire page (DOM, CSS, images, etc.)
 // is fully loaded before any script attempts to manipulate the DOM or initialize components.
-window.addEventListener('load', () => {
-    console.log("Productivity Hub: Event - window.onload triggered. Initializing application components...");
+window.addEventListener('load', async () => {
+    logDebug('Productivity Hub', "Event - window.onload triggered. Initializing application components...");
 
-    // Initialize Tab System first, as it controls the visibility of other components
+    // Set up the error banner and diagnostics first, so failures below can be shown and looked into
     try {
-        console.log("Productivity Hub: Attempting to initialize Tab system...");
-        initTabs();
+        initFatalErrorBanner();
+        initDiagnostics();
     } catch (e) {
-        console.error("Productivity Hub CRITICAL ERROR during Tab system initialization:", e);
+        logError('Productivity Hub', "The diagnostics panel could not be set up.", e);
     }
-    
-    // Initialize Kanban Board module
+
+    // Load saved data before any module reads it
     try {
-        console.log("Productivity Hub: Attempting to initialize Kanban module...");
-        // Check if the initKanban function is defined (it should be, from kanban.js)
-        if (typeof initKanban === 'function') {
-            initKanban();
-        } else {
-            console.error("Productivity Hub CRITICAL ERROR: initKanban function is NOT DEFINED. Kanban board will not function.");
-        }
+        logDebug('Productivity Hub', "Attempting to initialize storage...");
+        setStorageProblemHandler(handleStorageProblem);
+        await initStorage();
     } catch (e) {
-        console.error("Productivity Hub CRITICAL ERROR during Kanban module initialization:", e);
+        showFatalError("Saved data could not be loaded.", e);
     }
 
-    // Initialize Calculator module
+    // Initialize Tab System first, as it controls the visibility of other components
     try {
-        console.log("Productivity Hub: Attempting to initialize Calculator module...");
-        // Check if the initCalculator function is defined (it should be, from calculator.js)
-        if (typeof initCalculator === 'function') {
-            initCalculator();
-        } else {
-            console.error("Productivity Hub CRITICAL ERROR: initCalculator function is NOT DEFINED. Calculator will not function.");
-        }
+        logDebug('Productivity Hub', "Attempting to initialize Tab system...");
+        initTabs();
     } catch (e) {
-        console.error("Productivity Hub CRITICAL ERROR during Calculator module initialization:", e);
+        showFatalError("The tabs could not be set up.", e);
     }
     
-    console.log("Productivity Hub: All component initializations attempted. Please check the console for any FATAL ERROR messages. If none, the application should be ready.");
+    // Initialize the registered tools (the Kanban board, the calculator, ...)
+    initHubTools();
+
+    registerServiceWorker();
+    
+    if (fatalErrorCount === 0) logInfo('Productivity Hub', "All components initialized. The application is ready.");
 });
\ No newline at end of file
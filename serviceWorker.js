@@ -0,0 +1,90 @@
+// --- Service Worker ---
+// Keeps a copy of the app shell (the page, its scripts, styles, fonts and icons) so the hub
+// starts and works without a network. Files are served from the cache first; the network is
+// only asked for files that are not in it.
+// Bump CACHE_VERSION whenever any file in APP_SHELL_FILES changes (or a file is added to the
+// page): the changed service worker is installed next to the running one, the page tells the
+// user a new version is available (see registerServiceWorker in main.js), and the new files
+// are used once they reload.
+
+const CACHE_VERSION = 5;
+const CACHE_NAME = `productivity-hub-v${CACHE_VERSION}`;
+const APP_SHELL_FILES = [
+    './',
+    'index.html',
+    'Style.css',
+    'manifest.webmanifest',
+    'vendor/tailwind.css',
+    'vendor/confetti.browser.js',
+    'vendor/fonts/inter-latin-400-normal.woff2',
+    'vendor/fonts/inter-latin-500-normal.woff2',
+    'vendor/fonts/inter-latin-600-normal.woff2',
+    'vendor/fonts/inter-latin-700-normal.woff2',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'logger.js',
+    'tabSync.js',
+    'storage.js',
+    'dataFiles.js',
+    'hubTools.js',
+    'kanbanStore.js',
+    'kanbanHistory.js',
+    'kanbanBoards.js',
+    'Kanban.js',
+    'kanbanTaskDetails.js',
+    'kanbanChecklist.js',
+    'kanbanColumnSettings.js',
+    'kanbanInteractions.js',
+    'kanbanTransfer.js',
+    'kanbanFilter.js',
+    'kanbanSync.js',
+    'kanbanActivity.js',
+    'kanbanMetrics.js',
+    'kanbanRecurrence.js',
+    'kanbanReminders.js',
+    'kanbanArchive.js',
+    'kanbanSelection.js',
+    'formulaEngine.js',
+    'calculator.js',
+    'calculatorGoalSeek.js',
+    'calculatorSensitivity.js',
+    'calculatorBatch.js',
+    'calculatorScenarios.js',
+    'calculatorTaskLinks.js',
+    'diagnostics.js',
+    'main.js'
+];
+
+// Caches the app shell. The new version waits until the page asks it to take over (see the
+// 'message' listener), so a page is never served a mix of old and new files.
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL_FILES)));
+});
+
+// Removes the caches of earlier versions and takes control of pages opened before the first install
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('productivity-hub-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serves files from the cache. The page is served for every navigation, whatever its query
+// string (the board filter) or hash (the tool's route).
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    const cached = request.mode === 'navigate'
+        ? caches.match('index.html', { cacheName: CACHE_NAME })
+        : caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true });
+    event.respondWith(cached.then(response => response || fetch(request)));
+});
+
+// The page sends 'skipWaiting' when the user chooses to switch to the new version
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') self.skipWaiting();
+});
@@ -0,0 +1,546 @@
+// --- Persistent Storage ---
+// Every module saves its data through this file instead of calling localStorage directly.
+// At start-up, initStorage() loads all saved data from the chosen backend (localStorage or
+// IndexedDB) into an in-memory cache and runs any pending schema migrations. After that, reads
+// are synchronous from the cache and writes go to the cache and then on to the backend.
+//
+// Values that cannot be parsed are never deleted: they are copied to a 'quarantine:' key first,
+// so the data can still be recovered by hand. Write failures (e.g. the storage quota being
+// exceeded) keep the value in memory and are reported through the problem handler.
+// Every write is also sent to the hub's other open tabs (see tabSync.js), which update their
+// caches, so a tab never saves over data it has not seen.
+// The Kanban undo history stays in sessionStorage, as it is only meant to last for a session.
+
+const STORAGE_META_KEY = 'hubStorageMeta'; // { schemaVersion }
+const STORAGE_BACKEND_PREFERENCE_KEY = 'hubStorageBackend'; // Always in localStorage, so it can be read before choosing a backend
+const STORAGE_QUARANTINE_PREFIX = 'quarantine:';
+const STORAGE_DB_NAME = 'productivityHub';
+const STORAGE_DB_STORE = 'keyValue';
+const STORAGE_BACKENDS = ['localStorage', 'indexedDB'];
+
+let storageBackend = null; // The active backend, see createLocalStorageBackend
+let storageCache = new Map(); // Key to stored string, for every saved value
+let storageMigrations = []; // Entries of the form { version, description, migrate }, in version order
+let storageProblemHandler = null; // Called with { type, key, message, error } when saving or loading fails
+let unsavedStorageKeys = new Set(); // Keys whose latest value only exists in memory because a write failed
+let storageStamps = new Map(); // Key to the stamp of its latest write in any tab, see createTabStamp
+let storageChangeListeners = []; // Functions called with the key when another tab changes a value
+
+// --- Storage Backends ---
+// A backend has a name and three asynchronous methods: loadAll() resolves to an object of all
+// stored keys and string values, write(key, value) and remove(key) resolve once the backend has
+// the change. Values are always strings (JSON), whatever the backend.
+
+/**
+ * Checks whether localStorage can be used; it throws in some privacy modes.
+ * @returns {boolean} True if localStorage works.
+ */
+function isLocalStorageAvailable() {
+    try {
+        const probeKey = '__hubStorageProbe__';
+        localStorage.setItem(probeKey, probeKey);
+        localStorage.removeItem(probeKey);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Checks whether IndexedDB exists in this browser.
+ * @returns {boolean} True if IndexedDB can be tried.
+ */
+function isIndexedDbAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Creates the backend that keeps data in localStorage (about 5 MB in most browsers).
+ * @returns {object} The backend.
+ */
+function createLocalStorageBackend() {
+    return {
+        name: 'localStorage',
+        loadAll: async () => {
+            const data = {};
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key !== STORAGE_BACKEND_PREFERENCE_KEY && key !== TAB_SYNC_STORAGE_KEY) data[key] = localStorage.getItem(key);
+            }
+            return data;
+        },
+        write: async (key, value) => localStorage.setItem(key, value),
+        remove: async (key) => localStorage.removeItem(key)
+    };
+}
+
+/**
+ * Opens (and on first use creates) the IndexedDB database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openStorageDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(STORAGE_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORAGE_DB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs requests in one IndexedDB transaction on the key-value store.
+ * @param {IDBDatabase} database - The open database.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): *} action - Issues the requests; its return value is resolved once the transaction completes.
+ * @returns {Promise<*>} Resolves with the action's result, or rejects with the transaction's error.
+ */
+function runStorageTransaction(database, mode, action) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORAGE_DB_STORE, mode);
+        const result = action(transaction.objectStore(STORAGE_DB_STORE));
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Creates the backend that keeps data in IndexedDB, whose quota is much larger than localStorage's.
+ * @returns {object} The backend.
+ */
+function createIndexedDbBackend() {
+    let databasePromise = null;
+    const getDatabase = () => {
+        if (!databasePromise) databasePromise = openStorageDatabase();
+        return databasePromise;
+    };
+    return {
+        name: 'indexedDB',
+        loadAll: async () => {
+            const database = await getDatabase();
+            const requests = await runStorageTransaction(database, 'readonly', store => ({ keys: store.getAllKeys(), values: store.getAll() }));
+            const data = {};
+            requests.keys.result.forEach((key, index) => { data[key] = requests.values.result[index]; });
+            return data;
+        },
+        write: async (key, value) => runStorageTransaction(await getDatabase(), 'readwrite', store => { store.put(value, key); }),
+        remove: async (key) => runStorageTransaction(await getDatabase(), 'readwrite', store => { store.delete(key); })
+    };
+}
+
+/**
+ * Creates a backend that keeps nothing beyond the page's lifetime. Used only when neither
+ * localStorage nor IndexedDB can be opened, so the app still works.
+ * @returns {object} The backend.
+ */
+function createMemoryBackend() {
+    return {
+        name: 'memory',
+        loadAll: async () => ({}),
+        write: async () => {},
+        remove: async () => {}
+    };
+}
+
+/**
+ * Creates a backend by name.
+ * @param {string} name - 'localStorage' or 'indexedDB'.
+ * @returns {object | null} The backend, or null if the browser does not support it.
+ */
+function createStorageBackend(name) {
+    if (name === 'indexedDB' && isIndexedDbAvailable()) return createIndexedDbBackend();
+    if (name === 'localStorage' && isLocalStorageAvailable()) return createLocalStorageBackend();
+    return null;
+}
+
+// --- Problem Reporting ---
+
+/**
+ * Checks whether an error means the storage quota is exceeded. Browsers report this differently.
+ * @param {*} error - The error thrown or rejected by the backend.
+ * @returns {boolean} True for quota errors.
+ */
+function isQuotaExceededError(error) {
+    return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 || error.code === 1014);
+}
+
+/**
+ * Sets the function told about storage problems, so the UI can show them.
+ * @param {function(object): void} handler - Receives { type: 'quota' | 'write' | 'corrupt' | 'backend', key, message, error }.
+ */
+function setStorageProblemHandler(handler) {
+    storageProblemHandler = handler;
+}
+
+/**
+ * Logs a storage problem and passes it to the problem handler.
+ * @param {{type: string, key: ?string, message: string, error: *}} problem - The problem.
+ */
+function reportStorageProblem(problem) {
+    logError('Storage', problem.message, problem.error || '');
+    if (typeof storageProblemHandler === 'function') {
+        try {
+            storageProblemHandler(problem);
+        } catch (e) {
+            logError('Storage', "The storage problem handler failed.", e);
+        }
+    }
+}
+
+/**
+ * Sends one change to the backend, reporting it if it fails. The cache already holds the change.
+ * @param {string} key - The key written or removed.
+ * @param {string | null} value - The new value, or null to remove the key.
+ * @returns {Promise<boolean>} Resolves to true once saved, false if the backend failed.
+ */
+function persistStorageChange(key, value) {
+    const backend = storageBackend;
+    if (!backend) return Promise.resolve(false);
+    let pending;
+    try {
+        pending = value === null ? backend.remove(key) : backend.write(key, value);
+    } catch (error) {
+        pending = Promise.reject(error);
+    }
+    return pending.then(() => {
+        unsavedStorageKeys.delete(key);
+        return true;
+    }, (error) => {
+        unsavedStorageKeys.add(key);
+        const quotaExceeded = isQuotaExceededError(error);
+        reportStorageProblem({
+            type: quotaExceeded ? 'quota' : 'write',
+            key,
+            message: quotaExceeded
+                ? `Browser storage is full. The latest changes to '${key}' are kept only until this page is closed.`
+                : `Could not save '${key}'. The latest changes are kept only until this page is closed.`,
+            error
+        });
+        return false;
+    });
+}
+
+// --- Schema Migrations ---
+
+/**
+ * Registers a migration that brings saved data up to a schema version. Modules register their
+ * migrations when their script loads; initStorage runs the ones newer than the saved data, in
+ * version order. The schema version is the highest registered version.
+ * @param {number} version - The schema version the migration produces (2 or higher; version 1 is the original layout).
+ * @param {string} description - What the migration does, for the log.
+ * @param {function(object): void} migrate - Receives a store with localStorage-like getItem, setItem,
+ *   removeItem and keys methods over the saved strings. It may throw to abort the migration.
+ */
+function registerStorageMigration(version, description, migrate) {
+    if (storageMigrations.some(migration => migration.version === version)) {
+        logError('Storage', `A migration to schema version ${version} is already registered.`);
+        return;
+    }
+    storageMigrations.push({ version, description, migrate });
+    storageMigrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Returns the schema version this code writes.
+ * @returns {number} The highest registered migration version, or 1 if there are none.
+ */
+function getStorageSchemaVersion() {
+    return storageMigrations.length > 0 ? storageMigrations[storageMigrations.length - 1].version : 1;
+}
+
+/**
+ * Runs the migrations newer than the saved data against the cache and saves what they changed.
+ * A failing migration is rolled back and stops the remaining ones, leaving the data at the
+ * last version that migrated cleanly.
+ * @param {number} savedVersion - The schema version of the saved data.
+ * @returns {Promise<number>} The schema version the data is at afterwards.
+ */
+async function runStorageMigrations(savedVersion) {
+    let version = savedVersion;
+    const changedKeys = new Set();
+    for (const migration of storageMigrations.filter(pending => pending.version > savedVersion)) {
+        const snapshot = new Map(storageCache);
+        const migrationChangedKeys = new Set();
+        const store = {
+            getItem: (key) => (storageCache.has(key) ? storageCache.get(key) : null),
+            setItem: (key, value) => { storageCache.set(key, String(value)); migrationChangedKeys.add(key); },
+            removeItem: (key) => { storageCache.delete(key); migrationChangedKeys.add(key); },
+            keys: () => Array.from(storageCache.keys())
+        };
+        try {
+            migration.migrate(store);
+        } catch (error) {
+            storageCache = snapshot;
+            reportStorageProblem({
+                type: 'backend',
+                key: null,
+                message: `Migration to schema version ${migration.version} (${migration.description}) failed. Saved data was left at version ${version}.`,
+                error
+            });
+            break;
+        }
+        migrationChangedKeys.forEach(key => changedKeys.add(key));
+        version = migration.version;
+        logInfo('Storage', `Migrated saved data to schema version ${version}: ${migration.description}.`);
+    }
+    await Promise.all(Array.from(changedKeys).map(key => persistStorageChange(key, storageCache.has(key) ? storageCache.get(key) : null)));
+    return version;
+}
+
+// --- Initialization ---
+
+/**
+ * Returns the backend the user chose, defaulting to localStorage.
+ * @returns {string} The preferred backend's name.
+ */
+function getPreferredStorageBackend() {
+    try {
+        const preference = localStorage.getItem(STORAGE_BACKEND_PREFERENCE_KEY);
+        return STORAGE_BACKENDS.includes(preference) ? preference : 'localStorage';
+    } catch (e) {
+        return 'localStorage';
+    }
+}
+
+/**
+ * Opens the preferred backend (falling back to the other one, then to memory), loads all saved
+ * data into the cache and migrates it to the current schema version. Must be awaited before any
+ * module reads saved data.
+ * @returns {Promise<string>} The name of the backend in use.
+ */
+async function initStorage() {
+    const preferredName = getPreferredStorageBackend();
+    const candidateNames = [preferredName].concat(STORAGE_BACKENDS.filter(name => name !== preferredName));
+    storageBackend = null;
+    for (const name of candidateNames) {
+        const backend = createStorageBackend(name);
+        if (!backend) continue;
+        try {
+            const data = await backend.loadAll();
+            storageCache = new Map(Object.entries(data).filter(([, value]) => typeof value === 'string'));
+            storageBackend = backend;
+            break;
+        } catch (error) {
+            logWarn('Storage', `Could not open the ${name} backend.`, error);
+        }
+    }
+    if (!storageBackend) {
+        storageBackend = createMemoryBackend();
+        storageCache = new Map();
+        reportStorageProblem({ type: 'backend', key: null, message: "No browser storage is available. Changes will be lost when this page is closed.", error: null });
+    } else if (storageBackend.name !== preferredName) {
+        logWarn('Storage', `Using ${storageBackend.name} because ${preferredName} is not available.`);
+    }
+
+    const meta = readStoredJson(STORAGE_META_KEY);
+    const savedVersion = meta && Number.isInteger(meta.schemaVersion) ? meta.schemaVersion : 1;
+    const schemaVersion = getStorageSchemaVersion();
+    if (savedVersion > schemaVersion) {
+        logWarn('Storage', `Saved data uses schema version ${savedVersion}, newer than this app's ${schemaVersion}. It is used as is.`);
+    } else {
+        const migratedVersion = await runStorageMigrations(savedVersion);
+        if (migratedVersion !== savedVersion || !meta) writeStoredJson(STORAGE_META_KEY, { schemaVersion: migratedVersion });
+    }
+    subscribeToTabMessages(handleRemoteStorageChange);
+    logInfo('Storage', `Loaded ${storageCache.size} saved item(s) from ${storageBackend.name}.`);
+    return storageBackend.name;
+}
+
+/**
+ * Moves all saved data to another backend and makes it the preferred one. The data is removed
+ * from the old backend only after the new one has all of it.
+ * @param {string} name - 'localStorage' or 'indexedDB'.
+ * @returns {Promise<boolean>} True if the data was moved.
+ */
+async function switchStorageBackend(name) {
+    if (storageBackend && storageBackend.name === name) return true;
+    const newBackend = createStorageBackend(name);
+    if (!newBackend) {
+        reportStorageProblem({ type: 'backend', key: null, message: `The ${name} storage backend is not available in this browser.`, error: null });
+        return false;
+    }
+    try {
+        for (const [key, value] of storageCache) {
+            await newBackend.write(key, value);
+        }
+    } catch (error) {
+        reportStorageProblem({ type: 'backend', key: null, message: `Could not move saved data to ${name}. Nothing was changed.`, error });
+        return false;
+    }
+    const oldBackend = storageBackend;
+    storageBackend = newBackend;
+    unsavedStorageKeys.clear(); // The new backend has every value, including those that failed before
+    try {
+        localStorage.setItem(STORAGE_BACKEND_PREFERENCE_KEY, name);
+    } catch (e) {
+        logWarn('Storage', "Could not remember the storage backend choice.", e);
+    }
+    if (oldBackend) {
+        await Promise.all(Array.from(storageCache.keys()).map(key => oldBackend.remove(key).catch(() => {})));
+    }
+    logInfo('Storage', `Moved ${storageCache.size} saved item(s) from ${oldBackend ? oldBackend.name : 'nowhere'} to ${name}.`);
+    return true;
+}
+
+// --- Reading and Writing ---
+
+/**
+ * Returns the name of the backend in use.
+ * @returns {string | null} 'localStorage', 'indexedDB' or 'memory', or null before initStorage.
+ */
+function getStorageBackendName() {
+    return storageBackend ? storageBackend.name : null;
+}
+
+/**
+ * Checks whether any value could not be written to the backend.
+ * @returns {boolean} True if some changes exist only in memory.
+ */
+function hasUnsavedStorageChanges() {
+    return unsavedStorageKeys.size > 0;
+}
+
+/**
+ * Reads and parses a saved JSON value. A value that cannot be parsed is moved to quarantine
+ * and reported, and null is returned as if nothing were saved.
+ * @param {string} key - The key to read.
+ * @returns {* | null} The parsed value, or null if there is none.
+ */
+function readStoredJson(key) {
+    if (!storageCache.has(key)) return null;
+    const rawValue = storageCache.get(key);
+    try {
+        return JSON.parse(rawValue);
+    } catch (error) {
+        const quarantineKey = quarantineStoredItem(key, 'The value is not valid JSON.');
+        reportStorageProblem({
+            type: 'corrupt',
+            key,
+            message: `Saved data in '${key}' could not be read. A copy was kept under '${quarantineKey}'.`,
+            error
+        });
+        return null;
+    }
+}
+
+/**
+ * Saves a value as JSON. The value is readable immediately; saving to the backend happens in the
+ * background and failures are reported through the problem handler.
+ * @param {string} key - The key to write.
+ * @param {*} value - The value; it must be serializable as JSON.
+ * @returns {Promise<boolean>} Resolves to true once the backend has the value.
+ */
+function writeStoredJson(key, value) {
+    const serializedValue = JSON.stringify(value);
+    storageCache.set(key, serializedValue);
+    announceStorageChange(key, serializedValue);
+    return persistStorageChange(key, serializedValue);
+}
+
+/**
+ * Deletes a saved value.
+ * @param {string} key - The key to delete.
+ * @returns {Promise<boolean>} Resolves to true once the backend no longer has the key.
+ */
+function removeStoredItem(key) {
+    storageCache.delete(key);
+    announceStorageChange(key, null);
+    return persistStorageChange(key, null);
+}
+
+/**
+ * Lists the saved keys, optionally only those starting with a prefix.
+ * @param {string} [prefix=''] - The prefix to match.
+ * @returns {string[]} The matching keys.
+ */
+function getStoredKeys(prefix = '') {
+    return Array.from(storageCache.keys()).filter(key => key.startsWith(prefix));
+}
+
+/**
+ * Estimates how much space the saved data takes: browsers store strings as UTF-16, two bytes
+ * per character of key and value.
+ * @returns {{bytes: number, keys: Array<{key: string, bytes: number}>}} The total, and the size
+ *   of every key, largest first.
+ */
+function getStorageUsage() {
+    const keys = Array.from(storageCache.entries())
+        .map(([key, value]) => ({ key, bytes: (key.length + value.length) * 2 }))
+        .sort((a, b) => b.bytes - a.bytes);
+    return { bytes: keys.reduce((total, entry) => total + entry.bytes, 0), keys };
+}
+
+/**
+ * Moves a saved value to a quarantine key, so unreadable data is set aside instead of deleted.
+ * @param {string} key - The key holding the unreadable value.
+ * @param {string} reason - Why it was quarantined.
+ * @returns {string} The quarantine key the raw value was copied to.
+ */
+function quarantineStoredItem(key, reason) {
+    const quarantinedAt = new Date().toISOString();
+    const quarantineKey = `${STORAGE_QUARANTINE_PREFIX}${quarantinedAt}:${key}`;
+    writeStoredJson(quarantineKey, { key, reason, quarantinedAt, rawValue: storageCache.get(key) });
+    removeStoredItem(key);
+    logWarn('Storage', `Moved unreadable data from '${key}' to '${quarantineKey}'.`);
+    return quarantineKey;
+}
+
+/**
+ * Returns every quarantined value, newest first.
+ * @returns {Array<{quarantineKey: string, key: string, reason: string, quarantinedAt: string, rawValue: string}>}
+ *   The quarantined entries.
+ */
+function getQuarantinedItems() {
+    return getStoredKeys(STORAGE_QUARANTINE_PREFIX)
+        .map(quarantineKey => ({ quarantineKey, ...readStoredJson(quarantineKey) }))
+        .sort((a, b) => String(b.quarantinedAt).localeCompare(String(a.quarantinedAt)));
+}
+
+// --- Sync Between Tabs ---
+
+/**
+ * Tells the hub's other open tabs about a change made in this tab.
+ * @param {string} key - The changed key.
+ * @param {string | null} value - The new stored string, or null if the key was removed.
+ */
+function announceStorageChange(key, value) {
+    const stamp = createTabStamp();
+    storageStamps.set(key, stamp);
+    postTabMessage({ type: 'storage', key, value, stamp });
+}
+
+/**
+ * Tab message listener that applies another tab's change to this tab's cache (the other tab has
+ * already written it to the backend). Changes older than this tab's own latest write are ignored.
+ * @param {object} message - The message from another tab.
+ */
+function handleRemoteStorageChange(message) {
+    if (message.type !== 'storage' || typeof message.key !== 'string') return;
+    if (compareTabStamps(message.stamp, storageStamps.get(message.key)) <= 0) return;
+    storageStamps.set(message.key, message.stamp);
+    if (typeof message.value === 'string') {
+        storageCache.set(message.key, message.value);
+    } else {
+        storageCache.delete(message.key);
+    }
+    storageChangeListeners.forEach(listener => {
+        try {
+            listener(message.key);
+        } catch (e) {
+            logError('Storage', "A storage change listener failed:", e);
+        }
+    });
+}
+
+/**
+ * Registers a function to be called when another tab changes a saved value.
+ * @param {function(string): void} listener - Receives the changed key; read the new value with readStoredJson.
+ * @returns {function(): void} A function that removes the listener again.
+ */
+function subscribeToStorageChanges(listener) {
+    storageChangeListeners.push(listener);
+    return () => {
+        storageChangeListeners = storageChangeListeners.filter(existing => existing !== listener);
+    };
+}
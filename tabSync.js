@@ -0,0 +1,116 @@
+// --- Tab Sync ---
+// Passes messages between tabs and windows of the hub that are open at the same time.
+// BroadcastChannel is used where the browser has it; otherwise each message is written to a
+// localStorage key and picked up through the 'storage' event, which fires in the other tabs.
+// Messages carry stamps (time plus tab ID) so receivers can tell which of two changes is newer.
+
+const TAB_SYNC_CHANNEL_NAME = 'productivity-hub';
+const TAB_SYNC_STORAGE_KEY = 'hubTabMessage'; // Only used by the 'storage' event fallback
+const TAB_ID = 'tab-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+
+let tabSyncChannel = null; // The BroadcastChannel, if the browser has one
+let tabSyncStarted = false;
+let tabMessageListeners = []; // Functions called with every message from another tab
+let lastTabStampTime = 0; // Latest stamp time seen, so new stamps always sort after it
+
+/**
+ * Creates a stamp for a change made in this tab. Stamps increase even if the clock does not,
+ * and sort after every stamp this tab has seen from other tabs.
+ * @returns {{time: number, tabId: string}} The stamp.
+ */
+function createTabStamp() {
+    lastTabStampTime = Math.max(Date.now(), lastTabStampTime + 1);
+    return { time: lastTabStampTime, tabId: TAB_ID };
+}
+
+/**
+ * Orders two stamps: by time, then by tab ID so that every tab picks the same winner.
+ * @param {?{time: number, tabId: string}} a - The first stamp; missing stamps sort first.
+ * @param {?{time: number, tabId: string}} b - The second stamp.
+ * @returns {number} Negative if a is older, positive if a is newer, 0 if equal.
+ */
+function compareTabStamps(a, b) {
+    if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+    if (a.time !== b.time) return a.time - b.time;
+    return a.tabId < b.tabId ? -1 : (a.tabId > b.tabId ? 1 : 0);
+}
+
+/**
+ * Notes a stamp received from another tab, so this tab's next stamp is newer.
+ * @param {?{time: number}} stamp - The received stamp.
+ */
+function observeTabStamp(stamp) {
+    if (stamp && typeof stamp.time === 'number') lastTabStampTime = Math.max(lastTabStampTime, stamp.time);
+}
+
+/**
+ * Passes a message from another tab to every listener.
+ * @param {object} message - The received message.
+ */
+function deliverTabMessage(message) {
+    if (!message || message.senderTabId === TAB_ID) return;
+    observeTabStamp(message.stamp);
+    tabMessageListeners.forEach(listener => {
+        try {
+            listener(message);
+        } catch (e) {
+            logError('Tab Sync', "A message listener failed:", e);
+        }
+    });
+}
+
+/**
+ * Starts listening for messages from other tabs. Called on first use.
+ */
+function startTabSync() {
+    if (tabSyncStarted) return;
+    tabSyncStarted = true;
+    if (typeof BroadcastChannel === 'function') {
+        tabSyncChannel = new BroadcastChannel(TAB_SYNC_CHANNEL_NAME);
+        tabSyncChannel.onmessage = (event) => deliverTabMessage(event.data);
+        logInfo('Tab Sync', "Listening for other tabs through BroadcastChannel.");
+    } else {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== TAB_SYNC_STORAGE_KEY || !event.newValue) return;
+            try {
+                deliverTabMessage(JSON.parse(event.newValue));
+            } catch (e) {
+                logWarn('Tab Sync', "Ignoring an unreadable message from another tab.", e);
+            }
+        });
+        logInfo('Tab Sync', "BroadcastChannel is not available. Listening for other tabs through storage events.");
+    }
+}
+
+/**
+ * Sends a message to every other open tab of the hub.
+ * @param {object} message - The message; it must be serializable as JSON.
+ */
+function postTabMessage(message) {
+    startTabSync();
+    const envelope = { ...message, senderTabId: TAB_ID };
+    try {
+        if (tabSyncChannel) {
+            tabSyncChannel.postMessage(envelope);
+        } else {
+            // The nonce makes every write a change, so the 'storage' event fires even for repeated messages
+            localStorage.setItem(TAB_SYNC_STORAGE_KEY, JSON.stringify({ ...envelope, nonce: Math.random() }));
+            localStorage.removeItem(TAB_SYNC_STORAGE_KEY);
+        }
+    } catch (e) {
+        logWarn('Tab Sync', "Could not send a message to other tabs.", e);
+    }
+}
+
+/**
+ * Registers a function to be called with every message from another tab.
+ * @param {function(object): void} listener - Receives the message.
+ * @returns {function(): void} A function that removes the listener again.
+ */
+function subscribeToTabMessages(listener) {
+    startTabSync();
+    tabMessageListeners.push(listener);
+    return () => {
+        tabMessageListeners = tabMessageListeners.filter(existing => existing !== listener);
+    };
+}